@@ -54,4 +54,8 @@ STATICFILES_DIRS = [
 # This is important for production, but also helps in development
 STATIC_ROOT = BASE_DIR / "staticfiles"
 
-DEFAULT_AUTO_FIELD = 'django.db.models.BigAutoField'
\ No newline at end of file
+DEFAULT_AUTO_FIELD = 'django.db.models.BigAutoField'
+
+# Point cloud datasets served by the visualization app. Each subdirectory is
+# one dataset made of PLY/LAS/LAZ/XYZ tile files.
+POINTCLOUD_DATASETS_ROOT = Path(os.environ.get('POINTCLOUD_DATASETS_ROOT', BASE_DIR / 'datasets'))
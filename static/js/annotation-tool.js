@@ -0,0 +1,514 @@
+// Annotation Tool - markers, lines and polygons placed on picked points, each with a
+// title, notes, category and colour. Vertices are kept in original survey coordinates,
+// so an annotation belongs to no tile: whenever tiles are shown or the view changes it
+// is placed again over the tile that contains its first vertex, with that tile's own
+// centring and offset. Annotations are stored in localStorage as GeoJSON, the same
+// FeatureCollection that is exported and imported for GIS use.
+class AnnotationTool {
+    static STORAGE_KEY = 'pointcloud-annotations';
+    static DEFAULT_COLOR = '#ffd400';
+
+    // Number of vertices that completes each kind; open-ended ones need Finish
+    static TYPES = {
+        point: { label: 'Marker', geometry: 'Point', points: 1 },
+        line: { label: 'Line', geometry: 'LineString', points: Infinity, minPoints: 2 },
+        polygon: { label: 'Polygon', geometry: 'Polygon', points: Infinity, minPoints: 3 }
+    };
+
+    // Pick tools (see the data-tool buttons) and the kind of annotation they draw
+    static TOOLS = {
+        'annotate-point': 'point',
+        'annotate-line': 'line',
+        'annotate-polygon': 'polygon'
+    };
+
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.scene = visualizer.scene;
+        this.labelLayer = visualizer.dom('labelLayer');
+
+        this.activeTool = 'none';
+        this.annotations = [];
+        this.current = null;
+        this.selected = null; // Annotation whose fields the form edits
+
+        try {
+            const stored = localStorage.getItem(AnnotationTool.STORAGE_KEY);
+            if (stored) {
+                this.annotations = AnnotationTool.parseGeoJSON(JSON.parse(stored)).map(fields => this.createAnnotation(fields));
+            }
+        } catch (error) {
+            console.warn('Could not restore the annotations:', error);
+        }
+        this.renderList();
+    }
+
+    updateStatus(text) {
+        this.visualizer.dom('annotationStatus').textContent = text || '';
+    }
+
+    save() {
+        try {
+            localStorage.setItem(AnnotationTool.STORAGE_KEY, JSON.stringify(this.toGeoJSON()));
+        } catch (error) {
+            console.warn('Could not store the annotations:', error);
+        }
+    }
+
+    static createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    static isColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    }
+
+    setTool(tool) {
+        this.cancelCurrent();
+        this.activeTool = tool;
+    }
+
+    // Title, notes, category and colour as entered in the panel
+    readForm() {
+        const dom = id => this.visualizer.dom(id);
+        return {
+            title: dom('annotationTitle').value.trim(),
+            notes: dom('annotationNotes').value,
+            category: dom('annotationCategory').value.trim(),
+            color: AnnotationTool.isColor(dom('annotationColor').value) ? dom('annotationColor').value : AnnotationTool.DEFAULT_COLOR
+        };
+    }
+
+    fillForm(annotation) {
+        const dom = id => this.visualizer.dom(id);
+        dom('annotationTitle').value = annotation ? annotation.title : '';
+        dom('annotationNotes').value = annotation ? annotation.notes : '';
+        dom('annotationCategory').value = annotation ? annotation.category : dom('annotationCategory').value;
+        dom('annotationColor').value = annotation ? annotation.color : dom('annotationColor').value;
+    }
+
+    // Called with every point picked while a tool is active
+    handlePick(pick) {
+        const type = AnnotationTool.TOOLS[this.activeTool];
+        if (!type) return;
+
+        if (!this.current) {
+            // A new annotation keeps the category and colour of a selected one
+            if (this.selected) this.select(null);
+            this.current = this.createAnnotation({ type, ...this.readForm(), points: [] });
+        }
+
+        this.current.points.push([...pick.original]);
+        this.draw(this.current);
+        this.updatePlacement();
+
+        if (this.current.points.length >= AnnotationTool.TYPES[type].points) {
+            this.finishCurrent();
+        }
+    }
+
+    finishCurrent() {
+        const annotation = this.current;
+        if (!annotation) return;
+        this.current = null;
+
+        const type = AnnotationTool.TYPES[annotation.type];
+        if (annotation.points.length < (type.minPoints || type.points)) {
+            this.disposeAnnotation(annotation);
+            return;
+        }
+
+        if (!annotation.title) {
+            annotation.title = `${type.label} ${this.annotations.filter(item => item.type === annotation.type).length + 1}`;
+            annotation.label.textContent = annotation.title;
+        }
+        this.annotations.push(annotation);
+        this.fillForm(null);
+        this.save();
+        this.renderList();
+        this.updateStatus(`Added ${annotation.title}`);
+    }
+
+    cancelCurrent() {
+        if (this.current) {
+            this.disposeAnnotation(this.current);
+            this.current = null;
+        }
+    }
+
+    createAnnotation({ id, type, title = '', notes = '', category = '', color = AnnotationTool.DEFAULT_COLOR, created, points }) {
+        const annotation = {
+            id: id || AnnotationTool.createId(),
+            type,
+            title,
+            notes,
+            category,
+            color,
+            created: created || new Date().toISOString(),
+            points,
+            tileKey: null,
+            anchor: null, // Survey position of the group, once placed over a tile
+            group: new THREE.Group(),
+            label: document.createElement('div'),
+            lineMaterial: new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true }),
+            markerMaterial: new THREE.PointsMaterial({ color, size: 9, sizeAttenuation: false, depthTest: false, transparent: true })
+        };
+        annotation.group.renderOrder = 999;
+        annotation.group.visible = false;
+        annotation.label.className = 'scene-label annotation-label';
+        annotation.label.style.display = 'none';
+        annotation.label.style.color = color;
+        annotation.label.textContent = title || AnnotationTool.TYPES[type].label;
+        this.labelLayer.appendChild(annotation.label);
+        this.scene.add(annotation.group);
+        this.draw(annotation);
+        return annotation;
+    }
+
+    // The first height found, which vertices are drawn relative to. Imported 2D
+    // geometry has none and is drawn at the top of its tile instead.
+    static baseHeight(points) {
+        const point = points.find(vertex => Number.isFinite(vertex[2]));
+        return point ? point[2] : null;
+    }
+
+    // Rebuild the drawn markers and lines, relative to the first vertex so float32
+    // positions keep their precision with UTM coordinates. Once placed, each vertex is
+    // drawn over its own tile, so one reaching into a neighbouring tile stays on that
+    // tile's points in the tile view.
+    draw(annotation) {
+        const { group, points, type } = annotation;
+        for (const child of [...group.children]) {
+            group.remove(child);
+            child.geometry.dispose();
+        }
+        if (points.length === 0) return;
+
+        let local;
+        if (annotation.anchor) {
+            const visualizer = this.visualizer;
+            const [, , z0] = annotation.anchor;
+            local = points.map(([x, y, z]) => {
+                const tileKey = this.tileOf(x, y) || annotation.tileKey;
+                const position = [x, y, Number.isFinite(z) ? z : z0];
+                return visualizer.surveyToScene(position, visualizer.tileReference(tileKey)).sub(group.position);
+            });
+        } else {
+            const [x0, y0] = points[0];
+            const z0 = AnnotationTool.baseHeight(points);
+            local = points.map(([x, y, z]) => new THREE.Vector3(x - x0, y - y0, Number.isFinite(z) ? z - z0 : 0));
+        }
+
+        group.add(new THREE.Points(new THREE.BufferGeometry().setFromPoints(local), annotation.markerMaterial));
+        if (local.length > 1) {
+            const LineType = type === 'polygon' && local.length > 2 ? THREE.LineLoop : THREE.Line;
+            group.add(new LineType(new THREE.BufferGeometry().setFromPoints(local), annotation.lineMaterial));
+        }
+        for (const child of group.children) {
+            child.renderOrder = 999;
+            child.frustumCulled = false;
+        }
+    }
+
+    // Key of the tile whose bounds hold a survey position; where tiles overlap, the
+    // one with the nearest centre
+    tileOf(x, y) {
+        let best = null;
+        let bestDistance = Infinity;
+        for (const [tileKey, cell] of this.visualizer.tileGrid) {
+            if (x < cell.minX || x > cell.maxX || y < cell.minY || y > cell.maxY) continue;
+            const distance = (x - (cell.minX + cell.maxX) / 2) ** 2 + (y - (cell.minY + cell.maxY) / 2) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = tileKey;
+            }
+        }
+        return best;
+    }
+
+    // Put every annotation over the tile of its first vertex and the other vertices over
+    // theirs, drawn with each tile's first file as the point clouds are placed. Only
+    // annotations over shown tiles are drawn.
+    updatePlacement() {
+        const visualizer = this.visualizer;
+        let moved = false;
+        for (const annotation of this.all()) {
+            const { group, points } = annotation;
+            const tileKey = points.length > 0 ? this.tileOf(points[0][0], points[0][1]) : null;
+            moved = moved || tileKey !== annotation.tileKey;
+            annotation.tileKey = tileKey;
+            group.visible = !!annotation.tileKey && visualizer.visibleTiles.has(annotation.tileKey);
+            if (!annotation.tileKey) {
+                annotation.anchor = null;
+                continue;
+            }
+
+            const baseHeight = AnnotationTool.baseHeight(points);
+            annotation.anchor = [points[0][0], points[0][1], baseHeight === null ? visualizer.tileGrid.get(tileKey).maxZ : baseHeight];
+            group.position.copy(visualizer.surveyToScene(annotation.anchor, visualizer.tileReference(tileKey)));
+            group.updateMatrixWorld();
+            this.draw(annotation);
+        }
+        if (moved) this.renderList(); // The list shows each annotation's tile
+    }
+
+    all() {
+        return [...this.annotations, ...(this.current ? [this.current] : [])];
+    }
+
+    // Keep the HTML labels over the markers and the middle of lines and polygons
+    updateLabels(camera, width, height) {
+        const position = new THREE.Vector3();
+        for (const annotation of this.all()) {
+            const points = annotation.group.children.length > 0 ? annotation.group.children[0].geometry.attributes.position : null;
+            if (!annotation.group.visible || !points) {
+                annotation.label.style.display = 'none';
+                continue;
+            }
+
+            position.set(0, 0, 0);
+            for (let i = 0; i < points.count; i++) {
+                position.x += points.getX(i);
+                position.y += points.getY(i);
+                position.z += points.getZ(i);
+            }
+            annotation.group.localToWorld(position.divideScalar(points.count)).project(camera);
+
+            const visible = position.z > -1 && position.z < 1;
+            annotation.label.style.display = visible ? 'block' : 'none';
+            annotation.label.style.transform =
+                `translate(-50%, -130%) translate(${(position.x + 1) / 2 * width}px, ${(1 - position.y) / 2 * height}px)`;
+        }
+    }
+
+    // Pick an annotation to edit its fields in the form, or null to go back to
+    // entering the fields of new ones. Selecting one in a tile that isn't shown goes
+    // to that tile.
+    select(annotation) {
+        this.selected = annotation;
+        this.fillForm(annotation);
+        this.renderList();
+
+        const visualizer = this.visualizer;
+        if (annotation && annotation.tileKey && !visualizer.visibleTiles.has(annotation.tileKey)) {
+            const cell = visualizer.tileGrid.get(annotation.tileKey);
+            visualizer.goToTile(cell.x, cell.y).catch(error => console.warn('Could not go to the annotation:', error));
+        }
+    }
+
+    // Form edits apply to the selected annotation as they are typed
+    applyForm() {
+        const annotation = this.selected;
+        if (!annotation) return;
+
+        const fields = this.readForm();
+        Object.assign(annotation, fields, { title: fields.title || annotation.title });
+        annotation.lineMaterial.color.set(annotation.color);
+        annotation.markerMaterial.color.set(annotation.color);
+        annotation.label.style.color = annotation.color;
+        annotation.label.textContent = annotation.title;
+        this.save();
+        this.renderList();
+    }
+
+    renderList() {
+        const list = this.visualizer.dom('annotationList');
+        list.innerHTML = '';
+
+        for (const annotation of this.annotations) {
+            const item = document.createElement('div');
+            item.className = 'measurement-item annotation-item';
+            item.classList.toggle('selected', annotation === this.selected);
+            item.title = annotation.notes || 'Edit this annotation';
+            item.innerHTML = `<span class="annotation-swatch"></span><strong></strong><div class="measurement-details"></div>`;
+            item.querySelector('.annotation-swatch').style.background = annotation.color;
+            item.querySelector('strong').textContent = annotation.title;
+            item.querySelector('.measurement-details').textContent = [
+                AnnotationTool.TYPES[annotation.type].label,
+                annotation.category,
+                annotation.tileKey ? `tile (${annotation.tileKey.replace(',', ', ')})` : null
+            ].filter(Boolean).join(', ');
+            item.addEventListener('click', () => this.select(annotation === this.selected ? null : annotation));
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'measurement-remove';
+            removeButton.textContent = '×';
+            removeButton.title = 'Remove annotation';
+            removeButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.remove(annotation);
+            });
+            item.prepend(removeButton);
+            list.appendChild(item);
+        }
+
+        // Categories in use are offered for new annotations
+        const categories = [...new Set(this.annotations.map(annotation => annotation.category).filter(Boolean))].sort();
+        this.visualizer.dom('annotationCategories').innerHTML = '';
+        for (const category of categories) {
+            const option = document.createElement('option');
+            option.value = category;
+            this.visualizer.dom('annotationCategories').appendChild(option);
+        }
+    }
+
+    remove(annotation) {
+        this.annotations = this.annotations.filter(item => item !== annotation);
+        if (this.selected === annotation) this.select(null);
+        this.disposeAnnotation(annotation);
+        this.save();
+        this.renderList();
+    }
+
+    clear() {
+        if (this.annotations.length > 0 && !confirm(`Remove all ${this.annotations.length} annotation(s)?`)) return;
+        this.cancelCurrent();
+        for (const annotation of this.annotations) {
+            this.disposeAnnotation(annotation);
+        }
+        this.annotations = [];
+        this.select(null);
+        this.save();
+        this.updateStatus('');
+    }
+
+    disposeAnnotation(annotation) {
+        this.scene.remove(annotation.group);
+        for (const child of annotation.group.children) {
+            child.geometry.dispose();
+        }
+        annotation.lineMaterial.dispose();
+        annotation.markerMaterial.dispose();
+        annotation.label.remove();
+    }
+
+    // Take the annotations out of the scene when the viewer goes away; unlike
+    // clear() this keeps them stored
+    dispose() {
+        this.cancelCurrent();
+        for (const annotation of this.annotations) {
+            this.disposeAnnotation(annotation);
+        }
+    }
+
+    // One feature per annotation with survey coordinates. Polygons get their ring
+    // closed; vertices without a height stay 2D.
+    toGeoJSON() {
+        const position = ([x, y, z]) => (Number.isFinite(z) ? [x, y, z] : [x, y]);
+        const features = this.annotations.map(annotation => {
+            const coordinates = annotation.points.map(position);
+            const geometry = annotation.type === 'point'
+                ? { type: 'Point', coordinates: coordinates[0] }
+                : annotation.type === 'line'
+                    ? { type: 'LineString', coordinates }
+                    : { type: 'Polygon', coordinates: [[...coordinates, coordinates[0]]] };
+            return {
+                type: 'Feature',
+                id: annotation.id,
+                properties: {
+                    title: annotation.title,
+                    notes: annotation.notes,
+                    category: annotation.category,
+                    color: annotation.color,
+                    created: annotation.created
+                },
+                geometry
+            };
+        });
+        return { type: 'FeatureCollection', features };
+    }
+
+    // Annotation fields from a FeatureCollection, Feature or bare geometry. Multi-part
+    // geometries become one annotation per part; polygon holes and features of other
+    // types are left out. `name` and `description` are read as well, as GIS tools
+    // often use them for the title and notes.
+    static parseGeoJSON(data) {
+        const features = data && data.type === 'FeatureCollection' ? data.features
+            : data && data.type === 'Feature' ? [data]
+                : [{ type: 'Feature', properties: {}, geometry: data }];
+        if (!Array.isArray(features)) throw new Error('No "features" list found');
+
+        const isPosition = value => Array.isArray(value) && value.length >= 2 && value.every(Number.isFinite);
+        const toPoints = positions => positions.map(([x, y, z]) => [x, y, Number.isFinite(z) ? z : null]);
+        const annotations = [];
+
+        for (const feature of features) {
+            if (!feature || !feature.geometry) continue;
+            const properties = feature.properties || {};
+            const { type, coordinates } = feature.geometry;
+            const parts = type && type.startsWith('Multi') && Array.isArray(coordinates)
+                ? coordinates.map(part => ({ type: type.slice('Multi'.length), coordinates: part }))
+                : [{ type, coordinates }];
+
+            parts.forEach((part, index) => {
+                let kind = null;
+                let positions = null;
+                if (part.type === 'Point' && isPosition(part.coordinates)) {
+                    kind = 'point';
+                    positions = [part.coordinates];
+                } else if (part.type === 'LineString' && Array.isArray(part.coordinates) && part.coordinates.length >= 2 && part.coordinates.every(isPosition)) {
+                    kind = 'line';
+                    positions = part.coordinates;
+                } else if (part.type === 'Polygon' && Array.isArray(part.coordinates) && Array.isArray(part.coordinates[0]) && part.coordinates[0].every(isPosition)) {
+                    // The stored ring is open; drop the closing vertex
+                    const ring = part.coordinates[0];
+                    const [first, last] = [ring[0], ring[ring.length - 1]];
+                    positions = ring.length > 1 && first.every((value, axis) => value === last[axis]) ? ring.slice(0, -1) : ring;
+                    kind = positions.length >= 3 ? 'polygon' : null;
+                }
+                if (!kind) return;
+
+                const id = feature.id !== undefined ? String(feature.id) : (properties.id !== undefined ? String(properties.id) : null);
+                annotations.push({
+                    id: id && parts.length > 1 ? `${id}-${index + 1}` : id,
+                    type: kind,
+                    title: String(properties.title || properties.name || ''),
+                    notes: String(properties.notes || properties.description || ''),
+                    category: String(properties.category || ''),
+                    color: AnnotationTool.isColor(properties.color) ? properties.color : AnnotationTool.DEFAULT_COLOR,
+                    created: typeof properties.created === 'string' ? properties.created : undefined,
+                    points: toPoints(positions)
+                });
+            });
+        }
+        return annotations;
+    }
+
+    exportGeoJSON() {
+        if (this.annotations.length === 0) {
+            alert('There are no annotations to export.');
+            return;
+        }
+        const text = JSON.stringify(this.toGeoJSON(), null, 2);
+        downloadBlob(new Blob([text], { type: 'application/geo+json' }), 'annotations.geojson');
+    }
+
+    // Add the annotations from a GeoJSON file, skipping ones already present by id so
+    // an exported file can be imported again
+    async importGeoJSON(file) {
+        try {
+            const parsed = AnnotationTool.parseGeoJSON(JSON.parse(await file.text()));
+            const ids = new Set(this.annotations.map(annotation => annotation.id));
+            const imported = parsed.filter(fields => !fields.id || !ids.has(fields.id));
+
+            for (const fields of imported) {
+                const annotation = this.createAnnotation(fields);
+                if (!annotation.title) {
+                    annotation.title = `${AnnotationTool.TYPES[annotation.type].label} ${this.annotations.length + 1}`;
+                    annotation.label.textContent = annotation.title;
+                }
+                this.annotations.push(annotation);
+            }
+            this.updatePlacement();
+            this.save();
+            this.renderList();
+
+            const outside = imported.filter(fields => !this.tileOf(fields.points[0][0], fields.points[0][1])).length;
+            this.updateStatus(`Imported ${imported.length} of ${parsed.length} annotation(s) from ${file.name}` +
+                (outside > 0 && this.visualizer.tileGrid.size > 0 ? `, ${outside} outside the loaded tiles` : ''));
+        } catch (error) {
+            console.error('Annotation import failed:', error);
+            alert(`Could not import annotations from ${file.name}: ${error.message}`);
+        }
+    }
+}
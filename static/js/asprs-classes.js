@@ -0,0 +1,22 @@
+// Standard ASPRS LAS classification codes with the colours used to draw them
+const ASPRS_CLASSES = {
+    0: { name: 'Never Classified', color: '#a0a0a0' },
+    1: { name: 'Unclassified', color: '#d3d3d3' },
+    2: { name: 'Ground', color: '#a0522d' },
+    3: { name: 'Low Vegetation', color: '#9acd32' },
+    4: { name: 'Medium Vegetation', color: '#32cd32' },
+    5: { name: 'High Vegetation', color: '#006400' },
+    6: { name: 'Building', color: '#ff8c00' },
+    7: { name: 'Low Point (Noise)', color: '#ff00ff' },
+    8: { name: 'Model Key-point', color: '#ffd700' },
+    9: { name: 'Water', color: '#1e90ff' },
+    10: { name: 'Rail', color: '#8b4513' },
+    11: { name: 'Road Surface', color: '#696969' },
+    12: { name: 'Overlap', color: '#ffe4b5' },
+    13: { name: 'Wire - Guard', color: '#fffacd' },
+    14: { name: 'Wire - Conductor', color: '#ffff00' },
+    15: { name: 'Transmission Tower', color: '#b22222' },
+    16: { name: 'Wire-structure Connector', color: '#dda0dd' },
+    17: { name: 'Bridge Deck', color: '#708090' },
+    18: { name: 'High Noise', color: '#ff1493' }
+};
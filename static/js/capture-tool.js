@@ -0,0 +1,475 @@
+// Capture Tool - saves the view as a PNG at any resolution the GPU allows, and renders
+// turntables or recorded camera paths to WebM or to a sequence of PNG frames. Frames
+// are drawn by resizing the renderer off screen for the duration of the capture, then
+// copied onto a 2D canvas where the scale bar and north arrow are added. Frame
+// sequences are packed into an uncompressed tar archive written through the same file
+// stream as point exports.
+class CaptureTool {
+    static MIN_SIZE = 16;
+
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.canvas = document.createElement('canvas');
+        this.context = this.canvas.getContext('2d');
+
+        this.busy = false;
+        this.cancelled = false;
+        this.path = null; // { fps, poses: [{ position, quaternion, target }] }
+        this.recording = null;
+
+        const [width, height] = this.defaultSize();
+        this.visualizer.dom('captureWidth').value = width;
+        this.visualizer.dom('captureHeight').value = height;
+    }
+
+    // Largest width and height the renderer can draw in one pass
+    get maxSize() {
+        const gl = this.visualizer.renderer.getContext();
+        const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        const renderbuffer = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE);
+        return [Math.min(viewport[0], renderbuffer), Math.min(viewport[1], renderbuffer)];
+    }
+
+    // Twice the canvas size, which is what most reports want from a screenshot
+    defaultSize() {
+        const canvas = this.visualizer.renderer.domElement;
+        const [maxWidth, maxHeight] = this.maxSize;
+        return [Math.min(canvas.clientWidth * 2, maxWidth), Math.min(canvas.clientHeight * 2, maxHeight)];
+    }
+
+    readOptions() {
+        const [defaultWidth, defaultHeight] = this.defaultSize();
+        const [maxWidth, maxHeight] = this.maxSize;
+        const size = (id, fallback, max) => {
+            const value = parseInt(this.visualizer.dom(id).value, 10);
+            return Math.min(Math.max(isNaN(value) ? fallback : value, CaptureTool.MIN_SIZE), max);
+        };
+
+        return {
+            width: size('captureWidth', defaultWidth, maxWidth),
+            height: size('captureHeight', defaultHeight, maxHeight),
+            transparent: this.visualizer.dom('captureTransparent').checked,
+            scaleBar: this.visualizer.dom('captureScaleBar').checked,
+            northArrow: this.visualizer.dom('captureNorthArrow').checked,
+            duration: Math.max(parseFloat(this.visualizer.dom('captureDuration').value) || 10, 1),
+            fps: Math.min(Math.max(parseInt(this.visualizer.dom('captureFps').value, 10) || 30, 1), 60),
+            output: this.visualizer.dom('captureOutput').value
+        };
+    }
+
+    updateStatus(text) {
+        const status = this.visualizer.dom('captureStatus');
+        if (text) {
+            status.textContent = text;
+        } else if (this.path) {
+            status.textContent = `Recorded camera path: ${(this.path.poses.length / this.path.fps).toFixed(1)} s`;
+        } else {
+            status.textContent = '';
+        }
+    }
+
+    // Resize the renderer for the capture and hide the editing helpers. Returns the
+    // state that finish() puts back.
+    prepare({ width, height, transparent }) {
+        const { renderer, camera, scene, sharedUniforms, clipTool } = this.visualizer;
+        const state = {
+            size: renderer.getSize(new THREE.Vector2()),
+            pixelRatio: renderer.getPixelRatio(),
+            aspect: camera.aspect,
+            scale: sharedUniforms.scale.value,
+            background: scene.background,
+            clearColor: renderer.getClearColor(new THREE.Color()),
+            clearAlpha: renderer.getClearAlpha(),
+            position: camera.position.clone(),
+            quaternion: camera.quaternion.clone(),
+            target: this.visualizer.controls.target.clone(),
+            controlsEnabled: this.visualizer.controls.enabled,
+            hidden: [this.visualizer.pickMarker, clipTool.gizmo, clipTool.box, ...clipTool.planes.map(plane => plane.helper)]
+                .filter(object => object.visible)
+        };
+
+        for (const object of state.hidden) {
+            object.visible = false;
+        }
+        this.visualizer.controls.enabled = false;
+        if (transparent) {
+            scene.background = null;
+            renderer.setClearColor(0x000000, 0);
+        }
+
+        // Resize without touching the CSS size, so the page layout stays put
+        renderer.setPixelRatio(1);
+        renderer.setSize(width, height, false);
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        sharedUniforms.scale.value = height * 0.5;
+
+        this.canvas.width = width;
+        this.canvas.height = height;
+        return state;
+    }
+
+    finish(state) {
+        const { renderer, camera, scene, sharedUniforms } = this.visualizer;
+
+        for (const object of state.hidden) {
+            object.visible = true;
+        }
+        this.visualizer.controls.enabled = state.controlsEnabled;
+        scene.background = state.background;
+        renderer.setClearColor(state.clearColor, state.clearAlpha);
+
+        renderer.setPixelRatio(state.pixelRatio);
+        renderer.setSize(state.size.x, state.size.y, false);
+        camera.aspect = state.aspect;
+        camera.position.copy(state.position);
+        camera.quaternion.copy(state.quaternion);
+        this.visualizer.controls.target.copy(state.target);
+        camera.updateProjectionMatrix();
+        sharedUniforms.scale.value = state.scale;
+    }
+
+    // Draw one frame onto the 2D canvas. The copy has to happen in the same task as the
+    // render, before the browser clears the WebGL drawing buffer.
+    renderFrame(options) {
+        const { renderer, camera } = this.visualizer;
+        const { width, height } = options;
+
+        camera.updateMatrixWorld();
+        PointCloudOctree.updateVisibility(this.visualizer.currentPointClouds, camera, height, {
+            pointBudget: this.visualizer.pointBudget,
+            minNodePixelSize: this.visualizer.minNodePixelSize
+        });
+        this.visualizer.renderScene();
+
+        this.context.clearRect(0, 0, width, height);
+        this.context.drawImage(renderer.domElement, 0, 0, width, height);
+        if (options.scaleBar) this.drawScaleBar(options);
+        if (options.northArrow) this.drawNorthArrow(options);
+    }
+
+    applyPose(pose) {
+        this.visualizer.camera.position.copy(pose.position);
+        this.visualizer.camera.quaternion.copy(pose.quaternion);
+        this.visualizer.controls.target.copy(pose.target);
+    }
+
+    // Distance from the camera to the orbit target along the view direction, where the
+    // scale bar is measured
+    targetDepth() {
+        const { camera, controls } = this.visualizer;
+        const direction = camera.getWorldDirection(new THREE.Vector3());
+        const depth = controls.target.clone().sub(camera.position).dot(direction);
+        return Math.max(depth, camera.near);
+    }
+
+    // Round a length down to 1, 2 or 5 times a power of ten
+    static niceLength(length) {
+        const power = Math.pow(10, Math.floor(Math.log10(length)));
+        const digit = length / power;
+        return (digit >= 5 ? 5 : digit >= 2 ? 2 : 1) * power;
+    }
+
+    static drawText(context, text, x, y) {
+        context.strokeText(text, x, y);
+        context.fillText(text, x, y);
+    }
+
+    drawScaleBar({ width, height }) {
+        const { camera } = this.visualizer;
+        const ctx = this.context;
+        const unit = Math.max(1, height / 720);
+
+        const visibleHeight = 2 * this.targetDepth() * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        const metresPerPixel = visibleHeight / height;
+        const length = CaptureTool.niceLength(metresPerPixel * width * 0.2);
+        const barWidth = length / metresPerPixel;
+        const x = 20 * unit;
+        const y = height - 20 * unit;
+        const barHeight = 8 * unit;
+
+        // Two halves in alternating colours, outlined so they read on any background
+        ctx.lineWidth = 2 * unit;
+        ctx.strokeStyle = '#000000';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(x, y - barHeight, barWidth / 2, barHeight);
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(x + barWidth / 2, y - barHeight, barWidth / 2, barHeight);
+        ctx.strokeRect(x, y - barHeight, barWidth, barHeight);
+
+        const label = length >= 1 ? `${length} m` : `${Number((length * 100).toPrecision(3))} cm`;
+        ctx.font = `600 ${Math.round(14 * unit)}px Arial, sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.lineWidth = 3 * unit;
+        ctx.fillStyle = '#ffffff';
+        CaptureTool.drawText(ctx, label, x, y - barHeight - 4 * unit);
+    }
+
+    // Arrow along the projected +Y axis at the orbit target
+    drawNorthArrow({ width, height }) {
+        const { camera, controls } = this.visualizer;
+        const ctx = this.context;
+        const unit = Math.max(1, height / 720);
+
+        const origin = controls.target.clone().project(camera);
+        const north = controls.target.clone().add(new THREE.Vector3(0, this.targetDepth() * 0.05, 0)).project(camera);
+        const dx = (north.x - origin.x) * width;
+        const dy = (origin.y - north.y) * height;
+        if (Math.hypot(dx, dy) < 1e-6) return; // Looking straight along the north axis
+
+        const size = 24 * unit;
+        const x = width - 30 * unit - size;
+        const y = 30 * unit + size;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(Math.atan2(dx, -dy));
+        ctx.lineWidth = 2 * unit;
+        ctx.strokeStyle = '#000000';
+        ctx.beginPath();
+        ctx.moveTo(0, -size);
+        ctx.lineTo(size * 0.45, size * 0.6);
+        ctx.lineTo(0, size * 0.3);
+        ctx.closePath();
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(0, -size);
+        ctx.lineTo(-size * 0.45, size * 0.6);
+        ctx.lineTo(0, size * 0.3);
+        ctx.closePath();
+        ctx.fillStyle = '#000000';
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.rotate(-Math.atan2(dx, -dy));
+        ctx.font = `700 ${Math.round(14 * unit)}px Arial, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 3 * unit;
+        ctx.fillStyle = '#ffffff';
+        const labelDistance = size + 12 * unit;
+        const angle = Math.atan2(dy, dx);
+        CaptureTool.drawText(ctx, 'N', Math.cos(angle) * labelDistance, Math.sin(angle) * labelDistance);
+        ctx.restore();
+    }
+
+    fileName(extension) {
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        return `${this.visualizer.datasetName || 'point-cloud'}-${stamp}.${extension}`;
+    }
+
+    canvasBlob() {
+        return new Promise((resolve, reject) => {
+            this.canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not encode the image'))), 'image/png');
+        });
+    }
+
+    async snapshot() {
+        if (this.busy) return;
+        const options = this.readOptions();
+
+        this.busy = true;
+        const state = this.prepare(options);
+        try {
+            this.renderFrame(options);
+        } finally {
+            this.finish(state);
+            this.busy = false;
+        }
+
+        try {
+            downloadBlob(await this.canvasBlob(), this.fileName('png'));
+            this.updateStatus(`Saved a ${options.width} × ${options.height} PNG`);
+        } catch (error) {
+            console.error('Snapshot failed:', error);
+            this.updateStatus(`Snapshot failed: ${error.message}`);
+        }
+    }
+
+    // One full turn about the vertical axis through the orbit target
+    turntablePoses({ duration, fps }) {
+        const { camera, controls } = this.visualizer;
+        const axis = new THREE.Vector3(0, 0, 1);
+        const frameCount = Math.round(duration * fps);
+        const poses = [];
+
+        for (let i = 0; i < frameCount; i++) {
+            const rotation = new THREE.Quaternion().setFromAxisAngle(axis, (i / frameCount) * Math.PI * 2);
+            poses.push({
+                position: camera.position.clone().sub(controls.target).applyQuaternion(rotation).add(controls.target),
+                quaternion: camera.quaternion.clone().premultiply(rotation),
+                target: controls.target.clone()
+            });
+        }
+        return poses;
+    }
+
+    // Sample the camera at the chosen frame rate while the user navigates
+    toggleRecording() {
+        if (this.recording) {
+            this.recording = null;
+            this.visualizer.dom('captureRecordPath').classList.remove('active');
+            this.updateStatus();
+            return;
+        }
+
+        const { fps } = this.readOptions();
+        const recording = { fps, poses: [], start: performance.now() };
+        this.recording = recording;
+        this.path = recording;
+        this.visualizer.dom('captureRecordPath').classList.add('active');
+
+        const sample = () => {
+            if (this.recording !== recording) return;
+            const { camera, controls } = this.visualizer;
+            const due = Math.floor(((performance.now() - recording.start) / 1000) * fps) + 1;
+            while (recording.poses.length < due) {
+                recording.poses.push({ position: camera.position.clone(), quaternion: camera.quaternion.clone(), target: controls.target.clone() });
+            }
+            this.updateStatus(`Recording camera path: ${(recording.poses.length / fps).toFixed(1)} s`);
+            requestAnimationFrame(sample);
+        };
+        sample();
+    }
+
+    async renderAnimation() {
+        if (this.busy) {
+            this.cancelled = true;
+            return;
+        }
+
+        const options = this.readOptions();
+        let poses;
+        if (this.visualizer.dom('captureMotion').value === 'path') {
+            if (this.recording) this.toggleRecording();
+            if (!this.path || this.path.poses.length === 0) {
+                alert('Record a camera path first.');
+                return;
+            }
+            poses = this.path.poses;
+            options.fps = this.path.fps;
+        } else {
+            poses = this.turntablePoses(options);
+        }
+
+        if (options.output === 'webm' && !(window.MediaRecorder && this.canvas.captureStream)) {
+            alert('This browser cannot record video. Save the animation as PNG frames instead.');
+            return;
+        }
+
+        const extension = options.output === 'webm' ? 'webm' : 'tar';
+        const sink = await PointExporter.createSink(this.fileName(extension), options.output === 'webm' ? 'video/webm' : 'application/x-tar');
+        if (!sink) return; // Save dialog cancelled
+
+        this.busy = true;
+        this.cancelled = false;
+        const button = this.visualizer.dom('captureAnimation');
+        button.textContent = 'Cancel';
+
+        const state = this.prepare(options);
+        try {
+            if (options.output === 'webm') {
+                await this.recordVideo(poses, options, sink);
+            } else {
+                await this.writeFrames(poses, options, sink);
+            }
+
+            if (this.cancelled) {
+                await sink.abort();
+                this.updateStatus('Animation cancelled');
+            } else {
+                await sink.close();
+                this.updateStatus(`Saved ${poses.length} frames at ${options.width} × ${options.height}`);
+            }
+        } catch (error) {
+            console.error('Animation capture failed:', error);
+            await sink.abort();
+            this.updateStatus(`Animation capture failed: ${error.message}`);
+        } finally {
+            this.finish(state);
+            this.busy = false;
+            button.textContent = 'Render Animation';
+        }
+    }
+
+    async writeFrames(poses, options, sink) {
+        const digits = String(poses.length).length;
+
+        for (let i = 0; i < poses.length && !this.cancelled; i++) {
+            this.applyPose(poses[i]);
+            this.renderFrame(options);
+
+            const image = new Uint8Array(await (await this.canvasBlob()).arrayBuffer());
+            await sink.write(CaptureTool.tarHeader(`frame-${String(i + 1).padStart(digits, '0')}.png`, image.length));
+            await sink.write(image);
+            await sink.write(new Uint8Array((512 - (image.length % 512)) % 512));
+            this.updateStatus(`Rendering frame ${i + 1} of ${poses.length}...`);
+        }
+        // Two empty blocks end the archive
+        await sink.write(new Uint8Array(1024));
+    }
+
+    // The recorder timestamps frames as they arrive, so frames are drawn in real time at
+    // the chosen rate; a slow GPU stretches the video rather than dropping frames.
+    async recordVideo(poses, options, sink) {
+        const stream = this.canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: options.width * options.height * options.fps * 0.2 });
+
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        const stopped = new Promise(resolve => {
+            recorder.onstop = resolve;
+        });
+
+        recorder.start(1000);
+        const frameTime = 1000 / options.fps;
+        let next = performance.now();
+        for (let i = 0; i < poses.length && !this.cancelled; i++) {
+            this.applyPose(poses[i]);
+            this.renderFrame(options);
+            track.requestFrame();
+            this.updateStatus(`Recording frame ${i + 1} of ${poses.length}...`);
+
+            next += frameTime;
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, next - performance.now())));
+        }
+        recorder.stop();
+        await stopped;
+        track.stop();
+
+        for (const chunk of chunks) {
+            await sink.write(chunk);
+        }
+    }
+
+    // POSIX ustar header for one regular file
+    static tarHeader(name, size) {
+        const header = new Uint8Array(512);
+        const encoder = new TextEncoder();
+        const field = (offset, length, value) => header.set(encoder.encode(value).subarray(0, length), offset);
+        const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+        field(0, 100, name);
+        field(100, 8, octal(0o644, 8));
+        field(108, 8, octal(0, 8));
+        field(116, 8, octal(0, 8));
+        field(124, 12, octal(size, 12));
+        field(136, 12, octal(Math.floor(Date.now() / 1000), 12));
+        field(148, 8, '        ');
+        field(156, 1, '0');
+        field(257, 6, 'ustar\0');
+        field(263, 2, '00');
+
+        const checksum = header.reduce((sum, byte) => sum + byte, 0);
+        field(148, 8, octal(checksum, 7) + ' ');
+        return header;
+    }
+}
@@ -0,0 +1,112 @@
+// Change Detector - cloud-to-cloud distances between two epochs of a survey. Each
+// comparison point gets the distance to its nearest reference point, signed by
+// whether it lies above (+) or below (-) that point, so material added between the
+// surveys reads as positive change and material taken away as negative. Reference
+// points are indexed with PointCleaner's grid of cubic cells. Runs inside the parsing
+// worker; no THREE or DOM access.
+class ChangeDetector {
+    static PROGRESS_INTERVAL = 65536;
+    static MAX_SEARCH_RINGS = 8;
+    static POINTS_PER_CELL = 4;
+
+    // Reference points of a tile and its neighbours, merged into one frame around
+    // `center` and indexed for searches up to maxDistance. Built once per tile and
+    // shared by every comparison file over it.
+    static index(reference, center, maxDistance) {
+        if (!(maxDistance > 0)) throw new Error('The search distance must be greater than zero');
+
+        const count = reference.reduce((sum, file) => sum + file.positions.length / 3, 0);
+        const positions = new Float32Array(count * 3);
+        let offset = 0;
+        for (const file of reference) {
+            const shift = [0, 1, 2].map(axis => file.center[axis] - center[axis]);
+            for (let i = 0; i < file.positions.length; i++) {
+                positions[offset + i] = file.positions[i] + shift[i % 3];
+            }
+            offset += file.positions.length;
+        }
+        if (count === 0) return { center, positions, count, grid: null, maxDistance };
+
+        // Cells that hold a few points at the reference's horizontal density, but no
+        // smaller than it takes to cover maxDistance in MAX_SEARCH_RINGS rings
+        const { min, max } = PointCleaner.bounds(positions, count);
+        const area = Math.max((max[0] - min[0]) * (max[1] - min[1]), 1e-12);
+        const cellSize = Math.max(
+            Math.sqrt((area * ChangeDetector.POINTS_PER_CELL) / count),
+            maxDistance / ChangeDetector.MAX_SEARCH_RINGS,
+            1e-6
+        );
+        return { center, positions, count, grid: PointCleaner.buildGrid(positions, count, cellSize), maxDistance };
+    }
+
+    // Comparison points inside the tile's bounds that have a reference point within
+    // the index's maxDistance, with their change as the `change` attribute
+    static compare(data, index, { bounds }, onProgress) {
+        const center = data.center;
+        const inside = [];
+        for (let i = 0; i < data.pointCount; i++) {
+            const x = data.positions[i * 3] + center[0];
+            const y = data.positions[i * 3 + 1] + center[1];
+            if (x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY) inside.push(i);
+        }
+        const cropped = PointCleaner.select(data, Uint32Array.from(inside));
+
+        // Query in the index's frame
+        const shift = [0, 1, 2].map(axis => center[axis] - index.center[axis]);
+        const queries = Float32Array.from(cropped.positions, (value, i) => value + shift[i % 3]);
+        const change = ChangeDetector.distances(queries, cropped.pointCount, index, onProgress);
+
+        const keep = [];
+        for (let i = 0; i < cropped.pointCount; i++) {
+            if (!Number.isNaN(change[i])) keep.push(i);
+        }
+        const result = PointCleaner.select(cropped, Uint32Array.from(keep));
+        result.attributes.change = Float32Array.from(keep, i => change[i]);
+        result.stats = { inside: cropped.pointCount, compared: keep.length, uncovered: cropped.pointCount - keep.length };
+        return result;
+    }
+
+    // Signed distance from each query point to the nearest reference point, NaN where
+    // there is none within maxDistance
+    static distances(queries, queryCount, { positions, count, grid, maxDistance }, onProgress) {
+        const result = new Float32Array(queryCount).fill(NaN);
+        if (count === 0) return result;
+
+        const maxSquared = maxDistance * maxDistance;
+
+        for (let i = 0; i < queryCount; i++) {
+            const px = queries[i * 3], py = queries[i * 3 + 1], pz = queries[i * 3 + 2];
+            const [ix, iy, iz] = grid.cellOf(px, py, pz);
+            let best = Infinity;
+            let bestDz = 0;
+
+            // Widen the search ring by ring until nothing an outer ring holds could be
+            // closer, or the rings are past maxDistance
+            for (let ring = 0; ; ring++) {
+                PointCleaner.forEachCellInRing(grid, ix, iy, iz, ring, (start, end) => {
+                    for (let j = start; j < end; j++) {
+                        const index = grid.order[j];
+                        const dx = positions[index * 3] - px;
+                        const dy = positions[index * 3 + 1] - py;
+                        const dz = positions[index * 3 + 2] - pz;
+                        const distance = dx * dx + dy * dy + dz * dz;
+                        if (distance < best) {
+                            best = distance;
+                            bestDz = dz;
+                        }
+                    }
+                });
+                const reach = ring * grid.cellSize;
+                if (best <= reach * reach || reach >= maxDistance) break;
+            }
+
+            if (best <= maxSquared) {
+                const distance = Math.sqrt(best);
+                result[i] = bestDz > 0 ? -distance : distance;
+            }
+
+            if (onProgress && i % ChangeDetector.PROGRESS_INTERVAL === 0) onProgress(i, queryCount);
+        }
+        return result;
+    }
+}
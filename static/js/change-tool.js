@@ -0,0 +1,460 @@
+// Change Tool - compares a second epoch of the survey with the loaded one. The
+// comparison files are indexed and matched to the reference grid's tiles by their
+// bounds. For each shown tile the worker pool decodes them, cuts them to the tile and
+// gives every point its cloud-to-cloud change (see ChangeDetector). Comparison points
+// are drawn over or instead of the reference, coloured by change with a ramp and range
+// of their own, and each compared tile gets a summary row: mean change, and the area
+// and volume of change beyond the threshold.
+class ChangeTool {
+    static MAX_SUMMARY_CELLS = 25000000;
+
+    // CSS gradient for the magnitude legend, which only shows the upper half of the
+    // symmetric changeMagnitude ramp
+    static MAGNITUDE_GRADIENT = 'linear-gradient(to right, #d9d9d9 0%, #d9d9d9 50%, #fdae61 50%, #b2182b 100%)';
+
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.files = [];
+        this.coordinates = new Map(); // File name -> scan or manifest bounds
+        this.label = ''; // Folder or dataset name of the comparison epoch
+        this.results = new Map(); // Tile key -> { tileKey, pointClouds, stats, summary }
+        this.showComparison = true;
+        this.showReference = true;
+        this.running = false;
+
+        // Comparison points share clipping and point size with the reference; only
+        // the colouring is their own
+        this.uniforms = {
+            colorMode: { value: PointCloudMaterial.COLOR_MODES.scalar },
+            scalarRange: { value: new THREE.Vector2(-1, 1) },
+            rampTexture: { value: PointCloudMaterial.createRampTexture('change') }
+        };
+    }
+
+    get pointClouds() {
+        return [...this.results.values()].flatMap(result => result.pointClouds);
+    }
+
+    updateStatus(text) {
+        this.visualizer.dom('changeStatus').textContent = text || '';
+    }
+
+    readOptions() {
+        const number = id => parseFloat(this.visualizer.dom(id).value);
+        return {
+            maxDistance: number('changeMaxDistance'),
+            threshold: Math.max(number('changeThreshold') || 0, 0),
+            absolute: this.visualizer.dom('changeMode').value === 'absolute',
+            cellSize: number('changeCellSize')
+        };
+    }
+
+    async openFolder(fileList) {
+        const files = Array.from(fileList).filter(file => PointCloudReaders.isSupported(file.name));
+        if (files.length === 0) {
+            alert(`No point cloud files (${PointCloudReaders.extensions.join(', ')}) found in the selected folder.`);
+            return;
+        }
+
+        this.visualizer.loadProgress.reset();
+        await this.openFiles(files, files[0].webkitRelativePath.split('/')[0] || 'folder');
+    }
+
+    async loadDataset(name) {
+        this.updateStatus(`Fetching manifest for ${name}...`);
+        let manifest;
+        try {
+            manifest = await this.visualizer.readManifest(name);
+        } catch (error) {
+            console.error(`Error loading dataset ${name}:`, error);
+            this.updateStatus(`Could not load dataset "${name}": ${error.message}`);
+            return;
+        }
+
+        this.visualizer.loadProgress.reset();
+        for (const entry of manifest.errors) {
+            this.visualizer.loadProgress.finish('index', entry.file, 'failed', entry.error);
+        }
+        await this.openFiles(manifest.files, name, manifest.coordinates);
+    }
+
+    // Take the files of the comparison epoch, scanning the ones whose bounds aren't
+    // known yet. Earlier comparisons are dropped.
+    async openFiles(files, label, coordinates = null) {
+        const visualizer = this.visualizer;
+        this.clear();
+        this.label = label;
+        this.coordinates = new Map(coordinates || []);
+
+        const unknown = files.filter(file => !this.coordinates.has(file.name));
+        if (unknown.length > 0) this.updateStatus(`Indexing ${unknown.length} comparison file(s)...`);
+        await Promise.all(unknown.map(async (file) => {
+            const cached = visualizer.scanCache.get(file);
+            if (cached) {
+                this.coordinates.set(file.name, cached);
+                visualizer.loadProgress.finish('index', file.name, 'ok', 'Indexed before');
+                return;
+            }
+
+            visualizer.loadProgress.start('index', file.name);
+            try {
+                const scanned = await visualizer.extractCoordinatesFromFile(file, (loaded, total) => {
+                    visualizer.loadProgress.progress('index', file.name, loaded, total);
+                });
+                this.coordinates.set(file.name, scanned);
+                visualizer.scanCache.set(file, scanned);
+                visualizer.loadProgress.finish('index', file.name, 'ok');
+            } catch (error) {
+                if (!LoadProgress.isAbort(error)) console.error(`Error analyzing file ${file.name}:`, error);
+                visualizer.loadProgress.fail('index', file.name, error);
+            }
+        }));
+        visualizer.scanCache.persist();
+
+        this.files = files.filter(file => this.coordinates.has(file.name));
+        this.updateStatus(this.files.length > 0
+            ? `Comparison epoch: ${label}, ${this.files.length} file(s)`
+            : `None of the files of ${label} could be read`);
+    }
+
+    // Comparison files whose footprint overlaps a tile of the reference grid
+    filesOverTile(cell) {
+        return this.files.filter(file => {
+            const bounds = this.coordinates.get(file.name);
+            return bounds.minX <= cell.maxX && bounds.maxX >= cell.minX && bounds.minY <= cell.maxY && bounds.maxY >= cell.minY;
+        });
+    }
+
+    // Reference points of the tile and of whichever neighbours are decoded, so that
+    // points near the tile's edge are compared with what lies across it
+    referenceAround(cell) {
+        const pointClouds = [];
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                pointClouds.push(...(this.visualizer.tileCache.get(`${cell.x + dx},${cell.y + dy}`) || []));
+            }
+        }
+        return pointClouds;
+    }
+
+    // Compare the shown tiles with the comparison files over them
+    async compare() {
+        if (this.running) return;
+        const visualizer = this.visualizer;
+        if (this.files.length === 0) {
+            alert('Open the comparison folder or dataset first.');
+            return;
+        }
+        const options = this.readOptions();
+        if (!(options.maxDistance > 0)) {
+            alert('The search distance must be greater than zero.');
+            return;
+        }
+
+        // One job per tile, so its reference neighbourhood is sent and indexed once
+        // for all the comparison files over it
+        const jobs = [];
+        for (const tileKey of visualizer.visibleTiles) {
+            const cell = visualizer.tileGrid.get(tileKey);
+            if (!cell) continue;
+            const files = this.filesOverTile(cell);
+            if (files.length === 0) continue;
+            const reference = this.referenceAround(cell).map(pointCloud => ({
+                positions: pointCloud.geometry.attributes.position.array,
+                center: pointCloud.userData.center
+            }));
+            jobs.push({ tileKey, cell, files, reference });
+        }
+        const fileCount = jobs.reduce((sum, job) => sum + job.files.length, 0);
+        if (jobs.length === 0) {
+            alert('None of the comparison files overlaps the shown tiles.');
+            return;
+        }
+
+        this.running = true;
+        const progress = new Map();
+        const reportProgress = () => {
+            const done = [...progress.values()].reduce((sum, value) => sum + value, 0);
+            this.updateStatus(`Comparing ${fileCount} file(s)... ${Math.round((done / jobs.length) * 100)}%`);
+        };
+        reportProgress();
+
+        try {
+            const signal = visualizer.loadProgress.signal;
+            const results = await Promise.all(jobs.map(job => {
+                const payload = {
+                    files: job.files.map(file => {
+                        const bounds = this.coordinates.get(file.name);
+                        return {
+                            file,
+                            decode: { center: [bounds.centerX, bounds.centerY, bounds.centerZ], pointCount: bounds.vertexCount }
+                        };
+                    }),
+                    reference: job.reference,
+                    options: {
+                        bounds: { minX: job.cell.minX, maxX: job.cell.maxX, minY: job.cell.minY, maxY: job.cell.maxY },
+                        maxDistance: options.maxDistance,
+                        octree: visualizer.octreeOptions
+                    }
+                };
+                return visualizer.workerPool.run('compare', payload, (loaded, total) => {
+                    progress.set(job, total > 0 ? loaded / total : 1);
+                    reportProgress();
+                }, 0, signal).then(data => ({ job, data }));
+            }));
+
+            // Tiles compared again replace their earlier results
+            for (const job of jobs) {
+                this.removeResult(job.tileKey);
+            }
+            for (const { job, data } of results) {
+                const result = {
+                    tileKey: job.tileKey,
+                    pointClouds: [],
+                    stats: { compared: 0, uncovered: 0 },
+                    summary: null
+                };
+                data.results.forEach((fileData, i) => {
+                    if (fileData.pointCount > 0) result.pointClouds.push(this.createPointCloud(fileData, job.files[i].name, job.cell));
+                    result.stats.compared += fileData.stats.compared;
+                    result.stats.uncovered += fileData.stats.uncovered;
+                });
+                this.results.set(job.tileKey, result);
+            }
+
+            this.updatePlacement();
+            this.updateVisibility();
+            this.updateColors();
+            this.updateStatus(`Compared ${fileCount} file(s) with ${options.maxDistance} m search distance`);
+        } catch (error) {
+            if (LoadProgress.isAbort(error)) {
+                this.updateStatus('Comparison cancelled');
+            } else {
+                console.error('Comparison failed:', error);
+                this.updateStatus(`Comparison failed: ${error.message}`);
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    createPointCloud(data, fileName, cell) {
+        const visualizer = this.visualizer;
+        const material = new PointCloudMaterial({ ...visualizer.sharedUniforms, ...this.uniforms }, {
+            originZ: data.center[2],
+            shape: visualizer.pointShape
+        });
+
+        const points = new PointCloudOctree(visualizer.createGeometry(data), material, data.octree && data.octree.nodes);
+        points.userData = {
+            fileName,
+            center: data.center,
+            attributeOffsets: data.attributeOffsets || {},
+            attributeRanges: data.attributeRanges || {},
+            classCounts: {},
+            tileX: cell.x,
+            tileY: cell.y,
+            comparison: true
+        };
+        points.setGeometryAttribute('colorScalar', points.geometry.attributes.change);
+        return points;
+    }
+
+    // In the merged view comparison files sit at their centre minus the shared origin,
+    // like the reference. In the tile view they move with the tile's first reference
+    // file, which is drawn with its own centre at the tile's offset.
+    updatePlacement() {
+        const visualizer = this.visualizer;
+        for (const result of this.results.values()) {
+            const tileFiles = visualizer.allTileFiles.get(result.tileKey) || [];
+            const reference = tileFiles.length > 0 ? tileFiles[0].originalCoords : null;
+
+            for (const points of result.pointClouds) {
+                const { center, tileX, tileY } = points.userData;
+                points.position.set(center[0], center[1], center[2]);
+                if (visualizer.mergedView || !reference) {
+                    points.position.sub(visualizer.sceneOrigin);
+                } else {
+                    const offset = visualizer.getTileOffset(tileX, tileY);
+                    points.position.x += offset.x - reference.centerX;
+                    points.position.y += offset.y - reference.centerY;
+                    points.position.z -= reference.centerZ;
+                }
+                points.updateMatrixWorld();
+            }
+        }
+    }
+
+    // Comparison points of the shown tiles are in the scene unless turned off; the
+    // reference can be hidden while there is something to compare it with
+    updateVisibility() {
+        const visualizer = this.visualizer;
+        for (const result of this.results.values()) {
+            const shown = this.showComparison && visualizer.visibleTiles.has(result.tileKey);
+            for (const points of result.pointClouds) {
+                if (shown && !points.parent) visualizer.scene.add(points);
+                if (!shown && points.parent) visualizer.scene.remove(points);
+            }
+        }
+
+        const showReference = this.showReference || this.results.size === 0;
+        for (const points of visualizer.currentPointClouds) {
+            points.visible = showReference;
+        }
+    }
+
+    setShowComparison(show) {
+        this.showComparison = show;
+        this.updateVisibility();
+    }
+
+    setShowReference(show) {
+        this.showReference = show;
+        this.updateVisibility();
+    }
+
+    // The colour range is twice the threshold either side of zero; the ramps are grey
+    // within the threshold. Magnitudes use a ramp that is the same on both sides.
+    updateColors() {
+        const { threshold, absolute } = this.readOptions();
+        const limit = Math.max(threshold * 2, 1e-3);
+        this.uniforms.scalarRange.value.set(-limit, limit);
+        this.uniforms.rampTexture.value.dispose();
+        this.uniforms.rampTexture.value = PointCloudMaterial.createRampTexture(absolute ? 'changeMagnitude' : 'change');
+
+        const format = value => `${value > 0 && !absolute ? '+' : ''}${+value.toFixed(3)}`;
+        const labels = absolute ? [0, limit / 2, limit] : [-limit, -limit / 2, 0, limit / 2, limit];
+        this.visualizer.dom('changeLegend').innerHTML = `
+            <div>${absolute ? 'Absolute change (m)' : 'Signed change (m)'}</div>
+            <div class="legend-ramp" style="background: ${absolute ? ChangeTool.MAGNITUDE_GRADIENT : PointCloudMaterial.rampGradient('change')}"></div>
+            <div class="legend-labels">${labels.map(value => `<span>${format(value)}</span>`).join('')}</div>
+        `;
+        this.renderSummary();
+    }
+
+    // Mean change over the compared points, and over a grid of cellSize squares the
+    // area of cells whose mean change is beyond the threshold and the volume they
+    // gained or lost (mean change times cell area, which assumes mostly vertical change)
+    summarize(result, { threshold, cellSize }) {
+        const cell = this.visualizer.tileGrid.get(result.tileKey);
+        const cols = Math.floor((cell.maxX - cell.minX) / cellSize) + 1;
+        const rows = Math.floor((cell.maxY - cell.minY) / cellSize) + 1;
+        if (cols * rows > ChangeTool.MAX_SUMMARY_CELLS) {
+            throw new Error(`A summary cell of ${cellSize} m is too small for the tile`);
+        }
+
+        const sums = new Float64Array(cols * rows);
+        const counts = new Uint32Array(cols * rows);
+        let total = 0;
+        let count = 0;
+        for (const points of result.pointClouds) {
+            const positions = points.geometry.attributes.position.array;
+            const change = points.geometry.attributes.change.array;
+            const [centerX, centerY] = points.userData.center;
+            for (let i = 0; i < change.length; i++) {
+                const col = Math.floor((positions[i * 3] + centerX - cell.minX) / cellSize);
+                const row = Math.floor((positions[i * 3 + 1] + centerY - cell.minY) / cellSize);
+                if (col < 0 || col >= cols || row < 0 || row >= rows) continue;
+                sums[row * cols + col] += change[i];
+                counts[row * cols + col]++;
+                total += change[i];
+                count++;
+            }
+        }
+
+        const cellArea = cellSize * cellSize;
+        let area = 0;
+        let gain = 0;
+        let loss = 0;
+        for (let i = 0; i < sums.length; i++) {
+            if (counts[i] === 0) continue;
+            const mean = sums[i] / counts[i];
+            if (Math.abs(mean) <= threshold) continue;
+            area += cellArea;
+            if (mean > 0) {
+                gain += mean * cellArea;
+            } else {
+                loss -= mean * cellArea;
+            }
+        }
+        return { points: count, mean: count > 0 ? total / count : 0, area, gain, loss };
+    }
+
+    renderSummary() {
+        const container = this.visualizer.dom('changeSummary');
+        container.innerHTML = '';
+        if (this.results.size === 0) return;
+
+        const options = this.readOptions();
+        if (!(options.cellSize > 0)) {
+            container.textContent = 'The summary cell size must be greater than zero';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'change-summary';
+        table.innerHTML = '<tr><th>Tile</th><th>Mean (m)</th><th>Area (m²)</th><th>Gain (m³)</th><th>Loss (m³)</th></tr>';
+        for (const result of this.results.values()) {
+            const row = table.insertRow();
+            try {
+                result.summary = this.summarize(result, options);
+            } catch (error) {
+                result.summary = null;
+                row.insertCell().textContent = `(${result.tileKey})`;
+                row.insertCell().textContent = error.message;
+                row.cells[1].colSpan = 4;
+                continue;
+            }
+
+            const { mean, area, gain, loss } = result.summary;
+            const values = [`(${result.tileKey})`, `${mean > 0 ? '+' : ''}${mean.toFixed(3)}`, area.toFixed(0), gain.toFixed(1), loss.toFixed(1)];
+            for (const value of values) {
+                row.insertCell().textContent = value;
+            }
+            row.title = `${result.stats.compared.toLocaleString()} points compared, ` +
+                `${result.stats.uncovered.toLocaleString()} without a reference point within reach`;
+        }
+        container.appendChild(table);
+
+        const note = document.createElement('div');
+        note.className = 'panel-status';
+        note.textContent = `Area and volume of ${options.cellSize} m cells changed by more than ${options.threshold} m`;
+        container.appendChild(note);
+    }
+
+    exportCSV() {
+        const rows = ['tile_x,tile_y,points,uncovered,mean_change,area_over_threshold,volume_gain,volume_loss,threshold,cell_size'];
+        const { threshold, cellSize } = this.readOptions();
+        for (const result of this.results.values()) {
+            if (!result.summary) continue;
+            const [x, y] = result.tileKey.split(',');
+            const { points, mean, area, gain, loss } = result.summary;
+            rows.push([x, y, points, result.stats.uncovered, mean, area, gain, loss, threshold, cellSize].join(','));
+        }
+        if (rows.length === 1) {
+            alert('There is no comparison to export.');
+            return;
+        }
+        downloadBlob(new Blob([rows.join('\n')], { type: 'text/csv' }), `${this.label || 'comparison'}-change.csv`);
+    }
+
+    removeResult(tileKey) {
+        const result = this.results.get(tileKey);
+        if (!result) return;
+        for (const points of result.pointClouds) {
+            if (points.parent) points.parent.remove(points);
+            points.dispose();
+        }
+        this.results.delete(tileKey);
+    }
+
+    // Drop the comparison results but keep the comparison files
+    clear() {
+        for (const tileKey of [...this.results.keys()]) {
+            this.removeResult(tileKey);
+        }
+        this.updateVisibility();
+        this.renderSummary();
+        this.visualizer.dom('changeLegend').innerHTML = '';
+    }
+}
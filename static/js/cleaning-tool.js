@@ -0,0 +1,243 @@
+// Cleaning Tool - runs voxel downsampling and outlier removal (see PointCleaner) on the
+// shown tiles in the worker pool. Each file's cleaned copy is a separate point cloud:
+// the preview swaps it in and out of the scene, so the original stays untouched until
+// the cleaned copy is kept. While shown instead of the original, cleaned copies are
+// what picking, clipping and export work on. Alongside keeps the originals and draws
+// the cleaned copies next to them, east of the shown tiles, for comparison.
+class CleaningTool {
+    static STEP_LABELS = {
+        voxel: 'voxel',
+        statistical: 'SOR',
+        radius: 'ROR'
+    };
+
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.results = new Map(); // File name -> { original, cleaned, stats }
+        this.preview = 'before';
+        this.running = false;
+    }
+
+    // The enabled steps and their settings, in pipeline order
+    readSteps() {
+        const number = id => parseFloat(this.visualizer.dom(id).value);
+        const steps = [];
+
+        if (this.visualizer.dom('cleanVoxel').checked) {
+            steps.push({ type: 'voxel', voxelSize: number('cleanVoxelSize') });
+        }
+        if (this.visualizer.dom('cleanStatistical').checked) {
+            steps.push({ type: 'statistical', neighbours: number('cleanStatisticalNeighbours'), stdRatio: number('cleanStatisticalRatio') });
+        }
+        if (this.visualizer.dom('cleanRadius').checked) {
+            steps.push({ type: 'radius', radius: number('cleanRadiusSize'), minNeighbours: number('cleanRadiusMin') });
+        }
+        return steps;
+    }
+
+    // The arrays the decoder produced, without the aliases added for the shader
+    static extractData(pointCloud) {
+        const attributes = pointCloud.geometry.attributes;
+        const data = {
+            pointCount: pointCloud.pointCount,
+            center: pointCloud.userData.center,
+            attributeOffsets: pointCloud.userData.attributeOffsets,
+            positions: attributes.position.array,
+            attributes: {}
+        };
+        if (attributes.color) data.colors = attributes.color.array;
+        for (const name of Object.keys(pointCloud.userData.attributeRanges)) {
+            if (attributes[name]) data.attributes[name] = attributes[name].array;
+        }
+        return data;
+    }
+
+    updateStatus(text) {
+        this.visualizer.dom('cleanStatus').textContent = text || '';
+    }
+
+    async run() {
+        if (this.running) return;
+        const steps = this.readSteps();
+        if (steps.length === 0) {
+            alert('Enable at least one cleaning step.');
+            return;
+        }
+
+        // Always start again from the originals
+        this.discard();
+        const pointClouds = [...this.visualizer.currentPointClouds];
+        if (pointClouds.length === 0) {
+            alert('Load some tiles before cleaning.');
+            return;
+        }
+
+        this.running = true;
+        const progress = new Map();
+        const reportProgress = () => {
+            const total = [...progress.values()].reduce((sum, value) => sum + value, 0);
+            this.updateStatus(`Cleaning ${pointClouds.length} file(s)... ${Math.round((total / pointClouds.length) * 100)}%`);
+        };
+        reportProgress();
+
+        try {
+            const { workerPool, octreeOptions } = this.visualizer;
+            const results = await Promise.all(pointClouds.map(pointCloud => {
+                const payload = { data: CleaningTool.extractData(pointCloud), steps, octree: octreeOptions };
+                return workerPool.run('clean', payload, (done, total) => {
+                    progress.set(pointCloud, done / total);
+                    reportProgress();
+                }).then(data => ({ pointCloud, data }));
+            }));
+
+            for (const { pointCloud, data } of results) {
+                // The tile may have been evicted while the workers were busy
+                if (!this.visualizer.loadedPointClouds.has(pointCloud.userData.fileName)) continue;
+
+                const { fileName, tileX, tileY } = pointCloud.userData;
+                const cleaned = this.visualizer.createPointCloud(data, fileName, tileX, tileY);
+                this.results.set(fileName, { original: pointCloud, cleaned, stats: data.stats });
+            }
+
+            this.setPreview('after');
+            this.updateStatus();
+        } catch (error) {
+            console.error('Cleaning failed:', error);
+            this.updateStatus(`Cleaning failed: ${error.message}`);
+        } finally {
+            this.running = false;
+            this.renderResults();
+        }
+    }
+
+    // 'before' shows the originals, 'after' the cleaned copies in their place and
+    // 'alongside' both
+    setPreview(mode) {
+        this.preview = mode;
+        for (const result of this.results.values()) {
+            const [from, to] = mode === 'after' ? [result.original, result.cleaned] : [result.cleaned, result.original];
+            if (this.visualizer.loadedPointClouds.get(from.userData.fileName) === from) {
+                this.visualizer.replacePointCloud(from, to);
+            }
+        }
+        this.updatePlacement();
+
+        this.visualizer.pointFilter.refresh();
+        if (!this.visualizer.colorRangeManual) this.visualizer.resetColorRange();
+
+        for (const button of this.visualizer.domAll('[data-clean-preview]')) {
+            button.classList.toggle('active', button.dataset.cleanPreview === mode);
+        }
+    }
+
+    // Cleaned copies drawn next to their originals
+    get pointClouds() {
+        if (this.preview !== 'alongside') return [];
+        return [...this.results.values()].map(result => result.cleaned).filter(points => points.parent);
+    }
+
+    // In the alongside preview, each shown original gets its cleaned copy placed like it
+    // and shifted east by the width of all of them plus a gap. Call whenever tiles are
+    // shown or moved.
+    updatePlacement() {
+        const visualizer = this.visualizer;
+        const shown = [...this.results.values()].filter(result =>
+            this.preview === 'alongside' && visualizer.currentPointClouds.includes(result.original));
+
+        let minX = Infinity;
+        let maxX = -Infinity;
+        for (const { original } of shown) {
+            const coords = visualizer.fileCoordinates.get(original.userData.fileName);
+            if (!coords) continue;
+            const x = original.position.x - original.userData.center[0];
+            minX = Math.min(minX, x + coords.minX);
+            maxX = Math.max(maxX, x + coords.maxX);
+        }
+        const shift = minX <= maxX ? (maxX - minX) * 1.1 : 0;
+
+        for (const result of this.results.values()) {
+            const cleaned = result.cleaned;
+            if (!shown.includes(result)) {
+                cleaned.material.uniforms.displayShift.value.set(0, 0, 0);
+                if (cleaned.parent && !visualizer.currentPointClouds.includes(cleaned)) visualizer.scene.remove(cleaned);
+                continue;
+            }
+            visualizer.placePointCloud(cleaned);
+            cleaned.position.x += shift;
+            cleaned.updateMatrixWorld();
+            cleaned.material.uniforms.displayShift.value.set(shift, 0, 0);
+            if (!cleaned.parent) {
+                visualizer.scene.add(cleaned);
+                cleaned.material.setShape(visualizer.pointShape);
+                visualizer.applyColorAttribute(cleaned);
+                visualizer.pointFilter.applyAttributes(cleaned);
+            }
+        }
+    }
+
+    // Replace the originals with their cleaned copies for good
+    apply() {
+        if (this.results.size === 0) return;
+        this.setPreview('after');
+        for (const result of this.results.values()) {
+            result.original.dispose();
+        }
+        this.updateStatus(`Kept the cleaned points of ${this.results.size} file(s)`);
+        this.results.clear();
+        this.setPreview('before');
+        this.renderResults();
+    }
+
+    discard() {
+        if (this.results.size === 0) return;
+        this.setPreview('before');
+        for (const result of this.results.values()) {
+            result.cleaned.dispose();
+        }
+        this.results.clear();
+        this.renderResults();
+    }
+
+    // Tiles leaving the cache take whichever version was cached with them; the other
+    // one goes too
+    forget(pointClouds) {
+        let changed = false;
+        for (const [fileName, result] of this.results) {
+            if (pointClouds.includes(result.original) || pointClouds.includes(result.cleaned)) {
+                const other = pointClouds.includes(result.original) ? result.cleaned : result.original;
+                if (other.parent) other.parent.remove(other);
+                other.dispose();
+                this.results.delete(fileName);
+                changed = true;
+            }
+        }
+        if (changed) this.renderResults();
+    }
+
+    renderResults() {
+        const list = this.visualizer.dom('cleanResults');
+        list.innerHTML = '';
+
+        for (const [fileName, { stats }] of this.results) {
+            const item = document.createElement('div');
+            item.className = 'measurement-item';
+            item.innerHTML = `<strong></strong><div class="measurement-details"></div>`;
+            item.querySelector('strong').textContent = fileName;
+
+            const removed = stats.steps
+                .map(step => `${CleaningTool.STEP_LABELS[step.type]} −${step.removed.toLocaleString()}`)
+                .join(', ');
+            const percent = stats.input > 0 ? ((stats.output / stats.input) * 100).toFixed(1) : '0';
+            item.querySelector('.measurement-details').textContent =
+                `${stats.input.toLocaleString()} → ${stats.output.toLocaleString()} points (${percent}%): ${removed}`;
+            list.appendChild(item);
+        }
+
+        if (this.results.size > 0) {
+            const hint = document.createElement('div');
+            hint.className = 'panel-status';
+            hint.textContent = 'Export saves the cleaned points with After shown, the originals otherwise';
+            list.appendChild(hint);
+        }
+    }
+}
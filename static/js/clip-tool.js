@@ -0,0 +1,352 @@
+// Clip Tool - a clipping box moved with a transform gizmo, plus section planes along
+// the axes or across the view. The clipping itself runs in the point shader through
+// the uniforms shared by every tile's material, in scene coordinates, so the box and
+// planes are moved whenever the tiles are placed differently: in the tile view they
+// keep their place on the current tile as it changes, and in the merged view they
+// stay over the same ground.
+class ClipTool {
+    static BOX_MODES = { off: 0, inside: 1, outside: 2 };
+
+    // Default normals keep the +X/+Y side and everything below a horizontal cut
+    static AXIS_NORMALS = {
+        x: [1, 0, 0],
+        y: [0, 1, 0],
+        z: [0, 0, -1]
+    };
+
+    static AXIS_DIRECTIONS = {
+        x: [1, 0, 0],
+        y: [0, 1, 0],
+        z: [0, 0, 1]
+    };
+
+    static PLANE_COLORS = [0xe74c3c, 0x27ae60, 0x2980b9, 0xf39c12, 0x8e44ad, 0x16a085];
+
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.scene = visualizer.scene;
+        this.uniforms = visualizer.sharedUniforms;
+
+        this.boxMode = 'off';
+        this.boxPlaced = false;
+        this.planes = [];
+        this.nextPlaneId = 1;
+        this.showHelpers = true;
+        this.placement = null; // { tileKey, merged, origin } the box and planes were last placed for
+
+        // Unit cube scaled, rotated and moved by the gizmo
+        this.box = new THREE.Group();
+        this.box.add(
+            new THREE.LineSegments(
+                new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)),
+                new THREE.LineBasicMaterial({ color: 0xffd400 })
+            ),
+            new THREE.Mesh(
+                new THREE.BoxGeometry(1, 1, 1),
+                new THREE.MeshBasicMaterial({ color: 0xffd400, transparent: true, opacity: 0.08, depthWrite: false })
+            )
+        );
+        this.box.visible = false;
+        this.scene.add(this.box);
+
+        this.gizmo = new THREE.TransformControls(visualizer.camera, visualizer.renderer.domElement);
+        this.gizmo.addEventListener('dragging-changed', (event) => {
+            if (visualizer.cameraMode === 'orbit') visualizer.controls.enabled = !event.value;
+        });
+        this.gizmo.addEventListener('objectChange', () => this.updateBoxUniform());
+        this.scene.add(this.gizmo);
+    }
+
+    setBoxMode(mode) {
+        this.boxMode = mode;
+        if (mode !== 'off' && !this.boxPlaced) this.fitBox();
+
+        this.uniforms.clipBoxMode.value = ClipTool.BOX_MODES[mode];
+        this.updateBoxUniform();
+        this.updateHelpers();
+
+        for (const button of this.visualizer.domAll('[data-clip-box]')) {
+            button.classList.toggle('active', button.dataset.clipBox === mode);
+        }
+    }
+
+    setGizmoMode(mode) {
+        this.gizmo.setMode(mode);
+        for (const button of this.visualizer.domAll('[data-gizmo-mode]')) {
+            button.classList.toggle('active', button.dataset.gizmoMode === mode);
+        }
+    }
+
+    // Bounds of the shown point clouds, or a tile-sized cube around the orbit target
+    getContentBounds() {
+        const bounds = new THREE.Box3();
+        for (const pointCloud of this.visualizer.currentPointClouds) {
+            pointCloud.updateMatrixWorld();
+            if (!pointCloud.geometry.boundingBox) pointCloud.geometry.computeBoundingBox();
+            bounds.union(pointCloud.geometry.boundingBox.clone().applyMatrix4(pointCloud.matrixWorld));
+        }
+
+        if (bounds.isEmpty()) {
+            bounds.setFromCenterAndSize(this.visualizer.controls.target, new THREE.Vector3().setScalar(this.visualizer.tileSize));
+        }
+        return bounds;
+    }
+
+    // Centre the box on the shown tiles, covering half their footprint and their full height
+    fitBox() {
+        const bounds = this.getContentBounds();
+        const size = bounds.getSize(new THREE.Vector3());
+
+        bounds.getCenter(this.box.position);
+        this.box.rotation.set(0, 0, 0);
+        this.box.scale.set(Math.max(size.x * 0.5, 1e-3), Math.max(size.y * 0.5, 1e-3), Math.max(size.z * 1.01, 1e-3));
+        this.boxPlaced = true;
+        this.updateBoxUniform();
+    }
+
+    updateBoxUniform() {
+        this.box.updateMatrixWorld();
+        this.uniforms.clipBoxInverse.value.copy(this.box.matrixWorld).invert();
+    }
+
+    // Axis-aligned planes go through the centre of the shown tiles; a 'view' plane
+    // faces the camera through the orbit target and keeps what lies beyond it
+    addPlane(axis) {
+        if (this.planes.length >= PointCloudMaterial.MAX_CLIP_PLANES) {
+            alert(`At most ${PointCloudMaterial.MAX_CLIP_PLANES} section planes can be used at once.`);
+            return;
+        }
+
+        const normal = new THREE.Vector3();
+        const origin = new THREE.Vector3();
+        if (axis === 'view') {
+            this.visualizer.camera.getWorldDirection(normal);
+            origin.copy(this.visualizer.controls.target);
+        } else {
+            normal.fromArray(ClipTool.AXIS_NORMALS[axis]);
+            this.getContentBounds().getCenter(origin);
+        }
+
+        // Offsets move the plane along the positive axis, whichever side is kept
+        const direction = axis === 'view' ? normal.clone() : new THREE.Vector3().fromArray(ClipTool.AXIS_DIRECTIONS[axis]);
+        this.createPlane(axis, normal, origin, direction, 0);
+        this.renderList();
+    }
+
+    createPlane(axis, normal, origin, direction, offset) {
+        const plane = {
+            id: this.nextPlaneId++,
+            axis,
+            normal,
+            origin,
+            direction,
+            offset,
+            plane: new THREE.Plane(),
+            helper: null
+        };
+        const size = this.getContentBounds().getSize(new THREE.Vector3()).length();
+        plane.helper = new THREE.PlaneHelper(plane.plane, size, ClipTool.PLANE_COLORS[(plane.id - 1) % ClipTool.PLANE_COLORS.length]);
+        this.scene.add(plane.helper);
+
+        this.planes.push(plane);
+        this.updatePlane(plane);
+    }
+
+    updatePlane(plane) {
+        const point = plane.origin.clone().addScaledVector(plane.direction, plane.offset);
+        plane.plane.setFromNormalAndCoplanarPoint(plane.normal, point);
+        this.updatePlaneUniforms();
+        this.updateHelpers();
+    }
+
+    setPlaneOffset(plane, offset) {
+        plane.offset = offset;
+        this.updatePlane(plane);
+    }
+
+    // Keep the other side of the plane without moving it
+    flipPlane(plane) {
+        plane.normal.negate();
+        this.updatePlane(plane);
+    }
+
+    removePlane(plane) {
+        this.planes = this.planes.filter(item => item !== plane);
+        this.scene.remove(plane.helper);
+        plane.helper.geometry.dispose();
+        this.updatePlaneUniforms();
+        this.renderList();
+    }
+
+    clear() {
+        for (const plane of [...this.planes]) {
+            this.removePlane(plane);
+        }
+        this.setBoxMode('off');
+        this.boxPlaced = false;
+    }
+
+    // Scene position of a tile's reference centre, which the clipping is kept relative to
+    tileOrigin(tileKey) {
+        const reference = this.visualizer.tileReference(tileKey);
+        return this.visualizer.surveyToScene(reference.center, reference);
+    }
+
+    // Called whenever tiles are shown or the view changes. A move to another tile in
+    // the tile view takes the clipping along; switching views keeps it over the same
+    // survey position, whose scene position the tile's centre gives in either view.
+    updatePlacement() {
+        const visualizer = this.visualizer;
+        const last = this.placement;
+        const current = `${visualizer.currentTile.x},${visualizer.currentTile.y}`;
+        const tileKey = visualizer.mergedView && last && !last.merged ? last.tileKey : current;
+        if (!visualizer.allTileFiles.has(tileKey)) return;
+
+        const origin = this.tileOrigin(tileKey);
+        this.placement = { tileKey, merged: visualizer.mergedView, origin };
+        if (!last) return;
+
+        // The merged view puts every tile where it really is, so its old origin can be
+        // worked out for any tile
+        const from = last.merged
+            ? new THREE.Vector3().fromArray(visualizer.tileReference(tileKey).center).sub(visualizer.sceneOrigin)
+            : last.origin;
+        const shift = origin.clone().sub(from);
+        if (shift.lengthSq() === 0) return;
+
+        this.box.position.add(shift);
+        this.updateBoxUniform();
+        for (const plane of this.planes) {
+            plane.origin.add(shift);
+            this.updatePlane(plane);
+        }
+    }
+
+    // The box and planes as plain numbers, with positions relative to origin, for
+    // bookmarks and view links
+    getState(origin) {
+        const box = this.boxMode === 'off' ? null : {
+            mode: this.boxMode,
+            position: this.box.position.clone().sub(origin).toArray(),
+            quaternion: this.box.quaternion.toArray(),
+            scale: this.box.scale.toArray()
+        };
+        const planes = this.planes.map(plane => ({
+            axis: plane.axis,
+            normal: plane.normal.toArray(),
+            origin: plane.origin.clone().sub(origin).toArray(),
+            direction: plane.direction.toArray(),
+            offset: plane.offset
+        }));
+        return { box, planes };
+    }
+
+    setState(state, origin) {
+        for (const plane of [...this.planes]) {
+            this.removePlane(plane);
+        }
+
+        if (state.box) {
+            this.box.position.fromArray(state.box.position).add(origin);
+            this.box.quaternion.fromArray(state.box.quaternion);
+            this.box.scale.fromArray(state.box.scale);
+            this.boxPlaced = true;
+        }
+        this.setBoxMode(state.box && state.box.mode in ClipTool.BOX_MODES ? state.box.mode : 'off');
+
+        for (const saved of (state.planes || []).slice(0, PointCloudMaterial.MAX_CLIP_PLANES)) {
+            this.createPlane(
+                saved.axis,
+                new THREE.Vector3().fromArray(saved.normal),
+                new THREE.Vector3().fromArray(saved.origin).add(origin),
+                new THREE.Vector3().fromArray(saved.direction),
+                saved.offset
+            );
+        }
+        this.renderList();
+    }
+
+    updatePlaneUniforms() {
+        this.planes.forEach((plane, i) => {
+            this.uniforms.clipPlanes.value[i].set(plane.plane.normal.x, plane.plane.normal.y, plane.plane.normal.z, plane.plane.constant);
+        });
+        this.uniforms.clipPlaneCount.value = this.planes.length;
+    }
+
+    setShowHelpers(show) {
+        this.showHelpers = show;
+        this.updateHelpers();
+    }
+
+    updateHelpers() {
+        const boxActive = this.boxMode !== 'off';
+        this.box.visible = boxActive && this.showHelpers;
+        if (boxActive && this.showHelpers) {
+            this.gizmo.attach(this.box);
+        } else {
+            this.gizmo.detach();
+        }
+        for (const plane of this.planes) {
+            plane.helper.visible = this.showHelpers;
+        }
+    }
+
+    // Same test as the shader, for picking
+    isClipped(worldPosition) {
+        if (this.boxMode !== 'off') {
+            const boxPosition = worldPosition.clone().applyMatrix4(this.uniforms.clipBoxInverse.value);
+            const inside = Math.abs(boxPosition.x) <= 0.5 && Math.abs(boxPosition.y) <= 0.5 && Math.abs(boxPosition.z) <= 0.5;
+            if (inside !== (this.boxMode === 'inside')) return true;
+        }
+        return this.planes.some(plane => plane.plane.distanceToPoint(worldPosition) < 0);
+    }
+
+    get active() {
+        return this.boxMode !== 'off' || this.planes.length > 0;
+    }
+
+    renderList() {
+        const list = this.visualizer.dom('clipPlaneList');
+        list.innerHTML = '';
+
+        for (const plane of this.planes) {
+            const item = document.createElement('div');
+            item.className = 'measurement-item';
+            const axisLabel = plane.axis === 'view' ? 'View' : plane.axis.toUpperCase();
+            item.innerHTML = `<strong>${plane.id}. ${axisLabel} plane</strong>`;
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'measurement-remove';
+            removeButton.textContent = '×';
+            removeButton.title = 'Remove plane';
+            removeButton.addEventListener('click', () => this.removePlane(plane));
+            item.prepend(removeButton);
+
+            const row = document.createElement('div');
+            row.className = 'panel-row';
+
+            const offsetField = document.createElement('label');
+            offsetField.className = 'panel-field';
+            offsetField.textContent = 'Offset';
+            const offsetInput = document.createElement('input');
+            offsetInput.type = 'number';
+            offsetInput.step = 'any';
+            offsetInput.value = plane.offset;
+            offsetInput.addEventListener('input', () => {
+                const offset = parseFloat(offsetInput.value);
+                if (!isNaN(offset)) this.setPlaneOffset(plane, offset);
+            });
+            offsetField.appendChild(offsetInput);
+
+            const flipButton = document.createElement('button');
+            flipButton.className = 'btn btn-small';
+            flipButton.textContent = 'Flip';
+            flipButton.title = 'Keep the other side of the plane';
+            flipButton.addEventListener('click', () => this.flipPlane(plane));
+
+            row.append(offsetField, flipButton);
+            item.appendChild(row);
+            list.appendChild(item);
+        }
+    }
+}
@@ -0,0 +1,149 @@
+// Eye-Dome Lighting - post-processing pass that shades a depth buffer so points read as
+// surfaces without normals or lights. The scene is rendered into a target with a depth
+// texture, then each pixel is darkened by how far it sits behind its neighbours (in
+// log depth, so the effect looks the same near and far). Silhouettes against the
+// background get a dark outline.
+class EyeDomeLighting {
+    static NEIGHBOURS = 8;
+
+    static vertexShader = `
+        varying vec2 vUv;
+
+        void main() {
+            vUv = uv;
+            gl_Position = vec4(position.xy, 0.0, 1.0);
+        }
+    `;
+
+    static fragmentShader = `
+        #include <packing>
+
+        uniform sampler2D colorTexture;
+        uniform sampler2D depthTexture;
+        uniform vec2 resolution;
+        uniform float cameraNear;
+        uniform float cameraFar;
+        uniform float strength;
+        uniform float radius;
+
+        varying vec2 vUv;
+
+        // log2 of the view distance, 0 for the background
+        float logDepth(vec2 uv) {
+            float depth = texture2D(depthTexture, uv).x;
+            if (depth >= 1.0) return 0.0;
+            return log2(-perspectiveDepthToViewZ(depth, cameraNear, cameraFar));
+        }
+
+        void main() {
+            vec4 color = texture2D(colorTexture, vUv);
+            float depth = logDepth(vUv);
+            if (depth == 0.0) {
+                gl_FragColor = color;
+                return;
+            }
+
+            float response = 0.0;
+            for (int i = 0; i < NEIGHBOURS; i++) {
+                float angle = float(i) * 6.2831853 / float(NEIGHBOURS);
+                vec2 offset = vec2(cos(angle), sin(angle)) * radius / resolution;
+                response += max(0.0, depth - logDepth(vUv + offset));
+            }
+            response /= float(NEIGHBOURS);
+
+            float shade = exp(-response * 300.0 * strength);
+            gl_FragColor = vec4(color.rgb * shade, color.a);
+        }
+    `;
+
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.enabled = false;
+        this.target = null;
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                colorTexture: { value: null },
+                depthTexture: { value: null },
+                resolution: { value: new THREE.Vector2() },
+                cameraNear: { value: 0.1 },
+                cameraFar: { value: 1000 },
+                strength: { value: 1 },
+                radius: { value: 1.4 }
+            },
+            defines: { NEIGHBOURS: EyeDomeLighting.NEIGHBOURS },
+            vertexShader: EyeDomeLighting.vertexShader,
+            fragmentShader: EyeDomeLighting.fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.quad.frustumCulled = false;
+        this.quadScene = new THREE.Scene();
+        this.quadScene.add(this.quad);
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    }
+
+    get strength() {
+        return this.material.uniforms.strength.value;
+    }
+
+    set strength(value) {
+        this.material.uniforms.strength.value = value;
+    }
+
+    // Sampling radius in pixels
+    get radius() {
+        return this.material.uniforms.radius.value;
+    }
+
+    set radius(value) {
+        this.material.uniforms.radius.value = value;
+    }
+
+    // Size of the render target in drawing buffer pixels
+    setSize(width, height) {
+        if (this.target && this.target.width === width && this.target.height === height) return;
+        if (this.target) {
+            this.target.depthTexture.dispose();
+            this.target.dispose();
+        }
+
+        this.target = new THREE.WebGLRenderTarget(width, height, {
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            format: THREE.RGBAFormat
+        });
+        this.target.depthTexture = new THREE.DepthTexture(width, height);
+        this.material.uniforms.colorTexture.value = this.target.texture;
+        this.material.uniforms.depthTexture.value = this.target.depthTexture;
+        this.material.uniforms.resolution.value.set(width, height);
+    }
+
+    render(scene, camera) {
+        const renderer = this.renderer;
+
+        // Captures resize the renderer without a resize event, so follow the drawing buffer
+        const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+        this.setSize(size.x, size.y);
+
+        this.material.uniforms.cameraNear.value = camera.near;
+        this.material.uniforms.cameraFar.value = camera.far;
+
+        renderer.setRenderTarget(this.target);
+        renderer.render(scene, camera);
+        renderer.setRenderTarget(null);
+        renderer.render(this.quadScene, this.quadCamera);
+    }
+
+    dispose() {
+        if (this.target) {
+            this.target.depthTexture.dispose();
+            this.target.dispose();
+            this.target = null;
+        }
+        this.quad.geometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,125 @@
+// Fly Navigator - first-person camera: WASD to move, Q/E to sink/rise, drag to look
+// around, Shift to go faster. Elevation (Z) is "up" so flying stays level over the
+// terrain. Speed is in scene units per second and is set from the scene's scale.
+// Keys are read from keyElement, the viewer's container when several share a page.
+class FlyNavigator {
+    constructor(camera, domElement, keyElement = window) {
+        this.camera = camera;
+        this.domElement = domElement;
+        this.keyElement = keyElement;
+        this.enabled = false;
+
+        this.speed = 10;
+        this.speedMultiplier = 1;
+        this.lookSensitivity = 0.003;
+
+        this.yaw = 0;
+        this.pitch = 0;
+        this.pressedKeys = new Set();
+        this.dragStart = null;
+
+        this.onKeyDown = (event) => {
+            if (!this.enabled || event.target.matches('input, select, textarea')) return;
+            this.pressedKeys.add(event.code);
+        };
+        this.onKeyUp = (event) => this.pressedKeys.delete(event.code);
+        this.onFocusOut = () => this.pressedKeys.clear(); // Its key releases go elsewhere now
+        this.onPointerDown = (event) => {
+            if (!this.enabled) return;
+            this.dragStart = { x: event.clientX, y: event.clientY, yaw: this.yaw, pitch: this.pitch };
+        };
+        this.onPointerMove = (event) => {
+            if (!this.enabled || !this.dragStart) return;
+            this.yaw = this.dragStart.yaw - (event.clientX - this.dragStart.x) * this.lookSensitivity;
+            this.pitch = THREE.MathUtils.clamp(
+                this.dragStart.pitch - (event.clientY - this.dragStart.y) * this.lookSensitivity,
+                -Math.PI / 2 + 0.01,
+                Math.PI / 2 - 0.01
+            );
+            this.applyOrientation();
+        };
+        this.onPointerUp = () => {
+            this.dragStart = null;
+        };
+        this.onWheel = (event) => {
+            if (!this.enabled) return;
+            event.preventDefault();
+            this.adjustSpeed(event.deltaY < 0 ? 1.25 : 0.8);
+        };
+
+        keyElement.addEventListener('keydown', this.onKeyDown);
+        keyElement.addEventListener('keyup', this.onKeyUp);
+        keyElement.addEventListener('focusout', this.onFocusOut);
+        domElement.addEventListener('pointerdown', this.onPointerDown);
+        window.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+        domElement.addEventListener('wheel', this.onWheel, { passive: false });
+    }
+
+    // Take over the camera where it is, keeping its current view direction
+    enable() {
+        const direction = new THREE.Vector3();
+        this.camera.getWorldDirection(direction);
+        this.yaw = Math.atan2(direction.y, direction.x);
+        this.pitch = Math.asin(THREE.MathUtils.clamp(direction.z, -1, 1));
+        this.pitch = THREE.MathUtils.clamp(this.pitch, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+        this.enabled = true;
+        this.applyOrientation();
+    }
+
+    disable() {
+        this.enabled = false;
+        this.pressedKeys.clear();
+        this.dragStart = null;
+    }
+
+    get direction() {
+        return new THREE.Vector3(
+            Math.cos(this.pitch) * Math.cos(this.yaw),
+            Math.cos(this.pitch) * Math.sin(this.yaw),
+            Math.sin(this.pitch)
+        );
+    }
+
+    applyOrientation() {
+        const target = this.camera.position.clone().add(this.direction);
+        this.camera.up.set(0, 0, 1);
+        this.camera.lookAt(target);
+    }
+
+    adjustSpeed(factor) {
+        this.speedMultiplier = THREE.MathUtils.clamp(this.speedMultiplier * factor, 0.01, 100);
+    }
+
+    update(delta) {
+        if (!this.enabled) return;
+
+        const keys = this.pressedKeys;
+        const forward = this.direction;
+        const right = new THREE.Vector3(Math.sin(this.yaw), -Math.cos(this.yaw), 0);
+        const move = new THREE.Vector3();
+
+        if (keys.has('KeyW')) move.add(forward);
+        if (keys.has('KeyS')) move.sub(forward);
+        if (keys.has('KeyD')) move.add(right);
+        if (keys.has('KeyA')) move.sub(right);
+        if (keys.has('KeyE')) move.z += 1;
+        if (keys.has('KeyQ')) move.z -= 1;
+
+        if (move.lengthSq() === 0) return;
+
+        const boost = keys.has('ShiftLeft') || keys.has('ShiftRight') ? 4 : 1;
+        move.normalize().multiplyScalar(this.speed * this.speedMultiplier * boost * delta);
+        this.camera.position.add(move);
+    }
+
+    dispose() {
+        this.keyElement.removeEventListener('keydown', this.onKeyDown);
+        this.keyElement.removeEventListener('keyup', this.onKeyUp);
+        this.keyElement.removeEventListener('focusout', this.onFocusOut);
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+        this.domElement.removeEventListener('wheel', this.onWheel);
+    }
+}
@@ -0,0 +1,150 @@
+// Load Progress - the loading panel over the viewer. Every file read by the indexing
+// and decoding passes gets an entry with its progress, and once nothing is loading the
+// panel becomes a report of each file as OK, skipped or failed with the reason. The
+// AbortController handed to the worker pool lives here, so Cancel stops the reads in
+// flight and the ones still queued. Every change is also emitted to the host page as a
+// loadProgress event.
+class LoadProgress {
+    static STAGE_LABELS = {
+        index: 'Indexing',
+        decode: 'Loading'
+    };
+    static STATUS_ORDER = ['loading', 'failed', 'skipped', 'ok'];
+    static HIDE_DELAY = 2000;
+
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.entries = new Map(); // `${stage}:${fileName}` -> { fileName, stage, status, loaded, total, reason, batch }
+        this.controller = new AbortController();
+        this.batch = 0; // Loads started together are counted together in the progress bar
+        this.hideTimer = null;
+        this.renderPending = false;
+    }
+
+    get signal() {
+        return this.controller.signal;
+    }
+
+    get active() {
+        return [...this.entries.values()].some(entry => entry.status === 'loading');
+    }
+
+    static isAbort(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    // Start a new report, e.g. when another folder is opened
+    reset() {
+        this.entries.clear();
+        this.show();
+        this.scheduleRender();
+    }
+
+    // Background loads (prefetching, streaming) are listed but don't open the panel
+    start(stage, fileName, { background = false } = {}) {
+        if (!this.active) this.batch++;
+        this.entries.set(`${stage}:${fileName}`, { fileName, stage, status: 'loading', loaded: 0, total: 1, reason: '', batch: this.batch });
+        if (!background) this.show();
+        this.scheduleRender();
+        this.announce(this.entries.get(`${stage}:${fileName}`));
+    }
+
+    progress(stage, fileName, loaded, total) {
+        const entry = this.entries.get(`${stage}:${fileName}`);
+        if (!entry) return;
+        entry.loaded = loaded;
+        entry.total = total;
+        this.scheduleRender();
+        this.announce(entry);
+    }
+
+    finish(stage, fileName, status, reason = '') {
+        const key = `${stage}:${fileName}`;
+        const entry = this.entries.get(key) || { fileName, stage, loaded: 0, total: 1, batch: this.batch };
+        this.entries.set(key, { ...entry, status, reason });
+        if (status === 'failed') this.show();
+        this.scheduleRender();
+        this.announce(this.entries.get(key));
+    }
+
+    // A rejected read: cancelled ones are skipped, anything else failed
+    fail(stage, fileName, error) {
+        if (LoadProgress.isAbort(error)) {
+            this.finish(stage, fileName, 'skipped', 'Cancelled');
+        } else {
+            this.finish(stage, fileName, 'failed', error.message || String(error));
+        }
+    }
+
+    announce({ fileName, stage, status, loaded, total, reason }) {
+        this.visualizer.emit('loadProgress', { fileName, stage, status, loaded, total, reason, active: this.active });
+    }
+
+    cancel() {
+        this.controller.abort();
+        this.controller = new AbortController();
+    }
+
+    show() {
+        clearTimeout(this.hideTimer);
+        this.hideTimer = null;
+        this.visualizer.dom('loadPanel').hidden = false;
+    }
+
+    hide() {
+        clearTimeout(this.hideTimer);
+        this.hideTimer = null;
+        this.visualizer.dom('loadPanel').hidden = true;
+    }
+
+    // Progress arrives many times a second; draw at most once a frame
+    scheduleRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
+
+    render() {
+        const entries = [...this.entries.values()];
+        const counts = { loading: 0, ok: 0, skipped: 0, failed: 0 };
+        for (const entry of entries) counts[entry.status]++;
+
+        const batch = entries.filter(entry => entry.batch === this.batch);
+        const done = batch.reduce((sum, entry) => sum + (entry.status === 'loading'
+            ? (entry.total > 0 ? entry.loaded / entry.total : 0)
+            : 1), 0);
+
+        this.visualizer.dom('loadTitle').textContent = counts.loading > 0
+            ? `Loading - ${batch.length - counts.loading} of ${batch.length} file(s) done`
+            : 'Load report';
+        this.visualizer.dom('loadBar').value = batch.length > 0 ? done / batch.length : 1;
+        this.visualizer.dom('loadSummary').textContent =
+            `${counts.ok} OK, ${counts.skipped} skipped, ${counts.failed} failed`;
+        this.visualizer.dom('loadCancel').disabled = counts.loading === 0;
+
+        const list = this.visualizer.dom('loadFiles');
+        list.innerHTML = '';
+        const sorted = entries.sort((a, b) =>
+            LoadProgress.STATUS_ORDER.indexOf(a.status) - LoadProgress.STATUS_ORDER.indexOf(b.status));
+        for (const entry of sorted) {
+            const item = document.createElement('div');
+            item.className = `load-file ${entry.status}`;
+            item.innerHTML = `<span class="load-name"></span><span class="load-status"></span><div class="load-reason"></div>`;
+            item.querySelector('.load-name').textContent = entry.fileName;
+            item.querySelector('.load-status').textContent = entry.status === 'loading'
+                ? `${LoadProgress.STAGE_LABELS[entry.stage]} ${Math.round((entry.total > 0 ? entry.loaded / entry.total : 0) * 100)}%`
+                : entry.status === 'ok' ? 'OK' : entry.status;
+            item.querySelector('.load-reason').textContent = entry.reason;
+            list.appendChild(item);
+        }
+
+        // A clean run closes by itself; a report with problems stays until closed
+        const panel = this.visualizer.dom('loadPanel');
+        if (counts.loading === 0 && counts.failed === 0 && counts.skipped === 0 && !panel.hidden && !this.hideTimer) {
+            this.hideTimer = setTimeout(() => this.hide(), LoadProgress.HIDE_DELAY);
+        }
+    }
+}
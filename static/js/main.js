@@ -1,13 +1,52 @@
-// Main Point Cloud Visualizer Class with Improved Tile System (Each tile should be separte .ply file)
+// Main Point Cloud Visualizer Class with Improved Tile System (tiles are placed by their real coordinates)
+//
+// The viewer can be embedded in another page: construct it with a container element
+// and options, open data with load(), drive it with goToTile()/setColorMode(), listen
+// with on('tileChanged' | 'loadProgress' | 'pointPicked', listener) and take it down
+// with dispose(). Controls are looked up by id inside the container; a page that
+// leaves some of them out gets detached stand-ins, so it can show as much of the
+// standard UI as it wants.
 class PointCloudVisualizer {
-    constructor() {
+    static DEFAULT_OPTIONS = {
+        fov: 30,
+        background: 0x1a1a1a,
+        pointSize: 0.05,
+        maxDistance: 500, // Initial orbit limit, widened to the data once it is loaded
+        pointBudget: 3000000,
+        cacheMaxPoints: 40000000,
+        cacheMaxMegabytes: 1024,
+        prefetchRadius: 1,
+        datasetsUrl: null, // Defaults to the page's data-datasets-url, or /api/datasets/
+        listDatasets: true,
+        urlState: true, // Mirror the view in the URL hash and open ?dataset= links
+        keyboard: true
+    };
+
+    constructor(container = document.body, options = {}) {
+        this.container = container;
+        this.options = { ...PointCloudVisualizer.DEFAULT_OPTIONS, ...options };
+        this.canvasContainer = container.querySelector('#canvasContainer') || container;
+        this.standIns = new Map(); // Detached elements for controls missing from the container
+        this.eventListeners = new Map(); // Event type -> Set of listeners
+        this.domListeners = new AbortController(); // Aborted by dispose()
+        this.animationFrame = null;
+        this.disposed = false;
+        this.addedTabIndex = false; // Set when the container is made focusable for the keyboard shortcuts
+
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.controls = null;
 
-        this.plyFiles = [];
+        this.plyFiles = []; // Every supported point cloud file in the folder, not only .ply
         this.fileCoordinates = new Map();
+        this.tilePlacements = new Map(); // Grid positions given up front, keyed by file name
+        this.basePlacements = new Map(); // Positions from a server manifest
+        this.placementReport = []; // How the pattern and layout placed the files being opened
+        this.placementWarnings = []; // Files not placed, or sharing a tile with others
+        this.tileLayout = null; // Imported TileLayout, applied whenever files are opened
+        this.tilePattern = ''; // Filename regex placing files on the grid, see TileLayout.matchPattern
+        this.tileOffsets = new Map(); // Explicit scene offsets of tiles, keyed by tile
         this.tileGrid = new Map();
         this.currentTile = { x: 0, y: 0 };
         this.tileSize = 50;
@@ -18,6 +57,10 @@ class PointCloudVisualizer {
         this.minY = 0;
         this.maxY = 0;
 
+        // Size of the tile layout derived from the files' coordinates
+        this.gridWidth = 0;
+        this.gridHeight = 0;
+
         this.loadedPointClouds = new Map();
         this.currentPointClouds = [];
 
@@ -26,33 +69,150 @@ class PointCloudVisualizer {
         this.allTileFiles = new Map(); // Store all files for each tile
         this.initialTilesLoaded = false;
 
+        // Indexing results keyed by file name, size and lastModified
+        this.scanCache = new ScanCache();
+
+        // Parsing runs off the main thread
+        this.workerPool = new WorkerPool();
+
+        // Decoded tiles are kept in an LRU cache under a memory budget; the tiles in
+        // the scene are tracked separately and pinned in the cache
+        this.tileCache = new TileCache({
+            maxPoints: this.options.cacheMaxPoints,
+            maxMegabytes: this.options.cacheMaxMegabytes,
+            onEvict: (tileKey, pointClouds) => {
+                for (const points of pointClouds) {
+                    this.loadedPointClouds.delete(points.userData.fileName);
+                }
+                this.cleaningTool.forget(pointClouds);
+                this.pointFilter.refresh();
+            }
+        });
+        this.visibleTiles = new Set();
+        this.pendingTileLoads = new Map();
+        this.tileLoadGeneration = 0; // Bumped when the tiles are replaced, so loads still running from before are dropped
+        this.prefetchRadius = this.options.prefetchRadius; // Rings of neighbouring tiles decoded in the background
+
+        // Level of detail: every file is split into an octree and the nodes drawn each
+        // frame are chosen by screen size under one budget shared by all visible tiles
+        this.octreeOptions = { nodeCapacity: 20000, maxDepth: 12 };
+        this.pointBudget = this.options.pointBudget;
+        this.minNodePixelSize = 100;
+        this.visiblePointCount = 0;
+        this.showAllTiles = false;
+
+        // Merged view: every file at its true position around one shared origin, with
+        // tiles streamed in as the camera moves
+        this.mergedView = false;
+        this.sceneOrigin = new THREE.Vector3();
+        this.streamingInterval = 300;
+        this.lastStreamingUpdate = 0;
+
+        // Tiles with files that failed to decode are outlined on the grid and not retried
+        this.brokenTiles = new Map(); // Tile key -> error messages
+        this.brokenTileMarkers = null;
+
+        // Colouring is driven by uniforms shared by every tile's material
+        this.sharedUniforms = PointCloudMaterial.createSharedUniforms();
+        this.sharedUniforms.size.value = this.options.pointSize;
+        this.colorMode = 'rgb';
+        this.colorScalarName = null; // Attribute fed to the shader for scalar colour modes
+        this.colorRampName = 'spectral';
+        this.colorRangeManual = false;
+        this.minZ = 0;
+        this.maxZ = 0;
+
+        // Point splats and eye-dome lighting (set up with the renderer in init())
+        this.pointShape = 'square';
+
+        // Camera: orbit or first-person flight, with animated moves between views
+        this.cameraMode = 'orbit';
+        this.cameraTween = null;
+        this.clock = new THREE.Clock();
+
+        // Datasets served by the Django app; their files are read with range requests
+        this.datasetsUrl = this.options.datasetsUrl || document.body.dataset.datasetsUrl || '/api/datasets/';
+        this.datasets = [];
+        this.datasetName = null;
+
         this.init();
+        this.loadProgress = new LoadProgress(this);
+        this.measurementTool = new MeasurementTool(this);
+        this.clipTool = new ClipTool(this);
+        this.pointFilter = new PointFilter(this);
+        this.pointExporter = new PointExporter(this);
+        this.captureTool = new CaptureTool(this);
+        this.viewBookmarks = new ViewBookmarks(this);
+        this.cleaningTool = new CleaningTool(this);
+        this.terrainTool = new TerrainTool(this);
+        this.changeTool = new ChangeTool(this);
+        this.annotationTool = new AnnotationTool(this);
         this.setupEventListeners();
+        this.updateColorLegend();
+        this.fetchDatasets();
+    }
+
+    // A control of the standard UI by id, scoped to the container
+    dom(id) {
+        const element = this.container.querySelector(`#${id}`);
+        if (element) return element;
+        if (!this.standIns.has(id)) this.standIns.set(id, document.createElement('div'));
+        return this.standIns.get(id);
+    }
+
+    domAll(selector) {
+        return this.container.querySelectorAll(selector);
+    }
+
+    // Subscribe to 'tileChanged', 'loadProgress' or 'pointPicked'; returns a function
+    // that unsubscribes again
+    on(type, listener) {
+        if (!this.eventListeners.has(type)) this.eventListeners.set(type, new Set());
+        this.eventListeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const listeners = this.eventListeners.get(type);
+        if (listeners) listeners.delete(listener);
+    }
+
+    // A failing listener in the host page mustn't break the viewer
+    emit(type, detail) {
+        for (const listener of this.eventListeners.get(type) || []) {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in a ${type} listener:`, error);
+            }
+        }
     }
 
     init() {
         try {
             // Create clean scene with no helpers
             this.scene = new THREE.Scene();
-            this.scene.background = new THREE.Color(0x1a1a1a);
+            this.scene.background = new THREE.Color(this.options.background);
 
-            const canvasContainer = document.getElementById('canvasContainer');
+            const canvasContainer = this.canvasContainer;
             const width = canvasContainer.clientWidth;
             const height = canvasContainer.clientHeight;
 
             // Improved camera setup to fit template page
-            this.camera = new THREE.PerspectiveCamera(30, width / height, 0.1, 10000);
+            this.camera = new THREE.PerspectiveCamera(this.options.fov, width / height, 0.1, 10000);
             this.camera.position.set(0, 0, 80); // Adjusted initial position
 
             this.renderer = new THREE.WebGLRenderer({
                 antialias: true,
-                alpha: false
+                alpha: true // Lets snapshots clear to a transparent background
             });
             this.renderer.setSize(width, height);
             this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Limit pixel ratio for performance
-            this.renderer.setClearColor(0x1a1a1a, 1);
+            this.renderer.setClearColor(this.options.background, 1);
 
             canvasContainer.appendChild(this.renderer.domElement);
+            this.sharedUniforms.scale.value = height * 0.5 * this.renderer.getPixelRatio();
+            this.eyeDomeLighting = new EyeDomeLighting(this.renderer);
 
             // Improved orbit controls
             this.controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
@@ -60,7 +220,9 @@ class PointCloudVisualizer {
             this.controls.dampingFactor = 0.05;
             this.controls.screenSpacePanning = true;
             this.controls.minDistance = 5;
-            this.controls.maxDistance = 500;
+            this.controls.maxDistance = this.options.maxDistance; // Widened to the data in updateCameraLimits()
+
+            this.flyNavigator = new FlyNavigator(this.camera, this.renderer.domElement, this.container);
 
             const ambientLight = new THREE.AmbientLight(0x404040, 2);
             this.scene.add(ambientLight);
@@ -69,8 +231,22 @@ class PointCloudVisualizer {
             directionalLight.position.set(50, 50, 50);
             this.scene.add(directionalLight);
 
+            // Picking: a small red marker shows the last picked point
+            this.raycaster = new THREE.Raycaster();
+            this.pickMarker = new THREE.Points(
+                new THREE.BufferGeometry().setFromPoints([new THREE.Vector3()]),
+                new THREE.PointsMaterial({ color: 0xff3b30, size: 12, sizeAttenuation: false, depthTest: false, transparent: true })
+            );
+            this.pickMarker.renderOrder = 1000;
+            this.pickMarker.visible = false;
+            this.scene.add(this.pickMarker);
+
             this.animate();
-            window.addEventListener('resize', () => this.onWindowResize());
+
+            // Follow the container rather than the window: a host page can resize it
+            // on its own, e.g. when a dashboard panel is dragged
+            this.resizeObserver = new ResizeObserver(() => this.onResize());
+            this.resizeObserver.observe(canvasContainer);
 
             console.log('Three.js initialized successfully - Improved Tile System Ready');
         } catch (error) {
@@ -80,97 +256,674 @@ class PointCloudVisualizer {
     }
 
     setupEventListeners() {
-        document.getElementById('loadButton').addEventListener('click', () => {
-            document.getElementById('folderInput').click();
-        });
+        const signal = this.domListeners.signal;
+
+        this.dom('loadButton').addEventListener('click', () => {
+            this.dom('folderInput').click();
+        }, { signal });
 
-        document.getElementById('folderInput').addEventListener('change', (event) => {
+        this.dom('folderInput').addEventListener('change', (event) => {
             this.handleFolderSelection(event);
-        });
+        }, { signal });
+
+        this.dom('datasetSelect').addEventListener('change', (event) => {
+            if (event.target.value) this.loadDataset(event.target.value);
+        }, { signal });
+
+        this.dom('layoutImport').addEventListener('click', () => {
+            this.dom('layoutInput').click();
+        }, { signal });
+        this.dom('layoutInput').addEventListener('change', (event) => {
+            if (event.target.files.length > 0) this.importTileLayout(event.target.files[0]);
+            event.target.value = '';
+        }, { signal });
+        this.dom('layoutClear').addEventListener('click', () => this.clearTileLayout(), { signal });
+
+        const patternInput = this.dom('layoutPattern');
+        try {
+            const stored = localStorage.getItem('pointcloud-tile-pattern') || '';
+            if (stored) TileLayout.compilePattern(stored);
+            this.tilePattern = stored;
+        } catch (error) {
+            console.warn('Could not restore the filename pattern:', error);
+        }
+        patternInput.value = this.tilePattern;
+        patternInput.addEventListener('change', () => this.setTilePattern(patternInput.value), { signal });
+        this.dom('layoutExportJson').addEventListener('click', () => this.exportTileLayout('json'), { signal });
+        this.dom('layoutExportCsv').addEventListener('click', () => this.exportTileLayout('csv'), { signal });
+        this.dom('layoutExportText').addEventListener('click', () => this.exportTileLayout('txt'), { signal });
+
+        this.dom('leftBtn').addEventListener('click', () => this.navigate('left'), { signal });
+        this.dom('rightBtn').addEventListener('click', () => this.navigate('right'), { signal });
+        this.dom('upBtn').addEventListener('click', () => this.navigate('up'), { signal });
+        this.dom('downBtn').addEventListener('click', () => this.navigate('down'), { signal });
+
+        this.dom('showAllButton').addEventListener('click', () => this.toggleShowAllTiles(), { signal });
+        this.dom('mergedViewButton').addEventListener('click', () => this.setMergedView(!this.mergedView), { signal });
+
+        // A click is a press and release without dragging, so orbiting doesn't pick
+        const canvas = this.renderer.domElement;
+        let pressPosition = null;
+        canvas.addEventListener('pointerdown', (event) => {
+            pressPosition = { x: event.clientX, y: event.clientY };
+            this.container.focus({ preventScroll: true }); // For the keyboard shortcuts
+        }, { signal });
+        canvas.addEventListener('pointerup', (event) => {
+            if (pressPosition && Math.hypot(event.clientX - pressPosition.x, event.clientY - pressPosition.y) < 4) {
+                this.handleCanvasClick(event);
+            }
+            pressPosition = null;
+        }, { signal });
+
+        for (const button of this.domAll('[data-tool]')) {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool), { signal });
+        }
+        this.dom('measureFinish').addEventListener('click', () => this.measurementTool.finishCurrent(), { signal });
+        this.dom('measureClear').addEventListener('click', () => this.measurementTool.clear(), { signal });
+        this.dom('measureExportJson').addEventListener('click', () => this.measurementTool.exportJSON(), { signal });
+        this.dom('measureExportCsv').addEventListener('click', () => this.measurementTool.exportCSV(), { signal });
+
+        this.dom('annotationFinish').addEventListener('click', () => this.annotationTool.finishCurrent(), { signal });
+        for (const id of ['annotationTitle', 'annotationNotes', 'annotationCategory', 'annotationColor']) {
+            this.dom(id).addEventListener('input', () => this.annotationTool.applyForm(), { signal });
+        }
+        this.dom('annotationImport').addEventListener('click', () => this.dom('annotationInput').click(), { signal });
+        this.dom('annotationInput').addEventListener('change', (event) => {
+            if (event.target.files.length > 0) this.annotationTool.importGeoJSON(event.target.files[0]);
+            event.target.value = '';
+        }, { signal });
+        this.dom('annotationExport').addEventListener('click', () => this.annotationTool.exportGeoJSON(), { signal });
+        this.dom('annotationClear').addEventListener('click', () => this.annotationTool.clear(), { signal });
+
+        for (const button of this.domAll('[data-camera-mode]')) {
+            button.addEventListener('click', () => this.setCameraMode(button.dataset.cameraMode), { signal });
+        }
+
+        for (const button of this.domAll('[data-clip-box]')) {
+            button.addEventListener('click', () => this.clipTool.setBoxMode(button.dataset.clipBox), { signal });
+        }
+        for (const button of this.domAll('[data-gizmo-mode]')) {
+            button.addEventListener('click', () => this.clipTool.setGizmoMode(button.dataset.gizmoMode), { signal });
+        }
+        for (const button of this.domAll('[data-clip-plane]')) {
+            button.addEventListener('click', () => this.clipTool.addPlane(button.dataset.clipPlane), { signal });
+        }
+        this.dom('clipFitBox').addEventListener('click', () => this.clipTool.fitBox(), { signal });
+        this.dom('clipShowHelpers').addEventListener('change', (event) => this.clipTool.setShowHelpers(event.target.checked), { signal });
+        this.dom('clipClear').addEventListener('click', () => this.clipTool.clear(), { signal });
+
+        this.dom('returnFilter').addEventListener('change', (event) => this.pointFilter.setReturnFilter(event.target.value), { signal });
+        this.dom('classShowAll').addEventListener('click', () => this.pointFilter.setAllClassesVisible(true), { signal });
+        this.dom('classHideAll').addEventListener('click', () => this.pointFilter.setAllClassesVisible(false), { signal });
+        this.dom('scalarFilterAdd').addEventListener('change', (event) => {
+            if (event.target.value) this.pointFilter.addScalarFilter(event.target.value);
+            event.target.value = '';
+        }, { signal });
+
+        this.dom('exportLasso').addEventListener('click', () => {
+            this.pointExporter.setLassoActive(!this.pointExporter.lassoActive);
+        }, { signal });
+        this.dom('exportLassoClear').addEventListener('click', () => this.pointExporter.clearLasso(), { signal });
+        this.dom('exportStart').addEventListener('click', () => {
+            this.pointExporter.export(this.dom('exportFormat').value, {
+                clip: this.dom('exportClip').checked
+            });
+        }, { signal });
 
-        document.getElementById('leftBtn').addEventListener('click', () => this.navigate('left'));
-        document.getElementById('rightBtn').addEventListener('click', () => this.navigate('right'));
-        document.getElementById('upBtn').addEventListener('click', () => this.navigate('up'));
-        document.getElementById('downBtn').addEventListener('click', () => this.navigate('down'));
+        this.dom('cleanRun').addEventListener('click', () => this.cleaningTool.run(), { signal });
+        for (const button of this.domAll('[data-clean-preview]')) {
+            button.addEventListener('click', () => this.cleaningTool.setPreview(button.dataset.cleanPreview), { signal });
+        }
+        this.dom('cleanApply').addEventListener('click', () => this.cleaningTool.apply(), { signal });
+        this.dom('cleanDiscard').addEventListener('click', () => this.cleaningTool.discard(), { signal });
+
+        this.dom('groundClassify').addEventListener('click', () => this.terrainTool.classifyGround(), { signal });
+        this.dom('demBuild').addEventListener('click', () => this.terrainTool.buildDem(), { signal });
+        this.dom('demContourInterval').addEventListener('change', () => this.terrainTool.updateContours(), { signal });
+        this.dom('demShowSurface').addEventListener('change', () => this.terrainTool.updateVisibility(), { signal });
+        this.dom('demShowContours').addEventListener('change', () => this.terrainTool.updateVisibility(), { signal });
+        this.dom('demExportGrid').addEventListener('click', () => this.terrainTool.exportGrid(), { signal });
+        this.dom('demExportContours').addEventListener('click', () => this.terrainTool.exportContours(), { signal });
+        this.dom('demClear').addEventListener('click', () => this.terrainTool.clear(), { signal });
+
+        this.dom('changeOpen').addEventListener('click', () => {
+            this.dom('changeInput').click();
+        }, { signal });
+        this.dom('changeInput').addEventListener('change', (event) => {
+            if (event.target.files.length > 0) this.changeTool.openFolder(event.target.files);
+            event.target.value = '';
+        }, { signal });
+        this.dom('changeDataset').addEventListener('change', (event) => {
+            if (event.target.value) this.changeTool.loadDataset(event.target.value);
+        }, { signal });
+        this.dom('changeCompare').addEventListener('click', () => this.changeTool.compare(), { signal });
+        for (const id of ['changeThreshold', 'changeMode']) {
+            this.dom(id).addEventListener('change', () => this.changeTool.updateColors(), { signal });
+        }
+        this.dom('changeCellSize').addEventListener('change', () => this.changeTool.renderSummary(), { signal });
+        this.dom('changeShowComparison').addEventListener('change', (event) => this.changeTool.setShowComparison(event.target.checked), { signal });
+        this.dom('changeShowReference').addEventListener('change', (event) => this.changeTool.setShowReference(event.target.checked), { signal });
+        this.dom('changeExportCsv').addEventListener('click', () => this.changeTool.exportCSV(), { signal });
+        this.dom('changeClear').addEventListener('click', () => this.changeTool.clear(), { signal });
+
+        this.dom('bookmarkSave').addEventListener('click', () => {
+            const nameInput = this.dom('bookmarkName');
+            this.viewBookmarks.add(nameInput.value.trim());
+            nameInput.value = '';
+        }, { signal });
+        this.dom('bookmarkCopyLink').addEventListener('click', () => this.viewBookmarks.copyLink(), { signal });
+        this.dom('bookmarkExport').addEventListener('click', () => this.viewBookmarks.exportJSON(), { signal });
+        this.dom('bookmarkImport').addEventListener('click', () => {
+            this.dom('bookmarkInput').click();
+        }, { signal });
+        this.dom('bookmarkInput').addEventListener('change', (event) => {
+            if (event.target.files.length > 0) this.viewBookmarks.importJSON(event.target.files[0]);
+            event.target.value = '';
+        }, { signal });
+
+        this.dom('loadCancel').addEventListener('click', () => this.loadProgress.cancel(), { signal });
+        this.dom('loadClose').addEventListener('click', () => this.loadProgress.hide(), { signal });
+
+        this.dom('captureSnapshot').addEventListener('click', () => this.captureTool.snapshot(), { signal });
+        this.dom('captureRecordPath').addEventListener('click', () => this.captureTool.toggleRecording(), { signal });
+        this.dom('captureAnimation').addEventListener('click', () => this.captureTool.renderAnimation(), { signal });
+
+        // Keyboard shortcuts (unless the host page turns them off with the keyboard
+        // option); WASD/QE flying is handled by the FlyNavigator. They are read from
+        // the container, so only the viewer with focus reacts when a page embeds
+        // several; a container that can't take focus is made to, and clicking the
+        // canvas focuses it.
+        if (this.container !== document.body && !this.container.hasAttribute('tabindex')) {
+            this.container.tabIndex = -1;
+            this.addedTabIndex = true;
+        }
+        const arrowDirections = { ArrowLeft: 'left', ArrowRight: 'right', ArrowUp: 'up', ArrowDown: 'down' };
+        this.container.addEventListener('keydown', (event) => {
+            if (!this.options.keyboard || event.target.matches('input, select, textarea') || event.ctrlKey || event.metaKey || event.altKey) return;
+
+            if (arrowDirections[event.key]) {
+                event.preventDefault();
+                if (this.allTileFiles.size > 0) this.navigate(arrowDirections[event.key]);
+                return;
+            }
+
+            switch (event.key) {
+                case 'Enter':
+                    this.measurementTool.finishCurrent();
+                    this.annotationTool.finishCurrent();
+                    break;
+                case 'Escape':
+                    this.measurementTool.cancelCurrent();
+                    this.annotationTool.cancelCurrent();
+                    break;
+                case 'f':
+                case 'F':
+                    this.setCameraMode(this.cameraMode === 'fly' ? 'orbit' : 'fly');
+                    break;
+                case 'h':
+                case 'H':
+                    if (this.allTileFiles.size > 0) this.focusOnCurrentTile();
+                    break;
+                case 't':
+                case 'T':
+                    this.toggleShowAllTiles();
+                    break;
+                case 'm':
+                case 'M':
+                    this.setMergedView(!this.mergedView);
+                    break;
+                case '+':
+                case '=':
+                    this.flyNavigator.adjustSpeed(1.25);
+                    break;
+                case '-':
+                    this.flyNavigator.adjustSpeed(0.8);
+                    break;
+            }
+        }, { signal });
+
+        this.dom('colorMode').addEventListener('change', (event) => this.setColorMode(event.target.value), { signal });
+        this.dom('colorRamp').addEventListener('change', (event) => this.setColorRamp(event.target.value), { signal });
+        this.dom('colorRangeAuto').addEventListener('click', () => this.resetColorRange(), { signal });
+        for (const id of ['colorRangeMin', 'colorRangeMax']) {
+            this.dom(id).addEventListener('change', () => {
+                const min = parseFloat(this.dom('colorRangeMin').value);
+                const max = parseFloat(this.dom('colorRangeMax').value);
+                if (!isNaN(min) && !isNaN(max)) {
+                    this.colorRangeManual = true;
+                    this.setColorRange(min, max);
+                }
+            }, { signal });
+        }
+
+        this.dom('pointSize').value = this.options.pointSize;
+        for (const id of ['pointShape', 'pointSizeMode', 'pointSize', 'pointSizeScale', 'pointSizeMax', 'edlEnabled', 'edlStrength', 'edlRadius']) {
+            this.dom(id).addEventListener('change', () => this.updatePointRendering(), { signal });
+        }
     }
 
     async handleFolderSelection(event) {
-        const files = Array.from(event.target.files).filter(file => file.name.toLowerCase().endsWith('.ply'));
+        // Any mix of PLY, LAS/LAZ and XYZ/PTS files can be loaded together
+        const files = Array.from(event.target.files).filter(file => PointCloudReaders.isSupported(file.name));
 
         if (files.length === 0) {
-            alert('No .ply files found in the selected folder.');
+            alert(`No point cloud files (${PointCloudReaders.extensions.join(', ')}) found in the selected folder.`);
             return;
         }
 
+        this.loadProgress.reset();
+        for (const file of event.target.files) {
+            if (!PointCloudReaders.isSupported(file.name)) this.loadProgress.finish('index', file.name, 'skipped', 'Not a point cloud format');
+        }
+
+        this.datasetName = null;
+        this.dom('datasetSelect').value = '';
+        await this.openFiles(files);
+    }
+
+    // Open point cloud files given as File objects, URLs or { name, data } with an
+    // ArrayBuffer, in any mix. Sources that can't be opened are listed in the load report.
+    async load(sources) {
+        const list = typeof sources === 'string' || !(Symbol.iterator in Object(sources)) ? [sources] : [...sources];
+        this.loadProgress.reset();
+
+        const results = await Promise.allSettled(list.map(source => this.resolveSource(source)));
+        const files = [];
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                this.loadProgress.finish('index', list[i].name || String(list[i]), 'failed', result.reason.message);
+            } else if (!PointCloudReaders.isSupported(result.value.name)) {
+                this.loadProgress.finish('index', result.value.name, 'skipped', 'Not a point cloud format');
+            } else {
+                files.push(result.value);
+            }
+        });
+        if (files.length === 0) throw new Error('None of the sources is a point cloud file');
+
+        this.datasetName = null;
+        this.dom('datasetSelect').value = '';
+        await this.openFiles(files);
+    }
+
+    // Something the readers can open: a File as it is, a URL as a RemoteFile read
+    // with range requests, or an ArrayBuffer wrapped in a File
+    async resolveSource(source) {
+        if (source instanceof Blob) return source;
+
+        if (typeof source === 'string' || source instanceof URL) {
+            const url = new URL(source, window.location.href).href;
+            const name = decodeURIComponent(new URL(url).pathname.split('/').pop()) || url;
+            // Servers that refuse HEAD, or don't say how big the file is, leave nothing
+            // to range over, so the file is read whole instead
+            const response = await fetch(url, { method: 'HEAD' }).catch(() => null);
+            const size = response && response.ok ? parseInt(response.headers.get('Content-Length'), 10) : NaN;
+            const lastModified = (response && Date.parse(response.headers.get('Last-Modified'))) || 0;
+            if (Number.isFinite(size)) return new RemoteFile(url, name, size, lastModified);
+
+            const download = await fetch(url);
+            if (!download.ok) throw new Error(`HTTP ${download.status} ${download.statusText}`);
+            return new File([await download.blob()], name, { lastModified });
+        }
+
+        if (source && (source.data instanceof ArrayBuffer || ArrayBuffer.isView(source.data))) {
+            // The readers tell the format by the file extension
+            if (!source.name) throw new Error('An ArrayBuffer needs a file name');
+            return new File([source.data], source.name);
+        }
+        throw new Error('Expected a File, a URL or { name, data }');
+    }
+
+    // Shared by the folder picker and server datasets. Coordinates known up front
+    // (from a manifest) skip the indexing pass, and known grid placements take
+    // precedence over placing files by their coordinates.
+    async openFiles(files, { coordinates = null, placements = null } = {}) {
         this.plyFiles = files;
         this.initialTilesLoaded = false;
+        this.basePlacements = placements || new Map();
+        this.tilePlacements = this.resolvePlacements(files);
+
+        const fileInfo = this.dom('fileInfo');
+        const signal = this.loadProgress.signal;
+
+        if (coordinates) {
+            this.fileCoordinates = coordinates;
+        } else {
+            fileInfo.innerHTML = `<span class="loading"></span>Indexing point cloud coordinates...`;
+            await this.analyzeAllFiles();
+        }
+
+        // Nothing to lay out: the previous folder's tiles no longer match the files
+        if (signal.aborted || this.fileCoordinates.size === 0) {
+            this.clearAllPointClouds();
+            this.allTileFiles.clear();
+            this.tileGrid.clear();
+            this.brokenTiles.clear();
+            this.updateBrokenTileMarkers();
+            fileInfo.textContent = signal.aborted ? 'Loading cancelled' : 'None of the files could be read';
+            return;
+        }
+
+        this.calculateGridOrganization();
+        this.updateCameraLimits();
+        this.populateScalarModes();
+        this.resetColorRange();
+        await this.loadInitialTiles();
+
+        const warnings = this.placementWarnings.length > 0 ? ` (${this.placementWarnings.length} placement problem(s), see Tile Layout)` : '';
+        fileInfo.textContent = `Loaded ${this.plyFiles.length} files into a ${this.gridWidth}x${this.gridHeight} grid. Current tile: (${this.currentTile.x}, ${this.currentTile.y})${warnings}`;
+        await this.viewBookmarks.applyPendingView();
+    }
+
+    // Grid placements for the files being opened, in increasing precedence: the
+    // server manifest's positions, the filename pattern, then an imported tile layout
+    resolvePlacements(files) {
+        const placements = new Map(this.basePlacements);
+        const explicit = new Map();
+        const report = [];
+
+        if (this.tilePattern) {
+            const { placements: patternPlacements, unmatchedFiles } = TileLayout.matchPattern(files, this.tilePattern);
+            for (const [fileName, placement] of patternPlacements) {
+                explicit.set(fileName, placement);
+            }
+
+            report.push(`${patternPlacements.size} of ${files.length} files placed by name`);
+            if (unmatchedFiles.length > 0) {
+                console.warn(`Not matching the filename pattern, placed by coordinates: ${unmatchedFiles.join(', ')}`);
+                report.push(`${unmatchedFiles.length} not matching the pattern: ${unmatchedFiles.join(', ')}`);
+            }
+        }
+
+        if (this.tileLayout) {
+            const { placements: layoutPlacements, unmatchedFiles, unusedEntries } = this.tileLayout.match(files);
+            for (const [fileName, entry] of layoutPlacements) {
+                explicit.set(fileName, entry);
+            }
+
+            report.push(`${layoutPlacements.size} of ${files.length} files placed by ${this.tileLayout.source || 'the tile layout'}`);
+            if (unmatchedFiles.length > 0) {
+                console.warn(`Not in the tile layout: ${unmatchedFiles.join(', ')}`);
+                report.push(`${unmatchedFiles.length} not listed: ${unmatchedFiles.join(', ')}`);
+            }
+            if (unusedEntries.length > 0) {
+                console.warn(`Tile layout entries without a file: ${unusedEntries.map(entry => entry.file).join(', ')}`);
+                report.push(`${unusedEntries.length} entries without a file`);
+            }
+            if (this.describeLayoutShift()) report.push(this.describeLayoutShift());
+        }
+
+        for (const [fileName, placement] of explicit) {
+            placements.set(fileName, placement);
+        }
+
+        // Cells shared with files placed by their coordinates are only known once the
+        // files are indexed; organizeFilesIntoTiles adds them to the report
+        this.placementReport = report;
+        this.showPlacementReport();
+        return placements;
+    }
+
+    showPlacementReport(notes = []) {
+        const report = [...this.placementReport, ...notes];
+        this.dom('layoutStatus').textContent = report.length > 0 ? report.join('; ') : 'Files are placed by their coordinates';
+    }
+
+    setTilePattern(source) {
+        source = source.trim();
+        try {
+            if (source) TileLayout.compilePattern(source);
+        } catch (error) {
+            this.dom('layoutStatus').textContent = `Invalid pattern: ${error.message}`;
+            return;
+        }
+
+        this.tilePattern = source;
+        try {
+            localStorage.setItem('pointcloud-tile-pattern', source);
+        } catch (error) {
+            console.warn('Could not store the filename pattern:', error);
+        }
+
+        if (this.plyFiles.length > 0) {
+            this.relayoutTiles();
+        } else {
+            this.dom('layoutStatus').textContent = source ? 'Filename pattern set, applied when files are opened' : 'Files are placed by their coordinates';
+        }
+    }
+
+    async importTileLayout(file) {
+        try {
+            this.tileLayout = TileLayout.parse(await file.text(), file.name);
+        } catch (error) {
+            console.error(`Error reading tile layout ${file.name}:`, error);
+            alert(`Could not read tile layout: ${error.message}`);
+            return;
+        }
+
+        this.dom('layoutStatus').textContent = `${this.tileLayout.entries.length} entries from ${file.name}, applied when files are opened` +
+            (this.describeLayoutShift() ? `; ${this.describeLayoutShift()}` : '');
+        if (this.plyFiles.length > 0) await this.relayoutTiles();
+    }
+
+    // Layouts with negative indices are moved onto the grid when read (see TileLayout.parse)
+    describeLayoutShift() {
+        const { x, y } = this.tileLayout.shift;
+        return x > 0 || y > 0 ? `negative tile indices shifted by (${x}, ${y}) to start the grid at 0,0` : '';
+    }
 
-        const fileInfo = document.getElementById('fileInfo');
-        fileInfo.innerHTML = `<span class="loading"></span>Analyzing point cloud coordinates...`;
+    async clearTileLayout() {
+        this.tileLayout = null;
+        this.dom('layoutStatus').textContent = this.tilePattern ? 'Filename pattern set, applied when files are opened' : 'Files are placed by their coordinates';
+        if (this.plyFiles.length > 0) await this.relayoutTiles();
+    }
 
-        await this.analyzeAllFiles();
+    // Re-place the open files after the layout changed; decoded tiles are dropped
+    // because their positions in the scene change
+    async relayoutTiles() {
+        this.tilePlacements = this.resolvePlacements(this.plyFiles);
         this.calculateGridOrganization();
+        this.updateCameraLimits();
         await this.loadInitialTiles();
 
-        fileInfo.textContent = `Loaded ${this.plyFiles.length} files. Current tile: (${this.currentTile.x}, ${this.currentTile.y})`;
+        this.dom('fileInfo').textContent = `Loaded ${this.plyFiles.length} files into a ${this.gridWidth}x${this.gridHeight} grid. Current tile: (${this.currentTile.x}, ${this.currentTile.y})`;
+    }
+
+    exportTileLayout(format) {
+        if (this.allTileFiles.size === 0) {
+            alert('Open a folder or dataset first to export its tile layout.');
+            return;
+        }
+
+        const layout = TileLayout.fromTileFiles(this.allTileFiles, this.tileOffsets);
+        const name = this.datasetName || 'tile-layout';
+        if (format === 'csv') {
+            downloadBlob(new Blob([layout.toCSV()], { type: 'text/csv' }), `${name}.csv`);
+        } else if (format === 'txt') {
+            downloadBlob(new Blob([layout.toText()], { type: 'text/plain' }), `${name}.txt`);
+        } else {
+            downloadBlob(new Blob([JSON.stringify(layout, null, 2)], { type: 'application/json' }), `${name}.json`);
+        }
+    }
+
+    // List the server's datasets in the header; the selector stays hidden when the
+    // server has none
+    async fetchDatasets() {
+        const select = this.dom('datasetSelect');
+
+        if (this.options.listDatasets) {
+            try {
+                const response = await fetch(this.datasetsUrl);
+                if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+                this.datasets = (await response.json()).datasets;
+            } catch (error) {
+                console.warn('Could not list server datasets:', error);
+                this.datasets = [];
+            }
+        }
+
+        // Any of them can also be the comparison epoch of a change detection
+        const comparisonSelect = this.dom('changeDataset');
+        for (const dataset of this.datasets) {
+            const option = document.createElement('option');
+            option.value = dataset.name;
+            option.textContent = `${dataset.name} (${dataset.fileCount} files)`;
+            select.appendChild(option);
+            comparisonSelect.appendChild(option.cloneNode(true));
+        }
+        select.hidden = this.datasets.length === 0;
+        comparisonSelect.hidden = this.datasets.length === 0;
+        if (!this.options.urlState) return;
+
+        // ?dataset=<name> opens a dataset directly, so it can be shared as a link; a
+        // view in the hash also restores the tile, camera, colours and clipping
+        const requested = new URLSearchParams(window.location.search).get('dataset');
+        const view = ViewBookmarks.decodeView(window.location.hash);
+        if (view) {
+            await this.viewBookmarks.applyView({ ...view, dataset: view.dataset || requested });
+        } else if (requested) {
+            await this.loadDataset(requested);
+        }
+    }
+
+    // Load a server dataset from its tile manifest. Files are fetched on demand with
+    // range requests as their tiles are decoded.
+    async loadDataset(name) {
+        const fileInfo = this.dom('fileInfo');
+        fileInfo.innerHTML = `<span class="loading"></span>Fetching manifest for ${name}...`;
+
+        let manifest;
+        try {
+            manifest = await this.readManifest(name);
+        } catch (error) {
+            console.error(`Error loading dataset ${name}:`, error);
+            fileInfo.textContent = `Could not load dataset "${name}"`;
+            alert(`Could not load dataset "${name}": ${error.message}`);
+            return;
+        }
+
+        this.loadProgress.reset();
+        for (const entry of manifest.errors) {
+            console.warn(`Dataset ${name}: skipped ${entry.file}: ${entry.error}`);
+            this.loadProgress.finish('index', entry.file, 'failed', entry.error);
+        }
+
+        if (manifest.files.length === 0) {
+            fileInfo.textContent = `Dataset "${name}" has no point cloud files`;
+            return;
+        }
+
+        this.datasetName = name;
+        this.dom('datasetSelect').value = name;
+        await this.openFiles(manifest.files, { coordinates: manifest.coordinates, placements: manifest.placements });
+    }
+
+    // A server dataset's files as RemoteFiles, with the bounds and grid positions its
+    // manifest gives for them and the files the server couldn't index
+    async readManifest(name) {
+        const dataset = this.datasets.find(entry => entry.name === name);
+        const manifestUrl = new URL(
+            dataset ? dataset.manifestUrl : `${this.datasetsUrl}${encodeURIComponent(name)}/manifest/`,
+            window.location.href
+        ).href;
+
+        const response = await fetch(manifestUrl);
+        if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        const manifest = await response.json();
+
+        const files = [];
+        const coordinates = new Map();
+        const placements = new Map();
+        for (const tile of manifest.tiles) {
+            if (!PointCloudReaders.isSupported(tile.file)) continue;
+
+            const file = new RemoteFile(new URL(tile.url, manifestUrl).href, tile.file, tile.size, tile.lastModified);
+            files.push(file);
+            coordinates.set(file.name, this.coordinatesFromManifest(tile));
+            if (tile.grid) placements.set(file.name, { x: tile.grid.x, y: tile.grid.y });
+        }
+        return { files, coordinates, placements, errors: manifest.errors || [] };
+    }
+
+    // Manifest entries carry the same information a scan would produce
+    coordinatesFromManifest(tile) {
+        const { minX, maxX, minY, maxY, minZ, maxZ } = tile.bounds;
+        return {
+            centerX: (maxX + minX) / 2,
+            centerY: (maxY + minY) / 2,
+            centerZ: (maxZ + minZ) / 2,
+            extentX: maxX - minX,
+            extentY: maxY - minY,
+            extentZ: maxZ - minZ,
+            minX, maxX,
+            minY, maxY,
+            minZ, maxZ,
+            vertexCount: tile.pointCount,
+            format: tile.format,
+            properties: tile.properties || []
+        };
     }
 
     async analyzeAllFiles() {
         this.fileCoordinates.clear();
 
+        const fileInfo = this.dom('fileInfo');
+        const progress = new Map();
+
+        const updateProgress = () => {
+            let loaded = 0;
+            let total = 0;
+            for (const entry of progress.values()) {
+                loaded += entry.loaded;
+                total += entry.total;
+            }
+            const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+            fileInfo.innerHTML = `<span class="loading"></span>Indexing ${progress.size} files - ${percent}%`;
+        };
+
+        const scans = [];
         for (const file of this.plyFiles) {
-            try {
-                const coordinates = await this.extractCoordinatesFromFile(file);
-                this.fileCoordinates.set(file.name, coordinates);
-            } catch (error) {
-                console.error(`Error analyzing file ${file.name}:`, error);
-            }
-        }
-    }
-
-    extractCoordinatesFromFile(file) {
-        return new Promise((resolve, reject) => {
-            const loader = new THREE.PLYLoader();
-
-            loader.load(
-                URL.createObjectURL(file),
-                (geometry) => {
-                    geometry.computeBoundingBox();
-                    const bbox = geometry.boundingBox;
-
-                    const centerX = (bbox.max.x + bbox.min.x) / 2;
-                    const centerY = (bbox.max.y + bbox.min.y) / 2;
-                    const centerZ = (bbox.max.z + bbox.min.z) / 2;
-
-                    const extentX = bbox.max.x - bbox.min.x;
-                    const extentY = bbox.max.y - bbox.min.y;
-                    const extentZ = bbox.max.z - bbox.min.z;
-
-                    resolve({
-                        centerX,
-                        centerY,
-                        centerZ,
-                        extentX,
-                        extentY,
-                        extentZ,
-                        minX: bbox.min.x,
-                        maxX: bbox.max.x,
-                        minY: bbox.min.y,
-                        maxY: bbox.max.y,
-                        minZ: bbox.min.z,
-                        maxZ: bbox.max.z
-                    });
-                },
-                undefined,
-                (error) => {
-                    reject(error);
-                }
+            const cached = this.scanCache.get(file);
+            if (cached) {
+                this.fileCoordinates.set(file.name, cached);
+                this.loadProgress.finish('index', file.name, 'ok', 'Indexed before');
+                continue;
+            }
+
+            progress.set(file.name, { loaded: 0, total: 1 });
+            this.loadProgress.start('index', file.name);
+            scans.push(
+                this.extractCoordinatesFromFile(file, (loaded, total) => {
+                    progress.set(file.name, { loaded, total });
+                    updateProgress();
+                    this.loadProgress.progress('index', file.name, loaded, total);
+                })
+                    .then(coordinates => {
+                        this.fileCoordinates.set(file.name, coordinates);
+                        this.scanCache.set(file, coordinates);
+                        this.loadProgress.finish('index', file.name, 'ok');
+                    })
+                    .catch(error => {
+                        if (!LoadProgress.isAbort(error)) console.error(`Error analyzing file ${file.name}:`, error);
+                        this.loadProgress.fail('index', file.name, error);
+                    })
             );
-        });
+        }
+
+        // Files are scanned in parallel across the worker pool
+        await Promise.all(scans);
+
+        this.scanCache.persist();
+    }
+
+    extractCoordinatesFromFile(file, onProgress) {
+        // Header-only scan in a worker: LAS/LAZ bounds come from the header, PLY and
+        // ASCII files stream x/y/z without building a geometry
+        return this.workerPool.run('scan', { file }, onProgress, 0, this.loadProgress.signal);
     }
 
     calculateGridOrganization() {
         if (this.fileCoordinates.size === 0) return;
+        this.brokenTiles.clear();
 
         let minX = Infinity, maxX = -Infinity;
         let minY = Infinity, maxY = -Infinity;
@@ -186,6 +939,9 @@ class PointCloudVisualizer {
         this.maxX = maxX;
         this.minY = minY;
         this.maxY = maxY;
+        this.minZ = Math.min(...[...this.fileCoordinates.values()].map(coords => coords.minZ));
+        this.maxZ = Math.max(...[...this.fileCoordinates.values()].map(coords => coords.maxZ));
+        this.sceneOrigin.set((minX + maxX) / 2, (minY + maxY) / 2, (this.minZ + this.maxZ) / 2);
 
         let totalExtentX = 0;
         let totalExtentY = 0;
@@ -202,242 +958,1083 @@ class PointCloudVisualizer {
         this.tileSize = Math.max(avgExtentX, avgExtentY) * 2.0; // Increased to ensure separation
 
         this.organizeFilesIntoTiles();
+        this.updateBrokenTileMarkers();
     }
 
     organizeFilesIntoTiles() {
         this.tileGrid.clear();
         this.allTileFiles.clear();
+        this.tileOffsets.clear();
+
+        // Grid cell size comes from the typical (median) footprint of a file, so that
+        // neighbouring survey blocks land in neighbouring cells even when a few of them
+        // are clipped or slightly larger than the rest
+        const extentsX = [];
+        const extentsY = [];
+        for (const coords of this.fileCoordinates.values()) {
+            extentsX.push(coords.extentX);
+            extentsY.push(coords.extentY);
+        }
+        const cellWidth = this.median(extentsX) || 1;
+        const cellHeight = this.median(extentsY) || 1;
 
-        // Create fixed 3x3 tile grid (9 tiles total)
-        const totalTilesX = 3;
-        const totalTilesY = 3;
+        let gridWidth = 0;
+        let gridHeight = 0;
+        const unplaced = [];
 
-        console.log(`Creating fixed 3x3 tile grid: ${totalTilesX}x${totalTilesY} tiles`);
+        for (const file of this.plyFiles) {
+            const coords = this.fileCoordinates.get(file.name);
+            if (!coords) {
+                unplaced.push(file.name);
+                continue;
+            }
+
+            // Place each file by the cell its real bounding-box centre falls into,
+            // unless its grid position is already known
+            const placement = this.tilePlacements.get(file.name);
+            const x = placement ? placement.x : Math.floor((coords.centerX - this.minX) / cellWidth);
+            const y = placement ? placement.y : Math.floor((coords.centerY - this.minY) / cellHeight);
+            const tileKey = `${x},${y}`;
+
+            if (placement && placement.offsetX !== undefined) {
+                this.tileOffsets.set(tileKey, { x: placement.offsetX, y: placement.offsetY });
+            }
 
-        // Initialize all 9 tiles
-        for (let x = 0; x < totalTilesX; x++) {
-            for (let y = 0; y < totalTilesY; y++) {
-                const tileKey = `${x},${y}`;
+            if (!this.allTileFiles.has(tileKey)) {
                 this.allTileFiles.set(tileKey, []);
             }
+            this.allTileFiles.get(tileKey).push({
+                file: file,
+                originalCoords: coords,
+                tileX: x,
+                tileY: y
+            });
+
+            // Keep the real extent covered by each cell
+            const cell = this.tileGrid.get(tileKey);
+            if (cell) {
+                cell.minX = Math.min(cell.minX, coords.minX);
+                cell.maxX = Math.max(cell.maxX, coords.maxX);
+                cell.minY = Math.min(cell.minY, coords.minY);
+                cell.maxY = Math.max(cell.maxY, coords.maxY);
+                cell.minZ = Math.min(cell.minZ, coords.minZ);
+                cell.maxZ = Math.max(cell.maxZ, coords.maxZ);
+            } else {
+                this.tileGrid.set(tileKey, {
+                    x, y,
+                    minX: coords.minX,
+                    maxX: coords.maxX,
+                    minY: coords.minY,
+                    maxY: coords.maxY,
+                    minZ: coords.minZ,
+                    maxZ: coords.maxZ
+                });
+            }
+
+            gridWidth = Math.max(gridWidth, x + 1);
+            gridHeight = Math.max(gridHeight, y + 1);
         }
 
-        // Get first 9 files (one for each tile)
-        const filesToUse = this.plyFiles.slice(0, 9);
-        
-        if (filesToUse.length < 9) {
-            console.warn(`Only ${filesToUse.length} files available, but 9 tiles needed`);
-        }
-
-        // Assign exactly one file to each tile in order
-        let fileIndex = 0;
-        for (let x = 0; x < totalTilesX; x++) {
-            for (let y = 0; y < totalTilesY; y++) {
-                if (fileIndex < filesToUse.length) {
-                    const file = filesToUse[fileIndex];
-                    const coords = this.fileCoordinates.get(file.name);
-                    const tileKey = `${x},${y}`;
-
-                    if (coords) {
-                        this.allTileFiles.set(tileKey, [{
-                            file: file,
-                            originalCoords: coords,
-                            tileX: x,
-                            tileY: y
-                        }]);
-                        console.log(`Assigned file ${file.name} to tile (${x}, ${y})`);
-                    } else {
-                        console.warn(`No coordinates found for file: ${file.name}`);
-                    }
-                    fileIndex++;
-                }
+        this.gridWidth = gridWidth;
+        this.gridHeight = gridHeight;
+
+        // Files sharing a cell are drawn over each other, whether the names, a layout or
+        // the coordinates put them there
+        const notes = [];
+        if (unplaced.length > 0) {
+            notes.push(`${unplaced.length} without coordinates, not placed: ${unplaced.join(', ')}`);
+        }
+        for (const [tileKey, tileFiles] of this.allTileFiles) {
+            if (tileFiles.length > 1) {
+                notes.push(`tile ${tileKey} holds ${tileFiles.length} files: ${tileFiles.map(t => t.file.name).join(', ')}`);
+            }
+        }
+        this.placementWarnings = notes;
+        this.showPlacementReport(notes);
+
+        // Start on the occupied tile closest to the middle of the layout
+        const centerTile = this.findTileNearest((gridWidth - 1) / 2, (gridHeight - 1) / 2);
+        this.setCurrentTile(centerTile.x, centerTile.y);
+    }
+
+    findTileNearest(targetX, targetY) {
+        let nearest = { x: 0, y: 0 };
+        let nearestDistance = Infinity;
+
+        for (const cell of this.tileGrid.values()) {
+            const distance = (cell.x - targetX) ** 2 + (cell.y - targetY) ** 2;
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = { x: cell.x, y: cell.y };
             }
         }
 
-        // Set center tile for initial view
-        this.currentTile = {
-            x: 1, // Center of 3x3 grid
-            y: 1  // Center of 3x3 grid
+        return nearest;
+    }
+
+    median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    getTileOffset(tileX, tileY) {
+        // In the merged view a tile sits where its files really are
+        const cell = this.mergedView ? this.tileGrid.get(`${tileX},${tileY}`) : null;
+        if (cell) {
+            return {
+                x: (cell.minX + cell.maxX) / 2 - this.sceneOrigin.x,
+                y: (cell.minY + cell.maxY) / 2 - this.sceneOrigin.y
+            };
+        }
+
+        const explicit = this.tileOffsets.get(`${tileX},${tileY}`);
+        if (explicit) return { ...explicit };
+
+        return {
+            x: tileX * this.tileSize,
+            y: tileY * this.tileSize
         };
+    }
 
-        console.log(`Organized ${Math.min(filesToUse.length, 9)} files into 9 tiles (3x3 grid)`);
-        console.log(`Fixed grid size: ${totalTilesX}x${totalTilesY} tiles`);
-        console.log(`Initial tile: (${this.currentTile.x}, ${this.currentTile.y})`);
+    // Centre and tile that a tile's points are drawn around in the tile view: those
+    // of its first file, which is decoded around its indexed centre
+    tileReference(tileKey) {
+        const tileFiles = this.allTileFiles.get(tileKey);
+        if (!tileFiles) return null;
+        const { originalCoords: coords, tileX, tileY } = tileFiles[0];
+        return { center: [coords.centerX, coords.centerY, coords.centerZ], tileX, tileY };
+    }
+
+    // Scene position of a survey position drawn with a file, given by its centre and
+    // tile (a point cloud's userData): minus the shared origin in the merged view, and
+    // relative to the file's centre at its tile's offset in the tile view, the way
+    // placePointCloud places the file itself
+    surveyToScene([x, y, z], { center, tileX, tileY }) {
+        const position = new THREE.Vector3(x, y, z);
+        if (this.mergedView) return position.sub(this.sceneOrigin);
+
+        const offset = this.getTileOffset(tileX, tileY);
+        return position.set(x - center[0] + offset.x, y - center[1] + offset.y, z - center[2]);
     }
 
     async loadInitialTiles() {
-        this.clearCurrentPointClouds();
+        this.clearAllPointClouds();
         this.initialTileFiles.clear();
 
-        // Load ONLY the center tile initially (not all 9 tiles)
-        const centerX = this.currentTile.x;
-        const centerY = this.currentTile.y;
+        // Load only the center tile initially; its neighbours are prefetched afterwards
+        const tileKey = `${this.currentTile.x},${this.currentTile.y}`;
+        this.initialTileFiles.set(tileKey, this.allTileFiles.get(tileKey) || []);
+        await this.loadCurrentTile();
 
-        console.log('Loading initial center tile:', centerX, centerY);
+        this.initialTilesLoaded = true;
+    }
 
-        const tileKey = `${centerX},${centerY}`;
-        const tileFiles = this.allTileFiles.get(tileKey);
-        
-        if (tileFiles && tileFiles.length > 0) {
-            // Load only the center tile file
-            const tileFile = tileFiles[0];
-            this.initialTileFiles.set(tileKey, [tileFile]);
-            await this.loadFileForTile(tileFile);
-            console.log(`Loaded file for center tile (${centerX}, ${centerY}): ${tileFile.file.name}`);
+    async loadCurrentTile() {
+        // The merged view streams the tile in once the camera gets there
+        if (this.mergedView) {
+            this.focusOnCurrentTile();
+            return;
         }
 
-        this.initialTilesLoaded = true;
+        const { x, y } = this.currentTile;
+        const tileKey = `${x},${y}`;
+        const generation = this.tileLoadGeneration;
+
+        try {
+            await this.loadTile(tileKey, 1);
+        } catch (error) {
+            if (generation !== this.tileLoadGeneration || tileKey !== `${this.currentTile.x},${this.currentTile.y}`) return;
+            const fileInfo = this.dom('fileInfo');
+            if (LoadProgress.isAbort(error)) {
+                fileInfo.textContent = `Loading tile (${x}, ${y}) cancelled`;
+                return;
+            }
+
+            // Go there anyway, so the tile's broken outline is in view
+            fileInfo.textContent = `Tile (${x}, ${y}) could not be loaded: ${error.message}`;
+            this.showTiles(this.showAllTiles ? this.getLoadedTileKeys() : []);
+            this.focusOnCurrentTile();
+            return;
+        }
+
+        // The user may have moved on while this tile was loading
+        if (tileKey !== `${this.currentTile.x},${this.currentTile.y}`) return;
+
+        this.showTiles(this.showAllTiles ? this.getLoadedTileKeys() : [tileKey]);
         this.focusOnCurrentTile();
+
+        this.prefetchNeighbours();
     }
 
-    async loadCurrentTile() {
-        this.clearCurrentPointClouds();
+    // Resolve a tile's point clouds from the cache, or decode its files. Concurrent
+    // requests for the same tile share one load. A tile is kept with the files that
+    // decoded and marked broken if any failed; a cancelled load isn't kept at all, so
+    // it can be tried again.
+    loadTile(tileKey, priority = 0) {
+        const cached = this.tileCache.get(tileKey);
+        if (cached) return Promise.resolve(cached);
 
-        const tileKey = `${this.currentTile.x},${this.currentTile.y}`;
+        if (this.pendingTileLoads.has(tileKey)) {
+            return this.pendingTileLoads.get(tileKey);
+        }
+
+        // A load that outlives its folder or layout is dropped like a cancelled one
+        const generation = this.tileLoadGeneration;
         const filesToLoad = this.allTileFiles.get(tileKey) || [];
+        const load = Promise.allSettled(filesToLoad.map(tileFile => this.loadFileForTile(tileFile, priority)))
+            .then(results => {
+                const pointClouds = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+                const errors = results.filter(result => result.status === 'rejected').map(result => result.reason);
+
+                if (generation !== this.tileLoadGeneration) errors.push(new DOMException('Cancelled', 'AbortError'));
+                const aborted = errors.find(LoadProgress.isAbort);
+                if (aborted) {
+                    for (const points of pointClouds) points.dispose();
+                    throw aborted;
+                }
+                if (errors.length > 0) this.markTileBroken(tileKey, errors);
+                if (pointClouds.length === 0 && errors.length > 0) throw errors[0];
+
+                this.tileCache.set(tileKey, pointClouds);
+                for (const points of pointClouds) {
+                    this.loadedPointClouds.set(points.userData.fileName, points);
+                }
+                this.pointFilter.refresh();
+                // Attribute ranges grow as tiles arrive
+                if (!this.colorRangeManual) this.resetColorRange();
+                return pointClouds;
+            })
+            .finally(() => {
+                if (this.pendingTileLoads.get(tileKey) === load) this.pendingTileLoads.delete(tileKey);
+            });
+
+        this.pendingTileLoads.set(tileKey, load);
+        return load;
+    }
 
-        console.log(`Loading file for tile ${tileKey}`);
+    markTileBroken(tileKey, errors) {
+        this.brokenTiles.set(tileKey, errors.map(error => error.message || String(error)));
+        this.updateBrokenTileMarkers();
+    }
 
-        for (const tileFile of filesToLoad) {
-            await this.loadFileForTile(tileFile);
+    // A red outline and cross over the footprint of each broken tile, at the bottom
+    // of its elevation range
+    updateBrokenTileMarkers() {
+        if (this.brokenTileMarkers) {
+            this.scene.remove(this.brokenTileMarkers);
+            this.brokenTileMarkers.geometry.dispose();
+            this.brokenTileMarkers.material.dispose();
+            this.brokenTileMarkers = null;
         }
 
-        this.focusOnCurrentTile();
+        const vertices = [];
+        for (const tileKey of this.brokenTiles.keys()) {
+            const cell = this.tileGrid.get(tileKey);
+            if (!cell) continue;
+
+            const { x, y } = this.getTileOffset(cell.x, cell.y);
+            const halfX = (cell.maxX - cell.minX) / 2;
+            const halfY = (cell.maxY - cell.minY) / 2;
+            const z = this.mergedView ? cell.minZ - this.sceneOrigin.z : (cell.minZ - cell.maxZ) / 2;
+            const corners = [[-halfX, -halfY], [halfX, -halfY], [halfX, halfY], [-halfX, halfY]]
+                .map(([dx, dy]) => [x + dx, y + dy, z]);
+
+            for (let i = 0; i < 4; i++) {
+                vertices.push(...corners[i], ...corners[(i + 1) % 4]);
+            }
+            vertices.push(...corners[0], ...corners[2], ...corners[1], ...corners[3]);
+        }
+        if (vertices.length === 0) return;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        this.brokenTileMarkers = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0xe74c3c }));
+        this.scene.add(this.brokenTileMarkers);
+    }
+
+    // Put exactly the given tiles in the scene; the rest stay cached but hidden
+    showTiles(tileKeys) {
+        this.clearCurrentPointClouds();
+
+        for (const tileKey of tileKeys) {
+            const pointClouds = this.tileCache.get(tileKey) || [];
+            for (const points of pointClouds) {
+                this.scene.add(points);
+                this.currentPointClouds.push(points);
+            }
+        }
+
+        this.visibleTiles = new Set(tileKeys);
+        this.tileCache.pin(this.visibleTiles);
+        this.changeTool.updateVisibility();
+        this.cleaningTool.updatePlacement();
+        this.clipTool.updatePlacement();
+        this.measurementTool.updatePlacement();
+        this.annotationTool.updatePlacement();
     }
 
-    async loadFileForTile(tileFile) {
-        return new Promise((resolve, reject) => {
-            const loader = new THREE.PLYLoader();
-
-            loader.load(
-                URL.createObjectURL(tileFile.file),
-                (geometry) => {
-                    // Center the geometry at origin for better visualization
-                    geometry.computeBoundingBox();
-                    const bbox = geometry.boundingBox;
-                    const center = new THREE.Vector3();
-                    bbox.getCenter(center);
-                    geometry.translate(-center.x, -center.y, -center.z);
-
-                    const material = new THREE.PointsMaterial({
-                        size: 0.05, // Reduced point size for better visualization
-                        vertexColors: true,
-                        sizeAttenuation: true
-                    });
-
-                    const points = new THREE.Points(geometry, material);
-
-                    // Position the point cloud based on tile coordinates
-                    const offsetX = (tileFile.tileX - 1) * this.tileSize;
-                    const offsetY = (tileFile.tileY - 1) * this.tileSize;
-                    points.position.set(offsetX, offsetY, 0);
-
-                    this.loadedPointClouds.set(tileFile.file.name, points);
-                    this.currentPointClouds.push(points);
-                    this.scene.add(points);
-
-                    console.log(`Visualized file: ${tileFile.file.name} at position (${offsetX}, ${offsetY}, 0)`);
-                    resolve(points);
-                },
-                undefined,
-                (error) => {
-                    console.error(`Error loading file ${tileFile.file.name}:`, error);
-                    reject(error);
+    // Decode the tiles around the current one in the background, nearest first
+    prefetchNeighbours() {
+        const neighbours = [];
+        for (let dx = -this.prefetchRadius; dx <= this.prefetchRadius; dx++) {
+            for (let dy = -this.prefetchRadius; dy <= this.prefetchRadius; dy++) {
+                const tileKey = `${this.currentTile.x + dx},${this.currentTile.y + dy}`;
+                if ((dx !== 0 || dy !== 0) && this.allTileFiles.has(tileKey) && !this.tileCache.has(tileKey) && !this.brokenTiles.has(tileKey)) {
+                    neighbours.push({ tileKey, distance: dx * dx + dy * dy });
                 }
-            );
+            }
+        }
+
+        neighbours.sort((a, b) => a.distance - b.distance);
+
+        for (const { tileKey } of neighbours) {
+            this.loadTile(tileKey, 0).catch(error => {
+                if (!LoadProgress.isAbort(error)) console.warn(`Prefetch of tile ${tileKey} failed:`, error);
+            });
+        }
+    }
+
+    async loadFileForTile(tileFile, priority = 0) {
+        const fileInfo = this.dom('fileInfo');
+        const coords = tileFile.originalCoords;
+        const fileName = tileFile.file.name;
+        this.loadProgress.start('decode', fileName, { background: priority === 0 });
+        // Loads from a replaced folder or layout no longer report to the panel
+        const generation = this.tileLoadGeneration;
+        const current = () => generation === this.tileLoadGeneration;
+
+        // Decode in a worker; the known bounding-box centre lets the worker centre the
+        // geometry in a single pass
+        const data = await this.workerPool.run('decode', {
+            file: tileFile.file,
+            options: {
+                ...(coords ? { center: [coords.centerX, coords.centerY, coords.centerZ], pointCount: coords.vertexCount } : {}),
+                octree: this.octreeOptions
+            }
+        }, (loaded, total) => {
+            if (!current()) return;
+            const percent = total > 0 ? Math.round((loaded / total) * 100) : 100;
+            // Background prefetches don't take over the status line
+            if (priority > 0) {
+                fileInfo.innerHTML = `<span class="loading"></span>Loading ${fileName} - ${percent}%`;
+            }
+            this.loadProgress.progress('decode', fileName, loaded, total);
+        }, priority, this.loadProgress.signal).catch(error => {
+            if (!current()) throw error;
+            if (!LoadProgress.isAbort(error)) console.error(`Error loading file ${fileName}:`, error);
+            this.loadProgress.fail('decode', fileName, error);
+            throw error;
         });
+
+        if (current()) this.loadProgress.finish('decode', fileName, 'ok', `${data.pointCount.toLocaleString()} points`);
+        return this.createPointCloud(data, fileName, tileFile.tileX, tileFile.tileY);
     }
 
-    focusOnCurrentTile() {
-        const offsetX = (this.currentTile.x - 1) * this.tileSize;
-        const offsetY = (this.currentTile.y - 1) * this.tileSize;
+    // Scene object for a file's decoded data, placed and coloured like the rest
+    createPointCloud(data, fileName, tileX, tileY) {
+        const geometry = this.createGeometry(data);
 
-        // Improved camera positioning
-        this.controls.target.set(offsetX, offsetY, 0);
+        const material = new PointCloudMaterial(this.sharedUniforms, {
+            originZ: data.center[2],
+            hasColor: !!data.colors,
+            shape: this.pointShape
+        });
 
-        // Calculate optimal camera distance based on tile size
-        const optimalDistance = this.tileSize * 2.0;
-        this.camera.position.set(offsetX, offsetY, optimalDistance);
+        const points = new PointCloudOctree(geometry, material, data.octree && data.octree.nodes);
+
+        // Original coordinates = local position + centre
+        points.userData = {
+            fileName,
+            center: data.center,
+            attributeOffsets: data.attributeOffsets || {},
+            attributeRanges: data.attributeRanges || {},
+            classCounts: data.classCounts || {},
+            tileX,
+            tileY
+        };
+        this.placePointCloud(points);
+        this.applyColorAttribute(points);
+        this.pointFilter.applyAttributes(points);
+        return points;
+    }
 
-        this.controls.update();
+    // Swap a decoded file for another version of it, such as a cleaned copy, in the
+    // tile cache, the loaded files and the scene
+    replacePointCloud(oldPoints, newPoints) {
+        const { tileX, tileY, fileName } = oldPoints.userData;
+        this.tileCache.replace(`${tileX},${tileY}`, oldPoints, newPoints);
+        this.loadedPointClouds.set(fileName, newPoints);
+
+        const index = this.currentPointClouds.indexOf(oldPoints);
+        if (index !== -1) {
+            this.currentPointClouds[index] = newPoints;
+            this.scene.remove(oldPoints);
+            this.scene.add(newPoints);
+        }
 
-        // Reset camera to ensure proper view
-        this.camera.lookAt(offsetX, offsetY, 0);
+        // Placement, colour and filter settings may have changed while it was out of the scene
+        this.placePointCloud(newPoints);
+        newPoints.material.setShape(this.pointShape);
+        this.applyColorAttribute(newPoints);
+        this.pointFilter.applyAttributes(newPoints);
+    }
 
-        console.log(`Focused on tile (${this.currentTile.x}, ${this.currentTile.y}) at position (${offsetX}, ${offsetY}, 0)`);
+    // The tile view spreads files over the grid by tile; the merged view puts each one
+    // at its centre minus the shared origin. Geometry stays relative to the file's own
+    // centre in both, so float32 positions keep their precision with UTM coordinates.
+    placePointCloud(points) {
+        const { center, tileX, tileY } = points.userData;
+        if (this.mergedView) {
+            points.position.set(center[0], center[1], center[2]).sub(this.sceneOrigin);
+        } else {
+            const offset = this.getTileOffset(tileX, tileY);
+            points.position.set(offset.x, offset.y, 0);
+        }
+        points.updateMatrixWorld();
     }
 
-    navigate(direction) {
+    async setMergedView(enabled) {
         if (this.allTileFiles.size === 0) {
-            alert('Please load PLY files first!');
+            alert('Please load point cloud files first!');
             return;
         }
 
-        let newTileX = this.currentTile.x;
-        let newTileY = this.currentTile.y;
-
-        switch (direction) {
-            case 'left':
-                newTileX--;
-                break;
-            case 'right':
-                newTileX++;
-                break;
-            case 'up':
-                newTileY++;
-                break;
-            case 'down':
-                newTileY--;
-                break;
-        }
-
-        // Check if new tile position is within 3x3 grid
-        if (newTileX >= 0 && newTileX < 3 && newTileY >= 0 && newTileY < 3) {
-            const newTileKey = `${newTileX},${newTileY}`;
-            const tileFiles = this.allTileFiles.get(newTileKey) || [];
-            
-            if (tileFiles.length > 0) {
-                this.currentTile = { x: newTileX, y: newTileY };
-                this.loadCurrentTile();
-
-                document.getElementById('fileInfo').textContent =
-                    `Current tile: (${newTileX}, ${newTileY}) - ${tileFiles[0].file.name}`;
+        this.mergedView = enabled;
+        this.dom('mergedViewButton').textContent = enabled ? 'Tile View' : 'Merged View';
+        for (const points of this.loadedPointClouds.values()) {
+            this.placePointCloud(points);
+        }
+        this.terrainTool.updatePlacement();
+        this.changeTool.updatePlacement();
+        this.cleaningTool.updatePlacement();
+        this.clipTool.updatePlacement();
+        this.measurementTool.updatePlacement();
+        this.annotationTool.updatePlacement();
+        this.updateBrokenTileMarkers();
+
+        await this.loadCurrentTile();
+    }
+
+    // Merged view: decode and show the tiles in the view frustum, nearest first, as
+    // many as the tile cache can hold. Runs a few times a second from the render loop.
+    updateStreaming() {
+        this.lastStreamingUpdate = performance.now();
+        const origin = this.sceneOrigin;
+        const target = this.controls.target;
+
+        this.camera.updateMatrixWorld();
+        const frustum = new THREE.Frustum().setFromProjectionMatrix(
+            new THREE.Matrix4().multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse)
+        );
+        const box = new THREE.Box3();
+        const candidates = [];
+        for (const [tileKey, cell] of this.tileGrid) {
+            box.min.set(cell.minX, cell.minY, cell.minZ).sub(origin);
+            box.max.set(cell.maxX, cell.maxY, cell.maxZ).sub(origin);
+
+            // The tile under the orbit target becomes the current one, for navigation,
+            // unless the camera is still on its way to a tile picked by the user
+            if (!this.cameraTween && target.x >= box.min.x && target.x <= box.max.x && target.y >= box.min.y && target.y <= box.max.y &&
+                (cell.x !== this.currentTile.x || cell.y !== this.currentTile.y)) {
+                this.setCurrentTile(cell.x, cell.y);
+            }
+
+            if (frustum.intersectsBox(box)) {
+                candidates.push({ tileKey, distance: box.distanceToPoint(this.camera.position) });
+            }
+        }
+        candidates.sort((a, b) => a.distance - b.distance);
+
+        // Stay below the cache budget so streamed tiles don't evict each other
+        const wanted = [];
+        let pointCount = 0;
+        for (const { tileKey } of candidates) {
+            const tilePoints = this.allTileFiles.get(tileKey)
+                .reduce((sum, tileFile) => sum + (tileFile.originalCoords.vertexCount || 0), 0);
+            if (wanted.length > 0 && pointCount + tilePoints > this.tileCache.maxPoints * 0.8) break;
+            pointCount += tilePoints;
+            wanted.push(tileKey);
+        }
+
+        const shown = wanted.filter(tileKey => this.tileCache.has(tileKey));
+        if (shown.length !== this.visibleTiles.size || shown.some(tileKey => !this.visibleTiles.has(tileKey))) {
+            this.showTiles(shown);
+        }
+
+        // The nearest missing tile jumps the worker queue
+        const missing = wanted.filter(tileKey =>
+            !this.tileCache.has(tileKey) && !this.pendingTileLoads.has(tileKey) && !this.brokenTiles.has(tileKey));
+        missing.forEach((tileKey, i) => {
+            this.loadTile(tileKey, i === 0 ? 1 : 0).catch(error => {
+                if (!LoadProgress.isAbort(error)) console.warn(`Streaming tile ${tileKey} failed:`, error);
+            });
+        });
+    }
+
+    setTool(tool) {
+        this.measurementTool.setTool(tool);
+        this.annotationTool.setTool(tool);
+        for (const button of this.domAll('[data-tool]')) {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        }
+        this.renderer.domElement.style.cursor = tool === 'none' ? '' : 'crosshair';
+    }
+
+    handleCanvasClick(event) {
+        if (this.measurementTool.activeTool === 'none') return;
+
+        const pick = this.pickPoint(event.clientX, event.clientY);
+        if (!pick) return;
+
+        this.showPointInfo(pick);
+        this.measurementTool.handlePick(pick);
+        this.annotationTool.handlePick(pick);
+        this.emit('pointPicked', {
+            fileName: pick.fileName,
+            index: pick.index,
+            coordinates: pick.original,
+            position: pick.world.toArray(),
+            attributes: pick.attributes
+        });
+    }
+
+    // Find the visible point under the cursor across all tiles in the scene
+    pickPoint(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const mouse = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(mouse, this.camera);
+
+        let best = null;
+        for (const pointCloud of this.getDrawnPointClouds()) {
+            const hit = pointCloud.pick(this.raycaster, this.camera, rect.height, 6, index => this.isPointHidden(pointCloud, index));
+            if (hit && (!best || hit.distance < best.distance)) {
+                best = { ...hit, pointCloud };
+            }
+        }
+
+        return best ? this.describePoint(best.pointCloud, best.index) : null;
+    }
+
+    // Points cut away by clipping or filtered out aren't drawn, so they can't be picked either
+    isPointHidden(pointCloud, index) {
+        // The filters don't apply to the comparison epoch's points
+        if (!pointCloud.userData.comparison && this.pointFilter.active && this.pointFilter.isFiltered(pointCloud, index)) return true;
+        if (!this.clipTool.active) return false;
+        const position = new THREE.Vector3().fromArray(pointCloud.geometry.attributes.position.array, index * 3);
+        return this.clipTool.isClipped(pointCloud.localToWorld(position).sub(pointCloud.material.uniforms.displayShift.value));
+    }
+
+    // Scene position, original survey coordinates and attributes of one point. The
+    // original coordinates undo the centring applied at decode time; the tile offset
+    // only exists in the scene position.
+    describePoint(pointCloud, index) {
+        const geometry = pointCloud.geometry;
+        const local = new THREE.Vector3().fromArray(geometry.attributes.position.array, index * 3);
+        const center = pointCloud.userData.center;
+        const offsets = pointCloud.userData.attributeOffsets;
+
+        const attributes = {};
+        for (const [name, attribute] of Object.entries(geometry.attributes)) {
+            if (name === 'position' || name === 'colorScalar') continue;
+            if (name === 'color') {
+                attributes.rgb = [0, 1, 2].map(channel => Math.round(attribute.array[index * 3 + channel] * 255));
             } else {
-                console.log(`Tile (${newTileX}, ${newTileY}) has no file assigned`);
-                document.getElementById('fileInfo').textContent =
-                    `Current tile: (${newTileX}, ${newTileY}) - No file available`;
+                attributes[name] = attribute.array[index] + (offsets[name] || 0);
             }
+        }
+
+        return {
+            pointCloud,
+            index,
+            fileName: pointCloud.userData.fileName,
+            world: pointCloud.localToWorld(local.clone()),
+            original: [local.x + center[0], local.y + center[1], local.z + center[2]],
+            attributes
+        };
+    }
+
+    showPointInfo(pick) {
+        this.pickMarker.position.copy(pick.world);
+        this.pickMarker.visible = true;
+
+        const rows = [
+            ['File', pick.fileName],
+            ['X', pick.original[0].toFixed(3)],
+            ['Y', pick.original[1].toFixed(3)],
+            ['Z', pick.original[2].toFixed(3)],
+            ...Object.entries(pick.attributes).map(([name, value]) => [
+                name,
+                Array.isArray(value) ? value.join(', ') : (Number.isInteger(value) ? value : value.toFixed(3))
+            ])
+        ];
+
+        this.dom('pointInfo').innerHTML =
+            `<table>${rows.map(([name, value]) => `<tr><th>${name}</th><td>${value}</td></tr>`).join('')}</table>`;
+    }
+
+    // Colour modes are 'rgb', 'elevation', 'intensity', 'classification' or
+    // 'scalar:<property>' for any other per-point property. Switching only re-points
+    // the shader's colorScalar attribute and updates shared uniforms.
+    setColorMode(value) {
+        const isScalar = value.startsWith('scalar:');
+        const mode = isScalar ? 'scalar' : value;
+        if (!(mode in PointCloudMaterial.COLOR_MODES)) return;
+
+        this.colorMode = mode;
+        this.colorScalarName = isScalar ? value.slice('scalar:'.length)
+            : (mode === 'intensity' || mode === 'classification' ? mode : null);
+        this.sharedUniforms.colorMode.value = PointCloudMaterial.COLOR_MODES[mode];
+
+        for (const points of [...this.loadedPointClouds.values(), ...this.cleaningTool.pointClouds]) {
+            this.applyColorAttribute(points);
+        }
+
+        this.dom('colorMode').value = value;
+        this.resetColorRange();
+    }
+
+    applyColorAttribute(points) {
+        const attribute = this.colorScalarName ? points.geometry.attributes[this.colorScalarName] : null;
+        points.setGeometryAttribute('colorScalar', attribute || null);
+    }
+
+    // Apply the Shading panel: splat shape, fixed or adaptive size, eye-dome lighting
+    updatePointRendering() {
+        const number = (id, fallback) => {
+            const value = parseFloat(this.dom(id).value);
+            return value > 0 ? value : fallback;
+        };
+        const uniforms = this.sharedUniforms;
+
+        this.pointShape = this.dom('pointShape').value;
+        for (const points of [...this.loadedPointClouds.values(), ...this.changeTool.pointClouds, ...this.cleaningTool.pointClouds]) {
+            points.material.setShape(this.pointShape);
+        }
+
+        const sizeMode = this.dom('pointSizeMode').value;
+        uniforms.sizeMode.value = PointCloudMaterial.SIZE_MODES[sizeMode] ?? PointCloudMaterial.SIZE_MODES.fixed;
+        uniforms.size.value = number('pointSize', this.options.pointSize);
+        uniforms.sizeScale.value = number('pointSizeScale', 1);
+        uniforms.maxPointSize.value = Math.max(number('pointSizeMax', 32), uniforms.minPointSize.value);
+
+        this.eyeDomeLighting.enabled = this.dom('edlEnabled').checked;
+        this.eyeDomeLighting.strength = Math.max(parseFloat(this.dom('edlStrength').value) || 0, 0);
+        this.eyeDomeLighting.radius = number('edlRadius', 1.4);
+    }
+
+    setColorRamp(name) {
+        const uniform = this.sharedUniforms.rampTexture;
+        uniform.value.dispose();
+        uniform.value = PointCloudMaterial.createRampTexture(name);
+        this.colorRampName = name;
+        this.dom('colorRamp').value = name;
+        this.updateColorLegend();
+    }
+
+    // Range covering the data: elevation from the indexed bounds, attributes from
+    // the ranges reported for the loaded tiles
+    getAutoColorRange() {
+        if (this.colorMode === 'rgb' || this.colorMode === 'elevation') {
+            return [this.minZ, this.maxZ];
+        }
+
+        let min = Infinity;
+        let max = -Infinity;
+        for (const points of this.loadedPointClouds.values()) {
+            const range = points.userData.attributeRanges[this.colorScalarName];
+            if (range) {
+                min = Math.min(min, range[0]);
+                max = Math.max(max, range[1]);
+            }
+        }
+        return min <= max ? [min, max] : [0, 1];
+    }
+
+    resetColorRange() {
+        this.colorRangeManual = false;
+        const [min, max] = this.getAutoColorRange();
+        this.setColorRange(min, max);
+    }
+
+    setColorRange(min, max) {
+        const uniform = this.colorMode === 'rgb' || this.colorMode === 'elevation'
+            ? this.sharedUniforms.elevationRange
+            : this.sharedUniforms.scalarRange;
+        uniform.value.set(min, max);
+
+        this.dom('colorRangeMin').value = +min.toFixed(3);
+        this.dom('colorRangeMax').value = +max.toFixed(3);
+        this.updateColorLegend();
+    }
+
+    // Offer every per-point property found while indexing as an extra colour mode
+    populateScalarModes() {
+        const builtIn = new Set(['x', 'y', 'z', 'red', 'green', 'blue', 'r', 'g', 'b', 'alpha',
+            'diffuse_red', 'diffuse_green', 'diffuse_blue', 'intensity', 'classification']);
+        const names = new Set();
+        for (const coords of this.fileCoordinates.values()) {
+            for (const name of coords.properties || []) {
+                if (!builtIn.has(name)) names.add(name);
+            }
+        }
+
+        const group = this.dom('scalarModes');
+        group.innerHTML = '';
+        for (const name of [...names].sort()) {
+            const option = document.createElement('option');
+            option.value = `scalar:${name}`;
+            option.textContent = name;
+            group.appendChild(option);
+        }
+
+        // The selected property may not exist in the new folder
+        if (this.colorMode === 'scalar' && !names.has(this.colorScalarName)) {
+            this.setColorMode('rgb');
+        }
+    }
+
+    updateColorLegend() {
+        const legend = this.dom('colorLegend');
+        legend.innerHTML = '';
+
+        if (this.colorMode === 'classification') {
+            for (const [code, { name, color }] of Object.entries(ASPRS_CLASSES)) {
+                const item = document.createElement('div');
+                item.className = 'legend-item';
+                item.innerHTML = `<span class="legend-swatch" style="background: ${color}"></span>${code} - ${name}`;
+                legend.appendChild(item);
+            }
+            return;
+        }
+
+        const { x: min, y: max } = this.colorMode === 'rgb' || this.colorMode === 'elevation'
+            ? this.sharedUniforms.elevationRange.value
+            : this.sharedUniforms.scalarRange.value;
+        const title = this.colorMode === 'rgb' ? 'RGB (uncoloured files use elevation)'
+            : this.colorMode === 'scalar' ? this.colorScalarName : this.colorMode;
+
+        legend.innerHTML = `
+            <div>${title}</div>
+            <div class="legend-ramp" style="background: ${PointCloudMaterial.rampGradient(this.colorRampName)}"></div>
+            <div class="legend-labels"><span>${+min.toFixed(2)}</span><span>${+max.toFixed(2)}</span></div>
+        `;
+    }
+
+    // Wrap the typed arrays sent back by a worker in a BufferGeometry
+    createGeometry(data) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(data.positions, 3));
+
+        if (data.colors) {
+            geometry.setAttribute('color', new THREE.BufferAttribute(data.colors, 3));
+        }
+
+        for (const [name, array] of Object.entries(data.attributes)) {
+            geometry.setAttribute(name, new THREE.BufferAttribute(array, 1));
+        }
+
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+        return geometry;
+    }
+
+    // Tiles of the current layout that are decoded and ready to show
+    getLoadedTileKeys() {
+        return [...this.allTileFiles.keys()].filter(tileKey => this.tileCache.has(tileKey));
+    }
+
+    // Switch between the current tile alone and the whole survey. The octree point
+    // budget keeps the frame rate steady however many tiles are in the scene.
+    async toggleShowAllTiles() {
+        if (this.allTileFiles.size === 0) {
+            alert('Please load point cloud files first!');
+            return;
+        }
+
+        // The merged view already streams whatever is in view; just frame the survey
+        if (this.mergedView) {
+            this.focusOnLayout();
+            return;
+        }
+
+        this.showAllTiles = !this.showAllTiles;
+        this.dom('showAllButton').textContent = this.showAllTiles ? 'Show Current Tile' : 'Show All Tiles';
+
+        const currentKey = `${this.currentTile.x},${this.currentTile.y}`;
+        if (!this.showAllTiles) {
+            this.showTiles([currentKey]);
+            this.focusOnCurrentTile();
+            return;
+        }
+
+        this.showTiles(this.getLoadedTileKeys());
+        this.focusOnLayout();
+
+        // Tiles appear one by one as they finish decoding
+        const loads = [...this.allTileFiles.keys()].map(tileKey =>
+            this.loadTile(tileKey, tileKey === currentKey ? 1 : 0)
+                .then(() => {
+                    if (this.showAllTiles) this.showTiles(this.getLoadedTileKeys());
+                })
+                .catch(error => {
+                    if (!LoadProgress.isAbort(error)) console.warn(`Loading tile ${tileKey} failed:`, error);
+                })
+        );
+        await Promise.all(loads);
+
+        const stats = this.tileCache.stats;
+        if (stats.points > this.tileCache.maxPoints || stats.megabytes * 1024 * 1024 > this.tileCache.maxBytes) {
+            console.warn(`All tiles are pinned in the cache above its budget: ${JSON.stringify(stats)}`);
+        }
+    }
+
+    // Frame the whole tile layout
+    focusOnLayout() {
+        let width = this.gridWidth * this.tileSize;
+        let height = this.gridHeight * this.tileSize;
+        let centerX = ((this.gridWidth - 1) / 2) * this.tileSize;
+        let centerY = ((this.gridHeight - 1) / 2) * this.tileSize;
+        if (this.mergedView) {
+            width = this.maxX - this.minX;
+            height = this.maxY - this.minY;
+            centerX = (this.minX + this.maxX) / 2 - this.sceneOrigin.x;
+            centerY = (this.minY + this.maxY) / 2 - this.sceneOrigin.y;
+        }
+        const distance = Math.max(width, height) / (2 * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2)) * 1.2;
+
+        this.animateCameraTo(
+            new THREE.Vector3(centerX, centerY, distance),
+            new THREE.Vector3(centerX, centerY, 0)
+        );
+    }
+
+    focusOnCurrentTile() {
+        const { x: offsetX, y: offsetY } = this.getTileOffset(this.currentTile.x, this.currentTile.y);
+
+        // Calculate optimal camera distance based on tile size
+        const optimalDistance = this.tileSize * 2.0;
+
+        this.animateCameraTo(
+            new THREE.Vector3(offsetX, offsetY, optimalDistance),
+            new THREE.Vector3(offsetX, offsetY, 0)
+        );
+    }
+
+    // Glide the camera and orbit target to a new view instead of jumping there
+    animateCameraTo(position, target, duration = 800) {
+        this.cameraTween = {
+            fromPosition: this.camera.position.clone(),
+            toPosition: position,
+            fromTarget: this.controls.target.clone(),
+            toTarget: target,
+            start: performance.now(),
+            duration
+        };
+    }
+
+    updateCameraTween() {
+        const tween = this.cameraTween;
+        if (!tween) return;
+
+        const t = Math.min(1, (performance.now() - tween.start) / tween.duration);
+        const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+        this.camera.position.lerpVectors(tween.fromPosition, tween.toPosition, eased);
+        this.controls.target.lerpVectors(tween.fromTarget, tween.toTarget, eased);
+
+        if (this.cameraMode === 'fly') {
+            this.camera.lookAt(this.controls.target);
+        }
+
+        if (t >= 1) {
+            this.cameraTween = null;
+            // Let the fly camera continue from the new view direction
+            if (this.cameraMode === 'fly') this.flyNavigator.enable();
+        }
+    }
+
+    // Switch between orbiting a target and free flight, keeping the camera where it is
+    setCameraMode(mode) {
+        if (mode === this.cameraMode) return;
+        this.cameraMode = mode;
+
+        if (mode === 'fly') {
+            this.controls.enabled = false;
+            this.flyNavigator.enable();
         } else {
-            console.log(`Tile (${newTileX}, ${newTileY}) is out of bounds`);
+            this.flyNavigator.disable();
+
+            // Orbit around a point straight ahead so the view doesn't jump
+            const direction = new THREE.Vector3();
+            this.camera.getWorldDirection(direction);
+            const distance = Math.max(this.camera.position.distanceTo(this.controls.target), this.controls.minDistance);
+            this.controls.target.copy(this.camera.position).addScaledVector(direction, distance);
+
+            this.camera.up.set(0, 1, 0);
+            this.controls.enabled = true;
+            this.controls.update();
+        }
+
+        for (const button of this.domAll('[data-camera-mode]')) {
+            button.classList.toggle('active', button.dataset.cameraMode === mode);
+        }
+    }
+
+    // Zoom limits, far plane and flying speed follow the size of the loaded layout
+    updateCameraLimits() {
+        const layoutSize = Math.max(this.gridWidth, this.gridHeight, 1) * this.tileSize;
+        const maxDistance = Math.max(500, layoutSize * 4);
+
+        this.controls.minDistance = Math.min(5, this.tileSize * 0.01);
+        this.controls.maxDistance = maxDistance;
+        this.camera.near = Math.max(0.01, this.tileSize * 0.0001);
+        this.camera.far = Math.max(10000, maxDistance * 2);
+        this.camera.updateProjectionMatrix();
+
+        this.flyNavigator.speed = Math.max(1, this.tileSize / 4);
+    }
+
+    navigate(direction) {
+        if (this.allTileFiles.size === 0) {
+            alert('Please load point cloud files first!');
+            return;
+        }
+
+        const steps = {
+            left: { dx: -1, dy: 0 },
+            right: { dx: 1, dy: 0 },
+            up: { dx: 0, dy: 1 },
+            down: { dx: 0, dy: -1 }
+        };
+        const step = steps[direction];
+        if (!step) return;
+
+        const fileInfo = this.dom('fileInfo');
+        let newTileX = this.currentTile.x + step.dx;
+        let newTileY = this.currentTile.y + step.dy;
+        let skippedTiles = 0;
+
+        // Walk across empty cells until the next occupied tile in that direction
+        while (this.isInsideGrid(newTileX, newTileY) && !this.allTileFiles.has(`${newTileX},${newTileY}`)) {
+            newTileX += step.dx;
+            newTileY += step.dy;
+            skippedTiles++;
         }
+
+        if (!this.isInsideGrid(newTileX, newTileY)) {
+            const message = skippedTiles > 0
+                ? `No tiles ${direction} of (${this.currentTile.x}, ${this.currentTile.y}): ${skippedTiles} empty tile(s) up to the edge of the ${this.gridWidth}x${this.gridHeight} grid`
+                : `Tile (${this.currentTile.x}, ${this.currentTile.y}) is on the ${direction} edge of the ${this.gridWidth}x${this.gridHeight} grid`;
+            fileInfo.textContent = message;
+            return;
+        }
+
+        const tileFiles = this.allTileFiles.get(`${newTileX},${newTileY}`);
+        this.setCurrentTile(newTileX, newTileY);
+        this.loadCurrentTile();
+
+        const gapNote = skippedTiles > 0 ? ` (skipped ${skippedTiles} empty tile(s))` : '';
+        fileInfo.textContent =
+            `Current tile: (${newTileX}, ${newTileY}) - ${tileFiles.map(t => t.file.name).join(', ')}${gapNote}`;
+    }
+
+    // Every change of the current tile comes through here and is announced to the host page
+    setCurrentTile(x, y) {
+        this.currentTile = { x, y };
+        const tileFiles = this.allTileFiles.get(`${x},${y}`) || [];
+        this.emit('tileChanged', { x, y, files: tileFiles.map(tileFile => tileFile.file.name) });
+    }
+
+    // Jump straight to a tile of the grid, e.g. from a host page's own map
+    async goToTile(x, y) {
+        const tileFiles = this.allTileFiles.get(`${x},${y}`);
+        if (!tileFiles) throw new Error(`There is no tile (${x}, ${y}) in the loaded data`);
+
+        this.setCurrentTile(x, y);
+        await this.loadCurrentTile();
+        this.dom('fileInfo').textContent = `Current tile: (${x}, ${y}) - ${tileFiles.map(t => t.file.name).join(', ')}`;
+    }
+
+    isInsideGrid(tileX, tileY) {
+        return tileX >= 0 && tileX < this.gridWidth && tileY >= 0 && tileY < this.gridHeight;
+    }
+
+    // Point clouds drawn each frame: the shown tiles, unless they are hidden to look at
+    // a comparison, and the comparison epoch's points in the scene
+    getDrawnPointClouds() {
+        const comparison = this.changeTool ? this.changeTool.pointClouds.filter(points => points.parent) : [];
+        const cleaned = this.cleaningTool ? this.cleaningTool.pointClouds : [];
+        return [...this.currentPointClouds.filter(points => points.visible), ...comparison, ...cleaned];
     }
 
+    // Take the visible point clouds out of the scene; they stay in the tile cache
     clearCurrentPointClouds() {
         for (const pointCloud of this.currentPointClouds) {
             this.scene.remove(pointCloud);
-            if (pointCloud.geometry) pointCloud.geometry.dispose();
-            if (pointCloud.material) pointCloud.material.dispose();
         }
         this.currentPointClouds = [];
+        this.visibleTiles.clear();
     }
 
+    // Dispose every decoded tile, e.g. when a new folder replaces the current one
     clearAllPointClouds() {
         this.clearCurrentPointClouds();
+        this.tileCache.clear();
+        this.pendingTileLoads.clear();
+        this.tileLoadGeneration++;
         this.loadedPointClouds.clear();
+        this.terrainTool.clear();
+        this.changeTool.clear();
     }
 
     animate() {
-        requestAnimationFrame(() => this.animate());
-        if (this.controls) {
+        if (this.disposed) return;
+        this.animationFrame = requestAnimationFrame(() => this.animate());
+        const delta = this.clock.getDelta();
+        // Animation captures drive the camera and renderer themselves
+        if (this.captureTool && this.captureTool.busy) return;
+
+        this.updateCameraTween();
+        if (this.cameraMode === 'fly') {
+            this.flyNavigator.update(delta);
+        } else if (this.controls) {
             this.controls.update();
         }
+        if (this.mergedView && performance.now() - this.lastStreamingUpdate > this.streamingInterval) {
+            this.updateStreaming();
+        }
         if (this.renderer && this.scene && this.camera) {
+            this.visiblePointCount = PointCloudOctree.updateVisibility(
+                this.getDrawnPointClouds(),
+                this.camera,
+                this.renderer.domElement.clientHeight,
+                { pointBudget: this.pointBudget, minNodePixelSize: this.minNodePixelSize }
+            );
+            // The first frame is drawn from init(), before the tools exist
+            if (this.measurementTool) {
+                this.measurementTool.updateLabels(this.camera, this.renderer.domElement.clientWidth, this.renderer.domElement.clientHeight);
+                this.annotationTool.updateLabels(this.camera, this.renderer.domElement.clientWidth, this.renderer.domElement.clientHeight);
+            }
+            this.renderScene();
+        }
+    }
+
+    // Draw to the canvas, through the eye-dome lighting pass when it is on
+    renderScene() {
+        if (this.eyeDomeLighting.enabled) {
+            this.eyeDomeLighting.render(this.scene, this.camera);
+        } else {
             this.renderer.render(this.scene, this.camera);
         }
     }
 
-    onWindowResize() {
-        const canvasContainer = document.getElementById('canvasContainer');
+    onResize() {
+        const canvasContainer = this.canvasContainer;
         const width = canvasContainer.clientWidth;
         const height = canvasContainer.clientHeight;
 
@@ -445,7 +2042,47 @@ class PointCloudVisualizer {
             this.camera.aspect = width / height;
             this.camera.updateProjectionMatrix();
             this.renderer.setSize(width, height);
+            this.sharedUniforms.scale.value = height * 0.5 * this.renderer.getPixelRatio();
+
+            const bufferSize = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+            this.eyeDomeLighting.setSize(bufferSize.x, bufferSize.y);
+        }
+    }
+
+    // Tear the viewer down for a host page: stop drawing and loading, drop the
+    // listeners it added outside its canvas and free the GPU resources. The host's
+    // own markup is left as it was, apart from the canvas.
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        cancelAnimationFrame(this.animationFrame);
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        this.domListeners.abort();
+        if (this.addedTabIndex) this.container.removeAttribute('tabindex');
+        this.eventListeners.clear();
+
+        this.loadProgress.cancel();
+        this.captureTool.cancelled = true;
+        this.viewBookmarks.dispose();
+        this.flyNavigator.dispose();
+        this.clipTool.gizmo.dispose();
+        this.measurementTool.clear();
+        this.annotationTool.dispose();
+        this.clearAllPointClouds();
+        this.workerPool.terminate();
+
+        this.scene.traverse((object) => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        this.changeTool.uniforms.rampTexture.value.dispose();
+        for (const uniform of Object.values(this.sharedUniforms)) {
+            if (uniform.value instanceof THREE.Texture) uniform.value.dispose();
         }
+        this.eyeDomeLighting.dispose();
+        this.controls.dispose();
+        this.renderer.dispose();
+        this.renderer.domElement.remove();
     }
 
     removeVisualHelpers() {
@@ -457,21 +2094,31 @@ class PointCloudVisualizer {
     }
 }
 
-// Initialize the application when the page loads
+// Initialize the application when the page loads. Only the viewer's own page is marked
+// with data-point-cloud-viewer; pages embedding it construct their own instances.
 document.addEventListener('DOMContentLoaded', () => {
+    const container = document.querySelector('[data-point-cloud-viewer]');
+    if (!container) return;
+
     if (typeof THREE === 'undefined') {
         console.error('THREE is not defined. Please check Three.js loading.');
         alert('Error: Three.js library failed to load. Please check your internet connection.');
         return;
     }
 
-    if (typeof THREE.PLYLoader === 'undefined') {
-        console.error('PLYLoader is not defined. Please check PLYLoader loading.');
-        alert('Error: PLYLoader failed to load. Please check console for details.');
+    if (typeof PointCloudReaders === 'undefined' || typeof ScanCache === 'undefined' || typeof WorkerPool === 'undefined' ||
+        typeof TileCache === 'undefined' || typeof PointCloudOctree === 'undefined' || typeof PointCloudMaterial === 'undefined' ||
+        typeof MeasurementTool === 'undefined' || typeof FlyNavigator === 'undefined' || typeof RemoteFile === 'undefined' ||
+        typeof TileLayout === 'undefined' || typeof ClipTool === 'undefined' || typeof PointFilter === 'undefined' || typeof PointExporter === 'undefined' ||
+        typeof CaptureTool === 'undefined' || typeof ViewBookmarks === 'undefined' || typeof CleaningTool === 'undefined' ||
+        typeof TerrainTool === 'undefined' || typeof EyeDomeLighting === 'undefined' || typeof LoadProgress === 'undefined' || typeof ChangeTool === 'undefined' || typeof AnnotationTool === 'undefined' || typeof THREE.TransformControls === 'undefined') {
+        console.error('One of the viewer scripts is not defined. Please check script loading.');
+        alert('Error: Viewer scripts failed to load. Please check console for details.');
         return;
     }
 
-    const visualizer = new PointCloudVisualizer();
+    const visualizer = new PointCloudVisualizer(container);
+    window.pointCloudVisualizer = visualizer; // For the console and scripts on the page
 
     setTimeout(() => {
         visualizer.removeVisualHelpers();
@@ -0,0 +1,290 @@
+// Measurement Tool - point-to-point distance, polyline length, polygon area, height
+// difference and angle between picked points. Values are computed from the points'
+// original survey coordinates; the scene positions are only used for drawing, and are
+// worked out again from them whenever the tiles are placed differently.
+class MeasurementTool {
+    // Number of points that completes each measurement; open-ended ones need Finish
+    static TYPES = {
+        distance: { label: 'Distance', points: 2 },
+        polyline: { label: 'Polyline', points: Infinity, minPoints: 2 },
+        area: { label: 'Area', points: Infinity, minPoints: 3 },
+        height: { label: 'Height', points: 2 },
+        angle: { label: 'Angle', points: 3 }
+    };
+
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.scene = visualizer.scene;
+        this.labelLayer = this.visualizer.dom('labelLayer');
+
+        this.activeTool = 'none'; // 'none', 'pick' or one of TYPES
+        this.measurements = [];
+        this.current = null;
+        this.nextId = 1;
+
+        this.lineMaterial = new THREE.LineBasicMaterial({ color: 0xffd400, depthTest: false, transparent: true });
+        this.markerMaterial = new THREE.PointsMaterial({ color: 0xff3b30, size: 8, sizeAttenuation: false, depthTest: false, transparent: true });
+    }
+
+    setTool(tool) {
+        this.cancelCurrent();
+        this.activeTool = tool;
+    }
+
+    // Called with every point picked while a tool is active
+    handlePick(pick) {
+        if (!(this.activeTool in MeasurementTool.TYPES)) return;
+
+        if (!this.current) {
+            this.current = this.createMeasurement(this.activeTool);
+        }
+
+        // Each point is drawn with the file it was picked on, wherever that file's tile
+        // is placed. Comparison points are drawn with their tile's reference file (see
+        // ChangeTool).
+        const { center, tileX, tileY, comparison } = pick.pointCloud.userData;
+        this.current.points.push({
+            original: pick.original,
+            reference: comparison ? this.visualizer.tileReference(`${tileX},${tileY}`) : { center, tileX, tileY },
+            world: pick.world.clone()
+        });
+        this.updateMeasurement(this.current);
+
+        if (this.current.points.length >= MeasurementTool.TYPES[this.current.type].points) {
+            this.finishCurrent();
+        }
+    }
+
+    createMeasurement(type) {
+        const measurement = {
+            id: this.nextId++,
+            type,
+            points: [],
+            value: null,
+            details: {},
+            group: new THREE.Group(),
+            label: document.createElement('div')
+        };
+        measurement.group.renderOrder = 999;
+        measurement.label.className = 'scene-label';
+        this.labelLayer.appendChild(measurement.label);
+        this.scene.add(measurement.group);
+        return measurement;
+    }
+
+    finishCurrent() {
+        const measurement = this.current;
+        if (!measurement) return;
+        this.current = null;
+
+        if (measurement.points.length < (MeasurementTool.TYPES[measurement.type].minPoints || MeasurementTool.TYPES[measurement.type].points)) {
+            this.disposeMeasurement(measurement);
+            return;
+        }
+
+        this.measurements.push(measurement);
+        this.renderList();
+    }
+
+    cancelCurrent() {
+        if (this.current) {
+            this.disposeMeasurement(this.current);
+            this.current = null;
+        }
+    }
+
+    // Scene positions follow the tile placement (navigation, merged view); a
+    // measurement is only drawn while the tile of one of its points is shown
+    updatePlacement() {
+        const visualizer = this.visualizer;
+        for (const measurement of this.all()) {
+            for (const point of measurement.points) {
+                point.world = visualizer.surveyToScene(point.original, point.reference);
+            }
+            measurement.group.visible = measurement.points.some(({ reference }) =>
+                visualizer.visibleTiles.has(`${reference.tileX},${reference.tileY}`));
+            this.updateMeasurement(measurement);
+        }
+    }
+
+    all() {
+        return [...this.measurements, ...(this.current ? [this.current] : [])];
+    }
+
+    // Rebuild the drawn line, markers and value of a measurement
+    updateMeasurement(measurement) {
+        const { group, points, type } = measurement;
+        for (const child of [...group.children]) {
+            group.remove(child);
+            child.geometry.dispose();
+        }
+
+        const worldPoints = points.map(point => point.world);
+        group.add(new THREE.Points(new THREE.BufferGeometry().setFromPoints(worldPoints), this.markerMaterial));
+        if (worldPoints.length > 1) {
+            const LineType = type === 'area' && worldPoints.length > 2 ? THREE.LineLoop : THREE.Line;
+            group.add(new LineType(new THREE.BufferGeometry().setFromPoints(worldPoints), this.lineMaterial));
+        }
+        for (const child of group.children) {
+            child.renderOrder = 999;
+            child.frustumCulled = false;
+        }
+
+        Object.assign(measurement, MeasurementTool.compute(type, points.map(point => point.original)));
+        measurement.label.textContent = measurement.value === null ? MeasurementTool.TYPES[type].label : MeasurementTool.format(measurement);
+    }
+
+    // Values from original coordinates, relative to the first point to keep precision
+    static compute(type, points) {
+        if (points.length < 2) return { value: null, details: {} };
+        const [ox, oy, oz] = points[0];
+        const local = points.map(([x, y, z]) => [x - ox, y - oy, z - oz]);
+        const distance = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+
+        switch (type) {
+            case 'distance': {
+                const [a, b] = local;
+                return {
+                    value: distance(a, b),
+                    details: {
+                        horizontal: Math.hypot(b[0] - a[0], b[1] - a[1]),
+                        vertical: b[2] - a[2]
+                    }
+                };
+            }
+            case 'height':
+                return { value: local[1][2] - local[0][2], details: {} };
+            case 'polyline': {
+                let length = 0;
+                for (let i = 1; i < local.length; i++) length += distance(local[i - 1], local[i]);
+                return { value: length, details: { segments: local.length - 1 } };
+            }
+            case 'area': {
+                if (local.length < 3) return { value: null, details: {} };
+                // Shoelace formula on the horizontal plane
+                let area = 0;
+                let perimeter = 0;
+                for (let i = 0; i < local.length; i++) {
+                    const a = local[i];
+                    const b = local[(i + 1) % local.length];
+                    area += a[0] * b[1] - b[0] * a[1];
+                    perimeter += distance(a, b);
+                }
+                return { value: Math.abs(area) / 2, details: { perimeter } };
+            }
+            case 'angle': {
+                if (local.length < 3) return { value: null, details: {} };
+                const [a, vertex, b] = local;
+                const u = [a[0] - vertex[0], a[1] - vertex[1], a[2] - vertex[2]];
+                const v = [b[0] - vertex[0], b[1] - vertex[1], b[2] - vertex[2]];
+                const cosine = (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / ((Math.hypot(...u) * Math.hypot(...v)) || 1);
+                return { value: Math.acos(Math.min(1, Math.max(-1, cosine))) * 180 / Math.PI, details: {} };
+            }
+        }
+        return { value: null, details: {} };
+    }
+
+    static unit(type) {
+        return type === 'area' ? 'm²' : (type === 'angle' ? '°' : 'm');
+    }
+
+    static format(measurement) {
+        return `${measurement.value.toFixed(3)} ${MeasurementTool.unit(measurement.type)}`;
+    }
+
+    // Keep the HTML labels on top of the measurements' last points
+    updateLabels(camera, width, height) {
+        const position = new THREE.Vector3();
+        for (const measurement of this.all()) {
+            const points = measurement.points;
+            if (points.length === 0 || !measurement.group.visible) {
+                measurement.label.style.display = 'none';
+                continue;
+            }
+
+            // Label the middle of the points
+            position.set(0, 0, 0);
+            for (const point of points) position.add(point.world);
+            position.divideScalar(points.length).project(camera);
+
+            const visible = position.z > -1 && position.z < 1;
+            measurement.label.style.display = visible ? 'block' : 'none';
+            measurement.label.style.transform =
+                `translate(-50%, -130%) translate(${(position.x + 1) / 2 * width}px, ${(1 - position.y) / 2 * height}px)`;
+        }
+    }
+
+    renderList() {
+        const list = this.visualizer.dom('measurementList');
+        list.innerHTML = '';
+
+        for (const measurement of this.measurements) {
+            const item = document.createElement('div');
+            item.className = 'measurement-item';
+            const details = Object.entries(measurement.details)
+                .map(([name, value]) => `${name}: ${Number.isInteger(value) ? value : value.toFixed(3)}`)
+                .join(', ');
+            item.innerHTML = `<strong>${measurement.id}. ${MeasurementTool.TYPES[measurement.type].label}</strong> ${MeasurementTool.format(measurement)}` +
+                (details ? `<div class="measurement-details">${details}</div>` : '');
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'measurement-remove';
+            removeButton.textContent = '×';
+            removeButton.title = 'Remove measurement';
+            removeButton.addEventListener('click', () => this.remove(measurement));
+            item.prepend(removeButton);
+
+            list.appendChild(item);
+        }
+    }
+
+    remove(measurement) {
+        this.measurements = this.measurements.filter(item => item !== measurement);
+        this.disposeMeasurement(measurement);
+        this.renderList();
+    }
+
+    clear() {
+        this.cancelCurrent();
+        for (const measurement of this.measurements) {
+            this.disposeMeasurement(measurement);
+        }
+        this.measurements = [];
+        this.renderList();
+    }
+
+    disposeMeasurement(measurement) {
+        this.scene.remove(measurement.group);
+        for (const child of measurement.group.children) {
+            child.geometry.dispose();
+        }
+        measurement.label.remove();
+    }
+
+    toJSON() {
+        return this.measurements.map(measurement => ({
+            id: measurement.id,
+            type: measurement.type,
+            value: measurement.value,
+            unit: MeasurementTool.unit(measurement.type),
+            details: measurement.details,
+            points: measurement.points.map(point => point.original)
+        }));
+    }
+
+    exportJSON() {
+        const blob = new Blob([JSON.stringify(this.toJSON(), null, 2)], { type: 'application/json' });
+        downloadBlob(blob, 'measurements.json');
+    }
+
+    // One row per measurement point so polylines and areas keep their vertices
+    exportCSV() {
+        const rows = ['id,type,value,unit,point,x,y,z'];
+        for (const measurement of this.toJSON()) {
+            measurement.points.forEach(([x, y, z], index) => {
+                rows.push([measurement.id, measurement.type, measurement.value, measurement.unit, index + 1, x, y, z].join(','));
+            });
+        }
+        downloadBlob(new Blob([rows.join('\n')], { type: 'text/csv' }), 'measurements.csv');
+    }
+}
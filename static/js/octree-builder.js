@@ -0,0 +1,168 @@
+// Octree Builder - reorders a decoded point cloud into a level-of-detail octree.
+// Points are inserted in random order and each node keeps up to nodeCapacity of them
+// before passing the rest on to its children, so every node holds an even sample of
+// its volume and drawing a node with its ancestors gives a progressively denser
+// cloud. Runs inside the parsing worker; no THREE or DOM access.
+class OctreeBuilder {
+    static build(data, { nodeCapacity = 20000, maxDepth = 12 } = {}) {
+        const count = data.pointCount;
+        const positions = data.positions;
+
+        // Cubic root cell around the (already centred) positions
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        for (let i = 0; i < count; i++) {
+            const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+            if (z < minZ) minZ = z;
+            if (z > maxZ) maxZ = z;
+        }
+        if (count === 0) minX = minY = minZ = maxX = maxY = maxZ = 0;
+        const size = Math.max(maxX - minX, maxY - minY, maxZ - minZ, 1e-6);
+
+        const nodes = [OctreeBuilder.createNode(0, -1, [minX, minY, minZ], size)];
+        const pointNode = new Uint32Array(count);
+
+        for (const index of OctreeBuilder.shuffledIndices(count)) {
+            const x = positions[index * 3], y = positions[index * 3 + 1], z = positions[index * 3 + 2];
+            let node = nodes[0];
+
+            while (node.count >= nodeCapacity && node.level < maxDepth) {
+                const half = node.size / 2;
+                const octant =
+                    (x >= node.origin[0] + half ? 1 : 0) |
+                    (y >= node.origin[1] + half ? 2 : 0) |
+                    (z >= node.origin[2] + half ? 4 : 0);
+
+                let childId = node.childIds[octant];
+                if (childId === -1) {
+                    childId = nodes.length;
+                    node.childIds[octant] = childId;
+                    nodes.push(OctreeBuilder.createNode(node.level + 1, node.id, [
+                        node.origin[0] + (octant & 1 ? half : 0),
+                        node.origin[1] + (octant & 2 ? half : 0),
+                        node.origin[2] + (octant & 4 ? half : 0)
+                    ], half));
+                    nodes[childId].id = childId;
+                }
+                node = nodes[childId];
+            }
+
+            node.count++;
+            pointNode[index] = node.id;
+        }
+
+        // Counting sort by node so each node's points form one contiguous range
+        let start = 0;
+        for (const node of nodes) {
+            node.start = start;
+            start += node.count;
+        }
+
+        const order = new Uint32Array(count);
+        const cursor = nodes.map(node => node.start);
+        for (let i = 0; i < count; i++) {
+            order[cursor[pointNode[i]]++] = i;
+        }
+
+        data.positions = OctreeBuilder.reorder(positions, order, 3);
+        if (data.colors) data.colors = OctreeBuilder.reorder(data.colors, order, 3);
+        for (const name of Object.keys(data.attributes)) {
+            data.attributes[name] = OctreeBuilder.reorder(data.attributes[name], order, 1);
+        }
+
+        OctreeBuilder.computeBounds(nodes, data.positions);
+
+        data.octree = {
+            nodes: nodes.map(node => ({
+                id: node.id,
+                parent: node.parent,
+                level: node.level,
+                start: node.start,
+                count: node.count,
+                min: node.min,
+                max: node.max,
+                children: node.childIds.filter(id => id !== -1)
+            }))
+        };
+        return data;
+    }
+
+    static createNode(level, parent, origin, size) {
+        return {
+            id: 0,
+            parent,
+            level,
+            origin,
+            size,
+            count: 0,
+            start: 0,
+            childIds: [-1, -1, -1, -1, -1, -1, -1, -1],
+            min: null,
+            max: null
+        };
+    }
+
+    // Fisher-Yates shuffle of 0..count-1
+    static shuffledIndices(count) {
+        const indices = new Uint32Array(count);
+        for (let i = 0; i < count; i++) indices[i] = i;
+        for (let i = count - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            const swap = indices[i];
+            indices[i] = indices[j];
+            indices[j] = swap;
+        }
+        return indices;
+    }
+
+    static reorder(array, order, itemSize) {
+        const result = new array.constructor(array.length);
+        for (let i = 0; i < order.length; i++) {
+            const source = order[i] * itemSize;
+            const target = i * itemSize;
+            for (let k = 0; k < itemSize; k++) {
+                result[target + k] = array[source + k];
+            }
+        }
+        return result;
+    }
+
+    // Tight bounds of each node's subtree, used for culling and screen-size estimates
+    static computeBounds(nodes, positions) {
+        for (const node of nodes) {
+            const min = [Infinity, Infinity, Infinity];
+            const max = [-Infinity, -Infinity, -Infinity];
+            for (let i = node.start; i < node.start + node.count; i++) {
+                for (let axis = 0; axis < 3; axis++) {
+                    const value = positions[i * 3 + axis];
+                    if (value < min[axis]) min[axis] = value;
+                    if (value > max[axis]) max[axis] = value;
+                }
+            }
+            node.min = min;
+            node.max = max;
+        }
+
+        // Children are always created after their parent, so walking backwards merges
+        // every subtree before its parent is reached
+        for (let id = nodes.length - 1; id > 0; id--) {
+            const node = nodes[id];
+            const parent = nodes[node.parent];
+            for (let axis = 0; axis < 3; axis++) {
+                parent.min[axis] = Math.min(parent.min[axis], node.min[axis]);
+                parent.max[axis] = Math.max(parent.max[axis], node.max[axis]);
+            }
+        }
+
+        for (const node of nodes) {
+            if (node.min[0] === Infinity) {
+                node.min = [0, 0, 0];
+                node.max = [0, 0, 0];
+            }
+        }
+    }
+}
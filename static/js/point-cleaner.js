@@ -0,0 +1,274 @@
+// Point Cleaner - voxel downsampling and outlier removal on decoded point clouds. Each
+// step returns the indices of the points it keeps, and the pipeline copies the kept
+// points with all their attributes into new arrays before the next step runs.
+// Neighbour searches use a grid of cubic cells. Runs inside the parsing worker; no
+// THREE or DOM access.
+class PointCleaner {
+    static PROGRESS_INTERVAL = 65536;
+    static MAX_SEARCH_RINGS = 4;
+
+    static STEPS = {
+        voxel: PointCleaner.voxelDownsample,
+        statistical: PointCleaner.statisticalOutliers,
+        radius: PointCleaner.radiusOutliers
+    };
+
+    static run(data, steps, onProgress) {
+        const stats = { input: data.pointCount, steps: [] };
+        let current = data;
+
+        steps.forEach((step, stepIndex) => {
+            const clean = PointCleaner.STEPS[step.type];
+            if (!clean) throw new Error(`Unknown cleaning step "${step.type}"`);
+
+            const report = (done) => {
+                if (onProgress) onProgress(stepIndex + done / Math.max(current.pointCount, 1), steps.length);
+            };
+            const keep = clean(current.positions, current.pointCount, step, report);
+            stats.steps.push({ type: step.type, removed: current.pointCount - keep.length });
+            current = PointCleaner.select(current, keep);
+        });
+
+        stats.output = current.pointCount;
+        current.stats = stats;
+        return current;
+    }
+
+    // Copy the kept points of every per-point array
+    static select(data, keep) {
+        const pick = (array, itemSize) => {
+            const result = new array.constructor(keep.length * itemSize);
+            for (let i = 0; i < keep.length; i++) {
+                for (let k = 0; k < itemSize; k++) {
+                    result[i * itemSize + k] = array[keep[i] * itemSize + k];
+                }
+            }
+            return result;
+        };
+
+        const result = { ...data, pointCount: keep.length, positions: pick(data.positions, 3), attributes: {} };
+        if (data.colors) result.colors = pick(data.colors, 3);
+        for (const [name, array] of Object.entries(data.attributes)) {
+            result.attributes[name] = pick(array, 1);
+        }
+        return result;
+    }
+
+    static bounds(positions, count) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < count; i++) {
+            for (let axis = 0; axis < 3; axis++) {
+                const value = positions[i * 3 + axis];
+                if (value < min[axis]) min[axis] = value;
+                if (value > max[axis]) max[axis] = value;
+            }
+        }
+        return { min, max };
+    }
+
+    // Points bucketed into cubic cells: order lists the point indices cell by cell and
+    // cells maps each cell key to its [start, end) range in order
+    static buildGrid(positions, count, cellSize) {
+        const { min, max } = PointCleaner.bounds(positions, count);
+        const dims = [0, 1, 2].map(axis => Math.floor((max[axis] - min[axis]) / cellSize) + 1);
+        if (dims[0] * dims[1] * dims[2] > Number.MAX_SAFE_INTEGER) {
+            throw new Error(`A size of ${cellSize} is too small for the extent of the data`);
+        }
+
+        const grid = {
+            min,
+            cellSize,
+            dims,
+            cellOf: (x, y, z) => [
+                Math.floor((x - min[0]) / cellSize),
+                Math.floor((y - min[1]) / cellSize),
+                Math.floor((z - min[2]) / cellSize)
+            ],
+            key: (ix, iy, iz) => (ix * dims[1] + iy) * dims[2] + iz,
+            order: new Uint32Array(count),
+            cells: new Map()
+        };
+
+        const keys = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            const [ix, iy, iz] = grid.cellOf(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+            keys[i] = grid.key(ix, iy, iz);
+            grid.order[i] = i;
+        }
+        grid.order.sort((a, b) => keys[a] - keys[b]);
+
+        let start = 0;
+        for (let i = 1; i <= count; i++) {
+            if (i === count || keys[grid.order[i]] !== keys[grid.order[start]]) {
+                grid.cells.set(keys[grid.order[start]], [start, i]);
+                start = i;
+            }
+        }
+        return grid;
+    }
+
+    // Call visit(start, end) for each occupied cell on the shell of the cube of cells
+    // `ring` steps around (ix, iy, iz)
+    static forEachCellInRing(grid, ix, iy, iz, ring, visit) {
+        const [nx, ny, nz] = grid.dims;
+        for (let x = Math.max(ix - ring, 0); x <= Math.min(ix + ring, nx - 1); x++) {
+            for (let y = Math.max(iy - ring, 0); y <= Math.min(iy + ring, ny - 1); y++) {
+                for (let z = Math.max(iz - ring, 0); z <= Math.min(iz + ring, nz - 1); z++) {
+                    if (Math.max(Math.abs(x - ix), Math.abs(y - iy), Math.abs(z - iz)) !== ring) continue;
+                    const range = grid.cells.get(grid.key(x, y, z));
+                    if (range) visit(range[0], range[1]);
+                }
+            }
+        }
+    }
+
+    // Keep the point closest to the centroid of each occupied voxel, so the survivors
+    // are real measurements with their attributes intact
+    static voxelDownsample(positions, count, { voxelSize }, report) {
+        if (!(voxelSize > 0)) throw new Error('The voxel size must be greater than zero');
+
+        const grid = PointCleaner.buildGrid(positions, count, voxelSize);
+        const keep = new Uint32Array(grid.cells.size);
+        let kept = 0;
+        let done = 0;
+
+        for (const [start, end] of grid.cells.values()) {
+            let x = 0, y = 0, z = 0;
+            for (let i = start; i < end; i++) {
+                const index = grid.order[i];
+                x += positions[index * 3];
+                y += positions[index * 3 + 1];
+                z += positions[index * 3 + 2];
+            }
+            const n = end - start;
+            x /= n;
+            y /= n;
+            z /= n;
+
+            let best = grid.order[start];
+            let bestDistance = Infinity;
+            for (let i = start; i < end; i++) {
+                const index = grid.order[i];
+                const dx = positions[index * 3] - x;
+                const dy = positions[index * 3 + 1] - y;
+                const dz = positions[index * 3 + 2] - z;
+                const distance = dx * dx + dy * dy + dz * dz;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = index;
+                }
+            }
+            keep[kept++] = best;
+
+            done += n;
+            if (kept % 4096 === 0) report(done);
+        }
+
+        // Keep the original point order
+        return keep.sort();
+    }
+
+    // Drop points whose mean distance to their k nearest neighbours is more than
+    // stdRatio standard deviations above the average over the cloud
+    static statisticalOutliers(positions, count, { neighbours, stdRatio }, report) {
+        const k = Math.floor(neighbours);
+        if (!(k >= 1)) throw new Error('At least one neighbour is needed');
+        if (count <= k) return Uint32Array.from({ length: count }, (_, i) => i);
+
+        // Cells that hold about k points at the average horizontal density
+        const { min, max } = PointCleaner.bounds(positions, count);
+        const area = Math.max((max[0] - min[0]) * (max[1] - min[1]), 1e-12);
+        const grid = PointCleaner.buildGrid(positions, count, Math.max(Math.sqrt((area * k) / count), 1e-6));
+
+        const meanDistances = new Float64Array(count);
+        const best = new Float64Array(k);
+        for (let i = 0; i < count; i++) {
+            const px = positions[i * 3], py = positions[i * 3 + 1], pz = positions[i * 3 + 2];
+            const [ix, iy, iz] = grid.cellOf(px, py, pz);
+            best.fill(Infinity);
+            let found = 0;
+
+            // Widen the search ring by ring until the k-th neighbour is closer than
+            // anything an outer ring could hold
+            let ring = 0;
+            for (; ring <= PointCleaner.MAX_SEARCH_RINGS; ring++) {
+                PointCleaner.forEachCellInRing(grid, ix, iy, iz, ring, (start, end) => {
+                    for (let j = start; j < end; j++) {
+                        const index = grid.order[j];
+                        if (index === i) continue;
+                        const dx = positions[index * 3] - px;
+                        const dy = positions[index * 3 + 1] - py;
+                        const dz = positions[index * 3 + 2] - pz;
+                        const distance = dx * dx + dy * dy + dz * dz;
+                        found++;
+                        if (distance < best[k - 1]) {
+                            let slot = k - 1;
+                            while (slot > 0 && best[slot - 1] > distance) {
+                                best[slot] = best[slot - 1];
+                                slot--;
+                            }
+                            best[slot] = distance;
+                        }
+                    }
+                });
+                if (found >= k && best[k - 1] <= (ring * grid.cellSize) ** 2) break;
+            }
+
+            // Neighbours beyond the search count as just outside it
+            const farthest = (ring + 1) * grid.cellSize;
+            let sum = 0;
+            for (let n = 0; n < k; n++) {
+                sum += best[n] === Infinity ? farthest : Math.sqrt(best[n]);
+            }
+            meanDistances[i] = sum / k;
+
+            if (i % PointCleaner.PROGRESS_INTERVAL === 0) report(i);
+        }
+
+        let mean = 0;
+        for (let i = 0; i < count; i++) mean += meanDistances[i];
+        mean /= count;
+        let variance = 0;
+        for (let i = 0; i < count; i++) variance += (meanDistances[i] - mean) ** 2;
+        const threshold = mean + stdRatio * Math.sqrt(variance / count);
+
+        const keep = [];
+        for (let i = 0; i < count; i++) {
+            if (meanDistances[i] <= threshold) keep.push(i);
+        }
+        return Uint32Array.from(keep);
+    }
+
+    // Drop points with fewer than minNeighbours other points within radius
+    static radiusOutliers(positions, count, { radius, minNeighbours }, report) {
+        if (!(radius > 0)) throw new Error('The radius must be greater than zero');
+
+        const grid = PointCleaner.buildGrid(positions, count, radius);
+        const radiusSquared = radius * radius;
+        const keep = [];
+
+        for (let i = 0; i < count; i++) {
+            const px = positions[i * 3], py = positions[i * 3 + 1], pz = positions[i * 3 + 2];
+            const [ix, iy, iz] = grid.cellOf(px, py, pz);
+            let neighbours = 0;
+
+            for (let ring = 0; ring <= 1 && neighbours < minNeighbours; ring++) {
+                PointCleaner.forEachCellInRing(grid, ix, iy, iz, ring, (start, end) => {
+                    for (let j = start; j < end && neighbours < minNeighbours; j++) {
+                        const index = grid.order[j];
+                        if (index === i) continue;
+                        const dx = positions[index * 3] - px;
+                        const dy = positions[index * 3 + 1] - py;
+                        const dz = positions[index * 3 + 2] - pz;
+                        if (dx * dx + dy * dy + dz * dz <= radiusSquared) neighbours++;
+                    }
+                });
+            }
+            if (neighbours >= minNeighbours) keep.push(i);
+
+            if (i % PointCleaner.PROGRESS_INTERVAL === 0) report(i);
+        }
+        return Uint32Array.from(keep);
+    }
+}
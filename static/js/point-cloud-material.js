@@ -0,0 +1,323 @@
+// Point Cloud Material - shader material that colours points by RGB, elevation,
+// intensity, classification or any scalar attribute, and drops points cut away by the
+// clipping box and section planes or hidden by the class, return and attribute
+// filters. Points are drawn as squares, discs or paraboloid splats, at a fixed size or
+// sized to the point spacing of the octree node being drawn. Everything that is the
+// same for all tiles (mode, ranges, ramps, point size, clipping, filters) lives in one
+// set of shared uniform objects, so changing them updates every loaded tile at once
+// without a reload.
+class PointCloudMaterial extends THREE.ShaderMaterial {
+    static MAX_CLIP_PLANES = 6;
+    static MAX_SCALAR_FILTERS = 3;
+
+    static RETURN_FILTERS = {
+        all: 0,
+        first: 1,
+        last: 2,
+        intermediate: 3,
+        single: 4
+    };
+
+    static SIZE_MODES = {
+        fixed: 0,
+        adaptive: 1
+    };
+
+    // Paraboloid splats write their own depth, which turns off early depth testing,
+    // so the shape is a define and only that variant pays for it
+    static SHAPES = {
+        square: 0,
+        round: 1,
+        paraboloid: 2
+    };
+
+    static COLOR_MODES = {
+        rgb: 0,
+        elevation: 1,
+        intensity: 2,
+        classification: 3,
+        scalar: 4
+    };
+
+    // Colour ramps as [position, colour] stops
+    static RAMPS = {
+        spectral: [[0, '#2b83ba'], [0.25, '#abdda4'], [0.5, '#ffffbf'], [0.75, '#fdae61'], [1, '#d7191c']],
+        viridis: [[0, '#440154'], [0.25, '#3b528b'], [0.5, '#21918c'], [0.75, '#5ec962'], [1, '#fde725']],
+        greyscale: [[0, '#000000'], [1, '#ffffff']],
+        // For change detection over twice the threshold either side of zero: the middle
+        // half, change within the threshold, is grey
+        change: [[0, '#2166ac'], [0.249, '#92c5de'], [0.25, '#d9d9d9'], [0.75, '#d9d9d9'], [0.751, '#f4a582'], [1, '#b2182b']],
+        changeMagnitude: [[0, '#b2182b'], [0.249, '#fdae61'], [0.25, '#d9d9d9'], [0.75, '#d9d9d9'], [0.751, '#fdae61'], [1, '#b2182b']]
+    };
+
+    static vertexShader = `
+        attribute vec3 color;
+        attribute float colorScalar;
+        attribute float filterClass;
+        attribute float filterReturn;
+        attribute float filterReturnCount;
+        attribute float filterScalar0;
+        attribute float filterScalar1;
+        attribute float filterScalar2;
+
+        uniform float size;
+        uniform float scale;
+        uniform int sizeMode; // See SIZE_MODES
+        uniform float spacing; // Set per octree node while drawing
+        uniform float sizeScale;
+        uniform float minPointSize;
+        uniform float maxPointSize;
+        uniform int colorMode;
+        uniform bool hasColor;
+        uniform float originZ;
+        uniform vec2 elevationRange;
+        uniform vec2 scalarRange;
+        uniform sampler2D rampTexture;
+        uniform sampler2D classPalette;
+
+        // Clipping in scene coordinates: the box is a unit cube under clipBoxInverse,
+        // planes keep the side where dot(normal, p) + constant >= 0
+        uniform int clipBoxMode; // 0 off, 1 keep inside, 2 keep outside
+        uniform mat4 clipBoxInverse;
+        uniform vec4 clipPlanes[MAX_CLIP_PLANES];
+        uniform int clipPlaneCount;
+        uniform vec3 displayShift; // A copy drawn beside its original is clipped where the original lies
+
+        // Filters; the has* flags are per tile since not every format carries the
+        // attributes they test
+        uniform sampler2D classVisibility;
+        uniform bool hasClassification;
+        uniform int returnFilter; // See RETURN_FILTERS
+        uniform bool hasReturns;
+        uniform vec2 scalarFilterRanges[MAX_SCALAR_FILTERS];
+        uniform vec3 scalarFilterAvailable;
+
+        varying vec3 vColor;
+        varying float vViewDepth;
+        varying float vRadius;
+
+        bool isClipped(vec3 worldPosition) {
+            if (clipBoxMode != 0) {
+                vec3 boxPosition = (clipBoxInverse * vec4(worldPosition, 1.0)).xyz;
+                bool inside = all(lessThanEqual(abs(boxPosition), vec3(0.5)));
+                if (inside != (clipBoxMode == 1)) return true;
+            }
+            for (int i = 0; i < MAX_CLIP_PLANES; i++) {
+                if (i >= clipPlaneCount) break;
+                if (dot(clipPlanes[i].xyz, worldPosition) + clipPlanes[i].w < 0.0) return true;
+            }
+            return false;
+        }
+
+        bool outsideRange(float value, vec2 range) {
+            return value < range.x || value > range.y;
+        }
+
+        bool isFiltered() {
+            if (hasClassification && texture2D(classVisibility, vec2((floor(filterClass + 0.5) + 0.5) / 256.0, 0.5)).r < 0.5) {
+                return true;
+            }
+
+            if (returnFilter != 0 && hasReturns) {
+                float number = floor(filterReturn + 0.5);
+                float count = floor(filterReturnCount + 0.5);
+                if (returnFilter == 1 && number != 1.0) return true;
+                if (returnFilter == 2 && number != count) return true;
+                if (returnFilter == 3 && (number <= 1.0 || number >= count)) return true;
+                if (returnFilter == 4 && count != 1.0) return true;
+            }
+
+            if (scalarFilterAvailable.x > 0.5 && outsideRange(filterScalar0, scalarFilterRanges[0])) return true;
+            if (scalarFilterAvailable.y > 0.5 && outsideRange(filterScalar1, scalarFilterRanges[1])) return true;
+            if (scalarFilterAvailable.z > 0.5 && outsideRange(filterScalar2, scalarFilterRanges[2])) return true;
+            return false;
+        }
+
+        vec3 ramp(float value, vec2 range) {
+            float t = clamp((value - range.x) / max(range.y - range.x, 1e-6), 0.0, 1.0);
+            return texture2D(rampTexture, vec2(t, 0.5)).rgb;
+        }
+
+        void main() {
+            if (isClipped((modelMatrix * vec4(position, 1.0)).xyz - displayShift) || isFiltered()) {
+                // Clipped or filtered out: no fragments
+                gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+                gl_PointSize = 0.0;
+                return;
+            }
+
+            vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+            gl_Position = projectionMatrix * mvPosition;
+
+            // Fixed sizes are in scene units; adaptive ones are a multiple of the node's
+            // point spacing, kept within pixel limits
+            if (sizeMode == 1) {
+                gl_PointSize = clamp(spacing * sizeScale * (scale / -mvPosition.z), minPointSize, maxPointSize);
+            } else {
+                gl_PointSize = size * (scale / -mvPosition.z);
+            }
+
+            // The splat's radius in scene units, for the paraboloid depth
+            vViewDepth = -mvPosition.z;
+            vRadius = 0.5 * gl_PointSize * (-mvPosition.z / scale);
+
+            // Elevation in survey units: the geometry is centred, originZ undoes that
+            float elevation = position.z + originZ;
+
+            if (colorMode == 0) {
+                // Uncoloured files fall back to the elevation ramp
+                vColor = hasColor ? color : ramp(elevation, elevationRange);
+            } else if (colorMode == 1) {
+                vColor = ramp(elevation, elevationRange);
+            } else if (colorMode == 3) {
+                vColor = texture2D(classPalette, vec2((floor(colorScalar + 0.5) + 0.5) / 256.0, 0.5)).rgb;
+            } else {
+                vColor = ramp(colorScalar, scalarRange);
+            }
+        }
+    `;
+
+    static fragmentShader = `
+        uniform mat4 projectionMatrix;
+
+        varying vec3 vColor;
+        varying float vViewDepth;
+        varying float vRadius;
+
+        void main() {
+            #if POINT_SHAPE != 0
+                vec2 coord = gl_PointCoord * 2.0 - 1.0;
+                float r2 = dot(coord, coord);
+                if (r2 > 1.0) discard;
+            #endif
+
+            #if POINT_SHAPE == 2
+                // Bulge towards the camera so overlapping splats intersect like
+                // spheres instead of stacking as flat cards
+                float depth = vViewDepth - (1.0 - r2) * vRadius;
+                vec4 clipPosition = projectionMatrix * vec4(0.0, 0.0, -depth, 1.0);
+                gl_FragDepthEXT = (clipPosition.z / clipPosition.w) * 0.5 + 0.5;
+            #endif
+
+            gl_FragColor = vec4(vColor, 1.0);
+        }
+    `;
+
+    constructor(sharedUniforms, { originZ = 0, hasColor = false, shape = 'square' } = {}) {
+        super({
+            uniforms: {
+                ...sharedUniforms,
+                spacing: { value: 1 },
+                displayShift: { value: new THREE.Vector3() },
+                originZ: { value: originZ },
+                hasColor: { value: hasColor },
+                hasClassification: { value: false },
+                hasReturns: { value: false },
+                scalarFilterAvailable: { value: new THREE.Vector3() }
+            },
+            defines: {
+                MAX_CLIP_PLANES: PointCloudMaterial.MAX_CLIP_PLANES,
+                MAX_SCALAR_FILTERS: PointCloudMaterial.MAX_SCALAR_FILTERS,
+                POINT_SHAPE: PointCloudMaterial.SHAPES[shape] || 0
+            },
+            extensions: { fragDepth: true },
+            vertexShader: PointCloudMaterial.vertexShader,
+            fragmentShader: PointCloudMaterial.fragmentShader
+        });
+    }
+
+    setShape(shape) {
+        const value = PointCloudMaterial.SHAPES[shape] || 0;
+        if (this.defines.POINT_SHAPE !== value) {
+            this.defines.POINT_SHAPE = value;
+            this.needsUpdate = true;
+        }
+    }
+
+    // Uniforms shared by every tile's material
+    static createSharedUniforms() {
+        return {
+            size: { value: 0.05 },
+            scale: { value: 1 },
+            sizeMode: { value: PointCloudMaterial.SIZE_MODES.fixed },
+            sizeScale: { value: 1 },
+            minPointSize: { value: 1 },
+            maxPointSize: { value: 32 },
+            colorMode: { value: PointCloudMaterial.COLOR_MODES.rgb },
+            elevationRange: { value: new THREE.Vector2(0, 1) },
+            scalarRange: { value: new THREE.Vector2(0, 1) },
+            rampTexture: { value: PointCloudMaterial.createRampTexture('spectral') },
+            classPalette: { value: PointCloudMaterial.createClassPalette() },
+            clipBoxMode: { value: 0 },
+            clipBoxInverse: { value: new THREE.Matrix4() },
+            clipPlanes: { value: Array.from({ length: PointCloudMaterial.MAX_CLIP_PLANES }, () => new THREE.Vector4()) },
+            clipPlaneCount: { value: 0 },
+            classVisibility: { value: PointCloudMaterial.createClassVisibility() },
+            returnFilter: { value: PointCloudMaterial.RETURN_FILTERS.all },
+            scalarFilterRanges: { value: Array.from({ length: PointCloudMaterial.MAX_SCALAR_FILTERS }, () => new THREE.Vector2()) }
+        };
+    }
+
+    static createRampTexture(name) {
+        const stops = PointCloudMaterial.RAMPS[name] || PointCloudMaterial.RAMPS.spectral;
+        const width = 256;
+        const data = new Uint8Array(width * 4);
+        const color = new THREE.Color();
+
+        for (let i = 0; i < width; i++) {
+            const t = i / (width - 1);
+            const upper = stops.findIndex(([position]) => position >= t);
+            const [position1, color1] = stops[Math.max(0, upper - 1)];
+            const [position2, color2] = stops[Math.max(0, upper)];
+            const mix = position2 > position1 ? (t - position1) / (position2 - position1) : 0;
+
+            color.set(color1).lerp(new THREE.Color(color2), mix);
+            data[i * 4] = Math.round(color.r * 255);
+            data[i * 4 + 1] = Math.round(color.g * 255);
+            data[i * 4 + 2] = Math.round(color.b * 255);
+            data[i * 4 + 3] = 255;
+        }
+
+        const texture = new THREE.DataTexture(data, width, 1, THREE.RGBAFormat);
+        texture.magFilter = THREE.LinearFilter;
+        texture.minFilter = THREE.LinearFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    // 256 entry lookup table indexed by classification code
+    static createClassPalette() {
+        const data = new Uint8Array(256 * 4);
+        const color = new THREE.Color();
+
+        for (let code = 0; code < 256; code++) {
+            color.set(ASPRS_CLASSES[code] ? ASPRS_CLASSES[code].color : '#ffffff');
+            data[code * 4] = Math.round(color.r * 255);
+            data[code * 4 + 1] = Math.round(color.g * 255);
+            data[code * 4 + 2] = Math.round(color.b * 255);
+            data[code * 4 + 3] = 255;
+        }
+
+        const texture = new THREE.DataTexture(data, 256, 1, THREE.RGBAFormat);
+        texture.magFilter = THREE.NearestFilter;
+        texture.minFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    // 256 entry lookup table indexed by classification code; red 255 means visible
+    static createClassVisibility() {
+        const data = new Uint8Array(256 * 4).fill(255);
+        const texture = new THREE.DataTexture(data, 256, 1, THREE.RGBAFormat);
+        texture.magFilter = THREE.NearestFilter;
+        texture.minFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    // CSS gradient matching a ramp, for legends
+    static rampGradient(name) {
+        const stops = PointCloudMaterial.RAMPS[name] || PointCloudMaterial.RAMPS.spectral;
+        return `linear-gradient(to right, ${stops.map(([position, color]) => `${color} ${position * 100}%`).join(', ')})`;
+    }
+}
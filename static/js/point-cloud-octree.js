@@ -0,0 +1,240 @@
+// Point Cloud Octree - renders a file decoded into an octree (see OctreeBuilder) as one
+// THREE.Points per node. All node geometries share the file's BufferAttributes and
+// only differ in their draw range, so the data is uploaded to the GPU once.
+class PointCloudOctree extends THREE.Group {
+    constructor(geometry, material, octreeNodes) {
+        super();
+
+        // The full geometry is kept for measuring, picking and export; it is never drawn
+        this.geometry = geometry;
+        this.material = material;
+
+        const nodes = octreeNodes && octreeNodes.length > 0
+            ? octreeNodes
+            : [{ id: 0, parent: -1, level: 0, start: 0, count: geometry.attributes.position.count, children: [],
+                min: geometry.boundingBox.min.toArray(), max: geometry.boundingBox.max.toArray() }];
+
+        this.nodes = nodes.map(node => {
+            const box = new THREE.Box3(new THREE.Vector3(...node.min), new THREE.Vector3(...node.max));
+            return {
+                ...node,
+                box,
+                sphere: box.getBoundingSphere(new THREE.Sphere()),
+                points: null,
+                visibleFrame: -1
+            };
+        });
+        this.root = this.nodes[0];
+        this.visiblePointCount = 0;
+
+        // Point spacing where a node is the deepest one drawn, for adaptive point sizes:
+        // its own points and its ancestors' spread over the largest face of its bounds
+        for (const node of this.nodes) {
+            const size = node.box.getSize(new THREE.Vector3());
+            const area = Math.max(size.x * size.y, size.x * size.z, size.y * size.z, 1e-6);
+            node.density = node.count / area + (node.parent >= 0 ? this.nodes[node.parent].density : 0);
+            node.spacing = 1 / Math.sqrt(node.density);
+        }
+    }
+
+    get pointCount() {
+        return this.geometry.attributes.position.count;
+    }
+
+    // Node point objects are only created the first time a node is drawn
+    getNodePoints(node) {
+        if (!node.points) {
+            const nodeGeometry = new THREE.BufferGeometry();
+            for (const [name, attribute] of Object.entries(this.geometry.attributes)) {
+                nodeGeometry.setAttribute(name, attribute);
+            }
+            nodeGeometry.setDrawRange(node.start, node.count);
+            nodeGeometry.boundingBox = node.box;
+            nodeGeometry.boundingSphere = node.sphere;
+
+            node.points = new THREE.Points(nodeGeometry, this.material);
+            node.points.frustumCulled = false; // Culling happens in updateVisibility
+            node.points.userData.node = node;
+            node.points.onBeforeRender = (renderer, scene, camera, geometry, material) => {
+                material.uniforms.spacing.value = node.spacing;
+                material.uniformsNeedUpdate = true;
+            };
+            this.add(node.points);
+        }
+        return node.points;
+    }
+
+    // Swap (or with null, remove) an attribute on the full geometry and every node geometry
+    setGeometryAttribute(name, attribute) {
+        const geometries = [this.geometry, ...this.nodes.filter(node => node.points).map(node => node.points.geometry)];
+        for (const geometry of geometries) {
+            if (attribute) {
+                geometry.setAttribute(name, attribute);
+            } else {
+                geometry.deleteAttribute(name);
+            }
+        }
+    }
+
+    // Closest point to the ray origin lying within pixelRadius pixels of the ray,
+    // searched over the visible nodes only. THREE.Points.raycast would ignore the
+    // node draw ranges and test the whole file once per node.
+    pick(raycaster, camera, viewportHeight, pixelRadius = 6, isHidden = null) {
+        this.updateMatrixWorld();
+        const ray = raycaster.ray.clone().applyMatrix4(new THREE.Matrix4().copy(this.matrixWorld).invert());
+        // Allowed distance from the ray per unit of distance along it
+        const tolerance = (pixelRadius * 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) / viewportHeight;
+        const positions = this.geometry.attributes.position.array;
+        const point = new THREE.Vector3();
+
+        let bestIndex = -1;
+        let bestDistance = Infinity;
+
+        for (const node of this.nodes) {
+            if (!node.points || !node.points.visible) continue;
+
+            const reach = node.sphere.radius + tolerance * (ray.origin.distanceTo(node.sphere.center) + node.sphere.radius);
+            if (ray.distanceSqToPoint(node.sphere.center) > reach * reach) continue;
+
+            for (let i = node.start; i < node.start + node.count; i++) {
+                point.fromArray(positions, i * 3);
+                const along = point.sub(ray.origin).dot(ray.direction);
+                if (along <= 0 || along >= bestDistance) continue;
+
+                // point now holds the offset from the ray origin
+                const offsetSq = point.lengthSq() - along * along;
+                const limit = tolerance * along;
+                if (offsetSq <= limit * limit && !(isHidden && isHidden(i))) {
+                    bestIndex = i;
+                    bestDistance = along;
+                }
+            }
+        }
+
+        if (bestIndex === -1) return null;
+        return {
+            index: bestIndex,
+            distance: bestDistance,
+            position: new THREE.Vector3().fromArray(positions, bestIndex * 3)
+        };
+    }
+
+    get visibleNodes() {
+        return this.nodes.filter(node => node.points && node.points.visible);
+    }
+
+    dispose() {
+        for (const node of this.nodes) {
+            if (node.points) {
+                this.remove(node.points);
+                node.points.geometry.dispose();
+                node.points = null;
+            }
+        }
+        this.geometry.dispose();
+        if (this.material) this.material.dispose();
+    }
+
+    // Choose the nodes to draw across all given octrees: the largest on screen first,
+    // refining while nodes cover at least minNodePixelSize pixels and the total stays
+    // under pointBudget. Returns the number of points drawn.
+    static updateVisibility(octrees, camera, viewportHeight, { pointBudget = 3000000, minNodePixelSize = 100 } = {}) {
+        const frame = (PointCloudOctree.frame = (PointCloudOctree.frame || 0) + 1);
+        const frustum = new THREE.Frustum().setFromProjectionMatrix(
+            new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+        );
+        const slope = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        const sphere = new THREE.Sphere();
+        const queue = new NodeQueue();
+
+        const enqueue = (octree, node, isRoot) => {
+            sphere.copy(node.sphere).applyMatrix4(octree.matrixWorld);
+            if (!frustum.intersectsSphere(sphere)) return;
+
+            const distance = sphere.center.distanceTo(camera.position);
+            const projectedSize = distance <= sphere.radius
+                ? Infinity
+                : (sphere.radius / (slope * distance)) * (viewportHeight / 2);
+
+            if (!isRoot && projectedSize < minNodePixelSize) return;
+            queue.push({ octree, node }, projectedSize);
+        };
+
+        for (const octree of octrees) {
+            octree.updateMatrixWorld();
+            octree.visiblePointCount = 0;
+            enqueue(octree, octree.root, true);
+        }
+
+        let visiblePoints = 0;
+        while (queue.length > 0) {
+            const { octree, node } = queue.pop();
+            if (visiblePoints + node.count > pointBudget) break;
+
+            node.visibleFrame = frame;
+            visiblePoints += node.count;
+            octree.visiblePointCount += node.count;
+
+            for (const childId of node.children) {
+                enqueue(octree, octree.nodes[childId], false);
+            }
+        }
+
+        for (const octree of octrees) {
+            for (const node of octree.nodes) {
+                const visible = node.visibleFrame === frame;
+                if (visible) {
+                    octree.getNodePoints(node).visible = true;
+                } else if (node.points) {
+                    node.points.visible = false;
+                }
+            }
+        }
+
+        return visiblePoints;
+    }
+}
+
+// Max-priority binary heap used to visit octree nodes by screen size
+class NodeQueue {
+    constructor() {
+        this.items = [];
+    }
+
+    get length() {
+        return this.items.length;
+    }
+
+    push(value, priority) {
+        const items = this.items;
+        items.push({ value, priority });
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (items[parent].priority >= items[index].priority) break;
+            [items[parent], items[index]] = [items[index], items[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let largest = index;
+                if (left < items.length && items[left].priority > items[largest].priority) largest = left;
+                if (right < items.length && items[right].priority > items[largest].priority) largest = right;
+                if (largest === index) break;
+                [items[largest], items[index]] = [items[index], items[largest]];
+                index = largest;
+            }
+        }
+        return top.value;
+    }
+}
@@ -0,0 +1,146 @@
+// Point Cloud Worker - parses files off the main thread. Results are sent back as
+// typed arrays whose buffers are transferred rather than copied.
+importScripts(
+    'remote-file.js',
+    'readers/ply-reader.js',
+    'readers/las-reader.js',
+    'readers/xyz-reader.js',
+    'readers/index.js',
+    'octree-builder.js',
+    'point-cleaner.js',
+    'terrain-builder.js',
+    'change-detector.js'
+);
+
+const tasks = {
+    scan(payload, onProgress) {
+        return PointCloudReaders.forFile(payload.file.name).scanBounds(payload.file, onProgress);
+    },
+
+    async decode(payload, onProgress) {
+        const options = payload.options || {};
+        const data = await PointCloudReaders.forFile(payload.file.name).decode(payload.file, options, onProgress);
+        data.attributeRanges = computeAttributeRanges(data.attributes);
+        if (data.attributes.classification) data.classCounts = computeClassCounts(data.attributes.classification);
+        return options.octree ? OctreeBuilder.build(data, options.octree) : data;
+    },
+
+    // Cleaning steps on an already decoded point cloud, sent back as new data
+    clean(payload, onProgress) {
+        const data = PointCleaner.run(payload.data, payload.steps, onProgress);
+        data.attributeRanges = computeAttributeRanges(data.attributes);
+        if (data.attributes.classification) data.classCounts = computeClassCounts(data.attributes.classification);
+        return payload.octree ? OctreeBuilder.build(data, payload.octree) : data;
+    },
+
+    // Ground mask (1 = ground) for one file's positions
+    ground(payload, onProgress) {
+        return { ground: TerrainBuilder.classifyGround(payload.positions, payload.count, payload.options, onProgress) };
+    },
+
+    // DEM from the ground points of several files, with its contour lines
+    dem(payload, onProgress) {
+        const dem = TerrainBuilder.buildDem(payload.tiles, payload.options, onProgress);
+        return { dem, contours: TerrainBuilder.contours(dem, payload.options.contourInterval) };
+    },
+
+    contours(payload) {
+        return { contours: TerrainBuilder.contours(payload.dem, payload.interval) };
+    },
+
+    // The comparison files over one tile, each cut to the tile and given its points'
+    // change from the tile's reference points, which are merged and indexed once.
+    // Decoding and comparing each file take equal shares of the progress.
+    async compare(payload, onProgress) {
+        const options = payload.options;
+        const files = payload.files;
+        const center = files[0].decode.center;
+        const index = ChangeDetector.index(payload.reference, center, options.maxDistance);
+        const steps = files.length * 2;
+
+        const results = [];
+        for (const [step, { file, decode }] of files.entries()) {
+            const source = RemoteFile.revive(file);
+            const data = await PointCloudReaders.forFile(source.name).decode(source, decode,
+                (loaded, total) => onProgress(step * 2 * total + loaded, steps * total));
+            const result = ChangeDetector.compare(data, index, options,
+                (done, total) => onProgress((step * 2 + 1) * total + done, steps * total));
+            result.attributeRanges = computeAttributeRanges(result.attributes);
+            if (result.attributes.classification) result.classCounts = computeClassCounts(result.attributes.classification);
+            results.push(options.octree ? OctreeBuilder.build(result, options.octree) : result);
+        }
+        return { results };
+    }
+};
+
+// Min/max of every per-point attribute, used to scale colour ramps
+function computeAttributeRanges(attributes) {
+    const ranges = {};
+    for (const [name, array] of Object.entries(attributes)) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < array.length; i++) {
+            const value = array[i];
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        ranges[name] = array.length > 0 ? [min, max] : [0, 0];
+    }
+    return ranges;
+}
+
+// Number of points per classification code, for the filter panel
+function computeClassCounts(classification) {
+    const counts = new Uint32Array(256);
+    for (let i = 0; i < classification.length; i++) {
+        counts[classification[i] & 0xff]++;
+    }
+
+    const result = {};
+    counts.forEach((count, code) => {
+        if (count > 0) result[code] = count;
+    });
+    return result;
+}
+
+// Collect the buffers of every typed array in the result so they can be transferred
+function collectTransferables(value, transferables = []) {
+    if (ArrayBuffer.isView(value)) {
+        if (!transferables.includes(value.buffer)) transferables.push(value.buffer);
+    } else if (value && typeof value === 'object') {
+        for (const child of Object.values(value)) {
+            collectTransferables(child, transferables);
+        }
+    }
+    return transferables;
+}
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+    const task = tasks[type];
+
+    // Files of server datasets arrive as plain objects
+    if (payload && payload.file) payload.file = RemoteFile.revive(payload.file);
+
+    if (!task) {
+        self.postMessage({ id, type: 'error', message: `Unknown task type "${type}"` });
+        return;
+    }
+
+    // Throttle progress messages to whole-percent steps
+    let lastPercent = -1;
+    const onProgress = (loaded, total) => {
+        const percent = total > 0 ? Math.floor((loaded / total) * 100) : 100;
+        if (percent !== lastPercent) {
+            lastPercent = percent;
+            self.postMessage({ id, type: 'progress', loaded, total });
+        }
+    };
+
+    try {
+        const result = await task(payload, onProgress);
+        self.postMessage({ id, type: 'result', result }, collectTransferables(result));
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message || String(error) });
+    }
+};
@@ -0,0 +1,487 @@
+// Point Exporter - writes the points of the shown tiles to a single binary PLY, LAS 1.4
+// or CSV file. Only points that are drawn are exported (filters always apply), and the
+// clipping region and a lasso drawn over the view can limit the selection further.
+// Coordinates are restored to the original survey values (local position + file
+// centre, which leaves out the tile offset) and every attribute is kept. Output is
+// produced in chunks written to a file stream where the browser offers one, or
+// collected as separate Blob parts otherwise, so no single buffer holds the file.
+class PointExporter {
+    static CHUNK_POINTS = 65536;
+    static LAS_SCALE = 0.001;
+
+    // Attributes that have a place in LAS point format 6/7; the rest go into extra bytes
+    static LAS_STANDARD_ATTRIBUTES = new Set(['intensity', 'returnNumber', 'numberOfReturns', 'classification', 'gpsTime']);
+
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.lasso = null; // { polygon: [[x, y], ...] in NDC, viewProjection: Matrix4 }
+        this.lassoActive = false;
+        this.lassoPath = null;
+        this.exporting = false;
+
+        this.overlay = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        this.overlay.classList.add('lasso-overlay');
+        this.visualizer.dom('labelLayer').appendChild(this.overlay);
+
+        // Removed with the visualizer's other listeners by dispose()
+        const canvas = visualizer.renderer.domElement;
+        const signal = visualizer.domListeners.signal;
+        canvas.addEventListener('pointerdown', (event) => this.handlePointerDown(event), { signal });
+        canvas.addEventListener('pointermove', (event) => this.handlePointerMove(event), { signal });
+        canvas.addEventListener('pointerup', () => this.handlePointerUp(), { signal });
+    }
+
+    // While the lasso tool is on, dragging over the view draws the selection instead
+    // of moving the camera
+    setLassoActive(active) {
+        this.lassoActive = active;
+        if (this.visualizer.cameraMode === 'orbit') this.visualizer.controls.enabled = !active;
+        this.visualizer.dom('exportLasso').classList.toggle('active', active);
+        this.visualizer.renderer.domElement.style.cursor = active ? 'crosshair' : '';
+    }
+
+    clearLasso() {
+        this.lasso = null;
+        this.overlay.innerHTML = '';
+        this.updateStatus();
+    }
+
+    canvasPoint(event) {
+        const rect = this.visualizer.renderer.domElement.getBoundingClientRect();
+        return [event.clientX - rect.left, event.clientY - rect.top];
+    }
+
+    handlePointerDown(event) {
+        if (!this.lassoActive || event.button !== 0) return;
+        this.lassoPath = [this.canvasPoint(event)];
+        this.drawLasso(this.lassoPath);
+    }
+
+    handlePointerMove(event) {
+        if (!this.lassoPath) return;
+        this.lassoPath.push(this.canvasPoint(event));
+        this.drawLasso(this.lassoPath);
+    }
+
+    handlePointerUp() {
+        if (!this.lassoPath) return;
+        const path = this.lassoPath;
+        this.lassoPath = null;
+
+        if (path.length < 3) {
+            this.clearLasso();
+            return;
+        }
+
+        // Keep the polygon in normalised device coordinates together with the view it
+        // was drawn in, so moving the camera afterwards doesn't change the selection
+        const { width, height } = this.visualizer.renderer.domElement.getBoundingClientRect();
+        const camera = this.visualizer.camera;
+        camera.updateMatrixWorld();
+        this.lasso = {
+            polygon: path.map(([x, y]) => [(x / width) * 2 - 1, -(y / height) * 2 + 1]),
+            viewProjection: new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+        };
+        this.setLassoActive(false);
+        this.updateStatus();
+    }
+
+    drawLasso(path) {
+        this.overlay.innerHTML = `<polygon points="${path.map(point => point.join(',')).join(' ')}"></polygon>`;
+    }
+
+    static pointInPolygon(x, y, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    updateStatus(text) {
+        const status = this.visualizer.dom('exportStatus');
+        status.textContent = text || (this.lasso ? `Lasso selection with ${this.lasso.polygon.length} vertices` : '');
+    }
+
+    // Indices of the points to export in each shown point cloud
+    async selectPoints({ clip }) {
+        const { pointFilter, clipTool } = this.visualizer;
+        const useFilter = pointFilter.active;
+        const useClip = clip && clipTool.active;
+        const lasso = this.lasso;
+        const world = new THREE.Vector3();
+        const projected = new THREE.Vector4();
+        const selections = [];
+
+        for (const pointCloud of this.visualizer.currentPointClouds) {
+            pointCloud.updateMatrixWorld();
+            const positions = pointCloud.geometry.attributes.position.array;
+            const count = pointCloud.pointCount;
+            const indices = new Uint32Array(count);
+            let selected = 0;
+
+            for (let i = 0; i < count; i++) {
+                if (useFilter && pointFilter.isFiltered(pointCloud, i)) continue;
+
+                if (useClip || lasso) {
+                    world.fromArray(positions, i * 3).applyMatrix4(pointCloud.matrixWorld);
+                    if (useClip && clipTool.isClipped(world)) continue;
+                    if (lasso) {
+                        projected.set(world.x, world.y, world.z, 1).applyMatrix4(lasso.viewProjection);
+                        if (projected.w <= 0 || !PointExporter.pointInPolygon(projected.x / projected.w, projected.y / projected.w, lasso.polygon)) continue;
+                    }
+                }
+                indices[selected++] = i;
+            }
+
+            if (selected > 0) selections.push({ pointCloud, indices: indices.subarray(0, selected) });
+            // Let the page repaint between files
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return selections;
+    }
+
+    // Names of the per-point attributes across the selection, and whether any has colour
+    static describeSelection(selections) {
+        const attributes = new Map(); // name -> true when the attribute has an offset (needs float64)
+        let hasColor = false;
+        const bounds = { minX: Infinity, minY: Infinity, minZ: Infinity, maxX: -Infinity, maxY: -Infinity, maxZ: -Infinity };
+        let pointCount = 0;
+
+        for (const { pointCloud, indices } of selections) {
+            const { attributeRanges, attributeOffsets, center } = pointCloud.userData;
+            for (const name of Object.keys(attributeRanges)) {
+                attributes.set(name, attributes.get(name) || name in attributeOffsets);
+            }
+            if (pointCloud.geometry.attributes.color) hasColor = true;
+
+            const positions = pointCloud.geometry.attributes.position.array;
+            for (let k = 0; k < indices.length; k++) {
+                const i = indices[k] * 3;
+                const x = positions[i] + center[0];
+                const y = positions[i + 1] + center[1];
+                const z = positions[i + 2] + center[2];
+                if (x < bounds.minX) bounds.minX = x;
+                if (x > bounds.maxX) bounds.maxX = x;
+                if (y < bounds.minY) bounds.minY = y;
+                if (y > bounds.maxY) bounds.maxY = y;
+                if (z < bounds.minZ) bounds.minZ = z;
+                if (z > bounds.maxZ) bounds.maxZ = z;
+            }
+            pointCount += indices.length;
+        }
+
+        return { attributes, hasColor, bounds, pointCount };
+    }
+
+    // Call onPoint(x, y, z, rgb, values, indexInChunk) for every selected point with
+    // its original coordinates, and flushChunk(count) after every CHUNK_POINTS points
+    static async forEachChunk(selections, attributeNames, onPoint, flushChunk) {
+        const rgb = [0, 0, 0];
+        const values = {};
+        let inChunk = 0;
+
+        for (const { pointCloud, indices } of selections) {
+            const { center, attributeOffsets } = pointCloud.userData;
+            const attributes = pointCloud.geometry.attributes;
+            const positions = attributes.position.array;
+            const colors = attributes.color ? attributes.color.array : null;
+            const arrays = attributeNames.map(name => attributes[name] ? attributes[name].array : null);
+            const offsets = attributeNames.map(name => attributeOffsets[name] || 0);
+
+            for (let k = 0; k < indices.length; k++) {
+                const i = indices[k];
+                if (colors) {
+                    rgb[0] = colors[i * 3];
+                    rgb[1] = colors[i * 3 + 1];
+                    rgb[2] = colors[i * 3 + 2];
+                } else {
+                    rgb[0] = rgb[1] = rgb[2] = 0;
+                }
+                for (let a = 0; a < attributeNames.length; a++) {
+                    values[attributeNames[a]] = arrays[a] ? arrays[a][i] + offsets[a] : null;
+                }
+
+                onPoint(positions[i * 3] + center[0], positions[i * 3 + 1] + center[1], positions[i * 3 + 2] + center[2], rgb, values, inChunk);
+                if (++inChunk === PointExporter.CHUNK_POINTS) {
+                    await flushChunk(inChunk);
+                    inChunk = 0;
+                }
+            }
+        }
+
+        if (inChunk > 0) await flushChunk(inChunk);
+    }
+
+    // A file stream from the File System Access API, or Blob parts handed to a download
+    static async createSink(fileName, mimeType) {
+        if (window.showSaveFilePicker) {
+            try {
+                const handle = await window.showSaveFilePicker({ suggestedName: fileName });
+                const writable = await handle.createWritable();
+                return {
+                    write: (chunk) => writable.write(chunk),
+                    close: () => writable.close(),
+                    abort: () => writable.abort()
+                };
+            } catch (error) {
+                if (error.name === 'AbortError') return null;
+                console.warn('Could not open a file stream, falling back to a download:', error);
+            }
+        }
+
+        let parts = [];
+        return {
+            write: async (chunk) => {
+                parts.push(new Blob([chunk]));
+            },
+            close: async () => {
+                downloadBlob(new Blob(parts, { type: mimeType }), fileName);
+                parts = [];
+            },
+            abort: async () => {
+                parts = [];
+            }
+        };
+    }
+
+    async export(format, { clip = true } = {}) {
+        if (this.exporting) return;
+        if (this.visualizer.currentPointClouds.length === 0) {
+            alert('Load some tiles before exporting.');
+            return;
+        }
+
+        this.exporting = true;
+        let sink = null;
+        try {
+            this.updateStatus('Selecting points...');
+            const selections = await this.selectPoints({ clip });
+            const summary = PointExporter.describeSelection(selections);
+            if (summary.pointCount === 0) {
+                alert('No points match the current filters, clipping and lasso.');
+                this.updateStatus();
+                return;
+            }
+
+            const baseName = this.visualizer.datasetName || 'point-cloud-export';
+            const writers = {
+                ply: { extension: 'ply', mimeType: 'application/octet-stream', write: PointExporter.writePLY },
+                las: { extension: 'las', mimeType: 'application/octet-stream', write: PointExporter.writeLAS },
+                csv: { extension: 'csv', mimeType: 'text/csv', write: PointExporter.writeCSV }
+            };
+            const writer = writers[format];
+
+            sink = await PointExporter.createSink(`${baseName}.${writer.extension}`, writer.mimeType);
+            if (!sink) {
+                this.updateStatus();
+                return; // Save dialog cancelled
+            }
+
+            let written = 0;
+            const progress = (count) => {
+                written += count;
+                this.updateStatus(`Exporting ${Math.round((written / summary.pointCount) * 100)}% of ${summary.pointCount.toLocaleString()} points...`);
+            };
+            await writer.write(selections, summary, sink, progress);
+            await sink.close();
+
+            this.updateStatus(`Exported ${summary.pointCount.toLocaleString()} points from ${selections.length} file(s) as ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error('Export failed:', error);
+            if (sink) await sink.abort();
+            this.updateStatus(`Export failed: ${error.message}`);
+        } finally {
+            this.exporting = false;
+        }
+    }
+
+    // Binary little-endian PLY: double coordinates, uchar colours, float attributes
+    // (double where the attribute carries an offset, like GPS time)
+    static async writePLY(selections, summary, sink, progress) {
+        const names = [...summary.attributes.keys()];
+        const doubles = names.map(name => summary.attributes.get(name));
+
+        const header = [
+            'ply',
+            'format binary_little_endian 1.0',
+            'comment Exported from Point Cloud Visualizer',
+            `element vertex ${summary.pointCount}`,
+            'property double x',
+            'property double y',
+            'property double z',
+            ...(summary.hasColor ? ['property uchar red', 'property uchar green', 'property uchar blue'] : []),
+            ...names.map((name, a) => `property ${doubles[a] ? 'double' : 'float'} ${name}`),
+            'end_header',
+            ''
+        ].join('\n');
+        await sink.write(new TextEncoder().encode(header));
+
+        const stride = 24 + (summary.hasColor ? 3 : 0) + doubles.reduce((sum, isDouble) => sum + (isDouble ? 8 : 4), 0);
+        const buffer = new ArrayBuffer(PointExporter.CHUNK_POINTS * stride);
+        const view = new DataView(buffer);
+
+        await PointExporter.forEachChunk(selections, names, (x, y, z, rgb, values, index) => {
+            let offset = index * stride;
+            view.setFloat64(offset, x, true);
+            view.setFloat64(offset + 8, y, true);
+            view.setFloat64(offset + 16, z, true);
+            offset += 24;
+            if (summary.hasColor) {
+                view.setUint8(offset++, Math.round(rgb[0] * 255));
+                view.setUint8(offset++, Math.round(rgb[1] * 255));
+                view.setUint8(offset++, Math.round(rgb[2] * 255));
+            }
+            for (let a = 0; a < names.length; a++) {
+                const value = values[names[a]] ?? 0;
+                if (doubles[a]) {
+                    view.setFloat64(offset, value, true);
+                    offset += 8;
+                } else {
+                    view.setFloat32(offset, value, true);
+                    offset += 4;
+                }
+            }
+        }, async (count) => {
+            await sink.write(buffer.slice(0, count * stride));
+            progress(count);
+        });
+    }
+
+    static async writeCSV(selections, summary, sink, progress) {
+        const names = [...summary.attributes.keys()];
+        const columns = ['x', 'y', 'z', ...(summary.hasColor ? ['red', 'green', 'blue'] : []), ...names];
+        await sink.write(new TextEncoder().encode(columns.join(',') + '\n'));
+
+        let lines = [];
+        await PointExporter.forEachChunk(selections, names, (x, y, z, rgb, values) => {
+            const cells = [x.toFixed(3), y.toFixed(3), z.toFixed(3)];
+            if (summary.hasColor) {
+                cells.push(Math.round(rgb[0] * 255), Math.round(rgb[1] * 255), Math.round(rgb[2] * 255));
+            }
+            for (const name of names) {
+                const value = values[name];
+                cells.push(value === null ? '' : (Number.isInteger(value) ? value : +value.toFixed(6)));
+            }
+            lines.push(cells.join(','));
+        }, async (count) => {
+            await sink.write(new TextEncoder().encode(lines.join('\n') + '\n'));
+            lines = [];
+            progress(count);
+        });
+    }
+
+    // LAS 1.4 with point format 6 (7 with colour). Attributes without a LAS field are
+    // stored as extra bytes described by an Extra Bytes VLR.
+    static async writeLAS(selections, summary, sink, progress) {
+        const extraNames = [...summary.attributes.keys()].filter(name => !PointExporter.LAS_STANDARD_ATTRIBUTES.has(name));
+        const extraDoubles = extraNames.map(name => summary.attributes.get(name));
+        const extraSize = extraDoubles.reduce((sum, isDouble) => sum + (isDouble ? 8 : 4), 0);
+
+        const pointFormat = summary.hasColor ? 7 : 6;
+        const stride = (summary.hasColor ? 36 : 30) + extraSize;
+        const vlrSize = extraNames.length > 0 ? 54 + extraNames.length * 192 : 0;
+        const headerSize = 375;
+        const { bounds } = summary;
+        const scale = PointExporter.LAS_SCALE;
+        const origin = [bounds.minX, bounds.minY, bounds.minZ].map(value => Math.floor(value));
+
+        const header = new ArrayBuffer(headerSize + vlrSize);
+        const view = new DataView(header);
+        const writeText = (offset, text, length) => {
+            for (let i = 0; i < length; i++) view.setUint8(offset + i, i < text.length ? text.charCodeAt(i) : 0);
+        };
+        const now = new Date();
+        const dayOfYear = Math.floor((now - new Date(now.getFullYear(), 0, 0)) / 86400000);
+
+        writeText(0, 'LASF', 4);
+        view.setUint16(6, 0x10, true); // WKT coordinate system flag, required for formats 6+
+        view.setUint8(24, 1);
+        view.setUint8(25, 4);
+        writeText(26, 'EXPORT', 32);
+        writeText(58, 'Point Cloud Visualizer', 32);
+        view.setUint16(90, dayOfYear, true);
+        view.setUint16(92, now.getFullYear(), true);
+        view.setUint16(94, headerSize, true);
+        view.setUint32(96, headerSize + vlrSize, true);
+        view.setUint32(100, extraNames.length > 0 ? 1 : 0, true);
+        view.setUint8(104, pointFormat);
+        view.setUint16(105, stride, true);
+        for (let axis = 0; axis < 3; axis++) {
+            view.setFloat64(131 + axis * 8, scale, true);
+            view.setFloat64(155 + axis * 8, origin[axis], true);
+        }
+        view.setFloat64(179, bounds.maxX, true);
+        view.setFloat64(187, bounds.minX, true);
+        view.setFloat64(195, bounds.maxY, true);
+        view.setFloat64(203, bounds.minY, true);
+        view.setFloat64(211, bounds.maxZ, true);
+        view.setFloat64(219, bounds.minZ, true);
+        view.setBigUint64(247, BigInt(summary.pointCount), true);
+
+        if (extraNames.length > 0) {
+            let offset = headerSize;
+            writeText(offset + 2, 'LASF_Spec', 16);
+            view.setUint16(offset + 18, 4, true); // Extra Bytes record
+            view.setUint16(offset + 20, extraNames.length * 192, true);
+            writeText(offset + 22, 'Extra bytes', 32);
+            offset += 54;
+            extraNames.forEach((name, a) => {
+                view.setUint8(offset + 2, extraDoubles[a] ? 10 : 9); // double / float
+                writeText(offset + 4, name, 32);
+                writeText(offset + 160, name, 32);
+                offset += 192;
+            });
+        }
+        await sink.write(header);
+
+        // The points-by-return counts stay zero: filling them in would need another
+        // pass over the selection before the header is written
+        const buffer = new ArrayBuffer(PointExporter.CHUNK_POINTS * stride);
+        const points = new DataView(buffer);
+        const names = [...summary.attributes.keys()];
+
+        await PointExporter.forEachChunk(selections, names, (x, y, z, rgb, values, index) => {
+            const base = index * stride;
+            points.setInt32(base, Math.round((x - origin[0]) / scale), true);
+            points.setInt32(base + 4, Math.round((y - origin[1]) / scale), true);
+            points.setInt32(base + 8, Math.round((z - origin[2]) / scale), true);
+            points.setUint16(base + 12, Math.max(0, Math.min(65535, Math.round(values.intensity ?? 0))), true);
+            const returnNumber = Math.max(0, Math.min(15, Math.round(values.returnNumber ?? 1)));
+            const numberOfReturns = Math.max(0, Math.min(15, Math.round(values.numberOfReturns ?? 1)));
+            points.setUint8(base + 14, returnNumber | (numberOfReturns << 4));
+            points.setUint8(base + 15, 0);
+            points.setUint8(base + 16, Math.max(0, Math.min(255, Math.round(values.classification ?? 0))));
+            points.setUint8(base + 17, 0);
+            points.setInt16(base + 18, 0, true);
+            points.setUint16(base + 20, 0, true);
+            points.setFloat64(base + 22, values.gpsTime ?? 0, true);
+
+            let offset = base + 30;
+            if (summary.hasColor) {
+                points.setUint16(offset, Math.round(rgb[0] * 65535), true);
+                points.setUint16(offset + 2, Math.round(rgb[1] * 65535), true);
+                points.setUint16(offset + 4, Math.round(rgb[2] * 65535), true);
+                offset += 6;
+            }
+            for (let a = 0; a < extraNames.length; a++) {
+                const value = values[extraNames[a]] ?? 0;
+                if (extraDoubles[a]) {
+                    points.setFloat64(offset, value, true);
+                    offset += 8;
+                } else {
+                    points.setFloat32(offset, value, true);
+                    offset += 4;
+                }
+            }
+        }, async (count) => {
+            await sink.write(buffer.slice(0, count * stride));
+            progress(count);
+        });
+    }
+}
@@ -0,0 +1,259 @@
+// Point Filter - hides points by classification, return and attribute ranges. The
+// filter state lives in the shared material uniforms, so toggling a filter is only a
+// uniform update; the geometry decoded for each tile is never rebuilt. Each tile just
+// gets the attributes the shader tests aliased under fixed names, like colorScalar.
+class PointFilter {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.uniforms = visualizer.sharedUniforms;
+
+        this.hiddenClasses = new Set();
+        this.returnFilter = 'all';
+        this.scalarFilters = []; // { name, min, max, dataMin, dataMax }, one per shader slot
+        this.classCounts = new Map();
+    }
+
+    get active() {
+        return this.hiddenClasses.size > 0 || this.returnFilter !== 'all' || this.scalarFilters.length > 0;
+    }
+
+    // Alias the filtered attributes of one tile and flag which ones it has
+    applyAttributes(pointCloud) {
+        const attributes = pointCloud.geometry.attributes;
+        const uniforms = pointCloud.material.uniforms;
+
+        pointCloud.setGeometryAttribute('filterClass', attributes.classification || null);
+        uniforms.hasClassification.value = !!attributes.classification;
+
+        const hasReturns = !!(attributes.returnNumber && attributes.numberOfReturns);
+        pointCloud.setGeometryAttribute('filterReturn', hasReturns ? attributes.returnNumber : null);
+        pointCloud.setGeometryAttribute('filterReturnCount', hasReturns ? attributes.numberOfReturns : null);
+        uniforms.hasReturns.value = hasReturns;
+
+        const available = [];
+        for (let slot = 0; slot < PointCloudMaterial.MAX_SCALAR_FILTERS; slot++) {
+            const filter = this.scalarFilters[slot];
+            const attribute = filter ? attributes[filter.name] : null;
+            pointCloud.setGeometryAttribute(`filterScalar${slot}`, attribute || null);
+            available.push(attribute ? 1 : 0);
+        }
+        uniforms.scalarFilterAvailable.value.fromArray(available);
+    }
+
+    applyToAll() {
+        for (const pointCloud of [...this.visualizer.loadedPointClouds.values(), ...this.visualizer.cleaningTool.pointClouds]) {
+            this.applyAttributes(pointCloud);
+        }
+    }
+
+    setClassVisible(code, visible) {
+        if (visible) {
+            this.hiddenClasses.delete(code);
+        } else {
+            this.hiddenClasses.add(code);
+        }
+        this.updateClassTexture();
+    }
+
+    setAllClassesVisible(visible) {
+        this.hiddenClasses = visible ? new Set() : new Set(this.classCounts.keys());
+        this.updateClassTexture();
+        this.renderClassList();
+    }
+
+    updateClassTexture() {
+        const texture = this.uniforms.classVisibility.value;
+        for (let code = 0; code < 256; code++) {
+            texture.image.data[code * 4] = this.hiddenClasses.has(code) ? 0 : 255;
+        }
+        texture.needsUpdate = true;
+    }
+
+    setReturnFilter(mode) {
+        this.returnFilter = mode;
+        this.uniforms.returnFilter.value = PointCloudMaterial.RETURN_FILTERS[mode];
+        this.visualizer.dom('returnFilter').value = mode;
+    }
+
+    // Range of an attribute over the loaded tiles
+    getDataRange(name) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const pointCloud of this.visualizer.loadedPointClouds.values()) {
+            const range = pointCloud.userData.attributeRanges[name];
+            if (range) {
+                min = Math.min(min, range[0]);
+                max = Math.max(max, range[1]);
+            }
+        }
+        return min <= max ? [min, max] : [0, 1];
+    }
+
+    addScalarFilter(name) {
+        if (this.scalarFilters.some(filter => filter.name === name)) return;
+        if (this.scalarFilters.length >= PointCloudMaterial.MAX_SCALAR_FILTERS) {
+            alert(`At most ${PointCloudMaterial.MAX_SCALAR_FILTERS} attribute filters can be used at once.`);
+            return;
+        }
+
+        const [dataMin, dataMax] = this.getDataRange(name);
+        this.scalarFilters.push({ name, min: dataMin, max: dataMax, dataMin, dataMax });
+        this.updateScalarUniforms();
+        this.applyToAll();
+        this.renderScalarFilters();
+    }
+
+    removeScalarFilter(filter) {
+        this.scalarFilters = this.scalarFilters.filter(item => item !== filter);
+        this.updateScalarUniforms();
+        this.applyToAll();
+        this.renderScalarFilters();
+    }
+
+    setScalarRange(filter, min, max) {
+        filter.min = Math.min(min, max);
+        filter.max = Math.max(min, max);
+        this.updateScalarUniforms();
+    }
+
+    updateScalarUniforms() {
+        this.scalarFilters.forEach((filter, slot) => {
+            this.uniforms.scalarFilterRanges.value[slot].set(filter.min, filter.max);
+        });
+    }
+
+    // Same tests as the shader, for picking
+    isFiltered(pointCloud, index) {
+        const attributes = pointCloud.geometry.attributes;
+
+        if (attributes.classification && this.hiddenClasses.has(Math.round(attributes.classification.array[index]))) {
+            return true;
+        }
+
+        if (this.returnFilter !== 'all' && attributes.returnNumber && attributes.numberOfReturns) {
+            const number = Math.round(attributes.returnNumber.array[index]);
+            const count = Math.round(attributes.numberOfReturns.array[index]);
+            if (this.returnFilter === 'first' && number !== 1) return true;
+            if (this.returnFilter === 'last' && number !== count) return true;
+            if (this.returnFilter === 'intermediate' && (number <= 1 || number >= count)) return true;
+            if (this.returnFilter === 'single' && count !== 1) return true;
+        }
+
+        return this.scalarFilters.some(filter => {
+            const attribute = attributes[filter.name];
+            if (!attribute) return false;
+            const value = attribute.array[index];
+            return value < filter.min || value > filter.max;
+        });
+    }
+
+    // Re-read the classes and attributes of the loaded tiles after tiles arrive or are evicted
+    refresh() {
+        this.classCounts = new Map();
+        const names = new Set();
+        for (const pointCloud of this.visualizer.loadedPointClouds.values()) {
+            for (const [code, count] of Object.entries(pointCloud.userData.classCounts || {})) {
+                this.classCounts.set(Number(code), (this.classCounts.get(Number(code)) || 0) + count);
+            }
+            for (const name of Object.keys(pointCloud.userData.attributeRanges)) {
+                names.add(name);
+            }
+        }
+
+        this.renderClassList();
+
+        const select = this.visualizer.dom('scalarFilterAdd');
+        const current = [...select.options].slice(1).map(option => option.value);
+        const available = [...names].sort();
+        if (current.join() !== available.join()) {
+            select.length = 1;
+            for (const name of available) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            }
+        }
+    }
+
+    renderClassList() {
+        const list = this.visualizer.dom('classFilterList');
+        list.innerHTML = '';
+
+        if (this.classCounts.size === 0) {
+            list.textContent = 'No classified points loaded';
+            return;
+        }
+
+        for (const code of [...this.classCounts.keys()].sort((a, b) => a - b)) {
+            const asprsClass = ASPRS_CLASSES[code];
+            const item = document.createElement('label');
+            item.className = 'legend-item';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !this.hiddenClasses.has(code);
+            checkbox.addEventListener('change', () => this.setClassVisible(code, checkbox.checked));
+
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.background = asprsClass ? asprsClass.color : '#ffffff';
+
+            const name = document.createElement('span');
+            name.className = 'class-name';
+            name.textContent = `${code} ${asprsClass ? asprsClass.name : 'User defined'}`;
+
+            const count = document.createElement('span');
+            count.className = 'class-count';
+            count.textContent = this.classCounts.get(code).toLocaleString();
+
+            item.append(checkbox, swatch, name, count);
+            list.appendChild(item);
+        }
+    }
+
+    renderScalarFilters() {
+        const list = this.visualizer.dom('scalarFilterList');
+        list.innerHTML = '';
+
+        for (const filter of this.scalarFilters) {
+            const item = document.createElement('div');
+            item.className = 'measurement-item';
+            item.innerHTML = `<strong>${filter.name}</strong>`;
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'measurement-remove';
+            removeButton.textContent = '×';
+            removeButton.title = 'Remove filter';
+            removeButton.addEventListener('click', () => this.removeScalarFilter(filter));
+            item.prepend(removeButton);
+
+            const values = document.createElement('div');
+            values.className = 'measurement-details';
+
+            // Sliders run over the data range in 1000 steps
+            const span = filter.dataMax - filter.dataMin || 1;
+            const sliders = ['min', 'max'].map(bound => {
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.className = 'range-slider';
+                slider.min = 0;
+                slider.max = 1000;
+                slider.value = Math.round(((filter[bound] - filter.dataMin) / span) * 1000);
+                return slider;
+            });
+            const update = () => {
+                const [min, max] = sliders.map(slider => filter.dataMin + (slider.value / 1000) * span);
+                this.setScalarRange(filter, min, max);
+                values.textContent = `${filter.min.toFixed(2)} – ${filter.max.toFixed(2)}`;
+            };
+            for (const slider of sliders) {
+                slider.addEventListener('input', update);
+            }
+            values.textContent = `${filter.min.toFixed(2)} – ${filter.max.toFixed(2)}`;
+
+            item.append(...sliders, values);
+            list.appendChild(item);
+        }
+    }
+}
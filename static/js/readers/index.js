@@ -0,0 +1,36 @@
+// Point Cloud Readers - picks the reader for a file by its extension. Every reader
+// exposes the same two entry points:
+//   scanBounds(file, onProgress) -> bounding box, point count and property names
+//   decode(file, options, onProgress) -> centred positions, colours and per-point attributes
+const PointCloudReaders = {
+    readers: {
+        ply: () => PLYReader,
+        las: () => LASReader,
+        laz: () => LASReader,
+        xyz: () => XYZReader,
+        pts: () => XYZReader,
+        txt: () => XYZReader,
+        csv: () => XYZReader
+    },
+
+    extensionOf(fileName) {
+        const dot = fileName.lastIndexOf('.');
+        return dot === -1 ? '' : fileName.slice(dot + 1).toLowerCase();
+    },
+
+    isSupported(fileName) {
+        return PointCloudReaders.extensionOf(fileName) in PointCloudReaders.readers;
+    },
+
+    forFile(fileName) {
+        const reader = PointCloudReaders.readers[PointCloudReaders.extensionOf(fileName)];
+        if (!reader) {
+            throw new Error(`${fileName}: unsupported point cloud format`);
+        }
+        return reader();
+    },
+
+    get extensions() {
+        return Object.keys(PointCloudReaders.readers).map(extension => `.${extension}`);
+    }
+};
@@ -0,0 +1,287 @@
+// LAS Reader - LAS 1.2-1.4 point records (formats 0-10), with LAZ decompression through
+// laz-perf. The bounds come straight from the public header block, so indexing never
+// touches the point records.
+class LASReader {
+    static LAZ_PERF_URL = 'https://cdn.jsdelivr.net/npm/laz-perf@0.0.7/lib/worker/';
+    static CHUNK_SIZE = 16 * 1024 * 1024;
+
+    // Byte offsets of the per-point fields that differ between the legacy (0-5) and
+    // the LAS 1.4 (6-10) point data record formats
+    static POINT_LAYOUTS = {
+        0: { gpsTime: null, rgb: null },
+        1: { gpsTime: 20, rgb: null },
+        2: { gpsTime: null, rgb: 20 },
+        3: { gpsTime: 20, rgb: 28 },
+        4: { gpsTime: 20, rgb: null },
+        5: { gpsTime: 20, rgb: 28 },
+        6: { gpsTime: 22, rgb: null },
+        7: { gpsTime: 22, rgb: 30 },
+        8: { gpsTime: 22, rgb: 30 },
+        9: { gpsTime: 22, rgb: null },
+        10: { gpsTime: 22, rgb: 30 }
+    };
+
+    static async readHeader(file) {
+        const buffer = await file.slice(0, 375).arrayBuffer();
+        const view = new DataView(buffer);
+
+        if (buffer.byteLength < 227 || new TextDecoder('latin1').decode(new Uint8Array(buffer, 0, 4)) !== 'LASF') {
+            throw new Error(`${file.name}: missing "LASF" signature, not a valid LAS file`);
+        }
+
+        const versionMajor = view.getUint8(24);
+        const versionMinor = view.getUint8(25);
+        const rawFormat = view.getUint8(104);
+
+        // LAZ sets the top bits of the point format to flag compression
+        const compressed = (rawFormat & 0xc0) !== 0;
+        const pointFormat = rawFormat & 0x3f;
+
+        if (!LASReader.POINT_LAYOUTS[pointFormat]) {
+            throw new Error(`${file.name}: unsupported LAS point format ${pointFormat}`);
+        }
+
+        let pointCount = view.getUint32(107, true);
+        if (versionMinor >= 4 && buffer.byteLength >= 255) {
+            const extendedCount = Number(view.getBigUint64(247, true));
+            if (extendedCount > 0) pointCount = extendedCount;
+        }
+
+        return {
+            versionMajor,
+            versionMinor,
+            compressed,
+            pointFormat,
+            headerSize: view.getUint16(94, true),
+            pointDataOffset: view.getUint32(96, true),
+            pointRecordLength: view.getUint16(105, true),
+            pointCount,
+            scale: [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)],
+            offset: [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)],
+            maxX: view.getFloat64(179, true),
+            minX: view.getFloat64(187, true),
+            maxY: view.getFloat64(195, true),
+            minY: view.getFloat64(203, true),
+            maxZ: view.getFloat64(211, true),
+            minZ: view.getFloat64(219, true)
+        };
+    }
+
+    static async scanBounds(file, onProgress) {
+        const header = await LASReader.readHeader(file);
+        if (onProgress) onProgress(1, 1);
+
+        const { minX, maxX, minY, maxY, minZ, maxZ } = header;
+        const properties = ['x', 'y', 'z', 'intensity', 'returnNumber', 'numberOfReturns', 'classification'];
+        const layout = LASReader.POINT_LAYOUTS[header.pointFormat];
+        if (layout.gpsTime !== null) properties.push('gpsTime');
+        if (layout.rgb !== null) properties.push('red', 'green', 'blue');
+
+        return {
+            centerX: (maxX + minX) / 2,
+            centerY: (maxY + minY) / 2,
+            centerZ: (maxZ + minZ) / 2,
+            extentX: maxX - minX,
+            extentY: maxY - minY,
+            extentZ: maxZ - minZ,
+            minX, maxX,
+            minY, maxY,
+            minZ, maxZ,
+            vertexCount: header.pointCount,
+            format: header.compressed ? 'laz' : 'las',
+            properties
+        };
+    }
+
+    static async decode(file, options = {}, onProgress) {
+        const header = await LASReader.readHeader(file);
+        const declared = header.pointCount;
+        const layout = LASReader.POINT_LAYOUTS[header.pointFormat];
+        const extended = header.pointFormat >= 6;
+
+        const center = options.center || [
+            (header.maxX + header.minX) / 2,
+            (header.maxY + header.minY) / 2,
+            (header.maxZ + header.minZ) / 2
+        ];
+        const [scaleX, scaleY, scaleZ] = header.scale;
+        const [offsetX, offsetY, offsetZ] = header.offset;
+
+        let positions = new Float32Array(declared * 3);
+        let colors = layout.rgb !== null ? new Float32Array(declared * 3) : null;
+        const attributes = {
+            intensity: new Float32Array(declared),
+            returnNumber: new Float32Array(declared),
+            numberOfReturns: new Float32Array(declared),
+            classification: new Float32Array(declared)
+        };
+        // GPS time is kept relative to the first point's time so it survives Float32
+        let gpsTimes = layout.gpsTime !== null ? new Float64Array(declared) : null;
+
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        let maxColor = 0;
+
+        const readPoint = (view, base, index) => {
+            const x = view.getInt32(base, true) * scaleX + offsetX;
+            const y = view.getInt32(base + 4, true) * scaleY + offsetY;
+            const z = view.getInt32(base + 8, true) * scaleZ + offsetZ;
+            positions[index * 3] = x - center[0];
+            positions[index * 3 + 1] = y - center[1];
+            positions[index * 3 + 2] = z - center[2];
+
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+            if (z < minZ) minZ = z;
+            if (z > maxZ) maxZ = z;
+
+            attributes.intensity[index] = view.getUint16(base + 12, true);
+
+            const returns = view.getUint8(base + 14);
+            if (extended) {
+                attributes.returnNumber[index] = returns & 0x0f;
+                attributes.numberOfReturns[index] = returns >> 4;
+                attributes.classification[index] = view.getUint8(base + 16);
+            } else {
+                attributes.returnNumber[index] = returns & 0x07;
+                attributes.numberOfReturns[index] = (returns >> 3) & 0x07;
+                attributes.classification[index] = view.getUint8(base + 15) & 0x1f;
+            }
+
+            if (gpsTimes) {
+                gpsTimes[index] = view.getFloat64(base + layout.gpsTime, true);
+            }
+
+            if (colors) {
+                const red = view.getUint16(base + layout.rgb, true);
+                const green = view.getUint16(base + layout.rgb + 2, true);
+                const blue = view.getUint16(base + layout.rgb + 4, true);
+                colors[index * 3] = red;
+                colors[index * 3 + 1] = green;
+                colors[index * 3 + 2] = blue;
+                if (red > maxColor) maxColor = red;
+                if (green > maxColor) maxColor = green;
+                if (blue > maxColor) maxColor = blue;
+            }
+        };
+
+        const count = header.compressed
+            ? await LASReader.decodeCompressed(file, header, readPoint, onProgress)
+            : await LASReader.decodeUncompressed(file, header, readPoint, onProgress);
+
+        // A LAZ file can hold fewer points than its header declares
+        if (count < declared) {
+            positions = positions.slice(0, count * 3);
+            if (colors) colors = colors.slice(0, count * 3);
+            if (gpsTimes) gpsTimes = gpsTimes.slice(0, count);
+            for (const name of Object.keys(attributes)) {
+                attributes[name] = attributes[name].slice(0, count);
+            }
+        }
+
+        // Many writers store 8-bit colours in the 16-bit fields
+        if (colors) {
+            const colorScale = 1 / (maxColor > 255 ? 65535 : 255);
+            for (let i = 0; i < colors.length; i++) {
+                colors[i] *= colorScale;
+            }
+        }
+
+        const attributeOffsets = {};
+        if (gpsTimes) {
+            const gpsTimeOffset = count > 0 ? gpsTimes[0] : 0;
+            attributes.gpsTime = new Float32Array(count);
+            for (let i = 0; i < count; i++) {
+                attributes.gpsTime[i] = gpsTimes[i] - gpsTimeOffset;
+            }
+            attributeOffsets.gpsTime = gpsTimeOffset;
+        }
+
+        return {
+            name: file.name,
+            format: header.compressed ? 'laz' : 'las',
+            pointCount: count,
+            center,
+            bounds: { minX, maxX, minY, maxY, minZ, maxZ },
+            positions,
+            colors,
+            attributes,
+            attributeOffsets
+        };
+    }
+
+    static async decodeUncompressed(file, header, readPoint, onProgress) {
+        const stride = header.pointRecordLength;
+        const pointsPerChunk = Math.max(1, Math.floor(LASReader.CHUNK_SIZE / stride));
+        const endOffset = header.pointDataOffset + header.pointCount * stride;
+        if (endOffset > file.size) {
+            throw new Error(`${file.name}: file is truncated (${header.pointCount} points declared)`);
+        }
+
+        let index = 0;
+        for (let offset = header.pointDataOffset; offset < endOffset; offset += pointsPerChunk * stride) {
+            const buffer = await file.slice(offset, Math.min(endOffset, offset + pointsPerChunk * stride)).arrayBuffer();
+            const view = new DataView(buffer);
+            const count = Math.floor(buffer.byteLength / stride);
+
+            for (let i = 0; i < count; i++) {
+                readPoint(view, i * stride, index++);
+            }
+
+            if (onProgress) onProgress(index, header.pointCount);
+        }
+        return index;
+    }
+
+    // laz-perf decompresses from a copy of the whole file in WASM memory, one point at a
+    // time. Returns the number of points decoded, which the chunk table may make fewer
+    // than the header's count.
+    static async decodeCompressed(file, header, readPoint, onProgress) {
+        const LazPerf = await LASReader.getLazPerf();
+        const bytes = new Uint8Array(await file.arrayBuffer());
+
+        const filePointer = LazPerf._malloc(bytes.byteLength);
+        const pointPointer = LazPerf._malloc(header.pointRecordLength);
+        const laszip = new LazPerf.LASZip();
+
+        try {
+            LazPerf.HEAPU8.set(bytes, filePointer);
+            laszip.open(filePointer, bytes.byteLength);
+
+            const pointLength = laszip.getPointLength();
+            const count = Math.min(header.pointCount, laszip.getCount());
+            const progressStep = Math.max(1, Math.floor(count / 100));
+
+            for (let index = 0; index < count; index++) {
+                laszip.getPoint(pointPointer);
+                // HEAPU8 may be replaced when WASM memory grows, so take a fresh view each time
+                readPoint(new DataView(LazPerf.HEAPU8.buffer, pointPointer, pointLength), 0, index);
+
+                if (onProgress && index % progressStep === 0) onProgress(index, count);
+            }
+
+            if (onProgress) onProgress(count, count);
+            return count;
+        } finally {
+            laszip.delete();
+            LazPerf._free(pointPointer);
+            LazPerf._free(filePointer);
+        }
+    }
+
+    // laz-perf is only loaded the first time a LAZ file is decoded
+    static getLazPerf() {
+        if (!LASReader.lazPerfPromise) {
+            if (typeof importScripts !== 'function') {
+                return Promise.reject(new Error('LAZ files can only be decoded inside a worker'));
+            }
+            importScripts(`${LASReader.LAZ_PERF_URL}laz-perf.js`);
+            LASReader.lazPerfPromise = createLazPerf({
+                locateFile: (path) => `${LASReader.LAZ_PERF_URL}${path}`
+            });
+        }
+        return LASReader.lazPerfPromise;
+    }
+}
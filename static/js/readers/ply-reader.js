@@ -0,0 +1,356 @@
+// PLY Reader - reads the PLY header and streams vertex coordinates straight from the
+// file without building a THREE geometry. Kept free of DOM access so it can also be
+// loaded inside a Web Worker.
+class PLYReader {
+    // Size of the PLY scalar types in bytes
+    static TYPE_SIZES = {
+        char: 1, int8: 1, uchar: 1, uint8: 1,
+        short: 2, int16: 2, ushort: 2, uint16: 2,
+        int: 4, int32: 4, uint: 4, uint32: 4,
+        float: 4, float32: 4, double: 8, float64: 8
+    };
+
+    static HEADER_CHUNK_SIZE = 64 * 1024;
+    static MAX_HEADER_SIZE = 1024 * 1024;
+    static SCAN_CHUNK_SIZE = 16 * 1024 * 1024;
+
+    // Read and parse the header only. Returns the format, the element layout and the
+    // byte offset where the body starts.
+    static async readHeader(file) {
+        let text = '';
+        let offset = 0;
+        let endIndex = -1;
+
+        while (endIndex === -1) {
+            if (offset >= file.size || offset >= PLYReader.MAX_HEADER_SIZE) {
+                throw new Error(`${file.name}: no end_header found, not a valid PLY file`);
+            }
+            const chunk = await file.slice(offset, offset + PLYReader.HEADER_CHUNK_SIZE).arrayBuffer();
+            // Header is plain ASCII, latin1 keeps byte offsets equal to string offsets
+            text += new TextDecoder('latin1').decode(chunk);
+            offset += chunk.byteLength;
+            endIndex = text.search(/end_header\r?\n/);
+        }
+
+        const headerEnd = text.indexOf('\n', endIndex) + 1;
+        const lines = text.slice(0, headerEnd).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+        if (lines[0] !== 'ply') {
+            throw new Error(`${file.name}: missing "ply" magic number`);
+        }
+
+        const header = {
+            format: null,
+            elements: [],
+            comments: [],
+            headerLength: headerEnd
+        };
+
+        let currentElement = null;
+        for (const line of lines.slice(1)) {
+            const tokens = line.split(/\s+/);
+
+            switch (tokens[0]) {
+                case 'format':
+                    header.format = tokens[1];
+                    break;
+                case 'comment':
+                case 'obj_info':
+                    header.comments.push(line.slice(tokens[0].length).trim());
+                    break;
+                case 'element':
+                    currentElement = { name: tokens[1], count: parseInt(tokens[2], 10), properties: [] };
+                    header.elements.push(currentElement);
+                    break;
+                case 'property':
+                    if (!currentElement) {
+                        throw new Error(`${file.name}: property declared before any element`);
+                    }
+                    if (tokens[1] === 'list') {
+                        currentElement.properties.push({ name: tokens[4], isList: true, countType: tokens[2], type: tokens[3] });
+                    } else {
+                        currentElement.properties.push({ name: tokens[2], isList: false, type: tokens[1] });
+                    }
+                    break;
+            }
+        }
+
+        if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(header.format)) {
+            throw new Error(`${file.name}: unsupported PLY format "${header.format}"`);
+        }
+
+        const vertex = header.elements.find(element => element.name === 'vertex');
+        if (!vertex) {
+            throw new Error(`${file.name}: no vertex element in header`);
+        }
+
+        header.vertexCount = vertex.count;
+        header.vertexElement = vertex;
+        header.vertexLayout = PLYReader.getVertexLayout(file, header);
+
+        return header;
+    }
+
+    // Work out where each vertex property sits, either as a byte offset (binary) or a
+    // token index (ascii), and where the vertex block starts in the file
+    static getVertexLayout(file, header) {
+        const vertex = header.vertexElement;
+        const binary = header.format !== 'ascii';
+        const properties = {};
+        let stride = 0;
+
+        for (const [index, property] of vertex.properties.entries()) {
+            if (property.isList) {
+                throw new Error(`${file.name}: list properties on vertices are not supported`);
+            }
+            const size = PLYReader.TYPE_SIZES[property.type];
+            if (!size) {
+                throw new Error(`${file.name}: unknown property type "${property.type}"`);
+            }
+            properties[property.name] = { type: property.type, offset: stride, index };
+            stride += size;
+        }
+
+        for (const axis of ['x', 'y', 'z']) {
+            if (!properties[axis]) {
+                throw new Error(`${file.name}: vertex element has no "${axis}" property`);
+            }
+        }
+
+        // Elements before the vertices must be skipped; in binary files that is only
+        // possible when they have a fixed size
+        let dataOffset = header.headerLength;
+        let skipLines = 0;
+        for (const element of header.elements) {
+            if (element === vertex) break;
+            if (binary) {
+                if (element.properties.some(property => property.isList)) {
+                    throw new Error(`${file.name}: cannot skip variable-size element "${element.name}" before vertices`);
+                }
+                dataOffset += element.count * element.properties.reduce((sum, property) => sum + PLYReader.TYPE_SIZES[property.type], 0);
+            } else {
+                skipLines += element.count;
+            }
+        }
+
+        return { properties, stride, dataOffset, skipLines };
+    }
+
+    // Read a single scalar from a DataView
+    static readValue(view, offset, type, littleEndian) {
+        switch (type) {
+            case 'char': case 'int8': return view.getInt8(offset);
+            case 'uchar': case 'uint8': return view.getUint8(offset);
+            case 'short': case 'int16': return view.getInt16(offset, littleEndian);
+            case 'ushort': case 'uint16': return view.getUint16(offset, littleEndian);
+            case 'int': case 'int32': return view.getInt32(offset, littleEndian);
+            case 'uint': case 'uint32': return view.getUint32(offset, littleEndian);
+            case 'float': case 'float32': return view.getFloat32(offset, littleEndian);
+            case 'double': case 'float64': return view.getFloat64(offset, littleEndian);
+        }
+        return 0;
+    }
+
+    // Stream through the vertex block one chunk at a time, so the file is never held
+    // in memory in full. onRecord receives a reused array holding every property of
+    // the vertex in header order.
+    static async forEachVertexRecord(file, header, onRecord, onProgress) {
+        if (header.format === 'ascii') {
+            return PLYReader.forEachAsciiVertexRecord(file, header, onRecord, onProgress);
+        }
+
+        const { stride, dataOffset } = header.vertexLayout;
+        const properties = header.vertexElement.properties;
+        const offsets = Object.values(header.vertexLayout.properties).map(property => property.offset);
+        const littleEndian = header.format === 'binary_little_endian';
+        const values = new Float64Array(properties.length);
+
+        const verticesPerChunk = Math.max(1, Math.floor(PLYReader.SCAN_CHUNK_SIZE / stride));
+        const endOffset = dataOffset + header.vertexCount * stride;
+        if (endOffset > file.size) {
+            throw new Error(`${file.name}: file is truncated (${header.vertexCount} vertices declared)`);
+        }
+
+        let vertexIndex = 0;
+        for (let offset = dataOffset; offset < endOffset; offset += verticesPerChunk * stride) {
+            const buffer = await file.slice(offset, Math.min(endOffset, offset + verticesPerChunk * stride)).arrayBuffer();
+            const view = new DataView(buffer);
+            const count = Math.floor(buffer.byteLength / stride);
+
+            for (let i = 0; i < count; i++) {
+                const base = i * stride;
+                for (let p = 0; p < properties.length; p++) {
+                    values[p] = PLYReader.readValue(view, base + offsets[p], properties[p].type, littleEndian);
+                }
+                onRecord(values, vertexIndex++);
+            }
+
+            if (onProgress) onProgress(vertexIndex, header.vertexCount);
+        }
+    }
+
+    static async forEachAsciiVertexRecord(file, header, onRecord, onProgress) {
+        const { dataOffset, skipLines } = header.vertexLayout;
+        const propertyCount = header.vertexElement.properties.length;
+        const values = new Float64Array(propertyCount);
+        const decoder = new TextDecoder('latin1');
+
+        let remainder = '';
+        let linesToSkip = skipLines;
+        let vertexIndex = 0;
+
+        for (let offset = dataOffset; offset < file.size && vertexIndex < header.vertexCount; offset += PLYReader.SCAN_CHUNK_SIZE) {
+            const buffer = await file.slice(offset, offset + PLYReader.SCAN_CHUNK_SIZE).arrayBuffer();
+            const lines = (remainder + decoder.decode(buffer)).split('\n');
+            remainder = offset + PLYReader.SCAN_CHUNK_SIZE < file.size ? lines.pop() : '';
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed) continue;
+                if (linesToSkip > 0) {
+                    linesToSkip--;
+                    continue;
+                }
+                if (vertexIndex >= header.vertexCount) break;
+
+                const tokens = trimmed.split(/\s+/);
+                for (let p = 0; p < propertyCount; p++) {
+                    values[p] = parseFloat(tokens[p]);
+                }
+                onRecord(values, vertexIndex++);
+            }
+
+            if (onProgress) onProgress(vertexIndex, header.vertexCount);
+        }
+    }
+
+    // Header-only indexing pass: bounding box and vertex count without a geometry
+    static async scanBounds(file, onProgress) {
+        const header = await PLYReader.readHeader(file);
+
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+        const { x: xProperty, y: yProperty, z: zProperty } = header.vertexLayout.properties;
+        const xIndex = xProperty.index;
+        const yIndex = yProperty.index;
+        const zIndex = zProperty.index;
+
+        await PLYReader.forEachVertexRecord(file, header, (values) => {
+            const x = values[xIndex];
+            const y = values[yIndex];
+            const z = values[zIndex];
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+            if (z < minZ) minZ = z;
+            if (z > maxZ) maxZ = z;
+        }, onProgress);
+
+        if (header.vertexCount === 0) {
+            minX = minY = minZ = maxX = maxY = maxZ = 0;
+        }
+
+        return {
+            centerX: (maxX + minX) / 2,
+            centerY: (maxY + minY) / 2,
+            centerZ: (maxZ + minZ) / 2,
+            extentX: maxX - minX,
+            extentY: maxY - minY,
+            extentZ: maxZ - minZ,
+            minX, maxX,
+            minY, maxY,
+            minZ, maxZ,
+            vertexCount: header.vertexCount,
+            format: header.format,
+            properties: header.vertexElement.properties.map(property => property.name)
+        };
+    }
+
+    // Full decode into typed arrays. Positions are stored relative to the bounding-box
+    // centre (subtracted in double precision) so large survey coordinates survive the
+    // conversion to Float32. Pass the centre from an earlier scan to avoid a second pass.
+    static async decode(file, options = {}, onProgress) {
+        const header = await PLYReader.readHeader(file);
+        const count = header.vertexCount;
+        const properties = header.vertexElement.properties;
+        const layout = header.vertexLayout.properties;
+
+        let center = options.center;
+        if (!center) {
+            const bounds = await PLYReader.scanBounds(file);
+            center = [bounds.centerX, bounds.centerY, bounds.centerZ];
+        }
+
+        const positions = new Float32Array(count * 3);
+        const xIndex = layout.x.index;
+        const yIndex = layout.y.index;
+        const zIndex = layout.z.index;
+
+        // Colours come from red/green/blue (or r/g/b, diffuse_*) scaled by their type range
+        const colorNames = [['red', 'green', 'blue'], ['r', 'g', 'b'], ['diffuse_red', 'diffuse_green', 'diffuse_blue']]
+            .find(names => names.every(name => layout[name]));
+        const colorIndices = colorNames ? colorNames.map(name => layout[name].index) : null;
+        const colorScale = colorNames ? 1 / PLYReader.colorRange(layout[colorNames[0]].type) : 1;
+        const colors = colorNames ? new Float32Array(count * 3) : null;
+
+        // Every other scalar property is kept as a per-point attribute
+        const skipped = new Set(['x', 'y', 'z', 'alpha', ...(colorNames || [])]);
+        const attributeProperties = properties.filter(property => !skipped.has(property.name));
+        const attributeIndices = attributeProperties.map(property => layout[property.name].index);
+        const attributes = {};
+        for (const property of attributeProperties) {
+            attributes[property.name] = new Float32Array(count);
+        }
+        const attributeArrays = attributeProperties.map(property => attributes[property.name]);
+
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+        await PLYReader.forEachVertexRecord(file, header, (values, index) => {
+            const x = values[xIndex];
+            const y = values[yIndex];
+            const z = values[zIndex];
+            positions[index * 3] = x - center[0];
+            positions[index * 3 + 1] = y - center[1];
+            positions[index * 3 + 2] = z - center[2];
+
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+            if (z < minZ) minZ = z;
+            if (z > maxZ) maxZ = z;
+
+            if (colors) {
+                colors[index * 3] = values[colorIndices[0]] * colorScale;
+                colors[index * 3 + 1] = values[colorIndices[1]] * colorScale;
+                colors[index * 3 + 2] = values[colorIndices[2]] * colorScale;
+            }
+
+            for (let a = 0; a < attributeArrays.length; a++) {
+                attributeArrays[a][index] = values[attributeIndices[a]];
+            }
+        }, onProgress);
+
+        return {
+            name: file.name,
+            format: 'ply',
+            pointCount: count,
+            center,
+            bounds: { minX, maxX, minY, maxY, minZ, maxZ },
+            positions,
+            colors,
+            attributes
+        };
+    }
+
+    static colorRange(type) {
+        switch (type) {
+            case 'ushort': case 'uint16': return 65535;
+            case 'float': case 'float32': case 'double': case 'float64': return 1;
+        }
+        return 255;
+    }
+}
@@ -0,0 +1,232 @@
+// XYZ Reader - ASCII point lists (.xyz, .pts, .txt, .csv). Columns are taken from a
+// header row when there is one, otherwise guessed from the column count:
+//   3: x y z   4: x y z intensity   6: x y z r g b   7: x y z intensity r g b
+// PTS files start with a line holding the point count, which is skipped.
+class XYZReader {
+    static CHUNK_SIZE = 16 * 1024 * 1024;
+
+    // Header names recognised for each column role
+    static COLUMN_ALIASES = {
+        x: ['x', 'easting', 'e'],
+        y: ['y', 'northing', 'n'],
+        z: ['z', 'elevation', 'height', 'h'],
+        red: ['r', 'red'],
+        green: ['g', 'green'],
+        blue: ['b', 'blue'],
+        intensity: ['i', 'intensity'],
+        classification: ['class', 'classification']
+    };
+
+    static splitLine(line) {
+        return line.trim().split(/[\s,;]+/);
+    }
+
+    static isNumericRow(tokens) {
+        return tokens.every(token => token !== '' && !isNaN(Number(token)));
+    }
+
+    // Map column indices to roles from the first data row or a header row
+    static getColumns(tokens, headerTokens) {
+        const columns = {};
+
+        if (headerTokens) {
+            const names = headerTokens.map(token => token.toLowerCase().replace(/^\/\/\s*/, ''));
+            for (const [index, name] of names.entries()) {
+                const role = Object.keys(XYZReader.COLUMN_ALIASES).find(key => XYZReader.COLUMN_ALIASES[key].includes(name));
+                columns[role || name || `column${index + 1}`] = index;
+            }
+        } else {
+            const count = tokens.length;
+            ['x', 'y', 'z'].slice(0, count).forEach((axis, index) => {
+                columns[axis] = index;
+            });
+            if (count === 4 || count >= 7) columns.intensity = 3;
+            if (count === 6) Object.assign(columns, { red: 3, green: 4, blue: 5 });
+            if (count >= 7) Object.assign(columns, { red: 4, green: 5, blue: 6 });
+            for (let index = count >= 7 ? 7 : (count === 6 ? 6 : (count === 4 ? 4 : 3)); index < count; index++) {
+                columns[`column${index + 1}`] = index;
+            }
+        }
+
+        for (const axis of ['x', 'y', 'z']) {
+            if (columns[axis] === undefined) {
+                throw new Error(`no "${axis}" column found`);
+            }
+        }
+
+        return columns;
+    }
+
+    // Stream the text one chunk at a time and call onRow(tokens, columns) for every data row
+    static async forEachRow(file, onRow, onProgress) {
+        const decoder = new TextDecoder('latin1');
+        let remainder = '';
+        let columns = null;
+        let headerTokens = null;
+        let lineNumber = 0;
+        let minTokens = 0; // Enough to reach the x, y and z columns
+
+        for (let offset = 0; offset < file.size; offset += XYZReader.CHUNK_SIZE) {
+            const buffer = await file.slice(offset, offset + XYZReader.CHUNK_SIZE).arrayBuffer();
+            const lines = (remainder + decoder.decode(buffer)).split('\n');
+            remainder = offset + XYZReader.CHUNK_SIZE < file.size ? lines.pop() : '';
+
+            for (const line of lines) {
+                lineNumber++;
+                const trimmed = line.trim();
+                if (!trimmed || trimmed.startsWith('#')) continue;
+
+                const tokens = XYZReader.splitLine(trimmed);
+
+                if (!columns) {
+                    // PTS point count line
+                    if (lineNumber === 1 && tokens.length === 1 && XYZReader.isNumericRow(tokens)) continue;
+                    if (!XYZReader.isNumericRow(tokens)) {
+                        if (headerTokens) {
+                            throw new Error(`${file.name}: unexpected text on line ${lineNumber}`);
+                        }
+                        headerTokens = tokens;
+                        continue;
+                    }
+                    try {
+                        columns = XYZReader.getColumns(tokens, headerTokens);
+                    } catch (error) {
+                        throw new Error(`${file.name}: ${error.message}`);
+                    }
+                    minTokens = Math.max(columns.x, columns.y, columns.z) + 1;
+                }
+                if (tokens.length < minTokens) {
+                    throw new Error(`${file.name}: line ${lineNumber} has ${tokens.length} values, too few for x, y and z`);
+                }
+
+                onRow(tokens, columns);
+            }
+
+            if (onProgress) onProgress(Math.min(offset + XYZReader.CHUNK_SIZE, file.size), file.size);
+        }
+
+        return columns;
+    }
+
+    static async scanBounds(file, onProgress) {
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        let count = 0;
+
+        const columns = await XYZReader.forEachRow(file, (tokens, columns) => {
+            const x = parseFloat(tokens[columns.x]);
+            const y = parseFloat(tokens[columns.y]);
+            const z = parseFloat(tokens[columns.z]);
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+            if (z < minZ) minZ = z;
+            if (z > maxZ) maxZ = z;
+            count++;
+        }, onProgress);
+
+        if (count === 0) {
+            minX = minY = minZ = maxX = maxY = maxZ = 0;
+        }
+
+        return {
+            centerX: (maxX + minX) / 2,
+            centerY: (maxY + minY) / 2,
+            centerZ: (maxZ + minZ) / 2,
+            extentX: maxX - minX,
+            extentY: maxY - minY,
+            extentZ: maxZ - minZ,
+            minX, maxX,
+            minY, maxY,
+            minZ, maxZ,
+            vertexCount: count,
+            format: file.name.toLowerCase().endsWith('.pts') ? 'pts' : 'xyz',
+            properties: columns ? Object.keys(columns) : []
+        };
+    }
+
+    // ASCII files carry no point count, so decoding needs the count and centre from a
+    // scan; one is run first when they are not passed in
+    static async decode(file, options = {}, onProgress) {
+        let { center, pointCount } = options;
+        if (!center || pointCount === undefined) {
+            const bounds = await XYZReader.scanBounds(file);
+            center = [bounds.centerX, bounds.centerY, bounds.centerZ];
+            pointCount = bounds.vertexCount;
+        }
+
+        const positions = new Float32Array(pointCount * 3);
+        let colors = null;
+        let colorScale = 1;
+        let attributes = null;
+        let attributeColumns = null;
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        let maxColor = 0;
+        let index = 0;
+
+        await XYZReader.forEachRow(file, (tokens, columns) => {
+            if (index >= pointCount) return;
+
+            if (!attributes) {
+                attributes = {};
+                attributeColumns = Object.entries(columns)
+                    .filter(([name]) => !['x', 'y', 'z', 'red', 'green', 'blue'].includes(name));
+                for (const [name] of attributeColumns) {
+                    attributes[name] = new Float32Array(pointCount);
+                }
+                if (columns.red !== undefined && columns.green !== undefined && columns.blue !== undefined) {
+                    colors = new Float32Array(pointCount * 3);
+                }
+            }
+
+            const x = parseFloat(tokens[columns.x]);
+            const y = parseFloat(tokens[columns.y]);
+            const z = parseFloat(tokens[columns.z]);
+            positions[index * 3] = x - center[0];
+            positions[index * 3 + 1] = y - center[1];
+            positions[index * 3 + 2] = z - center[2];
+
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+            if (z < minZ) minZ = z;
+            if (z > maxZ) maxZ = z;
+
+            if (colors) {
+                for (const [channel, name] of ['red', 'green', 'blue'].entries()) {
+                    const value = parseFloat(tokens[columns[name]]);
+                    colors[index * 3 + channel] = value;
+                    if (value > maxColor) maxColor = value;
+                }
+            }
+
+            for (const [name, column] of attributeColumns) {
+                attributes[name][index] = parseFloat(tokens[column]);
+            }
+
+            index++;
+        }, onProgress);
+
+        // Colours may be written as 0-1, 0-255 or 0-65535
+        if (colors) {
+            colorScale = maxColor <= 1 ? 1 : (maxColor <= 255 ? 1 / 255 : 1 / 65535);
+            for (let i = 0; i < colors.length; i++) {
+                colors[i] *= colorScale;
+            }
+        }
+
+        return {
+            name: file.name,
+            format: file.name.toLowerCase().endsWith('.pts') ? 'pts' : 'xyz',
+            pointCount: index,
+            center,
+            bounds: { minX, maxX, minY, maxY, minZ, maxZ },
+            positions: index < pointCount ? positions.slice(0, index * 3) : positions,
+            colors: colors && index < pointCount ? colors.slice(0, index * 3) : colors,
+            attributes: attributes || {}
+        };
+    }
+}
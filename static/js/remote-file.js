@@ -0,0 +1,45 @@
+// Remote File - a read-only, Blob-like view of a file served over HTTP. The readers
+// only use name, size, slice() and arrayBuffer(), so a RemoteFile goes through the
+// same scan/decode pipeline as a File from the folder picker; every arrayBuffer()
+// call becomes one HTTP range request.
+class RemoteFile {
+    constructor(url, name, size, lastModified = 0, offset = 0) {
+        this.url = url;
+        this.name = name;
+        this.size = size;
+        this.lastModified = lastModified;
+        this.offset = offset; // Start of this slice within the remote file
+    }
+
+    // Workers receive a structured clone, which drops the prototype
+    static revive(value) {
+        if (value instanceof RemoteFile || !value || typeof value.url !== 'string') return value;
+        return new RemoteFile(value.url, value.name, value.size, value.lastModified, value.offset);
+    }
+
+    slice(start = 0, end = this.size) {
+        const clamp = (value) => Math.max(0, Math.min(value < 0 ? this.size + value : value, this.size));
+        const from = clamp(start);
+        const to = Math.max(from, clamp(end));
+        return new RemoteFile(this.url, this.name, to - from, this.lastModified, this.offset + from);
+    }
+
+    async arrayBuffer() {
+        if (this.size === 0) return new ArrayBuffer(0);
+
+        const response = await fetch(this.url, {
+            headers: { Range: `bytes=${this.offset}-${this.offset + this.size - 1}` }
+        });
+        if (!response.ok) {
+            throw new Error(`${this.name}: HTTP ${response.status} ${response.statusText}`);
+        }
+
+        const buffer = await response.arrayBuffer();
+        // A server without range support answers 200 with the whole file
+        return response.status === 206 ? buffer : buffer.slice(this.offset, this.offset + this.size);
+    }
+
+    async text() {
+        return new TextDecoder().decode(await this.arrayBuffer());
+    }
+}
@@ -0,0 +1,49 @@
+// Scan Cache - remembers the indexing results of each file by name, size and
+// lastModified so reopening the same folder skips the scan entirely
+class ScanCache {
+    constructor(storageKey = 'pointcloud-scan-cache', maxEntries = 2000) {
+        this.storageKey = storageKey;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.restore();
+    }
+
+    static keyFor(file) {
+        return `${file.name}|${file.size}|${file.lastModified}`;
+    }
+
+    get(file) {
+        return this.entries.get(ScanCache.keyFor(file)) || null;
+    }
+
+    set(file, result) {
+        const key = ScanCache.keyFor(file);
+        // Re-insert so the Map order doubles as recency for trimming
+        this.entries.delete(key);
+        this.entries.set(key, result);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    restore() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            for (const [key, value] of stored) {
+                this.entries.set(key, value);
+            }
+        } catch (error) {
+            console.warn('Could not restore scan cache:', error);
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify([...this.entries]));
+        } catch (error) {
+            // Quota exceeded or storage disabled - the in-memory cache still works
+            console.warn('Could not persist scan cache:', error);
+        }
+    }
+}
@@ -0,0 +1,310 @@
+// Terrain Builder - ground filtering, gridded elevation models and contour lines.
+// Ground points are found with a progressive morphological filter (Zhang et al.
+// 2003): a grid of lowest elevations is opened with growing windows, and points
+// standing higher above the opened surface than a slope-dependent threshold are
+// objects. The DEM averages ground points per cell in survey coordinates and contours
+// are traced over it with marching squares. Runs inside the parsing worker; no THREE
+// or DOM access.
+class TerrainBuilder {
+    static MAX_GRID_CELLS = 25000000;
+    static DEM_FILL_DISTANCE = 20; // Holes up to this many metres across are interpolated
+    static PROGRESS_INTERVAL = 65536;
+
+    static checkGridSize(cols, rows) {
+        if (cols * rows > TerrainBuilder.MAX_GRID_CELLS) {
+            throw new Error(`A grid of ${cols} x ${rows} cells is too large; use larger cells`);
+        }
+    }
+
+    // Returns a Uint8Array with 1 for ground points and 0 for the rest
+    static classifyGround(positions, count, { cellSize, maxWindow, slope, tolerance, maxHeight = 3 }, onProgress) {
+        if (!(cellSize > 0)) throw new Error('The cell size must be greater than zero');
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let i = 0; i < count; i++) {
+            minX = Math.min(minX, positions[i * 3]);
+            maxX = Math.max(maxX, positions[i * 3]);
+            minY = Math.min(minY, positions[i * 3 + 1]);
+            maxY = Math.max(maxY, positions[i * 3 + 1]);
+        }
+        const cols = Math.floor((maxX - minX) / cellSize) + 1;
+        const rows = Math.floor((maxY - minY) / cellSize) + 1;
+        TerrainBuilder.checkGridSize(cols, rows);
+
+        // Lowest point of each cell
+        let surface = new Float64Array(cols * rows).fill(NaN);
+        const pointCells = new Uint32Array(count);
+        for (let i = 0; i < count; i++) {
+            const cell = Math.floor((positions[i * 3 + 1] - minY) / cellSize) * cols + Math.floor((positions[i * 3] - minX) / cellSize);
+            pointCells[i] = cell;
+            const z = positions[i * 3 + 2];
+            if (!(surface[cell] <= z)) surface[cell] = z;
+        }
+        TerrainBuilder.fillHoles(surface, cols, rows, Infinity);
+
+        // Windows of 3, 5, 9, 17... cells up to the largest object to remove
+        const windows = [];
+        for (let k = 0; (2 * 2 ** k + 1) * cellSize <= Math.max(maxWindow, 3 * cellSize); k++) {
+            windows.push(2 * 2 ** k + 1);
+        }
+
+        const ground = new Uint8Array(count).fill(1);
+        let previousWindow = 1;
+        windows.forEach((window, k) => {
+            const opened = TerrainBuilder.dilate(TerrainBuilder.erode(surface, cols, rows, window), cols, rows, window);
+            const threshold = k === 0 ? tolerance : Math.min(tolerance + slope * (window - previousWindow) * cellSize, maxHeight);
+
+            for (let i = 0; i < count; i++) {
+                if (ground[i] && positions[i * 3 + 2] - opened[pointCells[i]] > threshold) ground[i] = 0;
+            }
+
+            surface = opened;
+            previousWindow = window;
+            if (onProgress) onProgress(k + 1, windows.length);
+        });
+        return ground;
+    }
+
+    // Minimum (erode) or maximum (dilate) over a square window, one axis at a time
+    static filter(grid, cols, rows, window, pick) {
+        const half = (window - 1) / 2;
+        const rowPass = new Float64Array(grid.length);
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                let value = grid[r * cols + c];
+                for (let k = Math.max(c - half, 0); k <= Math.min(c + half, cols - 1); k++) {
+                    value = pick(value, grid[r * cols + k]);
+                }
+                rowPass[r * cols + c] = value;
+            }
+        }
+
+        const result = new Float64Array(grid.length);
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                let value = rowPass[r * cols + c];
+                for (let k = Math.max(r - half, 0); k <= Math.min(r + half, rows - 1); k++) {
+                    value = pick(value, rowPass[k * cols + c]);
+                }
+                result[r * cols + c] = value;
+            }
+        }
+        return result;
+    }
+
+    static erode(grid, cols, rows, window) {
+        return TerrainBuilder.filter(grid, cols, rows, window, Math.min);
+    }
+
+    static dilate(grid, cols, rows, window) {
+        return TerrainBuilder.filter(grid, cols, rows, window, Math.max);
+    }
+
+    // Fill NaN cells with the mean of their filled neighbours, one ring per pass
+    static fillHoles(grid, cols, rows, maxPasses) {
+        for (let pass = 0; pass < maxPasses; pass++) {
+            const updates = [];
+            for (let r = 0; r < rows; r++) {
+                for (let c = 0; c < cols; c++) {
+                    if (!Number.isNaN(grid[r * cols + c])) continue;
+
+                    let sum = 0;
+                    let n = 0;
+                    for (let dr = -1; dr <= 1; dr++) {
+                        for (let dc = -1; dc <= 1; dc++) {
+                            const nr = r + dr, nc = c + dc;
+                            if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) continue;
+                            const value = grid[nr * cols + nc];
+                            if (!Number.isNaN(value)) {
+                                sum += value;
+                                n++;
+                            }
+                        }
+                    }
+                    if (n > 0) updates.push(r * cols + c, sum / n);
+                }
+            }
+
+            if (updates.length === 0) break;
+            for (let i = 0; i < updates.length; i += 2) {
+                grid[updates[i]] = updates[i + 1];
+            }
+        }
+    }
+
+    // Mean elevation of the ground points in each cell. tiles holds positions local to
+    // each file's centre; the grid is laid out in survey coordinates, with row 0 at
+    // the south edge and NaN where there is no ground.
+    static buildDem(tiles, { resolution }, onProgress) {
+        if (!(resolution > 0)) throw new Error('The DEM resolution must be greater than zero');
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const { positions, center } of tiles) {
+            for (let i = 0; i < positions.length; i += 3) {
+                minX = Math.min(minX, positions[i] + center[0]);
+                maxX = Math.max(maxX, positions[i] + center[0]);
+                minY = Math.min(minY, positions[i + 1] + center[1]);
+                maxY = Math.max(maxY, positions[i + 1] + center[1]);
+            }
+        }
+        if (minX > maxX) throw new Error('There are no ground points');
+
+        // Cell edges on multiples of the resolution, so grids of neighbouring areas line up
+        const originX = Math.floor(minX / resolution) * resolution;
+        const originY = Math.floor(minY / resolution) * resolution;
+        const cols = Math.floor((maxX - originX) / resolution) + 1;
+        const rows = Math.floor((maxY - originY) / resolution) + 1;
+        TerrainBuilder.checkGridSize(cols, rows);
+
+        const sums = new Float64Array(cols * rows);
+        const counts = new Uint32Array(cols * rows);
+        let done = 0;
+        const total = tiles.reduce((sum, tile) => sum + tile.positions.length / 3, 0);
+        for (const { positions, center } of tiles) {
+            for (let i = 0; i < positions.length; i += 3) {
+                const c = Math.floor((positions[i] + center[0] - originX) / resolution);
+                const r = Math.floor((positions[i + 1] + center[1] - originY) / resolution);
+                sums[r * cols + c] += positions[i + 2] + center[2];
+                counts[r * cols + c]++;
+
+                if (++done % TerrainBuilder.PROGRESS_INTERVAL === 0 && onProgress) onProgress(done, total);
+            }
+        }
+
+        const values = new Float32Array(cols * rows);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = counts[i] > 0 ? sums[i] / counts[i] : NaN;
+        }
+        TerrainBuilder.fillHoles(values, cols, rows, Math.ceil(TerrainBuilder.DEM_FILL_DISTANCE / 2 / resolution));
+
+        return { originX, originY, cellSize: resolution, cols, rows, values };
+    }
+
+    // Contour polylines at every multiple of interval, traced through the cell centres
+    // with marching squares. Returns [{ level, points: Float64Array of x, y pairs }].
+    static contours(dem, interval) {
+        if (!(interval > 0)) return [];
+        const { cols, rows, values, originX, originY, cellSize } = dem;
+
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of values) {
+            if (Number.isNaN(value)) continue;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+        if (min > max || (max - min) / interval > 10000) return [];
+
+        // Crossing points are identified by grid edge: 2 * node for the edge to the
+        // east neighbour, 2 * node + 1 for the edge to the north neighbour
+        const segmentsByLevel = new Map();
+        const crossings = new Map(); // `${level}:${edge}` -> [x, y]
+        const crossing = (level, edge, a, b) => {
+            const key = `${level}:${edge}`;
+            if (!crossings.has(key)) {
+                const node = edge >> 1;
+                const c = node % cols, r = (node - c) / cols;
+                const t = (level - values[a]) / (values[b] - values[a]);
+                const x = originX + (c + 0.5 + (edge & 1 ? 0 : t)) * cellSize;
+                const y = originY + (r + 0.5 + (edge & 1 ? t : 0)) * cellSize;
+                crossings.set(key, [x, y]);
+            }
+            return key;
+        };
+
+        for (let r = 0; r < rows - 1; r++) {
+            for (let c = 0; c < cols - 1; c++) {
+                // Corners counter-clockwise from the south-west
+                const n0 = r * cols + c, n1 = n0 + 1, n3 = n0 + cols, n2 = n3 + 1;
+                const v0 = values[n0], v1 = values[n1], v2 = values[n2], v3 = values[n3];
+                if (Number.isNaN(v0) || Number.isNaN(v1) || Number.isNaN(v2) || Number.isNaN(v3)) continue;
+
+                const low = Math.min(v0, v1, v2, v3);
+                const high = Math.max(v0, v1, v2, v3);
+                for (let step = Math.ceil(low / interval); step * interval <= high; step++) {
+                    const level = step * interval;
+                    const state = (v0 >= level ? 1 : 0) | (v1 >= level ? 2 : 0) | (v2 >= level ? 4 : 0) | (v3 >= level ? 8 : 0);
+                    if (state === 0 || state === 15) continue;
+
+                    // South, east, north and west edges, where they cross the level
+                    const edges = [
+                        (state & 1) !== (state & 2) >> 1 ? crossing(level, 2 * n0, n0, n1) : null,
+                        ((state & 2) >> 1) !== (state & 4) >> 2 ? crossing(level, 2 * n1 + 1, n1, n2) : null,
+                        ((state & 8) >> 3) !== (state & 4) >> 2 ? crossing(level, 2 * n3, n3, n2) : null,
+                        (state & 1) !== (state & 8) >> 3 ? crossing(level, 2 * n0 + 1, n0, n3) : null
+                    ];
+                    const [south, east, north, west] = edges;
+
+                    if (!segmentsByLevel.has(level)) segmentsByLevel.set(level, []);
+                    const segments = segmentsByLevel.get(level);
+                    if (state === 5 || state === 10) {
+                        // Saddle: the centre value decides which corners are joined
+                        const centreAbove = (v0 + v1 + v2 + v3) / 4 >= level;
+                        if ((state === 5) === centreAbove) {
+                            segments.push([south, east], [west, north]);
+                        } else {
+                            segments.push([west, south], [east, north]);
+                        }
+                    } else {
+                        const ends = edges.filter(Boolean);
+                        segments.push([ends[0], ends[1]]);
+                    }
+                }
+            }
+        }
+
+        const lines = [];
+        for (const [level, segments] of segmentsByLevel) {
+            for (const keys of TerrainBuilder.joinSegments(segments)) {
+                const points = new Float64Array(keys.length * 2);
+                keys.forEach((key, i) => {
+                    const [x, y] = crossings.get(key);
+                    points[i * 2] = x;
+                    points[i * 2 + 1] = y;
+                });
+                lines.push({ level, points });
+            }
+        }
+        return lines;
+    }
+
+    // Chain segments sharing end points into polylines
+    static joinSegments(segments) {
+        const byPoint = new Map();
+        segments.forEach((segment, i) => {
+            for (const key of segment) {
+                if (!byPoint.has(key)) byPoint.set(key, []);
+                byPoint.get(key).push(i);
+            }
+        });
+
+        const used = new Uint8Array(segments.length);
+        const nextSegment = (key) => (byPoint.get(key) || []).find(i => !used[i]);
+        const lines = [];
+
+        for (let start = 0; start < segments.length; start++) {
+            if (used[start]) continue;
+            used[start] = 1;
+            const line = [...segments[start]];
+
+            // Grow forwards from the last point, then backwards from the first
+            for (const forwards of [true, false]) {
+                for (;;) {
+                    const end = forwards ? line[line.length - 1] : line[0];
+                    const i = nextSegment(end);
+                    if (i === undefined) break;
+                    used[i] = 1;
+                    const [a, b] = segments[i];
+                    const next = a === end ? b : a;
+                    if (forwards) {
+                        line.push(next);
+                    } else {
+                        line.unshift(next);
+                    }
+                }
+            }
+            lines.push(line);
+        }
+        return lines;
+    }
+}
@@ -0,0 +1,382 @@
+// Terrain Tool - labels ground points in the shown tiles (classification 2) and builds
+// a gridded DEM from them, drawn as a shaded surface with contour lines. The filtering,
+// gridding and contour tracing run in the worker pool (see TerrainBuilder). The DEM is
+// kept in survey coordinates so it can be exported as an ESRI ASCII grid, and the
+// contours as GeoJSON.
+class TerrainTool {
+    static GROUND_CLASS = 2;
+    static UNCLASSIFIED = 1;
+    static NODATA = -9999;
+
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.dem = null; // { originX, originY, cellSize, cols, rows, values }
+        this.contours = [];
+        this.group = null;
+        this.surface = null;
+        this.contourLines = null;
+        this.reference = null; // File the DEM is placed against in the tile view
+        this.running = false;
+    }
+
+    updateStatus(text) {
+        this.visualizer.dom('terrainStatus').textContent = text || '';
+    }
+
+    readGroundOptions() {
+        const number = id => parseFloat(this.visualizer.dom(id).value);
+        return {
+            cellSize: number('groundCellSize'),
+            maxWindow: number('groundMaxWindow'),
+            slope: number('groundSlope'),
+            tolerance: number('groundTolerance')
+        };
+    }
+
+    async classifyGround() {
+        if (this.running) return;
+        const pointClouds = [...this.visualizer.currentPointClouds];
+        if (pointClouds.length === 0) {
+            alert('Load some tiles before classifying ground.');
+            return;
+        }
+
+        this.running = true;
+        const options = this.readGroundOptions();
+        let finished = 0;
+        this.updateStatus(`Classifying ground in ${pointClouds.length} file(s)...`);
+
+        try {
+            const results = await Promise.all(pointClouds.map(pointCloud => {
+                const payload = {
+                    positions: pointCloud.geometry.attributes.position.array,
+                    count: pointCloud.pointCount,
+                    options
+                };
+                return this.visualizer.workerPool.run('ground', payload).then(({ ground }) => {
+                    this.updateStatus(`Classifying ground... ${++finished} of ${pointClouds.length} file(s)`);
+                    return { pointCloud, ground };
+                });
+            }));
+
+            let groundPoints = 0;
+            let totalPoints = 0;
+            for (const { pointCloud, ground } of results) {
+                groundPoints += this.labelGround(pointCloud, ground);
+                totalPoints += pointCloud.pointCount;
+            }
+            this.visualizer.pointFilter.refresh();
+
+            const percent = totalPoints > 0 ? ((groundPoints / totalPoints) * 100).toFixed(1) : '0';
+            this.updateStatus(`${groundPoints.toLocaleString()} ground points (${percent}%)`);
+        } catch (error) {
+            console.error('Ground classification failed:', error);
+            this.updateStatus(`Ground classification failed: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Write the filter's result into the classification attribute, adding one if the
+    // file has none. Other classes are kept on points that stay non-ground.
+    labelGround(pointCloud, ground) {
+        const attributes = pointCloud.geometry.attributes;
+        if (!attributes.classification) {
+            const array = new Uint8Array(pointCloud.pointCount).fill(TerrainTool.UNCLASSIFIED);
+            pointCloud.setGeometryAttribute('classification', new THREE.BufferAttribute(array, 1));
+            this.visualizer.pointFilter.applyAttributes(pointCloud);
+            this.visualizer.applyColorAttribute(pointCloud);
+        }
+
+        const classification = attributes.classification.array;
+        const counts = {};
+        let min = Infinity;
+        let max = -Infinity;
+        let groundPoints = 0;
+        for (let i = 0; i < pointCloud.pointCount; i++) {
+            if (ground[i]) {
+                classification[i] = TerrainTool.GROUND_CLASS;
+                groundPoints++;
+            } else if (classification[i] === TerrainTool.GROUND_CLASS) {
+                classification[i] = TerrainTool.UNCLASSIFIED;
+            }
+            const code = classification[i];
+            counts[code] = (counts[code] || 0) + 1;
+            min = Math.min(min, code);
+            max = Math.max(max, code);
+        }
+        attributes.classification.needsUpdate = true;
+
+        pointCloud.userData.classCounts = counts;
+        pointCloud.userData.attributeRanges.classification = pointCloud.pointCount > 0 ? [min, max] : [0, 0];
+        return groundPoints;
+    }
+
+    // Ground points of the shown tiles, relative to each file's centre
+    collectGround() {
+        const tiles = [];
+        for (const pointCloud of this.visualizer.currentPointClouds) {
+            const classification = pointCloud.geometry.attributes.classification;
+            if (!classification) continue;
+
+            const source = pointCloud.geometry.attributes.position.array;
+            const indices = [];
+            for (let i = 0; i < pointCloud.pointCount; i++) {
+                if (classification.array[i] === TerrainTool.GROUND_CLASS) indices.push(i);
+            }
+            if (indices.length === 0) continue;
+
+            const positions = new Float32Array(indices.length * 3);
+            indices.forEach((index, i) => {
+                positions[i * 3] = source[index * 3];
+                positions[i * 3 + 1] = source[index * 3 + 1];
+                positions[i * 3 + 2] = source[index * 3 + 2];
+            });
+            tiles.push({ positions, center: pointCloud.userData.center, pointCloud });
+        }
+        return tiles;
+    }
+
+    async buildDem() {
+        if (this.running) return;
+        const tiles = this.collectGround();
+        if (tiles.length === 0) {
+            alert('The shown tiles have no ground points. Classify ground first.');
+            return;
+        }
+
+        this.running = true;
+        this.updateStatus('Building DEM...');
+        try {
+            const resolution = parseFloat(this.visualizer.dom('demResolution').value);
+            const payload = {
+                tiles: tiles.map(({ positions, center }) => ({ positions, center })),
+                options: { resolution, contourInterval: this.readContourInterval() }
+            };
+            const { dem, contours } = await this.visualizer.workerPool.run('dem', payload, (done, total) => {
+                this.updateStatus(`Building DEM... ${Math.round((done / total) * 100)}%`);
+            });
+
+            this.clear();
+            this.dem = dem;
+            this.contours = contours;
+            const { center, tileX, tileY } = tiles[0].pointCloud.userData;
+            this.reference = { center, tileX, tileY };
+            this.createObjects();
+            this.updateStatus(`DEM of ${dem.cols} x ${dem.rows} cells, ${contours.length} contour line(s)`);
+        } catch (error) {
+            console.error('DEM generation failed:', error);
+            this.updateStatus(`DEM generation failed: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    readContourInterval() {
+        const interval = parseFloat(this.visualizer.dom('demContourInterval').value);
+        return interval > 0 ? interval : 0;
+    }
+
+    // Retrace the contours of the current DEM after the interval changes
+    async updateContours() {
+        if (!this.dem || this.running) return;
+        this.running = true;
+        try {
+            const payload = { dem: this.dem, interval: this.readContourInterval() };
+            const { contours } = await this.visualizer.workerPool.run('contours', payload);
+            this.contours = contours;
+            this.createContourLines();
+            this.updateStatus(`${contours.length} contour line(s)`);
+        } catch (error) {
+            console.error('Contour tracing failed:', error);
+            this.updateStatus(`Contour tracing failed: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Vertices sit at the cell centres, relative to the middle of the grid so float32
+    // keeps its precision with UTM coordinates
+    gridCenter() {
+        const { originX, originY, cellSize, cols, rows, values } = this.dem;
+        let minZ = Infinity;
+        let maxZ = -Infinity;
+        for (const value of values) {
+            if (Number.isNaN(value)) continue;
+            minZ = Math.min(minZ, value);
+            maxZ = Math.max(maxZ, value);
+        }
+        return new THREE.Vector3(originX + (cols * cellSize) / 2, originY + (rows * cellSize) / 2, (minZ + maxZ) / 2);
+    }
+
+    createObjects() {
+        this.group = new THREE.Group();
+        this.group.userData.center = this.gridCenter();
+        this.visualizer.scene.add(this.group);
+
+        this.createSurface();
+        this.createContourLines();
+        this.updatePlacement();
+        this.updateVisibility();
+    }
+
+    createSurface() {
+        const { originX, originY, cellSize, cols, rows, values } = this.dem;
+        const center = this.group.userData.center;
+
+        const positions = new Float32Array(cols * rows * 3);
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const i = r * cols + c;
+                positions[i * 3] = originX + (c + 0.5) * cellSize - center.x;
+                positions[i * 3 + 1] = originY + (r + 0.5) * cellSize - center.y;
+                positions[i * 3 + 2] = Number.isNaN(values[i]) ? 0 : values[i] - center.z;
+            }
+        }
+
+        // Two triangles per square of four cells that all have an elevation
+        const indices = [];
+        for (let r = 0; r < rows - 1; r++) {
+            for (let c = 0; c < cols - 1; c++) {
+                const a = r * cols + c, b = a + 1, d = a + cols, e = d + 1;
+                if ([a, b, d, e].some(i => Number.isNaN(values[i]))) continue;
+                indices.push(a, b, e, a, e, d);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+
+        // Pushed back so the contour lines on it aren't hidden
+        const material = new THREE.MeshLambertMaterial({
+            color: 0xc9b99b,
+            side: THREE.DoubleSide,
+            polygonOffset: true,
+            polygonOffsetFactor: 1,
+            polygonOffsetUnits: 1
+        });
+        this.surface = new THREE.Mesh(geometry, material);
+        this.group.add(this.surface);
+    }
+
+    createContourLines() {
+        if (this.contourLines) {
+            this.group.remove(this.contourLines);
+            this.contourLines.geometry.dispose();
+            this.contourLines.material.dispose();
+            this.contourLines = null;
+        }
+
+        const center = this.group.userData.center;
+        const segmentCount = this.contours.reduce((sum, line) => sum + line.points.length / 2 - 1, 0);
+        const positions = new Float32Array(segmentCount * 6);
+        let offset = 0;
+        for (const { level, points } of this.contours) {
+            for (let i = 0; i + 3 < points.length; i += 2) {
+                positions.set([
+                    points[i] - center.x, points[i + 1] - center.y, level - center.z,
+                    points[i + 2] - center.x, points[i + 3] - center.y, level - center.z
+                ], offset);
+                offset += 6;
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.contourLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0x5a3e1b }));
+        this.group.add(this.contourLines);
+        this.updateVisibility();
+    }
+
+    // Placed like the first file the DEM was built from (see placePointCloud): around
+    // the shared origin in the merged view, over that file's tile in the tile view
+    updatePlacement() {
+        if (!this.group) return;
+        const visualizer = this.visualizer;
+        this.group.position.copy(this.group.userData.center).sub(visualizer.sceneOrigin);
+
+        if (!visualizer.mergedView) {
+            const { center, tileX, tileY } = this.reference;
+            const offset = visualizer.getTileOffset(tileX, tileY);
+            this.group.position.sub(new THREE.Vector3(center[0], center[1], center[2]).sub(visualizer.sceneOrigin));
+            this.group.position.add(new THREE.Vector3(offset.x, offset.y, 0));
+        }
+        this.group.updateMatrixWorld();
+    }
+
+    updateVisibility() {
+        if (!this.group) return;
+        this.surface.visible = this.visualizer.dom('demShowSurface').checked;
+        if (this.contourLines) this.contourLines.visible = this.visualizer.dom('demShowContours').checked;
+    }
+
+    clear() {
+        if (this.group) {
+            this.visualizer.scene.remove(this.group);
+            for (const object of this.group.children) {
+                object.geometry.dispose();
+                object.material.dispose();
+            }
+        }
+        this.group = null;
+        this.surface = null;
+        this.contourLines = null;
+        this.dem = null;
+        this.contours = [];
+        this.reference = null;
+    }
+
+    baseName() {
+        return this.visualizer.datasetName || 'terrain';
+    }
+
+    // ESRI ASCII grid: header, then rows from north to south
+    exportGrid() {
+        if (!this.dem) {
+            alert('Build a DEM first.');
+            return;
+        }
+        const { originX, originY, cellSize, cols, rows, values } = this.dem;
+        const parts = [
+            `ncols ${cols}\n`,
+            `nrows ${rows}\n`,
+            `xllcorner ${originX}\n`,
+            `yllcorner ${originY}\n`,
+            `cellsize ${cellSize}\n`,
+            `NODATA_value ${TerrainTool.NODATA}\n`
+        ];
+        for (let r = rows - 1; r >= 0; r--) {
+            const row = new Array(cols);
+            for (let c = 0; c < cols; c++) {
+                const value = values[r * cols + c];
+                row[c] = Number.isNaN(value) ? TerrainTool.NODATA : value.toFixed(3);
+            }
+            parts.push(`${row.join(' ')}\n`);
+        }
+        downloadBlob(new Blob(parts, { type: 'text/plain' }), `${this.baseName()}-dem.asc`);
+    }
+
+    exportContours() {
+        if (this.contours.length === 0) {
+            alert('There are no contour lines to export.');
+            return;
+        }
+        const round = value => Number(value.toFixed(3));
+        const features = this.contours.map(({ level, points }) => {
+            const coordinates = [];
+            for (let i = 0; i < points.length; i += 2) {
+                coordinates.push([round(points[i]), round(points[i + 1]), round(level)]);
+            }
+            return {
+                type: 'Feature',
+                properties: { elevation: round(level) },
+                geometry: { type: 'LineString', coordinates }
+            };
+        });
+
+        const text = JSON.stringify({ type: 'FeatureCollection', features });
+        downloadBlob(new Blob([text], { type: 'application/geo+json' }), `${this.baseName()}-contours.geojson`);
+    }
+}
@@ -0,0 +1,129 @@
+// Tile Cache - keeps decoded tiles in memory in least-recently-used order under a
+// point and memory budget. Whether a tile is cached is separate from whether it is
+// in the scene: visible tiles are pinned and never evicted.
+class TileCache {
+    constructor({ maxPoints = 40000000, maxMegabytes = 1024, onEvict = null } = {}) {
+        this.maxPoints = maxPoints;
+        this.maxBytes = maxMegabytes * 1024 * 1024;
+        this.onEvict = onEvict;
+
+        // Map iteration order is the recency order: oldest first
+        this.entries = new Map();
+        this.pinned = new Set();
+        this.totalPoints = 0;
+        this.totalBytes = 0;
+    }
+
+    static measure(pointClouds) {
+        let pointCount = 0;
+        let byteSize = 0;
+        for (const pointCloud of pointClouds) {
+            const geometry = pointCloud.geometry;
+            pointCount += geometry.attributes.position.count;
+            // Attributes can be registered under several names; count each array once
+            const arrays = new Set(Object.values(geometry.attributes).map(attribute => attribute.array));
+            for (const array of arrays) {
+                byteSize += array.byteLength;
+            }
+        }
+        return { pointCount, byteSize };
+    }
+
+    has(tileKey) {
+        return this.entries.has(tileKey);
+    }
+
+    // Returns the tile's point clouds and marks it as most recently used
+    get(tileKey) {
+        const entry = this.entries.get(tileKey);
+        if (!entry) return null;
+
+        this.entries.delete(tileKey);
+        this.entries.set(tileKey, entry);
+        return entry.pointClouds;
+    }
+
+    set(tileKey, pointClouds) {
+        if (this.entries.has(tileKey)) {
+            this.delete(tileKey);
+        }
+
+        const { pointCount, byteSize } = TileCache.measure(pointClouds);
+        this.entries.set(tileKey, { pointClouds, pointCount, byteSize });
+        this.totalPoints += pointCount;
+        this.totalBytes += byteSize;
+
+        this.evict(tileKey);
+    }
+
+    // Swap one point cloud of a cached tile for another version of it. The old one is
+    // not disposed; the caller still owns it.
+    replace(tileKey, oldPointCloud, newPointCloud) {
+        const entry = this.entries.get(tileKey);
+        const index = entry ? entry.pointClouds.indexOf(oldPointCloud) : -1;
+        if (index === -1) return false;
+
+        entry.pointClouds[index] = newPointCloud;
+        const { pointCount, byteSize } = TileCache.measure(entry.pointClouds);
+        this.totalPoints += pointCount - entry.pointCount;
+        this.totalBytes += byteSize - entry.byteSize;
+        entry.pointCount = pointCount;
+        entry.byteSize = byteSize;
+
+        this.evict(tileKey);
+        return true;
+    }
+
+    pin(tileKeys) {
+        this.pinned = new Set(tileKeys);
+        this.evict();
+    }
+
+    // Drop the least recently used unpinned tiles until the cache fits its budget.
+    // The tile being stored is kept even when it doesn't fit on its own: its caller
+    // is about to use it, before it can be pinned.
+    evict(keep = null) {
+        for (const tileKey of [...this.entries.keys()]) {
+            if (this.totalPoints <= this.maxPoints && this.totalBytes <= this.maxBytes) break;
+            if (this.pinned.has(tileKey) || tileKey === keep) continue;
+
+            this.delete(tileKey);
+        }
+    }
+
+    delete(tileKey) {
+        const entry = this.entries.get(tileKey);
+        if (!entry) return;
+
+        this.entries.delete(tileKey);
+        this.totalPoints -= entry.pointCount;
+        this.totalBytes -= entry.byteSize;
+
+        if (this.onEvict) this.onEvict(tileKey, entry.pointClouds);
+
+        for (const pointCloud of entry.pointClouds) {
+            if (pointCloud.parent) pointCloud.parent.remove(pointCloud);
+            if (pointCloud.dispose) {
+                pointCloud.dispose();
+            } else {
+                if (pointCloud.geometry) pointCloud.geometry.dispose();
+                if (pointCloud.material) pointCloud.material.dispose();
+            }
+        }
+    }
+
+    clear() {
+        for (const tileKey of [...this.entries.keys()]) {
+            this.delete(tileKey);
+        }
+        this.pinned.clear();
+    }
+
+    get stats() {
+        return {
+            tiles: this.entries.size,
+            points: this.totalPoints,
+            megabytes: this.totalBytes / (1024 * 1024)
+        };
+    }
+}
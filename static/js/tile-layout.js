@@ -0,0 +1,248 @@
+// Tile Layout - a manifest mapping file names to grid cells, read from and written
+// to JSON, CSV or the plain "x,y : name" list used by files.txt. Entries are
+// { file, x, y } with optional offsetX/offsetY giving the tile's position in the
+// scene explicitly instead of x/y times the tile size.
+class TileLayout {
+    constructor(entries = [], source = '') {
+        this.entries = entries;
+        this.source = source;
+        this.shift = { x: 0, y: 0 }; // Added to the indices read, see parse()
+    }
+
+    static parse(text, fileName = '') {
+        const extension = fileName.slice(fileName.lastIndexOf('.') + 1).toLowerCase();
+        const trimmed = text.trim();
+
+        let entries;
+        if (extension === 'json' || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            entries = TileLayout.parseJSON(trimmed);
+        } else if (extension === 'csv') {
+            entries = TileLayout.parseCSV(trimmed);
+        } else {
+            entries = TileLayout.parseText(trimmed);
+        }
+
+        if (entries.length === 0) {
+            throw new Error(`${fileName || 'Layout'}: no tile entries found`);
+        }
+
+        // The grid starts at 0,0 and navigation can't reach cells left of or below it,
+        // so layouts numbered from negative indices are shifted into it
+        const shift = {
+            x: Math.max(0, ...entries.map(entry => -entry.x)),
+            y: Math.max(0, ...entries.map(entry => -entry.y))
+        };
+        for (const entry of entries) {
+            entry.x += shift.x;
+            entry.y += shift.y;
+        }
+
+        const layout = new TileLayout(entries, fileName);
+        layout.shift = shift;
+        return layout;
+    }
+
+    static parseJSON(text) {
+        const json = JSON.parse(text);
+        const tiles = Array.isArray(json) ? json : json.tiles;
+        if (!Array.isArray(tiles)) {
+            throw new Error('JSON layout must be an array of tiles or an object with a "tiles" array');
+        }
+        return tiles.map((tile, index) => TileLayout.createEntry(tile.file, tile.x, tile.y, tile.offsetX, tile.offsetY, `tile ${index + 1}`));
+    }
+
+    // file,x,y[,offsetX,offsetY] with an optional header row naming the columns
+    static parseCSV(text) {
+        const rows = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => TileLayout.splitCSVLine(line));
+        let columns = { file: 0, x: 1, y: 2, offsetX: 3, offsetY: 4 };
+
+        if (rows.length > 0 && isNaN(Number(rows[0][1]))) {
+            const header = rows.shift().map(cell => cell.toLowerCase());
+            columns = {};
+            for (const name of ['file', 'x', 'y', 'offsetX', 'offsetY']) {
+                columns[name] = header.indexOf(name.toLowerCase());
+            }
+            if (columns.file === -1 || columns.x === -1 || columns.y === -1) {
+                throw new Error('CSV layout header needs "file", "x" and "y" columns');
+            }
+        }
+
+        return rows.map((row, index) => TileLayout.createEntry(
+            row[columns.file], row[columns.x], row[columns.y],
+            columns.offsetX >= 0 ? row[columns.offsetX] : undefined,
+            columns.offsetY >= 0 ? row[columns.offsetY] : undefined,
+            `row ${index + 1}`
+        ));
+    }
+
+    // Cells of one CSV line; quoted cells may hold commas and doubled quotes (RFC 4180)
+    static splitCSVLine(line) {
+        const cells = [];
+        const pattern = /\s*(?:"((?:[^"]|"")*)"|([^,]*?))\s*(?:,|$)/g;
+        let match;
+        do {
+            match = pattern.exec(line);
+            cells.push(match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2]);
+        } while (match[0].endsWith(','));
+        return cells;
+    }
+
+    static quoteCSV(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // "x,y : name" lines; anything else (titles, blank lines) is ignored
+    static parseText(text) {
+        const entries = [];
+        for (const line of text.split(/\r?\n/)) {
+            const match = line.match(/^\s*(-?\d+)\s*,\s*(-?\d+)\s*:\s*(.+?)\s*$/);
+            if (match) {
+                entries.push(TileLayout.createEntry(match[3], match[1], match[2]));
+            }
+        }
+        return entries;
+    }
+
+    static createEntry(file, x, y, offsetX, offsetY, where = '') {
+        const entry = { file: String(file || '').trim(), x: Number(x), y: Number(y) };
+        if (!entry.file || !Number.isInteger(entry.x) || !Number.isInteger(entry.y)) {
+            throw new Error(`Invalid layout entry${where ? ` (${where})` : ''}: needs a file name and integer x/y`);
+        }
+        if (offsetX !== undefined && offsetX !== '' && offsetY !== undefined && offsetY !== '') {
+            entry.offsetX = Number(offsetX);
+            entry.offsetY = Number(offsetY);
+            if (isNaN(entry.offsetX) || isNaN(entry.offsetY)) {
+                throw new Error(`Invalid layout offset${where ? ` (${where})` : ''}`);
+            }
+        }
+        return entry;
+    }
+
+    // Layout names may leave out the extension, as files.txt does
+    static baseName(fileName) {
+        const name = fileName.slice(fileName.lastIndexOf('/') + 1);
+        const dot = name.lastIndexOf('.');
+        return dot === -1 ? name : name.slice(0, dot);
+    }
+
+    // Match the entries to the given files. Returns placements keyed by file name,
+    // plus the files and entries that found no counterpart.
+    match(files) {
+        const byName = new Map();
+        for (const entry of this.entries) {
+            byName.set(entry.file, entry);
+            if (!byName.has(TileLayout.baseName(entry.file))) byName.set(TileLayout.baseName(entry.file), entry);
+        }
+
+        const placements = new Map();
+        const unmatchedFiles = [];
+        const usedEntries = new Set();
+        for (const file of files) {
+            const entry = byName.get(file.name) || byName.get(TileLayout.baseName(file.name));
+            if (entry) {
+                placements.set(file.name, entry);
+                usedEntries.add(entry);
+            } else {
+                unmatchedFiles.push(file.name);
+            }
+        }
+
+        const unusedEntries = this.entries.filter(entry => !usedEntries.has(entry));
+        return { placements, unmatchedFiles, unusedEntries };
+    }
+
+    // Compile a filename pattern. It must name either row and col (or column) groups
+    // holding grid indices, or easting and northing groups holding map coordinates.
+    static compilePattern(source) {
+        const regex = new RegExp(source);
+        const groups = new Set([...source.matchAll(/\(\?<([a-zA-Z]\w*)>/g)].map(match => match[1]));
+        const column = groups.has('col') ? 'col' : (groups.has('column') ? 'column' : null);
+
+        if (groups.has('row') && column) {
+            return { regex, kind: 'grid', xGroup: column, yGroup: 'row' };
+        }
+        if (groups.has('easting') && groups.has('northing')) {
+            return { regex, kind: 'coordinates', xGroup: 'easting', yGroup: 'northing' };
+        }
+        throw new Error('Pattern needs named groups (?<row>..) and (?<col>..), or (?<easting>..) and (?<northing>..)');
+    }
+
+    // Place files by their names. Grid indices are shifted so the smallest is 0;
+    // eastings and northings become indices by dividing by the spacing between
+    // neighbouring values.
+    static matchPattern(files, source) {
+        const { regex, kind, xGroup, yGroup } = TileLayout.compilePattern(source);
+        const matched = [];
+        const unmatchedFiles = [];
+
+        for (const file of files) {
+            const match = regex.exec(file.name);
+            const x = match ? parseFloat(match.groups[xGroup]) : NaN;
+            const y = match ? parseFloat(match.groups[yGroup]) : NaN;
+            if (isNaN(x) || isNaN(y)) {
+                unmatchedFiles.push(file.name);
+            } else {
+                matched.push({ file: file.name, x, y });
+            }
+        }
+
+        const toIndex = (values) => {
+            const distinct = [...new Set(values)].sort((a, b) => a - b);
+            let step = 1;
+            if (kind === 'coordinates' && distinct.length > 1) {
+                step = Math.min(...distinct.slice(1).map((value, i) => value - distinct[i]));
+            }
+            return value => Math.round((value - distinct[0]) / step);
+        };
+        const xIndex = toIndex(matched.map(entry => entry.x));
+        const yIndex = toIndex(matched.map(entry => entry.y));
+
+        const placements = new Map();
+        for (const entry of matched) {
+            placements.set(entry.file, { file: entry.file, x: xIndex(entry.x), y: yIndex(entry.y) });
+        }
+        return { placements, unmatchedFiles };
+    }
+
+    // Build a layout from the visualizer's tile → files map
+    static fromTileFiles(allTileFiles, tileOffsets = new Map()) {
+        const entries = [];
+        for (const [tileKey, tileFiles] of allTileFiles) {
+            const offset = tileOffsets.get(tileKey);
+            for (const tileFile of tileFiles) {
+                const entry = { file: tileFile.file.name, x: tileFile.tileX, y: tileFile.tileY };
+                if (offset) {
+                    entry.offsetX = offset.x;
+                    entry.offsetY = offset.y;
+                }
+                entries.push(entry);
+            }
+        }
+        entries.sort((a, b) => a.y - b.y || a.x - b.x || a.file.localeCompare(b.file));
+        return new TileLayout(entries);
+    }
+
+    toJSON() {
+        return { tiles: this.entries };
+    }
+
+    toCSV() {
+        const hasOffsets = this.entries.some(entry => entry.offsetX !== undefined);
+        const header = hasOffsets ? 'file,x,y,offsetX,offsetY' : 'file,x,y';
+        const rows = this.entries.map(entry => {
+            const cells = [TileLayout.quoteCSV(entry.file), entry.x, entry.y];
+            if (hasOffsets) cells.push(entry.offsetX ?? '', entry.offsetY ?? '');
+            return cells.join(',');
+        });
+        return [header, ...rows].join('\n') + '\n';
+    }
+
+    // Same format as files.txt; explicit offsets can't be expressed in it
+    toText() {
+        const width = Math.max(...this.entries.map(entry => entry.x)) + 1;
+        const height = Math.max(...this.entries.map(entry => entry.y)) + 1;
+        const lines = this.entries.map(entry => ` ${entry.x},${entry.y} : ${entry.file}`);
+        return [`${width} x ${height} tiles systems`, ...lines].join('\n') + '\n';
+    }
+}
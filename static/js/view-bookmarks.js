@@ -0,0 +1,319 @@
+// View Bookmarks - named views kept in localStorage, and the current view mirrored in
+// the URL hash so a link opens the same spot. A view records the dataset, the current
+// tile, whether the merged view is on, the camera, colouring and clipping. Positions
+// are stored relative to the tile's offset in the scene, so a view still lands in the
+// right place when the rest of the layout changes around that tile. That offset means
+// something else in the merged view, which is why the view restores it too.
+class ViewBookmarks {
+    static STORAGE_KEY = 'pointcloud-bookmarks';
+    static HASH_INTERVAL = 1000;
+
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.bookmarks = []; // { name, created, view }
+        this.pendingView = null; // View from a link, waiting for its folder to be opened
+        this.applying = false;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(ViewBookmarks.STORAGE_KEY) || '[]');
+            this.bookmarks = stored.filter(bookmark => ViewBookmarks.isValidView(bookmark.view));
+        } catch (error) {
+            console.warn('Could not restore the bookmarks:', error);
+        }
+        this.renderList();
+
+        // Polling the view catches every kind of change (camera, tile, colours,
+        // clipping) without each of them having to report it. An embedding page can
+        // keep its URL to itself with the urlState option.
+        this.hashTimer = null;
+        this.onHashChange = () => {
+            const view = ViewBookmarks.decodeView(window.location.hash);
+            if (view) this.applyView(view);
+        };
+        if (visualizer.options.urlState) {
+            this.hashTimer = setInterval(() => this.updateHash(), ViewBookmarks.HASH_INTERVAL);
+            window.addEventListener('hashchange', this.onHashChange);
+        }
+    }
+
+    dispose() {
+        clearInterval(this.hashTimer);
+        window.removeEventListener('hashchange', this.onHashChange);
+    }
+
+    static isValidView(view) {
+        const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+        return !!view && !!view.tile && Number.isInteger(view.tile.x) && Number.isInteger(view.tile.y) &&
+            isVector(view.position) && isVector(view.target) && (!view.clip || ViewBookmarks.isValidClip(view.clip));
+    }
+
+    // The box and planes as ClipTool.getState gives them; links and imported files can
+    // hold anything, and ClipTool.setState trusts what it is given
+    static isValidClip(clip) {
+        const isVector = (value, length = 3) => Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+        const isBox = box => typeof box.mode === 'string' &&
+            isVector(box.position) && isVector(box.quaternion, 4) && isVector(box.scale);
+        const isPlane = plane => !!plane && typeof plane.axis === 'string' && isVector(plane.normal) &&
+            isVector(plane.origin) && isVector(plane.direction) && Number.isFinite(plane.offset);
+        return !!clip && typeof clip === 'object' && (clip.box === null || (typeof clip.box === 'object' && isBox(clip.box))) &&
+            Array.isArray(clip.planes) && clip.planes.every(isPlane);
+    }
+
+    save() {
+        try {
+            localStorage.setItem(ViewBookmarks.STORAGE_KEY, JSON.stringify(this.bookmarks));
+        } catch (error) {
+            console.warn('Could not store the bookmarks:', error);
+        }
+    }
+
+    // Scene offset of a tile, which view positions are relative to
+    tileOrigin(tile) {
+        const { x, y } = this.visualizer.getTileOffset(tile.x, tile.y);
+        return new THREE.Vector3(x, y, 0);
+    }
+
+    captureView() {
+        const visualizer = this.visualizer;
+        const { camera, controls } = visualizer;
+        const origin = this.tileOrigin(visualizer.currentTile);
+
+        // A flying camera looks past its stale orbit target, so take a point ahead of it
+        const target = controls.target.clone();
+        if (visualizer.cameraMode === 'fly') {
+            const distance = Math.max(camera.position.distanceTo(controls.target), controls.minDistance);
+            target.copy(camera.position).addScaledVector(camera.getWorldDirection(new THREE.Vector3()), distance);
+        }
+
+        const rangeUniform = visualizer.colorMode === 'rgb' || visualizer.colorMode === 'elevation'
+            ? visualizer.sharedUniforms.elevationRange
+            : visualizer.sharedUniforms.scalarRange;
+
+        return {
+            dataset: visualizer.datasetName,
+            tile: { ...visualizer.currentTile },
+            merged: visualizer.mergedView,
+            showAllTiles: visualizer.showAllTiles,
+            position: camera.position.clone().sub(origin).toArray(),
+            target: target.sub(origin).toArray(),
+            color: visualizer.colorMode === 'scalar' ? `scalar:${visualizer.colorScalarName}` : visualizer.colorMode,
+            ramp: visualizer.colorRampName,
+            range: visualizer.colorRangeManual ? rangeUniform.value.toArray() : null,
+            clip: visualizer.clipTool.getState(origin)
+        };
+    }
+
+    async applyView(view) {
+        const visualizer = this.visualizer;
+        const fileInfo = this.visualizer.dom('fileInfo');
+        this.pendingView = null;
+        this.applying = true;
+
+        try {
+            if (view.dataset && view.dataset !== visualizer.datasetName) {
+                await visualizer.loadDataset(view.dataset);
+                if (visualizer.datasetName !== view.dataset) return; // Reported by loadDataset
+            }
+            if (visualizer.allTileFiles.size === 0) {
+                // Local folders can't be opened from a link; restore once one is opened
+                this.pendingView = view;
+                fileInfo.textContent = 'Open the point cloud folder to go to the linked view';
+                return;
+            }
+
+            const tileKey = `${view.tile.x},${view.tile.y}`;
+            if (!visualizer.allTileFiles.has(tileKey)) {
+                fileInfo.textContent = `Tile (${view.tile.x}, ${view.tile.y}) of this view is not in the loaded data`;
+                return;
+            }
+
+            if (!!view.merged !== visualizer.mergedView) {
+                visualizer.setCurrentTile(view.tile.x, view.tile.y);
+                await visualizer.setMergedView(!!view.merged); // Loads the tile as well
+                fileInfo.textContent = `Current tile: (${view.tile.x}, ${view.tile.y})`;
+            } else if (tileKey !== `${visualizer.currentTile.x},${visualizer.currentTile.y}` || !visualizer.visibleTiles.has(tileKey)) {
+                visualizer.setCurrentTile(view.tile.x, view.tile.y);
+                await visualizer.loadCurrentTile();
+                fileInfo.textContent = `Current tile: (${view.tile.x}, ${view.tile.y})`;
+            }
+            if (!!view.showAllTiles !== visualizer.showAllTiles) {
+                visualizer.toggleShowAllTiles(); // Tiles keep arriving after the view is set
+            }
+
+            if (view.color) visualizer.setColorMode(view.color);
+            if (view.ramp in PointCloudMaterial.RAMPS) visualizer.setColorRamp(view.ramp);
+            if (view.range) {
+                visualizer.setColorRange(view.range[0], view.range[1]);
+                visualizer.colorRangeManual = true;
+            }
+
+            const origin = this.tileOrigin(view.tile);
+            visualizer.clipTool.setState(view.clip || { box: null, planes: [] }, origin);
+            visualizer.animateCameraTo(
+                new THREE.Vector3().fromArray(view.position).add(origin),
+                new THREE.Vector3().fromArray(view.target).add(origin)
+            );
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    // Called once a folder or dataset has been opened
+    async applyPendingView() {
+        if (this.pendingView) await this.applyView(this.pendingView);
+    }
+
+    updateHash() {
+        if (this.applying || this.visualizer.allTileFiles.size === 0) return;
+        const hash = `#${ViewBookmarks.encodeView(this.captureView())}`;
+        if (hash !== window.location.hash) {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    // Hash parameters, e.g. #dataset=Site&tile=2%2C1&camera=...&color=elevation
+    static encodeView(view) {
+        const round = (value, digits = 3) => Number(value.toFixed(digits));
+        const params = new URLSearchParams();
+
+        if (view.dataset) params.set('dataset', view.dataset);
+        params.set('tile', `${view.tile.x},${view.tile.y}`);
+        if (view.merged) params.set('merged', '1');
+        if (view.showAllTiles) params.set('all', '1');
+        params.set('camera', [...view.position, ...view.target].map(value => round(value)).join(','));
+        if (view.color) params.set('color', view.color);
+        if (view.ramp) params.set('ramp', view.ramp);
+        if (view.range) params.set('range', view.range.map(value => round(value)).join(','));
+        if (view.clip && (view.clip.box || view.clip.planes.length > 0)) {
+            params.set('clip', JSON.stringify(view.clip, (key, value) => (typeof value === 'number' ? round(value, 6) : value)));
+        }
+        return params.toString();
+    }
+
+    static decodeView(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        if (!params.has('tile') || !params.has('camera')) return null;
+
+        const numbers = name => params.get(name).split(',').map(Number);
+        const [tileX, tileY] = numbers('tile');
+        const camera = numbers('camera');
+        const range = params.has('range') ? numbers('range') : null;
+
+        let clip = null;
+        try {
+            clip = params.has('clip') ? JSON.parse(params.get('clip')) : null;
+        } catch (error) {
+            console.warn('Ignoring the clipping in the view link:', error);
+        }
+        if (clip && !ViewBookmarks.isValidClip(clip)) {
+            console.warn('Ignoring the clipping in the view link: not a box and planes');
+            clip = null;
+        }
+
+        const view = {
+            dataset: params.get('dataset'),
+            tile: { x: tileX, y: tileY },
+            merged: params.get('merged') === '1',
+            showAllTiles: params.get('all') === '1',
+            position: camera.slice(0, 3),
+            target: camera.slice(3, 6),
+            color: params.get('color'),
+            ramp: params.get('ramp'),
+            range: range && range.length === 2 && range.every(Number.isFinite) ? range : null,
+            clip
+        };
+        return ViewBookmarks.isValidView(view) ? view : null;
+    }
+
+    add(name) {
+        if (this.visualizer.allTileFiles.size === 0) {
+            alert('Open a folder or dataset first to bookmark a view.');
+            return;
+        }
+
+        this.bookmarks.push({
+            name: name || `View ${this.bookmarks.length + 1}`,
+            created: new Date().toISOString(),
+            view: this.captureView()
+        });
+        this.save();
+        this.renderList();
+    }
+
+    remove(bookmark) {
+        this.bookmarks = this.bookmarks.filter(item => item !== bookmark);
+        this.save();
+        this.renderList();
+    }
+
+    // Built here rather than read back from the hash, which isn't kept without urlState
+    async copyLink() {
+        const link = this.visualizer.allTileFiles.size > 0
+            ? `${window.location.href.split('#')[0]}#${ViewBookmarks.encodeView(this.captureView())}`
+            : window.location.href;
+        try {
+            await navigator.clipboard.writeText(link);
+            this.visualizer.dom('fileInfo').textContent = 'Link to this view copied';
+        } catch (error) {
+            console.warn('Could not copy the link:', error);
+            prompt('Copy the link to this view:', link);
+        }
+    }
+
+    exportJSON() {
+        if (this.bookmarks.length === 0) {
+            alert('There are no bookmarks to export.');
+            return;
+        }
+        const text = JSON.stringify({ bookmarks: this.bookmarks }, null, 2);
+        downloadBlob(new Blob([text], { type: 'application/json' }), 'bookmarks.json');
+    }
+
+    // Add the bookmarks from an exported file, skipping ones already present by name
+    async importJSON(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const entries = Array.isArray(data) ? data : data.bookmarks;
+            if (!Array.isArray(entries)) throw new Error('No "bookmarks" list found');
+
+            const names = new Set(this.bookmarks.map(bookmark => bookmark.name));
+            const imported = entries.filter(entry => entry && typeof entry.name === 'string' &&
+                ViewBookmarks.isValidView(entry.view) && !names.has(entry.name));
+            this.bookmarks.push(...imported.map(({ name, created, view }) => ({ name, created: created || new Date().toISOString(), view })));
+            this.save();
+            this.renderList();
+            this.visualizer.dom('fileInfo').textContent = `Imported ${imported.length} of ${entries.length} bookmark(s) from ${file.name}`;
+        } catch (error) {
+            console.error('Bookmark import failed:', error);
+            alert(`Could not import bookmarks from ${file.name}: ${error.message}`);
+        }
+    }
+
+    renderList() {
+        const list = this.visualizer.dom('bookmarkList');
+        list.innerHTML = '';
+
+        for (const bookmark of this.bookmarks) {
+            const { view } = bookmark;
+            const item = document.createElement('div');
+            item.className = 'measurement-item bookmark-item';
+            item.title = 'Go to this view';
+            item.innerHTML = `<strong></strong><div class="measurement-details"></div>`;
+            item.querySelector('strong').textContent = bookmark.name;
+            item.querySelector('.measurement-details').textContent =
+                `${view.dataset ? `${view.dataset}, ` : ''}tile (${view.tile.x}, ${view.tile.y})${view.merged ? ', merged view' : ''}`;
+            item.addEventListener('click', () => this.applyView(view));
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'measurement-remove';
+            removeButton.textContent = '×';
+            removeButton.title = 'Remove bookmark';
+            removeButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.remove(bookmark);
+            });
+            item.prepend(removeButton);
+            list.appendChild(item);
+        }
+    }
+}
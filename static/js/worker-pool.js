@@ -0,0 +1,144 @@
+// Worker Pool - runs parsing tasks on a fixed set of Web Workers and hands each task
+// to the next idle worker
+class WorkerPool {
+    // Directory this script was served from, used to locate the worker script
+    static scriptBase = document.currentScript
+        ? document.currentScript.src.slice(0, document.currentScript.src.lastIndexOf('/') + 1)
+        : '';
+
+    constructor(scriptUrl, size = Math.max(1, Math.min((navigator.hardwareConcurrency || 2) - 1, 4))) {
+        this.scriptUrl = scriptUrl || `${WorkerPool.scriptBase}point-cloud-worker.js`;
+        this.size = size;
+        this.workers = [];
+        this.idleWorkers = [];
+        this.queue = [];
+        this.pending = new Map();
+        this.nextTaskId = 1;
+
+        for (let i = 0; i < size; i++) {
+            const worker = this.createWorker();
+            this.workers.push(worker);
+            this.idleWorkers.push(worker);
+        }
+    }
+
+    createWorker() {
+        const worker = new Worker(this.scriptUrl);
+        worker.onmessage = (event) => this.handleMessage(worker, event.data);
+        worker.onerror = (event) => this.handleWorkerError(worker, event);
+        return worker;
+    }
+
+    // Queue a task; resolves with the worker's result. onProgress(loaded, total) is
+    // called as the worker reports progress. Higher priority tasks jump ahead of
+    // lower ones still waiting in the queue. Aborting the signal rejects the task with
+    // an AbortError; a task already running stops with its worker.
+    run(type, payload, onProgress, priority = 0, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Cancelled', 'AbortError'));
+                return;
+            }
+
+            const task = { id: this.nextTaskId++, type, payload, onProgress, priority, signal, resolve, reject };
+            const insertAt = this.queue.findIndex(queued => queued.priority < priority);
+            if (insertAt === -1) {
+                this.queue.push(task);
+            } else {
+                this.queue.splice(insertAt, 0, task);
+            }
+
+            if (signal) {
+                const onAbort = () => this.cancel(task);
+                signal.addEventListener('abort', onAbort, { once: true });
+                task.removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+            }
+            this.dispatch();
+        });
+    }
+
+    // Drop a queued task, or end a running one by replacing its worker; a worker
+    // can't be interrupted in the middle of a read or a parse
+    cancel(task) {
+        const queued = this.queue.indexOf(task);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+        } else if (this.pending.get(task.id) === task) {
+            this.pending.delete(task.id);
+            task.worker.terminate();
+
+            const worker = this.createWorker();
+            this.workers[this.workers.indexOf(task.worker)] = worker;
+            this.idleWorkers.push(worker);
+        } else {
+            return;
+        }
+
+        task.reject(new DOMException('Cancelled', 'AbortError'));
+        this.dispatch();
+    }
+
+    dispatch() {
+        while (this.idleWorkers.length > 0 && this.queue.length > 0) {
+            const task = this.queue.shift();
+            // Aborted, but its abort listener hasn't run yet
+            if (task.signal && task.signal.aborted) {
+                task.reject(new DOMException('Cancelled', 'AbortError'));
+                continue;
+            }
+
+            const worker = this.idleWorkers.shift();
+            task.worker = worker;
+            this.pending.set(task.id, task);
+            worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+        }
+    }
+
+    handleMessage(worker, message) {
+        const task = this.pending.get(message.id);
+        if (!task) return;
+
+        if (message.type === 'progress') {
+            if (task.onProgress) task.onProgress(message.loaded, message.total);
+            return;
+        }
+
+        this.pending.delete(message.id);
+        this.idleWorkers.push(worker);
+        if (task.removeAbortListener) task.removeAbortListener();
+
+        if (message.type === 'result') {
+            task.resolve(message.result);
+        } else {
+            task.reject(new Error(message.message));
+        }
+
+        this.dispatch();
+    }
+
+    handleWorkerError(worker, event) {
+        console.error('Worker error:', event.message);
+        for (const [id, task] of this.pending) {
+            if (task.worker === worker) {
+                this.pending.delete(id);
+                this.idleWorkers.push(worker);
+                if (task.removeAbortListener) task.removeAbortListener();
+                task.reject(new Error(event.message || 'Worker failed'));
+            }
+        }
+        this.dispatch();
+    }
+
+    terminate() {
+        for (const worker of this.workers) {
+            worker.terminate();
+        }
+        for (const task of [...this.pending.values(), ...this.queue]) {
+            task.reject(new Error('Worker pool terminated'));
+        }
+        this.workers = [];
+        this.idleWorkers = [];
+        this.queue = [];
+        this.pending.clear();
+    }
+}
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { AnnotationTool } = loadScripts(['annotation-tool.js'], ['AnnotationTool']);
+
+const feature = (geometry, properties = {}, id) => ({ type: 'Feature', id, properties, geometry });
+
+test('reads points, lines and polygons with their fields', () => {
+    const annotations = AnnotationTool.parseGeoJSON({
+        type: 'FeatureCollection',
+        features: [
+            feature({ type: 'Point', coordinates: [500100, 4100200, 12.5] },
+                { title: 'Well', notes: 'Capped', category: 'Survey', color: '#00ff00', created: '2026-01-02T03:04:05Z' }, 7),
+            feature({ type: 'LineString', coordinates: [[0, 0, 1], [10, 0]] }),
+            feature({ type: 'Polygon', coordinates: [[[0, 0], [4, 0], [4, 3], [0, 0]]] })
+        ]
+    });
+
+    assert.deepStrictEqual(annotations, [
+        {
+            id: '7', type: 'point', title: 'Well', notes: 'Capped', category: 'Survey', color: '#00ff00',
+            created: '2026-01-02T03:04:05Z', points: [[500100, 4100200, 12.5]]
+        },
+        {
+            id: null, type: 'line', title: '', notes: '', category: '', color: AnnotationTool.DEFAULT_COLOR,
+            created: undefined, points: [[0, 0, 1], [10, 0, null]]
+        },
+        {
+            id: null, type: 'polygon', title: '', notes: '', category: '', color: AnnotationTool.DEFAULT_COLOR,
+            created: undefined, points: [[0, 0, null], [4, 0, null], [4, 3, null]]
+        }
+    ]);
+});
+
+test('accepts a single feature or a bare geometry', () => {
+    const [single] = AnnotationTool.parseGeoJSON(feature({ type: 'Point', coordinates: [1, 2] }, { name: 'Pole', description: 'Steel' }));
+    assert.strictEqual(single.title, 'Pole');
+    assert.strictEqual(single.notes, 'Steel');
+
+    const [bare] = AnnotationTool.parseGeoJSON({ type: 'LineString', coordinates: [[1, 2], [3, 4]] });
+    assert.strictEqual(bare.type, 'line');
+    assert.deepStrictEqual(bare.points, [[1, 2, null], [3, 4, null]]);
+});
+
+test('splits multi-part geometries into one annotation per part', () => {
+    const annotations = AnnotationTool.parseGeoJSON(feature(
+        { type: 'MultiPoint', coordinates: [[1, 1], [2, 2]] }, {}, 'trees'));
+    assert.deepStrictEqual(annotations.map(({ id, points }) => [id, points]), [
+        ['trees-1', [[1, 1, null]]],
+        ['trees-2', [[2, 2, null]]]
+    ]);
+});
+
+test('skips malformed geometries, bad colours and other types', () => {
+    const annotations = AnnotationTool.parseGeoJSON({
+        type: 'FeatureCollection',
+        features: [
+            null,
+            feature(null),
+            feature({ type: 'Point', coordinates: [1, 'two'] }),
+            feature({ type: 'LineString', coordinates: [[0, 0]] }),
+            feature({ type: 'Polygon', coordinates: [[[0, 0], [1, 1], [0, 0]]] }),
+            feature({ type: 'GeometryCollection', geometries: [] }),
+            feature({ type: 'Point', coordinates: [5, 5] }, { color: 'red' })
+        ]
+    });
+    assert.strictEqual(annotations.length, 1);
+    assert.strictEqual(annotations[0].color, AnnotationTool.DEFAULT_COLOR);
+
+    assert.throws(() => AnnotationTool.parseGeoJSON({ type: 'FeatureCollection' }), /No "features" list/);
+});
+
+test('reads back what toGeoJSON writes', () => {
+    const annotations = [
+        { id: 'a', type: 'polygon', title: 'Pit', notes: '', category: 'Earthworks', color: '#ff0000', created: '2026-03-04T00:00:00Z', points: [[0, 0, 5], [3, 0, 5], [3, 3, null]] },
+        { id: 'b', type: 'point', title: 'Peg', notes: 'Line 2', category: '', color: '#0000ff', created: '2026-03-05T00:00:00Z', points: [[7, 8, 9]] }
+    ];
+    const geojson = AnnotationTool.prototype.toGeoJSON.call({ annotations });
+    assert.deepStrictEqual(geojson.features[0].geometry.coordinates, [[[0, 0, 5], [3, 0, 5], [3, 3], [0, 0, 5]]]);
+    assert.deepStrictEqual(AnnotationTool.parseGeoJSON(JSON.parse(JSON.stringify(geojson))), annotations);
+});
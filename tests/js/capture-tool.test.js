@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { CaptureTool } = loadScripts(['capture-tool.js'], ['CaptureTool']);
+
+const text = (header, offset, length) => Buffer.from(header.subarray(offset, offset + length)).toString('latin1').replace(/\0.*$/s, '');
+const octal = (header, offset, length) => parseInt(text(header, offset, length).trim(), 8);
+
+test('writes a 512-byte ustar header for a regular file', () => {
+    const before = Math.floor(Date.now() / 1000);
+    const header = CaptureTool.tarHeader('frame-007.png', 123456);
+
+    assert.strictEqual(header.length, 512);
+    assert.strictEqual(text(header, 0, 100), 'frame-007.png');
+    assert.strictEqual(octal(header, 100, 8), 0o644);
+    assert.strictEqual(octal(header, 124, 12), 123456);
+    assert.ok(octal(header, 136, 12) >= before);
+    assert.strictEqual(text(header, 156, 1), '0');
+    assert.strictEqual(text(header, 257, 6), 'ustar');
+    assert.strictEqual(text(header, 263, 2), '00');
+
+    // Numeric fields are zero-padded octal ending in NUL
+    assert.strictEqual(text(header, 124, 12), '00000361100');
+    assert.strictEqual(header[135], 0);
+});
+
+test('stores a checksum that matches the header with blank checksum field', () => {
+    const header = CaptureTool.tarHeader('frame-1.png', 42);
+    const stored = octal(header, 148, 8);
+    assert.strictEqual(header[154], 0);
+    assert.strictEqual(header[155], 0x20);
+
+    const blanked = Uint8Array.from(header);
+    blanked.fill(0x20, 148, 156);
+    assert.strictEqual(stored, blanked.reduce((sum, byte) => sum + byte, 0));
+});
+
+test('cuts names to the 100 bytes the field holds', () => {
+    const header = CaptureTool.tarHeader('x'.repeat(150), 0);
+    assert.strictEqual(text(header, 0, 100), 'x'.repeat(100));
+    assert.strictEqual(octal(header, 100, 8), 0o644);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { ChangeDetector } = loadScripts(['point-cleaner.js', 'change-detector.js'], ['ChangeDetector']);
+
+const everywhere = { minX: -Infinity, maxX: Infinity, minY: -Infinity, maxY: Infinity };
+
+// Flat reference ground at z = 10 on a 1 m grid over 0..9, split over two files with
+// their own centres
+function reference() {
+    const files = [[], []];
+    for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 10; x++) files[x < 5 ? 0 : 1].push([x, y, 10]);
+    }
+    const centers = [[2, 5, 10], [7, 5, 10]];
+    return files.map((points, i) => ({
+        center: centers[i],
+        positions: Float32Array.from(points.flatMap(point => point.map((value, axis) => value - centers[i][axis])))
+    }));
+}
+
+function comparison(points, center = [5, 5, 10]) {
+    return {
+        center,
+        pointCount: points.length,
+        positions: Float32Array.from(points.flatMap(point => point.map((value, axis) => value - center[axis]))),
+        attributes: { intensity: Uint16Array.from(points, (_, i) => i) }
+    };
+}
+
+test('index merges the reference files into one frame', () => {
+    const index = ChangeDetector.index(reference(), [100, 100, 0], 2);
+    assert.strictEqual(index.count, 100);
+    assert.deepStrictEqual(index.center, [100, 100, 0]);
+    assert.deepStrictEqual([...index.positions.slice(0, 3)], [-100, -100, 10]);
+    assert.ok(index.grid);
+    assert.throws(() => ChangeDetector.index(reference(), [0, 0, 0], 0), /greater than zero/);
+});
+
+test('change is positive above the reference and negative below it', () => {
+    const index = ChangeDetector.index(reference(), [0, 0, 0], 2);
+    const data = comparison([[3, 3, 10.5], [6, 4, 9.25], [4, 4, 10]]);
+    const result = ChangeDetector.compare(data, index, { bounds: everywhere });
+
+    assert.deepStrictEqual([...result.attributes.change], [0.5, -0.75, 0]);
+    assert.deepStrictEqual([...result.attributes.intensity], [0, 1, 2]);
+    assert.deepStrictEqual(result.stats, { inside: 3, compared: 3, uncovered: 0 });
+});
+
+test('points beyond the search distance or outside the tile are left out', () => {
+    const index = ChangeDetector.index(reference(), [5, 5, 10], 1);
+    const data = comparison([[2, 2, 10.2], [2, 2, 15], [20, 3, 10], [8, 8, 10.1]]);
+    const result = ChangeDetector.compare(data, index, { bounds: { minX: 0, maxX: 30, minY: 0, maxY: 5 } });
+
+    // The last point lies north of the tile, the second and third have no reference
+    // point within 1 m
+    assert.strictEqual(result.pointCount, 1);
+    assert.ok(Math.abs(result.attributes.change[0] - 0.2) < 1e-5);
+    assert.deepStrictEqual(result.stats, { inside: 3, compared: 1, uncovered: 2 });
+});
+
+test('an empty reference leaves every point uncovered', () => {
+    const index = ChangeDetector.index([], [0, 0, 0], 5);
+    const result = ChangeDetector.compare(comparison([[1, 1, 1], [2, 2, 2]]), index, { bounds: everywhere });
+    assert.strictEqual(result.pointCount, 0);
+    assert.deepStrictEqual(result.stats, { inside: 2, compared: 0, uncovered: 2 });
+});
+
+test('the nearest point wins even when it lies a few cells away', () => {
+    // A sparse reference with the search distance much larger than a cell
+    const sparse = [{ center: [0, 0, 0], positions: Float32Array.from([0, 0, 0, 40, 0, 0, 0, 40, 0, 40, 40, 0]) }];
+    const index = ChangeDetector.index(sparse, [0, 0, 0], 30);
+    const result = ChangeDetector.compare(comparison([[31, 2, 0], [12, 30, 5]], [0, 0, 0]), index, { bounds: everywhere });
+    assert.strictEqual(result.pointCount, 2);
+    assert.ok(Math.abs(result.attributes.change[0] - Math.hypot(9, 2)) < 1e-4);
+    assert.ok(Math.abs(result.attributes.change[1] - Math.hypot(12, 10, 5)) < 1e-4);
+});
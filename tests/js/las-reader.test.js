@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { LASReader } = loadScripts(['readers/las-reader.js'], ['LASReader']);
+
+const RECORD_LENGTHS = { 0: 20, 1: 28, 2: 26, 3: 34, 6: 30, 7: 36 };
+const SCALE = 0.01;
+const OFFSET = [500000, 4100000, 0];
+
+const POINTS = [
+    { position: [500001.25, 4100002.5, 10.75], intensity: 100, returnNumber: 1, numberOfReturns: 2, classification: 2, gpsTime: 1000.5, rgb: [65535, 0, 32768] },
+    { position: [500003, 4099998, 12], intensity: 200, returnNumber: 2, numberOfReturns: 2, classification: 5, gpsTime: 1001.25, rgb: [0, 65535, 0] },
+    { position: [499999.5, 4100000, 8.5], intensity: 300, returnNumber: 1, numberOfReturns: 1, classification: 6, gpsTime: 1003, rgb: [256, 512, 1024] }
+];
+
+// A LAS file of the given version and point format holding points, with the header
+// declaring `declared` of them. LAS 1.4 puts the count in the 64-bit field only, as
+// writers of more than 2^32 points must.
+function lasFile(points, { format = 3, version = [1, 2], declared = points.length, compressed = false, name = 'test.las' } = {}) {
+    const extended = format >= 6;
+    const headerSize = version[1] >= 4 ? 375 : 227;
+    const recordLength = RECORD_LENGTHS[format];
+    const layout = LASReader.POINT_LAYOUTS[format];
+    const buffer = new ArrayBuffer(headerSize + points.length * recordLength);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    bytes.set(Buffer.from('LASF'), 0);
+    view.setUint8(24, version[0]);
+    view.setUint8(25, version[1]);
+    view.setUint16(94, headerSize, true);
+    view.setUint32(96, headerSize, true);
+    view.setUint8(104, format | (compressed ? 0x80 : 0));
+    view.setUint16(105, recordLength, true);
+    if (version[1] >= 4) {
+        view.setBigUint64(247, BigInt(declared), true);
+    } else {
+        view.setUint32(107, declared, true);
+    }
+    [SCALE, SCALE, SCALE].forEach((value, axis) => view.setFloat64(131 + axis * 8, value, true));
+    OFFSET.forEach((value, axis) => view.setFloat64(155 + axis * 8, value, true));
+    for (let axis = 0; axis < 3; axis++) {
+        const values = points.map(point => point.position[axis]);
+        view.setFloat64(179 + axis * 16, Math.max(...values), true);
+        view.setFloat64(187 + axis * 16, Math.min(...values), true);
+    }
+
+    points.forEach((point, i) => {
+        const base = headerSize + i * recordLength;
+        point.position.forEach((value, axis) => view.setInt32(base + axis * 4, Math.round((value - OFFSET[axis]) / SCALE), true));
+        view.setUint16(base + 12, point.intensity, true);
+        if (extended) {
+            view.setUint8(base + 14, point.returnNumber | (point.numberOfReturns << 4));
+            view.setUint8(base + 16, point.classification);
+        } else {
+            view.setUint8(base + 14, point.returnNumber | (point.numberOfReturns << 3));
+            view.setUint8(base + 15, point.classification | 0x20); // Synthetic flag, not part of the class
+        }
+        if (layout.gpsTime !== null) view.setFloat64(base + layout.gpsTime, point.gpsTime, true);
+        if (layout.rgb !== null) point.rgb.forEach((value, channel) => view.setUint16(base + layout.rgb + channel * 2, value, true));
+    });
+    return new File([buffer], name);
+}
+
+function assertClose(actual, expected, tolerance = 1e-3) {
+    assert.strictEqual(actual.length, expected.length);
+    [...actual].forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) <= tolerance, `${value} differs from ${expected[i]} by more than ${tolerance}`);
+    });
+}
+
+test('readHeader reads the LAS 1.2 public header block', async () => {
+    const header = await LASReader.readHeader(lasFile(POINTS));
+    assert.deepStrictEqual([header.versionMajor, header.versionMinor, header.pointFormat, header.compressed], [1, 2, 3, false]);
+    assert.strictEqual(header.pointCount, 3);
+    assert.strictEqual(header.pointDataOffset, 227);
+    assert.strictEqual(header.pointRecordLength, 34);
+    assert.deepStrictEqual(header.scale, [SCALE, SCALE, SCALE]);
+    assert.deepStrictEqual(header.offset, OFFSET);
+    assert.deepStrictEqual([header.minX, header.maxX, header.minZ, header.maxZ], [499999.5, 500003, 8.5, 12]);
+});
+
+test('LAS 1.4 headers take the point count from the extended field', async () => {
+    const header = await LASReader.readHeader(lasFile(POINTS, { format: 6, version: [1, 4] }));
+    assert.deepStrictEqual([header.versionMinor, header.pointFormat, header.pointDataOffset], [4, 6, 375]);
+    assert.strictEqual(header.pointCount, 3);
+
+    // The legacy count is used when the extended one is left at zero
+    const file = lasFile(POINTS, { format: 6, version: [1, 4], declared: 0 });
+    const buffer = await file.arrayBuffer();
+    new DataView(buffer).setUint32(107, 3, true);
+    assert.strictEqual((await LASReader.readHeader(new File([buffer], 'legacy.las'))).pointCount, 3);
+});
+
+test('readHeader refuses other files and unknown point formats', async () => {
+    await assert.rejects(LASReader.readHeader(new File(['PLY not LAS'], 'other.las')), /missing "LASF" signature/);
+
+    const buffer = await lasFile(POINTS).arrayBuffer();
+    new DataView(buffer).setUint8(104, 11);
+    await assert.rejects(LASReader.readHeader(new File([buffer], 'future.las')), /unsupported LAS point format 11/);
+});
+
+test('scanBounds lists the properties of the point format', async () => {
+    const bounds = await LASReader.scanBounds(lasFile(POINTS, { format: 1 }));
+    assert.strictEqual(bounds.vertexCount, 3);
+    assert.strictEqual(bounds.format, 'las');
+    assert.deepStrictEqual([bounds.centerX, bounds.extentY], [500001.25, 4.5]);
+    assert.deepStrictEqual(bounds.properties, ['x', 'y', 'z', 'intensity', 'returnNumber', 'numberOfReturns', 'classification', 'gpsTime']);
+
+    const { properties } = await LASReader.scanBounds(lasFile(POINTS, { format: 2 }));
+    assert.deepStrictEqual(properties.slice(-3), ['red', 'green', 'blue']);
+});
+
+for (const [format, version] of [[0, [1, 2]], [1, [1, 2]], [2, [1, 2]], [3, [1, 2]], [6, [1, 4]], [7, [1, 4]]]) {
+    test(`decode reads point format ${format} around the given centre`, async () => {
+        const layout = LASReader.POINT_LAYOUTS[format];
+        const center = [500000, 4100000, 10];
+        const data = await LASReader.decode(lasFile(POINTS, { format, version }), { center });
+
+        assert.strictEqual(data.pointCount, 3);
+        assert.strictEqual(data.format, 'las');
+        assert.deepStrictEqual(data.center, center);
+        assertClose(data.positions, POINTS.flatMap(point => point.position.map((value, axis) => value - center[axis])));
+        assert.deepStrictEqual(data.bounds, { minX: 499999.5, maxX: 500003, minY: 4099998, maxY: 4100002.5, minZ: 8.5, maxZ: 12 });
+
+        assert.deepStrictEqual([...data.attributes.intensity], [100, 200, 300]);
+        assert.deepStrictEqual([...data.attributes.returnNumber], [1, 2, 1]);
+        assert.deepStrictEqual([...data.attributes.numberOfReturns], [2, 2, 1]);
+        assert.deepStrictEqual([...data.attributes.classification], [2, 5, 6]);
+
+        if (layout.gpsTime === null) {
+            assert.strictEqual(data.attributes.gpsTime, undefined);
+            assert.deepStrictEqual(data.attributeOffsets, {});
+        } else {
+            assert.strictEqual(data.attributeOffsets.gpsTime, 1000.5);
+            assert.deepStrictEqual([...data.attributes.gpsTime], [0, 0.75, 2.5]);
+        }
+
+        if (layout.rgb === null) {
+            assert.strictEqual(data.colors, null);
+        } else {
+            assertClose(data.colors, POINTS.flatMap(point => point.rgb.map(value => value / 65535)), 1e-6);
+        }
+    });
+}
+
+test('8-bit colours stored in the 16-bit fields are scaled to 255', async () => {
+    const points = POINTS.map(point => ({ ...point, rgb: point.rgb.map(value => value >> 8) }));
+    const data = await LASReader.decode(lasFile(points, { format: 2 }));
+    assertClose(data.colors, points.flatMap(point => point.rgb.map(value => value / 255)), 1e-6);
+});
+
+test('decode refuses files with fewer point records than declared', async () => {
+    await assert.rejects(LASReader.decode(lasFile(POINTS, { declared: 4, name: 'short.las' })), /short\.las: file is truncated \(4 points declared\)/);
+});
+
+test('LAZ decodes are trimmed to the points the file holds', async (t) => {
+    // A stand-in for laz-perf that hands out the uncompressed records of a file
+    // holding fewer points than its header declares
+    const source = new Uint8Array(await lasFile(POINTS, { format: 7, version: [1, 4] }).arrayBuffer());
+    const LazPerf = {
+        HEAPU8: new Uint8Array(source.byteLength + 64),
+        next: 0,
+        _malloc(size) {
+            const pointer = this.next;
+            this.next += size;
+            return pointer;
+        },
+        _free() {},
+        LASZip: class {
+            open() {
+                this.index = 0;
+            }
+            getPointLength() {
+                return 36;
+            }
+            getCount() {
+                return 2;
+            }
+            getPoint(pointer) {
+                LazPerf.HEAPU8.set(source.subarray(375 + this.index * 36, 375 + ++this.index * 36), pointer);
+            }
+            delete() {}
+        }
+    };
+    t.mock.method(LASReader, 'getLazPerf', async () => LazPerf);
+
+    const file = lasFile(POINTS, { format: 7, version: [1, 4], compressed: true, name: 'test.laz' });
+    assert.strictEqual((await LASReader.scanBounds(file)).format, 'laz');
+
+    const progress = [];
+    const data = await LASReader.decode(file, { center: [0, 0, 0] }, (done, total) => progress.push([done, total]));
+    assert.strictEqual(data.format, 'laz');
+    assert.strictEqual(data.pointCount, 2);
+    assert.deepStrictEqual(progress.at(-1), [2, 2]);
+
+    assert.strictEqual(data.positions.length, 6);
+    assert.strictEqual(data.colors.length, 6);
+    for (const name of ['intensity', 'returnNumber', 'numberOfReturns', 'classification', 'gpsTime']) {
+        assert.strictEqual(data.attributes[name].length, 2, name);
+    }
+    assert.deepStrictEqual([...data.attributes.intensity], [100, 200]);
+    assert.deepStrictEqual([...data.attributes.gpsTime], [0, 0.75]);
+    assert.deepStrictEqual(data.bounds, { minX: 500001.25, maxX: 500003, minY: 4099998, maxY: 4100002.5, minZ: 10.75, maxZ: 12 });
+});
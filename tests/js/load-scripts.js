@@ -0,0 +1,23 @@
+// Load Scripts - runs files from static/js the way the page does, as classic scripts
+// sharing one global scope, so the tests can reach their classes without a bundler.
+// Run the tests with `node --test tests/js/`.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_DIR = path.join(__dirname, '..', '..', 'static', 'js');
+const loaded = new Set();
+
+// Run each script once and return the named globals, e.g.
+// const { TileLayout } = loadScripts(['tile-layout.js'], ['TileLayout']);
+function loadScripts(files, names) {
+    for (const file of files) {
+        if (loaded.has(file)) continue;
+        const fileName = path.join(SCRIPT_DIR, file);
+        vm.runInThisContext(fs.readFileSync(fileName, 'utf8'), { filename: fileName });
+        loaded.add(file);
+    }
+    return Object.fromEntries(names.map(name => [name, vm.runInThisContext(name)]));
+}
+
+module.exports = { loadScripts };
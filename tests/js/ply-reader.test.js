@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { PLYReader } = loadScripts(['readers/ply-reader.js'], ['PLYReader']);
+
+const POINTS = [
+    { position: [500010.5, 4100020.25, 101], color: [255, 0, 51], intensity: 7 },
+    { position: [500012, 4100018, 99.5], color: [0, 255, 102], intensity: 9 },
+    { position: [500008, 4100021, 100], color: [51, 102, 255], intensity: 11 }
+];
+
+const ASCII = [
+    'ply',
+    'format ascii 1.0',
+    'comment written by hand',
+    'element camera 2',
+    'property float fov',
+    'element vertex 3',
+    'property double x',
+    'property double y',
+    'property double z',
+    'property uchar red',
+    'property uchar green',
+    'property uchar blue',
+    'property float intensity',
+    'end_header',
+    '45',
+    '60',
+    ...POINTS.map(({ position, color, intensity }) => [...position, ...color, intensity].join(' ')),
+    ''
+].join('\n');
+
+// A binary PLY with a fixed-size element before the vertices, double coordinates and
+// 16-bit colours
+function binaryFile(littleEndian = true, { declared = POINTS.length, name = 'test.ply' } = {}) {
+    const header = [
+        'ply',
+        `format binary_${littleEndian ? 'little' : 'big'}_endian 1.0`,
+        'element camera 1',
+        'property float fov',
+        'property uchar id',
+        `element vertex ${declared}`,
+        'property double x',
+        'property double y',
+        'property double z',
+        'property ushort r',
+        'property ushort g',
+        'property ushort b',
+        'property int intensity',
+        'end_header',
+        ''
+    ].join('\n');
+    const stride = 3 * 8 + 3 * 2 + 4;
+    const body = new DataView(new ArrayBuffer(5 + POINTS.length * stride));
+    body.setFloat32(0, 45, littleEndian);
+    body.setUint8(4, 1);
+    POINTS.forEach(({ position, color, intensity }, i) => {
+        const base = 5 + i * stride;
+        position.forEach((value, axis) => body.setFloat64(base + axis * 8, value, littleEndian));
+        color.forEach((value, channel) => body.setUint16(base + 24 + channel * 2, value * 257, littleEndian));
+        body.setInt32(base + 30, intensity, littleEndian);
+    });
+    return new File([header, body.buffer], name);
+}
+
+const plyFile = (lines, name = 'test.ply') => new File([lines.join('\n') + '\n'], name);
+
+function assertClose(actual, expected, tolerance = 1e-4) {
+    assert.strictEqual(actual.length, expected.length);
+    [...actual].forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) <= tolerance, `${value} differs from ${expected[i]} by more than ${tolerance}`);
+    });
+}
+
+function assertDecoded(data, center) {
+    assert.strictEqual(data.format, 'ply');
+    assert.strictEqual(data.pointCount, 3);
+    assert.deepStrictEqual(data.center, center);
+    assertClose(data.positions, POINTS.flatMap(point => point.position.map((value, axis) => value - center[axis])));
+    assertClose(data.colors, POINTS.flatMap(point => point.color.map(value => value / 255)), 1e-6);
+    assert.deepStrictEqual(Object.keys(data.attributes), ['intensity']);
+    assert.deepStrictEqual([...data.attributes.intensity], [7, 9, 11]);
+    assert.deepStrictEqual(data.bounds, { minX: 500008, maxX: 500012, minY: 4100018, maxY: 4100021, minZ: 99.5, maxZ: 101 });
+}
+
+test('readHeader finds the vertex layout and the elements before it', async () => {
+    const header = await PLYReader.readHeader(new File([ASCII], 'test.ply'));
+    assert.strictEqual(header.format, 'ascii');
+    assert.deepStrictEqual(header.comments, ['written by hand']);
+    assert.strictEqual(header.vertexCount, 3);
+    assert.strictEqual(header.vertexLayout.skipLines, 2);
+    assert.strictEqual(header.vertexLayout.dataOffset, ASCII.indexOf('end_header\n') + 'end_header\n'.length);
+    assert.deepStrictEqual(header.vertexLayout.properties.red, { type: 'uchar', offset: 24, index: 3 });
+
+    const binary = await PLYReader.readHeader(binaryFile());
+    assert.strictEqual(binary.vertexLayout.stride, 34);
+    assert.strictEqual(binary.vertexLayout.dataOffset, binary.headerLength + 5);
+});
+
+test('decodes ASCII files, skipping the elements before the vertices', async () => {
+    const center = [500010, 4100020, 100];
+    assertDecoded(await PLYReader.decode(new File([ASCII], 'test.ply'), { center }), center);
+});
+
+test('ASCII lines split across read chunks are put back together', async (t) => {
+    const chunkSize = PLYReader.SCAN_CHUNK_SIZE;
+    PLYReader.SCAN_CHUNK_SIZE = 7;
+    t.after(() => { PLYReader.SCAN_CHUNK_SIZE = chunkSize; });
+    const progress = [];
+    const data = await PLYReader.decode(new File([ASCII.replace(/\n/g, '\r\n')], 'crlf.ply'), { center: [0, 0, 0] }, done => progress.push(done));
+    assertDecoded(data, [0, 0, 0]);
+    assert.strictEqual(progress.at(-1), 3);
+});
+
+test('decodes little and big endian binary files with 16-bit colours', async () => {
+    for (const littleEndian of [true, false]) {
+        const center = [500000, 4100000, 0];
+        assertDecoded(await PLYReader.decode(binaryFile(littleEndian), { center }), center);
+    }
+});
+
+test('decode centres on the bounds when no centre is given', async () => {
+    const data = await PLYReader.decode(binaryFile());
+    assert.deepStrictEqual(data.center, [500010, 4100019.5, 100.25]);
+});
+
+test('scanBounds gives the bounds and properties without decoding', async () => {
+    const bounds = await PLYReader.scanBounds(new File([ASCII], 'test.ply'));
+    assert.strictEqual(bounds.vertexCount, 3);
+    assert.strictEqual(bounds.format, 'ascii');
+    assert.deepStrictEqual([bounds.minX, bounds.maxX, bounds.extentY, bounds.centerZ], [500008, 500012, 3, 100.25]);
+    assert.deepStrictEqual(bounds.properties, ['x', 'y', 'z', 'red', 'green', 'blue', 'intensity']);
+
+    const empty = await PLYReader.scanBounds(plyFile(['ply', 'format ascii 1.0', 'element vertex 0', 'property float x', 'property float y', 'property float z', 'end_header']));
+    assert.deepStrictEqual([empty.vertexCount, empty.minX, empty.maxZ, empty.extentX], [0, 0, 0, 0]);
+});
+
+test('refuses files it cannot read', async () => {
+    const vertex = ['element vertex 1', 'property float x', 'property float y', 'property float z'];
+    const cases = [
+        [['ply', 'format ascii 1.0', ...vertex], /no end_header found/],
+        [['PLY', 'format ascii 1.0', ...vertex, 'end_header'], /missing "ply" magic number/],
+        [['ply', 'format binary_middle_endian 1.0', ...vertex, 'end_header'], /unsupported PLY format "binary_middle_endian"/],
+        [['ply', 'format ascii 1.0', 'property float x', 'end_header'], /property declared before any element/],
+        [['ply', 'format ascii 1.0', 'element face 1', 'property list uchar int vertex_indices', 'end_header'], /no vertex element/],
+        [['ply', 'format ascii 1.0', 'element vertex 1', 'property float x', 'property float y', 'end_header'], /no "z" property/],
+        [['ply', 'format ascii 1.0', ...vertex, 'property int128 id', 'end_header'], /unknown property type "int128"/],
+        [['ply', 'format ascii 1.0', ...vertex, 'property list uchar int ids', 'end_header'], /list properties on vertices/],
+        [['ply', 'format binary_little_endian 1.0', 'element face 1', 'property list uchar int vertex_indices', ...vertex, 'end_header'],
+            /cannot skip variable-size element "face"/]
+    ];
+    for (const [lines, error] of cases) {
+        await assert.rejects(PLYReader.readHeader(plyFile(lines, 'bad.ply')), error);
+    }
+
+    await assert.rejects(PLYReader.decode(binaryFile(true, { declared: 4, name: 'short.ply' }), { center: [0, 0, 0] }),
+        /short\.ply: file is truncated \(4 vertices declared\)/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { PointCleaner } = loadScripts(['point-cleaner.js'], ['PointCleaner']);
+
+// A flat 10 x 10 grid of points 1 m apart, plus whatever extra points are given
+function cloud(extra = []) {
+    const points = [];
+    for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 10; x++) points.push([x, y, 0]);
+    }
+    points.push(...extra);
+    return {
+        pointCount: points.length,
+        positions: Float32Array.from(points.flat()),
+        attributes: { intensity: Uint16Array.from(points, (_, i) => i) }
+    };
+}
+
+const noReport = () => {};
+
+test('voxel downsampling keeps one real point per occupied voxel, in order', () => {
+    const { positions, pointCount } = cloud();
+    const keep = PointCleaner.voxelDownsample(positions, pointCount, { voxelSize: 2 }, noReport);
+    assert.strictEqual(keep.length, 25);
+    assert.deepStrictEqual([...keep], [...keep].sort((a, b) => a - b));
+    assert.strictEqual(new Set(keep).size, keep.length);
+    assert.throws(() => PointCleaner.voxelDownsample(positions, pointCount, { voxelSize: 0 }, noReport), /greater than zero/);
+});
+
+test('statistical outlier removal drops an isolated point and keeps the grid', () => {
+    const { positions, pointCount } = cloud([[4.5, 4.5, 30]]);
+    const keep = PointCleaner.statisticalOutliers(positions, pointCount, { neighbours: 4, stdRatio: 2 }, noReport);
+    assert.strictEqual(keep.length, 100);
+    assert.ok(!keep.includes(100));
+});
+
+test('radius outlier removal keeps points with enough neighbours within the radius', () => {
+    const { positions, pointCount } = cloud([[50, 50, 0]]);
+    const keep = PointCleaner.radiusOutliers(positions, pointCount, { radius: 1.01, minNeighbours: 2 }, noReport);
+    assert.strictEqual(keep.length, 100);
+    assert.ok(!keep.includes(100));
+
+    // Corners have only two neighbours 1 m away
+    const strict = PointCleaner.radiusOutliers(positions, pointCount, { radius: 1.01, minNeighbours: 3 }, noReport);
+    assert.strictEqual(strict.length, 96);
+});
+
+test('select copies the kept points with every attribute', () => {
+    const data = cloud();
+    const result = PointCleaner.select(data, Uint32Array.from([0, 11, 99]));
+    assert.strictEqual(result.pointCount, 3);
+    assert.deepStrictEqual([...result.positions], [0, 0, 0, 1, 1, 0, 9, 9, 0]);
+    assert.deepStrictEqual([...result.attributes.intensity], [0, 11, 99]);
+    assert.ok(result.attributes.intensity instanceof Uint16Array);
+});
+
+test('run chains the steps and reports what each removed', () => {
+    const progress = [];
+    const result = PointCleaner.run(cloud([[50, 50, 0]]), [
+        { type: 'radius', radius: 1.01, minNeighbours: 2 },
+        { type: 'voxel', voxelSize: 2 }
+    ], (done, total) => progress.push([done, total]));
+
+    assert.deepStrictEqual(result.stats, {
+        input: 101,
+        steps: [{ type: 'radius', removed: 1 }, { type: 'voxel', removed: 75 }],
+        output: 25
+    });
+    assert.strictEqual(result.attributes.intensity.length, 25);
+    assert.ok(progress.every(([done, total]) => total === 2 && done >= 0 && done <= 2));
+
+    assert.throws(() => PointCleaner.run(cloud(), [{ type: 'smooth' }]), /Unknown cleaning step "smooth"/);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { PointExporter, PLYReader, LASReader } = loadScripts(
+    ['readers/ply-reader.js', 'readers/las-reader.js', 'point-exporter.js'],
+    ['PointExporter', 'PLYReader', 'LASReader']
+);
+
+const CENTER = [500000, 4100000, 100];
+const GPS_OFFSET = 300000000;
+
+// Three points of a decoded file, as the visualizer holds them; the export selects
+// the first and last
+const POINTS = [
+    { local: [-1.5, 2.25, 0.5], color: [1, 0, 0.5], intensity: 1200, classification: 2, gpsTime: 0.25, height: 1.5 },
+    { local: [0, 0, 0], color: [0, 0, 0], intensity: 0, classification: 1, gpsTime: 1, height: 0 },
+    { local: [3.125, -4, -2], color: [0, 1, 1], intensity: 65535, classification: 6, gpsTime: 2.5, height: -0.75 }
+];
+
+function selections({ withColor = true } = {}) {
+    const array = name => ({ array: Float32Array.from(POINTS, point => point[name]) });
+    const attributes = {
+        position: { array: Float32Array.from(POINTS.flatMap(point => point.local)) },
+        intensity: array('intensity'),
+        classification: array('classification'),
+        gpsTime: array('gpsTime'),
+        height: array('height')
+    };
+    if (withColor) attributes.color = { array: Float32Array.from(POINTS.flatMap(point => point.color)) };
+
+    const pointCloud = {
+        userData: {
+            center: CENTER,
+            attributeOffsets: { gpsTime: GPS_OFFSET },
+            attributeRanges: { intensity: [0, 65535], classification: [1, 6], gpsTime: [0.25, 2.5], height: [-0.75, 1.5] }
+        },
+        geometry: { attributes }
+    };
+    return [{ pointCloud, indices: Uint32Array.from([0, 2]) }];
+}
+
+// Write with one of the exporter's writers and return the file
+async function write(writer, selected, name) {
+    const parts = [];
+    const sink = { write: async (chunk) => parts.push(new Uint8Array(chunk.buffer || chunk, chunk.byteOffset || 0, chunk.byteLength)) };
+    const summary = PointExporter.describeSelection(selected);
+    let progressed = 0;
+    await writer(selected, summary, sink, count => { progressed += count; });
+    assert.strictEqual(progressed, summary.pointCount);
+    return new File(parts, name);
+}
+
+const exported = [POINTS[0], POINTS[2]];
+const survey = point => point.local.map((value, axis) => value + CENTER[axis]);
+
+function assertClose(actual, expected, tolerance) {
+    [...actual].forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) <= tolerance, `${value} differs from ${expected[i]} by more than ${tolerance}`);
+    });
+}
+
+test('describeSelection finds the attributes, colour and survey bounds', () => {
+    const summary = PointExporter.describeSelection(selections());
+    assert.strictEqual(summary.pointCount, 2);
+    assert.strictEqual(summary.hasColor, true);
+    assert.deepStrictEqual([...summary.attributes], [['intensity', false], ['classification', false], ['gpsTime', true], ['height', false]]);
+    assert.deepStrictEqual(summary.bounds, {
+        minX: 499998.5, minY: 4099996, minZ: 98,
+        maxX: 500003.125, maxY: 4100002.25, maxZ: 100.5
+    });
+});
+
+test('PLY export reads back with survey coordinates, colours and attributes', async () => {
+    const file = await write(PointExporter.writePLY, selections(), 'export.ply');
+    const header = (await file.slice(0, 400).text()).split('end_header')[0];
+    assert.match(header, /^ply\nformat binary_little_endian 1\.0\n/);
+    assert.match(header, /element vertex 2\n/);
+    assert.match(header, /property double gpsTime\n/);
+    assert.match(header, /property float height\n/);
+
+    const data = await PLYReader.decode(file, { center: [0, 0, 0] });
+    assert.strictEqual(data.pointCount, 2);
+    exported.forEach((point, i) => {
+        assert.deepStrictEqual([...data.positions.slice(i * 3, i * 3 + 3)], survey(point).map(Math.fround));
+        assertClose(data.colors.slice(i * 3, i * 3 + 3), point.color, 1 / 255);
+        assert.strictEqual(data.attributes.intensity[i], point.intensity);
+        assert.strictEqual(data.attributes.classification[i], point.classification);
+        assert.strictEqual(data.attributes.height[i], point.height);
+    });
+
+    // GPS time is written as a double with its offset added back
+    const body = new DataView(await file.slice(file.size - 2 * 47).arrayBuffer());
+    assert.strictEqual(body.getFloat64(35, true), GPS_OFFSET + 0.25);
+    assert.strictEqual(body.getFloat64(47 + 35, true), GPS_OFFSET + 2.5);
+});
+
+test('LAS export is a LAS 1.4 file the LAS reader reads back', async () => {
+    const file = await write(PointExporter.writeLAS, selections(), 'export.las');
+    const header = await LASReader.readHeader(file);
+    assert.deepStrictEqual([header.versionMajor, header.versionMinor, header.pointFormat], [1, 4, 7]);
+    assert.strictEqual(header.pointCount, 2);
+    assert.strictEqual(header.pointRecordLength, 36 + 4); // height goes into extra bytes
+    assert.strictEqual(header.pointDataOffset, 375 + 54 + 192);
+    assert.strictEqual(file.size, header.pointDataOffset + 2 * header.pointRecordLength);
+
+    const data = await LASReader.decode(file, { center: CENTER });
+    assert.strictEqual(data.pointCount, 2);
+    exported.forEach((point, i) => {
+        assertClose(data.positions.slice(i * 3, i * 3 + 3), point.local, PointExporter.LAS_SCALE / 2 + 1e-6);
+        assertClose(data.colors.slice(i * 3, i * 3 + 3), point.color, 1 / 65535);
+        assert.strictEqual(data.attributes.intensity[i], point.intensity);
+        assert.strictEqual(data.attributes.classification[i], point.classification);
+        assert.strictEqual(data.attributes.returnNumber[i], 1);
+    });
+    assert.strictEqual(data.attributeOffsets.gpsTime, GPS_OFFSET + 0.25);
+    assert.strictEqual(data.attributes.gpsTime[1], 2.25);
+
+    // The extra bytes record names the attribute LAS has no field for
+    const vlr = new Uint8Array(await file.slice(375, header.pointDataOffset).arrayBuffer());
+    const text = (start, length) => Buffer.from(vlr.subarray(start, start + length)).toString('latin1').replace(/\0+$/, '');
+    assert.strictEqual(text(2, 16), 'LASF_Spec');
+    assert.strictEqual(text(54 + 4, 32), 'height');
+    assert.strictEqual(vlr[54 + 2], 9); // float
+});
+
+test('LAS export without colour uses point format 6 and no extra bytes for LAS fields', async () => {
+    const selected = selections({ withColor: false });
+    delete selected[0].pointCloud.userData.attributeRanges.height;
+    const file = await write(PointExporter.writeLAS, selected, 'plain.las');
+    const header = await LASReader.readHeader(file);
+    assert.strictEqual(header.pointFormat, 6);
+    assert.strictEqual(header.pointRecordLength, 30);
+    assert.strictEqual(header.pointDataOffset, 375);
+});
+
+test('CSV export writes one row per point with a header', async () => {
+    const file = await write(PointExporter.writeCSV, selections(), 'export.csv');
+    assert.strictEqual(await file.text(), [
+        'x,y,z,red,green,blue,intensity,classification,gpsTime,height',
+        '499998.500,4100002.250,100.500,255,0,128,1200,2,300000000.25,1.5',
+        '500003.125,4099996.000,98.000,0,255,255,65535,6,300000002.5,-0.75',
+        ''
+    ].join('\n'));
+});
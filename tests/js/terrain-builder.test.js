@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { TerrainBuilder } = loadScripts(['terrain-builder.js'], ['TerrainBuilder']);
+
+// A DEM of cols x rows cells with values from height(c, r)
+function dem(cols, rows, height, { originX = 1000, originY = 2000, cellSize = 2 } = {}) {
+    const values = new Float32Array(cols * rows);
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) values[r * cols + c] = height(c, r);
+    }
+    return { originX, originY, cellSize, cols, rows, values };
+}
+
+const pairs = points => Array.from({ length: points.length / 2 }, (_, i) => [points[i * 2], points[i * 2 + 1]]);
+
+test('joinSegments chains segments given in any order and direction', () => {
+    const lines = TerrainBuilder.joinSegments([['c', 'd'], ['a', 'b'], ['x', 'y'], ['c', 'b']]);
+    assert.deepStrictEqual(lines.map(line => line.join('')), ['abcd', 'xy']);
+});
+
+test('joinSegments closes a ring on its first point', () => {
+    const [ring] = TerrainBuilder.joinSegments([['a', 'b'], ['c', 'a'], ['b', 'c']]);
+    assert.strictEqual(ring.length, 4);
+    assert.strictEqual(ring[0], ring[ring.length - 1]);
+});
+
+test('contours of a ramp run straight across it at every level', () => {
+    // Rising 1 m per cell eastwards: 0, 1, 2, 3, 4
+    const lines = TerrainBuilder.contours(dem(5, 3, c => c), 1);
+    assert.deepStrictEqual(lines.map(line => line.level).sort(), [1, 2, 3, 4]);
+
+    for (const { level, points } of lines) {
+        const x = 1000 + (level + 0.5) * 2;
+        const ys = pairs(points).map(([px, py]) => {
+            assert.ok(Math.abs(px - x) < 1e-9, `level ${level} at x ${px}, expected ${x}`);
+            return py;
+        }).sort((a, b) => a - b);
+        assert.deepStrictEqual(ys, [2001, 2003, 2005]);
+    }
+});
+
+test('contours around a peak close on themselves', () => {
+    const lines = TerrainBuilder.contours(dem(5, 5, (c, r) => (c === 2 && r === 2 ? 10 : 0)), 5);
+    assert.strictEqual(lines.length, 2);
+    for (const { points } of lines) {
+        const vertices = pairs(points);
+        assert.deepStrictEqual(vertices[0], vertices[vertices.length - 1]);
+    }
+    // Halfway up a 10 m rise at the middle cell, the 5 m contour passes 1 m from its centre
+    const five = lines.find(line => line.level === 5);
+    for (const [x, y] of pairs(five.points)) {
+        assert.ok(Math.abs(x - 1005) + Math.abs(y - 2005) <= 1 + 1e-9);
+    }
+});
+
+test('contours skip cells next to missing values and bad intervals', () => {
+    const holes = dem(3, 3, (c, r) => (r === 1 ? NaN : c));
+    assert.deepStrictEqual(TerrainBuilder.contours(holes, 1), []);
+
+    const ramp = dem(5, 3, c => c);
+    assert.deepStrictEqual(TerrainBuilder.contours(ramp, 0), []);
+    assert.deepStrictEqual(TerrainBuilder.contours(ramp, -1), []);
+    assert.deepStrictEqual(TerrainBuilder.contours(dem(2, 2, () => NaN), 1), []);
+});
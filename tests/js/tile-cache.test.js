@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { TileCache } = loadScripts(['tile-cache.js'], ['TileCache']);
+
+// A stand-in for a decoded point cloud of `count` points with colours, whose colour
+// array is registered a second time under another name
+function pointCloud(count) {
+    const color = { array: new Float32Array(count * 3) };
+    return {
+        geometry: { attributes: { position: { count, array: new Float32Array(count * 3) }, color, rgb: color } },
+        disposed: false,
+        dispose() {
+            this.disposed = true;
+        }
+    };
+}
+
+// A cache that records what it evicts
+function cache(options) {
+    const evicted = [];
+    const tileCache = new TileCache({ ...options, onEvict: tileKey => evicted.push(tileKey) });
+    return { tileCache, evicted };
+}
+
+test('measure counts points and each attribute array once', () => {
+    assert.deepStrictEqual(TileCache.measure([pointCloud(10), pointCloud(5)]), { pointCount: 15, byteSize: 15 * 2 * 12 });
+});
+
+test('the least recently used tiles are evicted first', () => {
+    const { tileCache, evicted } = cache({ maxPoints: 30 });
+    const first = [pointCloud(10)];
+    tileCache.set('0,0', first);
+    tileCache.set('1,0', [pointCloud(10)]);
+    tileCache.set('2,0', [pointCloud(10)]);
+    assert.deepStrictEqual(evicted, []);
+
+    // Using the oldest tile makes the second one the next to go
+    assert.strictEqual(tileCache.get('0,0'), first);
+    tileCache.set('3,0', [pointCloud(10)]);
+    assert.deepStrictEqual(evicted, ['1,0']);
+    assert.deepStrictEqual([...tileCache.entries.keys()], ['2,0', '0,0', '3,0']);
+    assert.deepStrictEqual(tileCache.stats, { tiles: 3, points: 30, megabytes: 30 * 24 / (1024 * 1024) });
+
+    assert.strictEqual(tileCache.get('1,0'), null);
+    assert.ok(!tileCache.has('1,0'));
+});
+
+test('evicted tiles are taken out of the scene and disposed', () => {
+    const { tileCache } = cache({ maxPoints: 10 });
+    const scene = { children: [], remove(child) { this.children = this.children.filter(item => item !== child); } };
+    const evicted = pointCloud(10);
+    evicted.parent = scene;
+    scene.children.push(evicted);
+
+    tileCache.set('0,0', [evicted]);
+    tileCache.set('1,0', [pointCloud(10)]);
+    assert.ok(evicted.disposed);
+    assert.deepStrictEqual(scene.children, []);
+});
+
+test('the byte budget evicts as well as the point budget', () => {
+    const { tileCache, evicted } = cache({ maxMegabytes: 1 });
+    const points = Math.floor(1024 * 1024 / 24 / 2); // Half the budget each
+    tileCache.set('0,0', [pointCloud(points)]);
+    tileCache.set('1,0', [pointCloud(points)]);
+    assert.deepStrictEqual(evicted, []);
+    tileCache.set('2,0', [pointCloud(points)]);
+    assert.deepStrictEqual(evicted, ['0,0']);
+});
+
+test('pinned tiles are never evicted, and are evicted once unpinned', () => {
+    const { tileCache, evicted } = cache({ maxPoints: 20 });
+    tileCache.set('0,0', [pointCloud(10)]);
+    tileCache.set('1,0', [pointCloud(10)]);
+    tileCache.pin(['0,0', '1,0']);
+
+    // Nothing can go, so the cache stays over its budget for now
+    tileCache.set('2,0', [pointCloud(10)]);
+    assert.deepStrictEqual(evicted, []);
+    assert.strictEqual(tileCache.stats.points, 30);
+
+    tileCache.pin(['1,0', '2,0']);
+    assert.deepStrictEqual(evicted, ['0,0']);
+    assert.strictEqual(tileCache.stats.points, 20);
+});
+
+test('the tile being stored is kept even when it does not fit', () => {
+    const { tileCache, evicted } = cache({ maxPoints: 20 });
+    tileCache.set('0,0', [pointCloud(10)]);
+    const large = [pointCloud(50)];
+    tileCache.set('1,0', large);
+
+    assert.deepStrictEqual(evicted, ['0,0']);
+    assert.strictEqual(tileCache.get('1,0'), large);
+    assert.ok(!large[0].disposed);
+
+    // Until the next change to the cache, unless it has been pinned by then
+    tileCache.pin(['1,0']);
+    tileCache.set('2,0', [pointCloud(5)]);
+    assert.ok(tileCache.has('1,0'));
+});
+
+test('storing a tile again replaces its point clouds and totals', () => {
+    const { tileCache, evicted } = cache();
+    const old = pointCloud(10);
+    tileCache.set('0,0', [old]);
+    tileCache.set('0,0', [pointCloud(4)]);
+    assert.deepStrictEqual(evicted, ['0,0']);
+    assert.ok(old.disposed);
+    assert.strictEqual(tileCache.stats.points, 4);
+});
+
+test('replace swaps one point cloud, updates the totals and keeps the old one', () => {
+    const { tileCache, evicted } = cache({ maxPoints: 30 });
+    const original = pointCloud(20);
+    tileCache.set('0,0', [pointCloud(5)]);
+    tileCache.set('1,0', [original, pointCloud(5)]);
+
+    const larger = pointCloud(24);
+    assert.ok(tileCache.replace('1,0', original, larger));
+    assert.deepStrictEqual(tileCache.get('1,0')[0], larger);
+    assert.ok(!original.disposed);
+
+    // The grown tile pushes the other one out, but is kept itself
+    assert.deepStrictEqual(evicted, ['0,0']);
+    assert.strictEqual(tileCache.stats.points, 29);
+
+    assert.ok(!tileCache.replace('1,0', original, larger));
+    assert.ok(!tileCache.replace('5,5', original, larger));
+});
+
+test('clear empties the cache and drops the pins', () => {
+    const { tileCache, evicted } = cache();
+    tileCache.set('0,0', [pointCloud(1)]);
+    tileCache.set('1,0', [pointCloud(1)]);
+    tileCache.pin(['0,0']);
+    tileCache.clear();
+    assert.deepStrictEqual(evicted, ['0,0', '1,0']);
+    assert.deepStrictEqual(tileCache.stats, { tiles: 0, points: 0, megabytes: 0 });
+    assert.strictEqual(tileCache.pinned.size, 0);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { TileLayout } = loadScripts(['tile-layout.js'], ['TileLayout']);
+
+const plain = entries => entries.map(entry => ({ ...entry }));
+
+test('parses the files.txt list, ignoring the title line', () => {
+    const layout = TileLayout.parse('3 x 3 tiles systems\n 0,0 : Part1_1\n 2,1 : Part8_2\n', 'files.txt');
+    assert.deepStrictEqual(plain(layout.entries), [
+        { file: 'Part1_1', x: 0, y: 0 },
+        { file: 'Part8_2', x: 2, y: 1 }
+    ]);
+    assert.deepStrictEqual(layout.shift, { x: 0, y: 0 });
+});
+
+test('parses JSON arrays and objects with a tiles list, with offsets', () => {
+    const fromArray = TileLayout.parse('[{"file": "a.las", "x": 1, "y": 0}]');
+    assert.deepStrictEqual(plain(fromArray.entries), [{ file: 'a.las', x: 1, y: 0 }]);
+
+    const fromObject = TileLayout.parse('{"tiles": [{"file": "a.las", "x": 0, "y": 0, "offsetX": 10, "offsetY": -5}]}', 'layout.json');
+    assert.deepStrictEqual(plain(fromObject.entries), [{ file: 'a.las', x: 0, y: 0, offsetX: 10, offsetY: -5 }]);
+});
+
+test('parses CSV with or without a header row', () => {
+    const bare = TileLayout.parse('a.las,0,1\nb.las,1,1\n', 'layout.csv');
+    assert.deepStrictEqual(plain(bare.entries), [
+        { file: 'a.las', x: 0, y: 1 },
+        { file: 'b.las', x: 1, y: 1 }
+    ]);
+
+    const withHeader = TileLayout.parse('y,x,file\n2,3,a.las\n', 'layout.csv');
+    assert.deepStrictEqual(plain(withHeader.entries), [{ file: 'a.las', x: 3, y: 2 }]);
+
+    assert.throws(() => TileLayout.parse('name,col,row\na.las,0,0\n', 'layout.csv'), /"file", "x" and "y"/);
+});
+
+test('rejects entries without a name or integer indices', () => {
+    assert.throws(() => TileLayout.parse('[{"file": "a.las", "x": 0.5, "y": 0}]'), /tile 1/);
+    assert.throws(() => TileLayout.parse('a.las,0,1\n,1,1\n', 'layout.csv'), /row 2/);
+    assert.throws(() => TileLayout.parse('no entries here', 'files.txt'), /no tile entries/);
+});
+
+test('shifts layouts with negative indices onto the grid and records the shift', () => {
+    const layout = TileLayout.parse(' -1,0 : west\n 0,-2 : south\n 1,1 : north-east\n');
+    assert.deepStrictEqual(layout.shift, { x: 1, y: 2 });
+    assert.deepStrictEqual(plain(layout.entries), [
+        { file: 'west', x: 0, y: 2 },
+        { file: 'south', x: 1, y: 0 },
+        { file: 'north-east', x: 2, y: 3 }
+    ]);
+});
+
+test('splits quoted CSV cells with commas, doubled quotes and empty cells', () => {
+    assert.deepStrictEqual(TileLayout.splitCSVLine('"a, ""b"".las",1,2'), ['a, "b".las', '1', '2']);
+    assert.deepStrictEqual(TileLayout.splitCSVLine('a.las,0,0,,'), ['a.las', '0', '0', '', '']);
+    assert.deepStrictEqual(TileLayout.splitCSVLine(' a.las , 3 ,4'), ['a.las', '3', '4']);
+});
+
+test('writes CSV that reads back to the same entries', () => {
+    const layout = new TileLayout([
+        { file: 'plain.las', x: 0, y: 0 },
+        { file: 'with, comma.las', x: 1, y: 0, offsetX: 100, offsetY: 0 },
+        { file: 'say "hi".las', x: 0, y: 1 }
+    ]);
+    const csv = layout.toCSV();
+    assert.match(csv, /^file,x,y,offsetX,offsetY\n/);
+    assert.match(csv, /\n"with, comma\.las",1,0,100,0\n/);
+    assert.match(csv, /\n"say ""hi""\.las",0,1,,\n/);
+    assert.deepStrictEqual(plain(TileLayout.parse(csv, 'layout.csv').entries), layout.entries);
+});
+
+test('writes the files.txt format with the grid size in the title', () => {
+    const layout = new TileLayout([{ file: 'a', x: 0, y: 0 }, { file: 'b', x: 2, y: 1 }]);
+    assert.strictEqual(layout.toText(), '3 x 2 tiles systems\n 0,0 : a\n 2,1 : b\n');
+    assert.deepStrictEqual(plain(TileLayout.parse(layout.toText()).entries), layout.entries);
+});
+
+test('matches entries to files with or without the extension', () => {
+    const layout = TileLayout.parse(' 0,0 : Part1\n 1,0 : b.las\n 2,0 : missing\n');
+    const { placements, unmatchedFiles, unusedEntries } = layout.match([
+        { name: 'Part1.ply' }, { name: 'b.las' }, { name: 'stray.las' }
+    ]);
+    assert.deepStrictEqual([...placements.keys()], ['Part1.ply', 'b.las']);
+    assert.strictEqual(placements.get('Part1.ply').x, 0);
+    assert.deepStrictEqual(unmatchedFiles, ['stray.las']);
+    assert.deepStrictEqual(unusedEntries.map(entry => entry.file), ['missing']);
+});
+
+test('places files by row/col or easting/northing name patterns', () => {
+    const grid = TileLayout.matchPattern(
+        [{ name: 'tile_X3_Y5.las' }, { name: 'tile_X4_Y6.las' }, { name: 'readme.txt' }],
+        'tile_X(?<col>\\d+)_Y(?<row>\\d+)'
+    );
+    assert.deepStrictEqual(grid.placements.get('tile_X3_Y5.las'), { file: 'tile_X3_Y5.las', x: 0, y: 0 });
+    assert.deepStrictEqual(grid.placements.get('tile_X4_Y6.las'), { file: 'tile_X4_Y6.las', x: 1, y: 1 });
+    assert.deepStrictEqual(grid.unmatchedFiles, ['readme.txt']);
+
+    const map = TileLayout.matchPattern(
+        [{ name: '500000_4100000.laz' }, { name: '501000_4100000.laz' }, { name: '503000_4101000.laz' }],
+        '(?<easting>\\d+)_(?<northing>\\d+)'
+    );
+    assert.deepStrictEqual([...map.placements.values()].map(({ x, y }) => [x, y]), [[0, 0], [1, 0], [3, 1]]);
+
+    assert.throws(() => TileLayout.compilePattern('(?<x>\\d+)_(?<y>\\d+)'), /named groups/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { ViewBookmarks } = loadScripts(['view-bookmarks.js'], ['ViewBookmarks']);
+
+const BOX = { mode: 'inside', position: [1, 2, 3], quaternion: [0, 0, 0, 1], scale: [10, 10, 5] };
+const PLANE = { axis: 'x', normal: [1, 0, 0], origin: [0, 0, 0], direction: [1, 0, 0], offset: 2.5 };
+
+const link = clip => '#' + new URLSearchParams({ tile: '1,2', camera: '0,-50,30,0,0,0', clip: JSON.stringify(clip) });
+
+test('decodeView reads the tile, camera and clipping of a link', () => {
+    const view = ViewBookmarks.decodeView(link({ box: BOX, planes: [PLANE] }));
+    assert.deepStrictEqual(view.tile, { x: 1, y: 2 });
+    assert.deepStrictEqual(view.position, [0, -50, 30]);
+    assert.deepStrictEqual(view.target, [0, 0, 0]);
+    assert.deepStrictEqual(view.clip, { box: BOX, planes: [PLANE] });
+    assert.strictEqual(view.range, null);
+
+    assert.strictEqual(ViewBookmarks.decodeView('#tile=1,2'), null);
+    assert.strictEqual(ViewBookmarks.decodeView('#tile=a,2&camera=0,0,0,0,0,0'), null);
+});
+
+test('decodeView drops clipping that is not a box and planes', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        for (const clip of [
+            { box: {} },
+            { box: null, planes: [{}] },
+            { box: { ...BOX, quaternion: [0, 0, 1] }, planes: [] },
+            { box: null, planes: [{ ...PLANE, origin: [0, null, 0] }] },
+            { box: null, planes: [{ ...PLANE, offset: '2' }] },
+            [1, 2, 3],
+            'box'
+        ]) {
+            const view = ViewBookmarks.decodeView(link(clip));
+            assert.ok(view, JSON.stringify(clip));
+            assert.strictEqual(view.clip, null, JSON.stringify(clip));
+        }
+        const view = ViewBookmarks.decodeView('#tile=0,0&camera=1,1,1,0,0,0&clip={broken');
+        assert.strictEqual(view.clip, null);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('isValidView refuses stored views with broken clipping', () => {
+    const view = { tile: { x: 0, y: 0 }, position: [1, 1, 1], target: [0, 0, 0] };
+    assert.ok(ViewBookmarks.isValidView(view));
+    assert.ok(ViewBookmarks.isValidView({ ...view, clip: { box: null, planes: [] } }));
+    assert.ok(!ViewBookmarks.isValidView({ ...view, clip: { box: { mode: 'inside' }, planes: [] } }));
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { XYZReader } = loadScripts(['readers/xyz-reader.js'], ['XYZReader']);
+
+const textFile = (lines, name = 'test.xyz') => new File([lines.join('\n') + '\n'], name);
+
+function assertClose(actual, expected, tolerance = 1e-4) {
+    assert.strictEqual(actual.length, expected.length);
+    [...actual].forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) <= tolerance, `${value} differs from ${expected[i]} by more than ${tolerance}`);
+    });
+}
+
+test('columns are guessed from the column count without a header', () => {
+    assert.deepStrictEqual(XYZReader.getColumns(['1', '2', '3']), { x: 0, y: 1, z: 2 });
+    assert.deepStrictEqual(XYZReader.getColumns(['1', '2', '3', '4']), { x: 0, y: 1, z: 2, intensity: 3 });
+    assert.deepStrictEqual(XYZReader.getColumns(['1', '2', '3', '4', '5']), { x: 0, y: 1, z: 2, column4: 3, column5: 4 });
+    assert.deepStrictEqual(XYZReader.getColumns(Array(6).fill('1')), { x: 0, y: 1, z: 2, red: 3, green: 4, blue: 5 });
+    assert.deepStrictEqual(XYZReader.getColumns(Array(8).fill('1')),
+        { x: 0, y: 1, z: 2, intensity: 3, red: 4, green: 5, blue: 6, column8: 7 });
+    assert.throws(() => XYZReader.getColumns(['1', '2']), /no "z" column found/);
+});
+
+test('header names are matched to column roles', () => {
+    assert.deepStrictEqual(XYZReader.getColumns(null, ['//Easting', 'Northing', 'Elevation', 'Class', 'GPS', 'R', 'G', 'B']),
+        { x: 0, y: 1, z: 2, classification: 3, gps: 4, red: 5, green: 6, blue: 7 });
+    assert.throws(() => XYZReader.getColumns(null, ['x', 'y', 'intensity']), /no "z" column found/);
+});
+
+test('decodes a CSV file with a header, comments and blank lines', async () => {
+    const file = textFile([
+        '# exported survey',
+        'x,y,z,intensity,class,quality',
+        '',
+        '500010.5,4100020.25,101,7,2,0.5',
+        '500012,4100018,99.5,9,5,0.75',
+        '# end of the first strip',
+        '500008;4100021;100;11;6;1'
+    ], 'test.csv');
+    const center = [500010, 4100020, 100];
+    const data = await XYZReader.decode(file, { center, pointCount: 3 });
+
+    assert.strictEqual(data.format, 'xyz');
+    assert.strictEqual(data.pointCount, 3);
+    assert.strictEqual(data.colors, null);
+    assertClose(data.positions, [0.5, 0.25, 1, 2, -2, -0.5, -2, 1, 0]);
+    assert.deepStrictEqual(data.bounds, { minX: 500008, maxX: 500012, minY: 4100018, maxY: 4100021, minZ: 99.5, maxZ: 101 });
+    assert.deepStrictEqual(Object.keys(data.attributes), ['intensity', 'classification', 'quality']);
+    assert.deepStrictEqual([...data.attributes.classification], [2, 5, 6]);
+    assert.deepStrictEqual([...data.attributes.quality], [0.5, 0.75, 1]);
+});
+
+test('PTS files skip the point count line and guess seven columns', async () => {
+    const file = textFile([
+        '2',
+        '10 20 30 -1200 255 128 0',
+        '12 22 31 -800 0 64 255'
+    ], 'scan.pts');
+
+    const bounds = await XYZReader.scanBounds(file);
+    assert.strictEqual(bounds.vertexCount, 2);
+    assert.strictEqual(bounds.format, 'pts');
+    assert.deepStrictEqual([bounds.centerX, bounds.centerY, bounds.centerZ, bounds.extentZ], [11, 21, 30.5, 1]);
+    assert.deepStrictEqual(bounds.properties, ['x', 'y', 'z', 'intensity', 'red', 'green', 'blue']);
+
+    // Without a centre and count from an earlier scan, decode runs one
+    const data = await XYZReader.decode(file);
+    assert.strictEqual(data.format, 'pts');
+    assert.deepStrictEqual(data.center, [11, 21, 30.5]);
+    assertClose(data.positions, [-1, -1, -0.5, 1, 1, 0.5]);
+    assert.deepStrictEqual([...data.attributes.intensity], [-1200, -800]);
+    assertClose(data.colors, [1, 128 / 255, 0, 0, 64 / 255, 1], 1e-6);
+});
+
+test('colours are scaled by the range they are written in', async () => {
+    for (const [maxColor, scale] of [[1, 1], [255, 255], [65535, 65535]]) {
+        const file = textFile([`0 0 0 ${maxColor} 0 0`, `1 1 1 0 ${maxColor / 2} 0`]);
+        const data = await XYZReader.decode(file, { center: [0, 0, 0], pointCount: 2 });
+        assertClose(data.colors, [maxColor / scale, 0, 0, 0, maxColor / 2 / scale, 0], 1e-6);
+    }
+});
+
+test('rows split across read chunks are put back together', async (t) => {
+    const chunkSize = XYZReader.CHUNK_SIZE;
+    XYZReader.CHUNK_SIZE = 5;
+    t.after(() => { XYZReader.CHUNK_SIZE = chunkSize; });
+
+    const lines = ['easting northing height', ...Array.from({ length: 6 }, (_, i) => `${100 + i} ${200 - i} ${i * 0.5}`)];
+    const file = new File([lines.join('\r\n')], 'split.txt');
+    const progress = [];
+    const bounds = await XYZReader.scanBounds(file, done => progress.push(done));
+    assert.strictEqual(bounds.vertexCount, 6);
+    assert.deepStrictEqual([bounds.minX, bounds.maxX, bounds.minY, bounds.maxY, bounds.maxZ], [100, 105, 195, 200, 2.5]);
+    assert.strictEqual(progress.at(-1), file.size);
+
+    const data = await XYZReader.decode(file, { center: [100, 200, 0], pointCount: 6 });
+    assertClose(data.positions.slice(-3), [5, -5, 2.5]);
+});
+
+test('decode stops at the point count it is given', async () => {
+    const file = textFile(['0 0 0', '1 1 1', '2 2 2']);
+    const data = await XYZReader.decode(file, { center: [0, 0, 0], pointCount: 2 });
+    assert.strictEqual(data.pointCount, 2);
+    assert.deepStrictEqual([...data.positions], [0, 0, 0, 1, 1, 1]);
+});
+
+test('empty files and stray text', async () => {
+    const empty = await XYZReader.scanBounds(textFile(['# nothing here']));
+    assert.deepStrictEqual([empty.vertexCount, empty.minX, empty.extentZ, empty.properties], [0, 0, 0, []]);
+
+    await assert.rejects(XYZReader.scanBounds(textFile(['x y z', 'points follow', '1 2 3'], 'notes.txt')),
+        /notes\.txt: unexpected text on line 2/);
+    await assert.rejects(XYZReader.scanBounds(textFile(['x y intensity', '1 2 3'], 'flat.xyz')),
+        /flat\.xyz: no "z" column found/);
+    await assert.rejects(XYZReader.scanBounds(textFile(['1 2 3', '4 5', '6 7 8'], 'short.xyz')),
+        /short\.xyz: line 2 has 2 values, too few for x, y and z/);
+    await assert.rejects(XYZReader.scanBounds(textFile(['intensity,x,y,z', '1,2,3,4', '5,6,7'], 'short.csv')),
+        /short\.csv: line 3 has 3 values/);
+});
@@ -0,0 +1,390 @@
+"""Dataset discovery and tile manifests for point cloud folders on the server.
+
+Every subdirectory of ``settings.POINTCLOUD_DATASETS_ROOT`` is a dataset. The
+manifest lists each point cloud file with its bounds, point count and grid
+position, so the browser can lay out the tiles without downloading anything.
+Bounds are read from the file headers where the format has them (LAS/LAZ) and
+by streaming the coordinates otherwise (PLY, XYZ/PTS). Results are cached in a
+``.manifest-cache.json`` file inside the dataset folder.
+"""
+import json
+import math
+import re
+import struct
+from pathlib import Path
+
+from django.conf import settings
+
+SUPPORTED_EXTENSIONS = {'.ply', '.las', '.laz', '.xyz', '.pts', '.txt', '.csv'}
+CACHE_FILE_NAME = '.manifest-cache.json'
+CHUNK_SIZE = 16 * 1024 * 1024
+
+PLY_TYPES = {
+    'char': 'b', 'int8': 'b', 'uchar': 'B', 'uint8': 'B',
+    'short': 'h', 'int16': 'h', 'ushort': 'H', 'uint16': 'H',
+    'int': 'i', 'int32': 'i', 'uint': 'I', 'uint32': 'I',
+    'float': 'f', 'float32': 'f', 'double': 'd', 'float64': 'd',
+}
+
+
+class DatasetError(Exception):
+    """Raised for unknown datasets or files that cannot be indexed."""
+
+
+def datasets_root():
+    return Path(settings.POINTCLOUD_DATASETS_ROOT)
+
+
+def dataset_path(name):
+    """Resolve a dataset directory, refusing names that escape the root."""
+    root = datasets_root().resolve()
+    path = (root / name).resolve()
+    if path.parent != root or not path.is_dir():
+        raise DatasetError(f'Unknown dataset "{name}"')
+    return path
+
+
+def dataset_file_path(name, file_name):
+    """Resolve a file inside a dataset, refusing paths that escape it."""
+    directory = dataset_path(name)
+    path = (directory / file_name).resolve()
+    if directory not in path.parents or not path.is_file():
+        raise DatasetError(f'Unknown file "{file_name}" in dataset "{name}"')
+    return path
+
+
+def point_cloud_files(directory):
+    return sorted(
+        path for path in directory.rglob('*')
+        if path.is_file() and path.suffix.lower() in SUPPORTED_EXTENSIONS
+    )
+
+
+def list_datasets():
+    root = datasets_root()
+    if not root.is_dir():
+        return []
+
+    datasets = []
+    for directory in sorted(path for path in root.iterdir() if path.is_dir() and not path.name.startswith('.')):
+        files = point_cloud_files(directory)
+        if files:
+            datasets.append({
+                'name': directory.name,
+                'fileCount': len(files),
+                'totalSize': sum(path.stat().st_size for path in files),
+            })
+    return datasets
+
+
+def build_manifest(name):
+    directory = dataset_path(name)
+    cache_path = directory / CACHE_FILE_NAME
+    try:
+        cache = json.loads(cache_path.read_text())
+    except (OSError, ValueError):
+        cache = {}
+
+    tiles = []
+    errors = []
+    changed = False
+    present = set()
+    for path in point_cloud_files(directory):
+        relative_name = path.relative_to(directory).as_posix()
+        present.add(relative_name)
+        stat = path.stat()
+        cached = cache.get(relative_name)
+
+        if cached and cached.get('size') == stat.st_size and cached.get('lastModified') == int(stat.st_mtime * 1000):
+            entry = cached
+        else:
+            try:
+                entry = {
+                    'file': relative_name,
+                    'size': stat.st_size,
+                    'lastModified': int(stat.st_mtime * 1000),
+                    **scan_file(path),
+                }
+            except (DatasetError, OSError, struct.error, ValueError) as error:
+                errors.append({'file': relative_name, 'error': str(error)})
+                continue
+            cache[relative_name] = entry
+            changed = True
+        tiles.append(dict(entry))
+
+    # Only rewrite the cache when a file was scanned or has gone away
+    for stale_name in set(cache) - present:
+        del cache[stale_name]
+        changed = True
+    if changed:
+        try:
+            cache_path.write_text(json.dumps(cache))
+        except OSError:
+            pass  # Read-only dataset folders simply aren't cached
+
+    width, height = assign_grid_positions(tiles)
+    return {
+        'name': name,
+        'grid': {'width': width, 'height': height},
+        'tiles': tiles,
+        'errors': errors,
+    }
+
+
+def assign_grid_positions(tiles):
+    """Same placement as the viewer: the cell size is the median file footprint and
+    each file goes to the cell its bounding-box centre falls into."""
+    if not tiles:
+        return 0, 0
+
+    min_x = min(tile['bounds']['minX'] for tile in tiles)
+    min_y = min(tile['bounds']['minY'] for tile in tiles)
+    cell_width = median([tile['bounds']['maxX'] - tile['bounds']['minX'] for tile in tiles]) or 1
+    cell_height = median([tile['bounds']['maxY'] - tile['bounds']['minY'] for tile in tiles]) or 1
+
+    width = height = 0
+    for tile in tiles:
+        bounds = tile['bounds']
+        x = math.floor(((bounds['minX'] + bounds['maxX']) / 2 - min_x) / cell_width)
+        y = math.floor(((bounds['minY'] + bounds['maxY']) / 2 - min_y) / cell_height)
+        tile['grid'] = {'x': x, 'y': y}
+        width = max(width, x + 1)
+        height = max(height, y + 1)
+    return width, height
+
+
+def median(values):
+    ordered = sorted(values)
+    middle = len(ordered) // 2
+    if len(ordered) % 2:
+        return ordered[middle]
+    return (ordered[middle - 1] + ordered[middle]) / 2
+
+
+def scan_file(path):
+    suffix = path.suffix.lower()
+    if suffix == '.ply':
+        return scan_ply(path)
+    if suffix in ('.las', '.laz'):
+        return scan_las(path)
+    return scan_xyz(path)
+
+
+def bounds_result(file_format, point_count, bounds, properties):
+    min_x, max_x, min_y, max_y, min_z, max_z = bounds
+    return {
+        'format': file_format,
+        'pointCount': point_count,
+        'properties': properties,
+        'bounds': {
+            'minX': min_x, 'maxX': max_x,
+            'minY': min_y, 'maxY': max_y,
+            'minZ': min_z, 'maxZ': max_z,
+        },
+    }
+
+
+def scan_las(path):
+    with path.open('rb') as handle:
+        header = handle.read(375)
+    if len(header) < 227 or header[:4] != b'LASF':
+        raise DatasetError(f'{path.name}: missing "LASF" signature')
+
+    version_minor = header[25]
+    point_format = header[104]
+    point_count = struct.unpack_from('<I', header, 107)[0]
+    if version_minor >= 4 and len(header) >= 255:
+        point_count = struct.unpack_from('<Q', header, 247)[0] or point_count
+
+    compressed = bool(point_format & 0xc0)
+    point_format &= 0x3f
+    if point_format > 10:
+        raise DatasetError(f'{path.name}: unsupported LAS point format {point_format}')
+
+    properties = ['x', 'y', 'z', 'intensity', 'returnNumber', 'numberOfReturns', 'classification']
+    if point_format not in (0, 2):
+        properties.append('gpsTime')
+    if point_format in (2, 3, 5, 7, 8, 10):
+        properties.extend(['red', 'green', 'blue'])
+
+    max_x, min_x, max_y, min_y, max_z, min_z = struct.unpack_from('<6d', header, 179)
+    return bounds_result('laz' if compressed else 'las', point_count, (min_x, max_x, min_y, max_y, min_z, max_z), properties)
+
+
+def read_ply_header(handle, name):
+    lines = []
+    while True:
+        line = handle.readline()
+        if not line:
+            raise DatasetError(f'{name}: no end_header found')
+        text = line.decode('latin1').strip()
+        lines.append(text)
+        if text == 'end_header':
+            break
+
+    if lines[0] != 'ply':
+        raise DatasetError(f'{name}: missing "ply" magic number')
+
+    file_format = None
+    elements = []
+    for text in lines[1:]:
+        tokens = text.split()
+        if not tokens:
+            continue
+        if tokens[0] == 'format':
+            file_format = tokens[1]
+        elif tokens[0] == 'element':
+            elements.append({'name': tokens[1], 'count': int(tokens[2]), 'properties': []})
+        elif tokens[0] == 'property' and elements:
+            is_list = tokens[1] == 'list'
+            elements[-1]['properties'].append({
+                'name': tokens[4] if is_list else tokens[2],
+                'type': tokens[3] if is_list else tokens[1],
+                'list': is_list,
+            })
+    return file_format, elements
+
+
+def scan_ply(path):
+    with path.open('rb') as handle:
+        file_format, elements = read_ply_header(handle, path.name)
+        vertex = next((element for element in elements if element['name'] == 'vertex'), None)
+        if vertex is None:
+            raise DatasetError(f'{path.name}: no vertex element')
+        if elements[0] is not vertex:
+            raise DatasetError(f'{path.name}: vertex element must come first')
+        if any(prop['list'] for prop in vertex['properties']):
+            raise DatasetError(f'{path.name}: list properties on vertices are not supported')
+
+        names = [prop['name'] for prop in vertex['properties']]
+        axes = [names.index(axis) for axis in ('x', 'y', 'z')]
+        count = vertex['count']
+        bounds = [math.inf, -math.inf, math.inf, -math.inf, math.inf, -math.inf]
+
+        def extend(values):
+            for axis, index in enumerate(axes):
+                value = values[index]
+                if value < bounds[axis * 2]:
+                    bounds[axis * 2] = value
+                if value > bounds[axis * 2 + 1]:
+                    bounds[axis * 2 + 1] = value
+
+        if file_format == 'ascii':
+            for number in range(1, count + 1):
+                tokens = handle.readline().split()
+                if len(tokens) < len(names):
+                    raise DatasetError(f'{path.name}: vertex {number} has {len(tokens)} of {len(names)} values')
+                extend([float(token) for token in tokens])
+        elif file_format in ('binary_little_endian', 'binary_big_endian'):
+            order = '<' if file_format == 'binary_little_endian' else '>'
+            record = struct.Struct(order + ''.join(PLY_TYPES[prop['type']] for prop in vertex['properties']))
+            records_per_chunk = max(1, CHUNK_SIZE // record.size)
+            remaining = count
+            while remaining > 0:
+                batch = min(remaining, records_per_chunk)
+                data = handle.read(batch * record.size)
+                if len(data) < batch * record.size:
+                    raise DatasetError(f'{path.name}: file is truncated')
+                for values in record.iter_unpack(data):
+                    extend(values)
+                remaining -= batch
+        else:
+            raise DatasetError(f'{path.name}: unsupported PLY format "{file_format}"')
+
+    if count == 0:
+        bounds = [0, 0, 0, 0, 0, 0]
+    return bounds_result(file_format, count, bounds, names)
+
+
+# Header names recognised for each column role, as in the viewer's XYZ reader
+XYZ_COLUMN_ALIASES = {
+    'x': ['x', 'easting', 'e'],
+    'y': ['y', 'northing', 'n'],
+    'z': ['z', 'elevation', 'height', 'h'],
+    'red': ['r', 'red'],
+    'green': ['g', 'green'],
+    'blue': ['b', 'blue'],
+    'intensity': ['i', 'intensity'],
+    'classification': ['class', 'classification'],
+}
+
+
+def is_numeric_row(tokens):
+    try:
+        for token in tokens:
+            float(token)
+    except ValueError:
+        return False
+    return True
+
+
+def xyz_columns(tokens, header_tokens):
+    """Map column roles to indices from a header row, or guess them from the column
+    count: 3 x y z, 4 x y z intensity, 6 x y z r g b, 7 x y z intensity r g b."""
+    columns = {}
+    if header_tokens:
+        for index, token in enumerate(header_tokens):
+            name = re.sub(r'^//\s*', '', token.lower())
+            role = next((key for key, aliases in XYZ_COLUMN_ALIASES.items() if name in aliases), None)
+            columns[role or name or f'column{index + 1}'] = index
+    else:
+        count = len(tokens)
+        columns.update(x=0, y=1, z=2)
+        if count == 4 or count >= 7:
+            columns['intensity'] = 3
+        if count == 6:
+            columns.update(red=3, green=4, blue=5)
+        if count >= 7:
+            columns.update(red=4, green=5, blue=6)
+        first_extra = 7 if count >= 7 else 6 if count == 6 else 4 if count == 4 else 3
+        for index in range(first_extra, count):
+            columns[f'column{index + 1}'] = index
+
+    for axis in ('x', 'y', 'z'):
+        if axis not in columns:
+            raise DatasetError(f'no "{axis}" column found')
+    return columns
+
+
+def scan_xyz(path):
+    bounds = [math.inf, -math.inf, math.inf, -math.inf, math.inf, -math.inf]
+    count = 0
+    columns = None
+    header_tokens = None
+
+    with path.open('r', encoding='latin1') as handle:
+        for line_number, line in enumerate(handle, start=1):
+            text = line.strip()
+            if not text or text.startswith('#'):
+                continue
+            tokens = re.split(r'[\s,;]+', text)
+
+            if columns is None:
+                numeric = is_numeric_row(tokens)
+                if line_number == 1 and len(tokens) == 1 and numeric:
+                    continue  # PTS point count
+                if not numeric:
+                    if header_tokens:
+                        raise DatasetError(f'{path.name}: unexpected text on line {line_number}')
+                    header_tokens = tokens
+                    continue
+                try:
+                    columns = xyz_columns(tokens, header_tokens)
+                except DatasetError as error:
+                    raise DatasetError(f'{path.name}: {error}')
+                axes = [columns['x'], columns['y'], columns['z']]
+
+            if len(tokens) <= max(axes):
+                raise DatasetError(f'{path.name}: line {line_number} has {len(tokens)} values, too few for x, y and z')
+            for axis, index in enumerate(axes):
+                value = float(tokens[index])
+                if value < bounds[axis * 2]:
+                    bounds[axis * 2] = value
+                if value > bounds[axis * 2 + 1]:
+                    bounds[axis * 2 + 1] = value
+            count += 1
+
+    if count == 0:
+        bounds = [0, 0, 0, 0, 0, 0]
+    file_format = 'pts' if path.suffix.lower() == '.pts' else 'xyz'
+    return bounds_result(file_format, count, bounds, list(columns or {}))
@@ -0,0 +1,217 @@
+import json
+import os
+import struct
+import tempfile
+from pathlib import Path
+from unittest import mock
+
+from django.test import SimpleTestCase, override_settings
+from django.urls import reverse
+
+from . import datasets
+from .views import parse_range
+
+
+def write_las(path, bounds, point_count=10):
+    """A LAS 1.2 public header block with the given bounds and no points."""
+    header = bytearray(227)
+    header[0:4] = b'LASF'
+    header[24:26] = bytes([1, 2])
+    struct.pack_into('<H', header, 94, 227)
+    struct.pack_into('<I', header, 96, 227)
+    header[104] = 0
+    struct.pack_into('<H', header, 105, 20)
+    struct.pack_into('<I', header, 107, point_count)
+    min_x, max_x, min_y, max_y, min_z, max_z = bounds
+    struct.pack_into('<6d', header, 179, max_x, min_x, max_y, min_y, max_z, min_z)
+    path.write_bytes(bytes(header))
+
+
+def write_ascii_ply(path, rows, declared=None):
+    lines = [
+        'ply',
+        'format ascii 1.0',
+        f'element vertex {len(rows) if declared is None else declared}',
+        'property float x',
+        'property float y',
+        'property float z',
+        'end_header',
+        *rows,
+    ]
+    path.write_text('\n'.join(lines) + '\n')
+
+
+class ParseRangeTests(SimpleTestCase):
+    def test_no_header(self):
+        self.assertIsNone(parse_range(None, 100))
+        self.assertIsNone(parse_range('', 100))
+
+    def test_single_ranges(self):
+        self.assertEqual(parse_range('bytes=0-9', 100), (0, 9))
+        self.assertEqual(parse_range('bytes=10-', 100), (10, 99))
+        self.assertEqual(parse_range('bytes=10-500', 100), (10, 99))
+        self.assertEqual(parse_range('bytes=-20', 100), (80, 99))
+        self.assertEqual(parse_range('bytes=-500', 100), (0, 99))
+
+    def test_unsupported_or_malformed_ranges_are_ignored(self):
+        for header in ('bytes=0-1,5-9', 'items=0-9', 'bytes=9-0', 'bytes=-', 'bytes=a-b', 'garbage'):
+            with self.subTest(header=header):
+                self.assertIsNone(parse_range(header, 100))
+
+    def test_unsatisfiable_ranges(self):
+        self.assertEqual(parse_range('bytes=100-', 100), 'unsatisfiable')
+        self.assertEqual(parse_range('bytes=200-300', 100), 'unsatisfiable')
+        self.assertEqual(parse_range('bytes=-0', 100), 'unsatisfiable')
+
+
+class DatasetTestCase(SimpleTestCase):
+    """Runs each test against a fresh datasets root holding a "survey" dataset."""
+
+    def setUp(self):
+        temporary = tempfile.TemporaryDirectory()
+        self.addCleanup(temporary.cleanup)
+        self.root = Path(temporary.name) / 'datasets'
+        self.dataset = self.root / 'survey'
+        self.dataset.mkdir(parents=True)
+        settings = override_settings(POINTCLOUD_DATASETS_ROOT=self.root)
+        settings.enable()
+        self.addCleanup(settings.disable)
+
+
+class DatasetFilePathTests(DatasetTestCase):
+    def setUp(self):
+        super().setUp()
+        (self.dataset / 'area').mkdir()
+        (self.dataset / 'area' / 'tile.las').write_bytes(b'LASF')
+        (self.root / 'secret.txt').write_text('not a tile')
+
+    def test_resolves_files_inside_the_dataset(self):
+        path = datasets.dataset_file_path('survey', 'area/tile.las')
+        self.assertEqual(path, (self.dataset / 'area' / 'tile.las').resolve())
+
+    def test_refuses_paths_that_escape_the_dataset(self):
+        for file_name in ('../secret.txt', 'area/../../secret.txt', str(self.root / 'secret.txt')):
+            with self.subTest(file_name=file_name):
+                with self.assertRaises(datasets.DatasetError):
+                    datasets.dataset_file_path('survey', file_name)
+
+    def test_refuses_missing_files_directories_and_datasets(self):
+        for name, file_name in (('survey', 'missing.las'), ('survey', 'area'), ('other', 'area/tile.las'), ('..', 'secret.txt')):
+            with self.subTest(name=name, file_name=file_name):
+                with self.assertRaises(datasets.DatasetError):
+                    datasets.dataset_file_path(name, file_name)
+
+    def test_refuses_links_out_of_the_dataset(self):
+        try:
+            os.symlink(self.root / 'secret.txt', self.dataset / 'link.las')
+        except OSError:
+            self.skipTest('symbolic links are not available')
+        with self.assertRaises(datasets.DatasetError):
+            datasets.dataset_file_path('survey', 'link.las')
+
+
+class BuildManifestTests(DatasetTestCase):
+    def setUp(self):
+        super().setUp()
+        write_las(self.dataset / 'a.las', (0, 100, 0, 100, 5, 10))
+        write_las(self.dataset / 'b.las', (100, 200, 0, 100, 6, 12))
+        write_ascii_ply(self.dataset / 'c.ply', ['10 110 1', '90 190 3'])
+
+    def test_lists_every_file_with_bounds_and_grid_position(self):
+        manifest = datasets.build_manifest('survey')
+        self.assertEqual(manifest['errors'], [])
+        self.assertEqual(manifest['grid'], {'width': 2, 'height': 2})
+
+        tiles = {tile['file']: tile for tile in manifest['tiles']}
+        self.assertEqual(sorted(tiles), ['a.las', 'b.las', 'c.ply'])
+        self.assertEqual(tiles['a.las']['pointCount'], 10)
+        self.assertEqual(tiles['b.las']['grid'], {'x': 1, 'y': 0})
+        self.assertEqual(tiles['c.ply']['format'], 'ascii')
+        self.assertEqual(tiles['c.ply']['bounds'], {
+            'minX': 10, 'maxX': 90, 'minY': 110, 'maxY': 190, 'minZ': 1, 'maxZ': 3,
+        })
+        self.assertEqual(tiles['c.ply']['grid'], {'x': 0, 'y': 1})
+
+    def test_reports_unreadable_files_without_failing_the_dataset(self):
+        write_ascii_ply(self.dataset / 'short.ply', ['1 2 3', '4 5'])
+        write_ascii_ply(self.dataset / 'blank.ply', ['1 2 3'], declared=2)
+        (self.dataset / 'short.xyz').write_text('1 2 3\n4 5\n')
+        (self.dataset / 'broken.las').write_bytes(b'not a las file')
+
+        manifest = datasets.build_manifest('survey')
+        self.assertEqual(sorted(error['file'] for error in manifest['errors']),
+                         ['blank.ply', 'broken.las', 'short.ply', 'short.xyz'])
+        self.assertIn('vertex 2 has 2 of 3 values', next(
+            error['error'] for error in manifest['errors'] if error['file'] == 'short.ply'))
+        self.assertEqual(len(manifest['tiles']), 3)
+
+    def test_writes_the_cache_only_when_it_is_stale(self):
+        datasets.build_manifest('survey')
+        cache_path = self.dataset / datasets.CACHE_FILE_NAME
+        self.assertEqual(sorted(json.loads(cache_path.read_text())), ['a.las', 'b.las', 'c.ply'])
+
+        with mock.patch.object(datasets, 'scan_file') as scan_file, \
+                mock.patch.object(Path, 'write_text') as write_text:
+            datasets.build_manifest('survey')
+        scan_file.assert_not_called()
+        write_text.assert_not_called()
+
+        # A removed file is dropped from the cache, a changed one scanned again
+        (self.dataset / 'c.ply').unlink()
+        write_las(self.dataset / 'b.las', (100, 300, 0, 100, 6, 12))
+        os.utime(self.dataset / 'b.las', (0, 0))
+        manifest = datasets.build_manifest('survey')
+        cache = json.loads(cache_path.read_text())
+        self.assertEqual(sorted(cache), ['a.las', 'b.las'])
+        self.assertEqual(cache['b.las']['bounds']['maxX'], 300)
+        self.assertEqual(len(manifest['tiles']), 2)
+
+    def test_unknown_datasets_are_refused(self):
+        for name in ('missing', '..', '../datasets'):
+            with self.subTest(name=name):
+                with self.assertRaises(datasets.DatasetError):
+                    datasets.build_manifest(name)
+
+
+class DatasetViewTests(DatasetTestCase):
+    def setUp(self):
+        super().setUp()
+        self.content = bytes(range(100))
+        (self.dataset / 'tile.las').write_bytes(self.content)
+        self.url = reverse('dataset_file', args=['survey', 'tile.las'])
+
+    def test_serves_whole_files_and_single_ranges(self):
+        response = self.client.get(self.url)
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(b''.join(response.streaming_content), self.content)
+
+        response = self.client.get(self.url, HTTP_RANGE='bytes=10-19')
+        self.assertEqual(response.status_code, 206)
+        self.assertEqual(response['Content-Range'], 'bytes 10-19/100')
+        self.assertEqual(b''.join(response.streaming_content), self.content[10:20])
+
+    def test_ignores_unsupported_ranges_and_refuses_unsatisfiable_ones(self):
+        response = self.client.get(self.url, HTTP_RANGE='bytes=0-1,5-9')
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(response['Content-Length'], '100')
+
+        response = self.client.get(self.url, HTTP_RANGE='bytes=100-')
+        self.assertEqual(response.status_code, 416)
+        self.assertEqual(response['Content-Range'], 'bytes */100')
+
+    def test_head_gives_the_size_without_a_body(self):
+        response = self.client.head(self.url)
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(response['Content-Length'], '100')
+        self.assertEqual(response['Accept-Ranges'], 'bytes')
+        self.assertEqual(response.content, b'')
+
+    def test_missing_files_and_datasets_are_not_found(self):
+        self.assertEqual(self.client.get(reverse('dataset_file', args=['survey', 'missing.las'])).status_code, 404)
+        self.assertEqual(self.client.get(reverse('dataset_manifest', args=['missing'])).status_code, 404)
+
+    def test_manifest_links_each_tile_to_its_file(self):
+        write_las(self.dataset / 'tile.las', (0, 10, 0, 10, 0, 1))
+        response = self.client.get(reverse('dataset_manifest', args=['survey']))
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual([tile['url'] for tile in response.json()['tiles']], [self.url])
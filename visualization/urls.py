@@ -3,4 +3,7 @@ from . import views
 
 urlpatterns = [
     path('', views.index, name='index'),
-]
\ No newline at end of file
+    path('api/datasets/', views.dataset_list, name='dataset_list'),
+    path('api/datasets/<str:name>/manifest/', views.dataset_manifest, name='dataset_manifest'),
+    path('api/datasets/<str:name>/files/<path:file_name>', views.dataset_file, name='dataset_file'),
+]
@@ -1,4 +1,123 @@
+import mimetypes
+import re
+
+from django.http import Http404, HttpResponse, JsonResponse, StreamingHttpResponse
 from django.shortcuts import render
+from django.urls import reverse
+from django.utils.http import http_date
+from django.views.decorators.http import require_GET, require_http_methods
+
+from . import datasets
+
+RANGE_PATTERN = re.compile(r'^bytes=(\d*)-(\d*)$')
+STREAM_CHUNK_SIZE = 1024 * 1024
+
 
 def index(request):
-    return render(request, 'visualization/index.html')
\ No newline at end of file
+    return render(request, 'visualization/index.html')
+
+
+@require_GET
+def dataset_list(request):
+    return JsonResponse({
+        'datasets': [
+            {
+                **dataset,
+                'manifestUrl': reverse('dataset_manifest', args=[dataset['name']]),
+            }
+            for dataset in datasets.list_datasets()
+        ],
+    })
+
+
+@require_GET
+def dataset_manifest(request, name):
+    try:
+        manifest = datasets.build_manifest(name)
+    except datasets.DatasetError as error:
+        raise Http404(str(error))
+
+    for tile in manifest['tiles']:
+        tile['url'] = reverse('dataset_file', args=[name, tile['file']])
+    return JsonResponse(manifest)
+
+
+@require_http_methods(['GET', 'HEAD'])
+def dataset_file(request, name, file_name):
+    """Serve a tile file, honouring single byte ranges so the viewer can read headers
+    and chunks without downloading whole files. HEAD gives the size and date without
+    the body, which is how the embedding API sizes a URL before range reading it."""
+    try:
+        path = datasets.dataset_file_path(name, file_name)
+    except datasets.DatasetError as error:
+        raise Http404(str(error))
+
+    stat = path.stat()
+    size = stat.st_size
+    content_type = mimetypes.guess_type(path.name)[0] or 'application/octet-stream'
+    start, end = 0, size - 1
+    status = 200
+
+    byte_range = parse_range(request.headers.get('Range'), size)
+    if byte_range == 'unsatisfiable':
+        return range_not_satisfiable(size)
+    if byte_range:
+        start, end = byte_range
+        status = 206
+
+    if request.method == 'HEAD':
+        response = HttpResponse(status=status, content_type=content_type)
+    else:
+        response = StreamingHttpResponse(
+            stream_file(path, start, end - start + 1),
+            status=status,
+            content_type=content_type,
+        )
+    response['Content-Length'] = str(end - start + 1)
+    response['Accept-Ranges'] = 'bytes'
+    response['Last-Modified'] = http_date(stat.st_mtime)
+    if status == 206:
+        response['Content-Range'] = f'bytes {start}-{end}/{size}'
+    return response
+
+
+def parse_range(header, size):
+    """The (start, end) of a single byte range, 'unsatisfiable' for a well-formed one
+    that lies past the end of the file, or None for no Range header. Headers this view
+    doesn't support (several ranges, other units) or can't parse are ignored, as RFC
+    9110 asks, so the whole file is served."""
+    match = RANGE_PATTERN.match(header.strip()) if header else None
+    if not match or match.groups() == ('', ''):
+        return None
+    first, last = match.groups()
+    if first:
+        start = int(first)
+        if last and int(last) < start:
+            return None
+        end = min(int(last), size - 1) if last else size - 1
+    else:
+        suffix = int(last)
+        if suffix == 0:
+            return 'unsatisfiable'
+        start = max(size - suffix, 0)
+        end = size - 1
+    if start >= size:
+        return 'unsatisfiable'
+    return start, end
+
+
+def range_not_satisfiable(size):
+    response = HttpResponse(status=416)
+    response['Content-Range'] = f'bytes */{size}'
+    return response
+
+
+def stream_file(path, start, length):
+    with path.open('rb') as handle:
+        handle.seek(start)
+        while length > 0:
+            chunk = handle.read(min(STREAM_CHUNK_SIZE, length))
+            if not chunk:
+                break
+            length -= len(chunk)
+            yield chunk